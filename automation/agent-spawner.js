@@ -1,7 +1,10 @@
 // Intelligent Agent Spawning System for Claude Flow Automation
 const { spawn } = require('child_process');
-const Database = require('better-sqlite3');
-const winston = require('winston');
+const UnifiedStore = require('../core/unified-store');
+const { createLogger, withLogContext } = require('../core/logger');
+const { redact } = require('../core/redaction');
+const { startSpan, traceEnv, SPAN_STATUS } = require('../core/tracing');
+const { getMetrics } = require('../core/metrics');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs-extra');
@@ -10,7 +13,7 @@ class AgentSpawner {
     constructor() {
         // Try SQLite, fallback to JSON storage
         try {
-            this.db = new Database('.hive-mind/automation.db');
+            this.db = new UnifiedStore().db;
             this.storageType = 'sqlite';
         } catch (error) {
             console.log('SQLite not available in AgentSpawner, using JSON fallback');
@@ -19,10 +22,12 @@ class AgentSpawner {
             this.jsonDbPath = '.hive-mind/agent-spawner.json';
             this.ensureJsonDb();
         }
-        this.logger = this.setupLogger();
+        this.logger = createLogger('agent-spawner');
         this.activeAgents = new Map();
         this.agentConfig = this.loadAgentConfig();
         this.maxConcurrentAgents = parseInt(process.env.MAX_CONCURRENT_AGENTS) || 5;
+        this.terminationPollMs = parseInt(process.env.AGENT_TERMINATION_POLL_MS, 10) || 2000;
+        this.terminationWatch = null;
     }
 
     ensureJsonDb() {
@@ -45,21 +50,7 @@ class AgentSpawner {
     }
 
     writeJsonDb(data) {
-        fs.writeJsonSync(this.jsonDbPath, data, { spaces: 2 });
-    }
-
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'logs/agent-spawner.log' }),
-                new winston.transports.Console()
-            ]
-        });
+        fs.writeJsonSync(this.jsonDbPath, redact(data), { spaces: 2 });
     }
 
     loadAgentConfig() {
@@ -163,8 +154,15 @@ class AgentSpawner {
     }
 
     async spawnAgent(agentSpec, issueAnalysis, sessionId) {
+        const agentId = crypto.randomUUID();
+
+        // Output handlers registered while spawning log with the agent's context too
+        return withLogContext({ agentId, sessionId, issueNumber: issueAnalysis.number }, () =>
+            this.launchAgent(agentId, agentSpec, issueAnalysis, sessionId));
+    }
+
+    async launchAgent(agentId, agentSpec, issueAnalysis, sessionId) {
         try {
-            const agentId = crypto.randomUUID();
             const agentType = agentSpec.type;
             const config = this.agentConfig[agentType];
 
@@ -200,12 +198,24 @@ class AgentSpawner {
 
             this.logger.info(`Spawning ${agentType} agent: ${agentId}`);
 
+            // Lasts until the process exits; ended by the close/error handlers
+            const span = startSpan('agent.process', {
+                attributes: {
+                    'agent.id': agentId,
+                    'agent.type': agentType,
+                    'session.id': sessionId,
+                    'issue.number': issueAnalysis.number,
+                    'process.command': config.command
+                }
+            });
+
             // Spawn the agent process
             const agentProcess = spawn(config.command, agentArgs, {
                 cwd: process.cwd(),
                 stdio: 'pipe',
                 env: {
                     ...process.env,
+                    ...traceEnv(span),
                     CLAUDE_FLOW_AGENT_ID: agentId,
                     CLAUDE_FLOW_SESSION_ID: sessionId,
                     CLAUDE_FLOW_ISSUE_NUMBER: issueAnalysis.number.toString(),
@@ -213,6 +223,8 @@ class AgentSpawner {
                 }
             });
 
+            getMetrics().agentsSpawned.inc({ type: agentType });
+
             // Create agent record
             const agentRecord = {
                 id: agentId,
@@ -220,6 +232,7 @@ class AgentSpawner {
                 sessionId: sessionId,
                 issueNumber: issueAnalysis.number,
                 process: agentProcess,
+                span,
                 status: 'running',
                 startTime: Date.now(),
                 capabilities: agentSpec.capabilities || [],
@@ -233,6 +246,7 @@ class AgentSpawner {
 
             // Set up process handlers
             this.setupAgentHandlers(agentRecord);
+            this.watchTerminationRequests();
 
             // Store in database
             await this.storeAgentRecord(agentRecord, issueAnalysis);
@@ -316,13 +330,19 @@ class AgentSpawner {
         });
 
         // Handle process exit
-        agentProcess.on('close', (code) => {
+        agentProcess.on('close', (code, signal) => {
+            agentRecord.span.setAttribute('process.exit_code', code);
+            if (code !== 0) {
+                agentRecord.span.setStatus(SPAN_STATUS.ERROR, signal ? `killed by ${signal}` : `exit code ${code}`);
+            }
+            agentRecord.span.end();
             this.handleAgentExit(id, code);
         });
 
         // Handle process error
         agentProcess.on('error', (error) => {
             this.logger.error(`Agent ${id} process error:`, error);
+            agentRecord.span.recordException(error).end();
             this.handleAgentError(id, error);
         });
     }
@@ -369,11 +389,16 @@ class AgentSpawner {
         this.activeAgents.delete(agentId);
     }
 
+    /**
+     * Stop an agent; an agent of another process gets a termination request its spawner acts on
+     * @returns {Promise<string|null>} 'terminated', 'requested', or null when no running agent has this id
+     */
     async terminateAgent(agentId, reason = 'manual') {
         const agent = this.activeAgents.get(agentId);
-        if (!agent) return;
+        if (!agent) return this.requestTermination(agentId, reason);
 
         this.logger.info(`Terminating agent ${agentId} (reason: ${reason})`);
+        agent.span?.addEvent('terminated', { reason });
 
         // Kill the process
         if (agent.process && !agent.process.killed) {
@@ -390,6 +415,49 @@ class AgentSpawner {
 
         // Remove from active agents
         this.activeAgents.delete(agentId);
+        return 'terminated';
+    }
+
+    requestTermination(agentId, reason) {
+        if (!this.db) return null;
+
+        const result = this.db.prepare(`
+            UPDATE agent_performance
+            SET termination_requested_at = ?, termination_reason = ?
+            WHERE agent_id = ? AND completion_time IS NULL
+        `).run(new Date().toISOString(), reason, agentId);
+
+        if (result.changes === 0) return null;
+
+        this.logger.info(`Termination of agent ${agentId} requested (reason: ${reason})`);
+        return 'requested';
+    }
+
+    /**
+     * While this process has agents, pick up termination requests left for them by other processes
+     */
+    watchTerminationRequests() {
+        if (this.terminationWatch || !this.db) return;
+
+        this.terminationWatch = setInterval(() => {
+            const agentIds = Array.from(this.activeAgents.keys());
+            if (agentIds.length === 0) {
+                clearInterval(this.terminationWatch);
+                this.terminationWatch = null;
+                return;
+            }
+
+            const requests = this.db.prepare(`
+                SELECT agent_id, termination_reason FROM agent_performance
+                WHERE termination_requested_at IS NOT NULL AND agent_id IN (${agentIds.map(() => '?').join(', ')})
+            `).all(...agentIds);
+
+            for (const request of requests) {
+                this.terminateAgent(request.agent_id, request.termination_reason || 'requested')
+                    .catch(error => this.logger.error(`Error terminating agent ${request.agent_id}:`, error));
+            }
+        }, this.terminationPollMs);
+        this.terminationWatch.unref();
     }
 
     async storeAgentRecord(agentRecord, issueAnalysis) {
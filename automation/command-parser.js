@@ -0,0 +1,257 @@
+// Slash-Command Parser for Claude Flow Automation
+// Turns issue comments such as "/autosolve --agents=architect,tester --no-pr" into structured commands
+
+const BOT_MENTIONS = ['@claude-flow-automation', '@claude-flow-bot'];
+
+const PRIORITIES = ['low', 'normal', 'high', 'critical'];
+
+/**
+ * A mention (or trigger phrase) on its own, not the start of a longer login:
+ * @claude-flow-bot does not match @claude-flow-botanist
+ */
+function mentionPattern(mention) {
+    const escaped = mention.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`, 'i');
+}
+
+/**
+ * Command grammar
+ * flags: name → { type: 'boolean' | 'list' | 'enum', values? }
+ * args: positional argument names; required ones are listed in `required`
+ */
+const COMMANDS = {
+    autosolve: {
+        summary: 'Run the full Hive-Mind pipeline and open a pull request',
+        usage: '/autosolve [--agents=type,...] [--no-pr] [--priority=low|normal|high|critical]',
+        flags: {
+            agents: { type: 'list' },
+            'no-pr': { type: 'boolean' },
+            priority: { type: 'enum', values: PRIORITIES }
+        },
+        args: [],
+        required: []
+    },
+    'analyze-only': {
+        summary: 'Analyze the issue and report findings without changing code',
+        usage: '/analyze-only [--agents=type,...]',
+        flags: {
+            agents: { type: 'list' }
+        },
+        args: [],
+        required: []
+    },
+    retry: {
+        summary: 'Run the last automation for this issue again',
+        usage: '/retry',
+        flags: {},
+        args: [],
+        required: []
+    },
+    cancel: {
+        summary: 'Cancel queued or running automation for this issue',
+        usage: '/cancel',
+        flags: {},
+        args: [],
+        required: []
+    },
+    status: {
+        summary: 'Show queued, running and recent automation for this issue',
+        usage: '/status',
+        flags: {},
+        args: [],
+        required: []
+    },
+    explain: {
+        summary: 'Explain what happened in a session',
+        usage: '/explain <sessionId>',
+        flags: {},
+        args: ['sessionId'],
+        required: ['sessionId']
+    },
+    help: {
+        summary: 'List the available commands',
+        usage: '/help [command]',
+        flags: {},
+        args: ['command'],
+        required: []
+    }
+};
+
+class CommandParser {
+    constructor(options = {}) {
+        this.commands = options.commands || COMMANDS;
+        this.mentions = options.mentions || BOT_MENTIONS;
+        this.mentionPatterns = this.mentions.map(mentionPattern);
+    }
+
+    /**
+     * Find the first command in a comment
+     * Lines inside code blocks and quoted replies are ignored, so quoting an
+     * earlier command does not run it again.
+     * A bare bot mention without a command means /autosolve.
+     * @returns {Object|null} { name, args, flags, errors, raw } or null when the comment has no command
+     */
+    parse(body) {
+        if (!body) return null;
+
+        let inCodeBlock = false;
+
+        for (const rawLine of String(body).split(/\r?\n/)) {
+            const line = rawLine.trim();
+
+            if (line.startsWith('```')) {
+                inCodeBlock = !inCodeBlock;
+                continue;
+            }
+            if (inCodeBlock || line.startsWith('>')) continue;
+
+            const mention = this.mentionPatterns.map(pattern => pattern.exec(line)).find(Boolean);
+
+            if (mention) {
+                const afterMention = line.slice(mention.index + mention[0].length).trim();
+                if (afterMention.startsWith('/')) {
+                    return this.parseCommandLine(afterMention, true);
+                }
+                return this.parseCommandLine('/autosolve', true);
+            }
+
+            if (line.startsWith('/')) {
+                const command = this.parseCommandLine(line, false);
+                if (command) return command;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {string} line - text starting with "/"
+     * @param {boolean} addressed - the bot was mentioned, so unknown commands get a help reply
+     */
+    parseCommandLine(line, addressed) {
+        const [head, ...rest] = this.tokenize(line);
+        const name = head.slice(1).toLowerCase();
+        const definition = this.commands[name];
+
+        if (!definition) {
+            // "/path/to/file" or other prose starting with a slash is not meant for us
+            if (!addressed || !/^[a-z][a-z-]*$/.test(name)) return null;
+            return { name, args: [], flags: {}, errors: [`Unknown command \`/${name}\``], raw: line };
+        }
+
+        const command = { name, args: [], flags: {}, errors: [], raw: line };
+
+        for (let i = 0; i < rest.length; i++) {
+            const token = rest[i];
+
+            if (!token.startsWith('--')) {
+                command.args.push(token);
+                continue;
+            }
+
+            const eq = token.indexOf('=');
+            const flagName = (eq === -1 ? token.slice(2) : token.slice(2, eq)).toLowerCase();
+            const flag = definition.flags[flagName];
+
+            if (!flag) {
+                command.errors.push(`Unknown option \`--${flagName}\``);
+                continue;
+            }
+
+            if (flag.type === 'boolean') {
+                if (eq !== -1) command.errors.push(`Option \`--${flagName}\` does not take a value`);
+                command.flags[flagName] = true;
+                continue;
+            }
+
+            // Value flags accept both --name=value and --name value
+            let value = eq === -1 ? rest[i + 1] : token.slice(eq + 1);
+            if (eq === -1) {
+                if (value === undefined || value.startsWith('--')) {
+                    command.errors.push(`Option \`--${flagName}\` requires a value`);
+                    continue;
+                }
+                i++;
+            }
+
+            value = value.trim();
+
+            if (flag.type === 'list') {
+                const items = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+                const invalid = items.filter(item => !/^[a-z][a-z0-9-]*$/.test(item));
+                if (items.length === 0 || invalid.length > 0) {
+                    command.errors.push(`Invalid value for \`--${flagName}\`: \`${value}\``);
+                    continue;
+                }
+                command.flags[flagName] = items;
+            } else if (flag.type === 'enum') {
+                if (!flag.values.includes(value.toLowerCase())) {
+                    command.errors.push(`\`--${flagName}\` must be one of: ${flag.values.join(', ')}`);
+                    continue;
+                }
+                command.flags[flagName] = value.toLowerCase();
+            }
+        }
+
+        if (command.args.length > definition.args.length) {
+            command.errors.push(`Too many arguments (expected ${definition.args.length})`);
+        }
+
+        definition.required.forEach((argName) => {
+            const index = definition.args.indexOf(argName);
+            if (command.args[index] === undefined) {
+                command.errors.push(`Missing \`<${argName}>\``);
+            }
+        });
+
+        // Expose positional arguments by name as well
+        definition.args.forEach((argName, index) => {
+            if (command.args[index] !== undefined) command[argName] = command.args[index];
+        });
+
+        return command;
+    }
+
+    tokenize(line) {
+        const tokens = [];
+        const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(line)) !== null) {
+            tokens.push(match[1] ?? match[2] ?? match[3]);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Markdown help for one command, or the full command list
+     */
+    formatHelp(name = null) {
+        const definition = name && this.commands[name];
+
+        if (definition) {
+            return `**/${name}** — ${definition.summary}\n\nUsage: \`${definition.usage}\``;
+        }
+
+        const lines = Object.entries(this.commands)
+            .map(([commandName, def]) => `- \`${def.usage}\` — ${def.summary}`);
+
+        return ['**Claude Flow commands**', '', ...lines].join('\n');
+    }
+
+    /**
+     * Reply for a command that failed to parse
+     */
+    formatUsageError(command) {
+        const errors = command.errors.map(error => `- ${error}`).join('\n');
+        const help = this.commands[command.name] ? this.formatHelp(command.name) : this.formatHelp();
+
+        return `⚠️ Could not run \`${command.raw}\`:\n${errors}\n\n${help}`;
+    }
+}
+
+module.exports = CommandParser;
+module.exports.COMMANDS = COMMANDS;
+module.exports.BOT_MENTIONS = BOT_MENTIONS;
+module.exports.mentionPattern = mentionPattern;
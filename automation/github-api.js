@@ -1,52 +1,63 @@
 // GitHub API Integration for Claude Flow Automation
-const { Octokit } = require('@octokit/rest');
-const Database = require('better-sqlite3');
-const winston = require('winston');
+const { createGitHubClient } = require('../core/github-client');
+const { getGitHubAppAuth } = require('../core/github-app-auth');
+const UnifiedStore = require('../core/unified-store');
+const ChangePolicy = require('../core/change-policy');
+const { redact } = require('../core/redaction');
+const { createLogger } = require('../core/logger');
 const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 require('dotenv').config();
 
 class GitHubAPI {
-    constructor() {
-        this.octokit = new Octokit({
-            auth: process.env.GITHUB_TOKEN,
-            baseUrl: process.env.GITHUB_API_URL || 'https://api.github.com'
-        });
+    constructor(options = {}) {
+        // Callers serving several repositories (the webhook server) pass owner/repo explicitly
+        this.owner = options.owner || process.env.GITHUB_REPO_OWNER;
+        this.repo = options.repo || process.env.GITHUB_REPO_NAME;
+        this.defaultBranch = options.defaultBranch || process.env.GITHUB_BRANCH || 'main';
         
-        this.db = new Database('.hive-mind/automation.db');
-        this.logger = this.setupLogger();
+        // A configured GitHub App replaces GITHUB_TOKEN unless a token is passed in
+        this.appAuth = options.token ? null : (options.appAuth || getGitHubAppAuth());
+        this.token = options.token || (this.appAuth ? null : process.env.GITHUB_TOKEN);
         
-        this.owner = process.env.GITHUB_REPO_OWNER;
-        this.repo = process.env.GITHUB_REPO_NAME;
-        this.defaultBranch = process.env.GITHUB_BRANCH || 'main';
+        this.db = (options.store || new UnifiedStore()).db;
+        // Protected paths are refused on every write, whichever caller produced the change
+        this.changePolicy = options.changePolicy || new ChangePolicy();
+        this.logger = createLogger('github-api');
         
         this.validateConfiguration();
-    }
-
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'logs/github-api.log' }),
-                new winston.transports.Console()
-            ]
+        
+        this.octokit = createGitHubClient({
+            octokit: options.octokit,
+            token: this.token,
+            appAuth: this.appAuth,
+            owner: this.owner,
+            repo: this.repo,
+            baseUrl: options.baseUrl
         });
     }
 
     validateConfiguration() {
-        if (!process.env.GITHUB_TOKEN) {
-            throw new Error('GITHUB_TOKEN environment variable is required');
+        if (!this.token && !this.appAuth) {
+            throw new Error('GITHUB_TOKEN (or GitHub App credentials: GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY) is required');
         }
         if (!this.owner || !this.repo) {
             throw new Error('GITHUB_REPO_OWNER and GITHUB_REPO_NAME environment variables are required');
         }
         
-        this.logger.info(`GitHub API initialized for ${this.owner}/${this.repo}`);
+        this.logger.info(`GitHub API initialized for ${this.owner}/${this.repo}${this.appAuth ? ` as GitHub App ${this.appAuth.appId}` : ''}`);
+    }
+
+    /**
+     * Token for git over HTTPS: the configured token, or a fresh installation token
+     * valid for at least minValidityMs in GitHub App mode
+     */
+    async getToken({ minValidityMs } = {}) {
+        if (this.token) {
+            return this.token;
+        }
+        return this.appAuth.getRepositoryToken(this.owner, this.repo, { minValidityMs });
     }
 
     // Issue Management
@@ -204,6 +215,8 @@ class GitHubAPI {
     }
 
     async createOrUpdateFile(filePath, content, message, branch = null) {
+        this.changePolicy.assertPathsAllowed([filePath]);
+        
         try {
             const targetBranch = branch || this.defaultBranch;
             let sha = null;
@@ -235,6 +248,8 @@ class GitHubAPI {
     }
 
     async deleteFile(filePath, message, branch = null) {
+        this.changePolicy.assertPathsAllowed([filePath]);
+        
         try {
             const targetBranch = branch || this.defaultBranch;
             const fileData = await this.getFileContent(filePath, targetBranch);
@@ -258,6 +273,8 @@ class GitHubAPI {
 
     // Commit Operations
     async createCommit(message, files, branch = null) {
+        this.changePolicy.assertPathsAllowed(files.map(file => file.path));
+        
         try {
             const targetBranch = branch || this.defaultBranch;
             const commitId = crypto.randomUUID();
@@ -265,9 +282,14 @@ class GitHubAPI {
             // Get latest commit
             const branchData = await this.getBranch(targetBranch);
             const parentSha = branchData.object.sha;
+            const parentCommit = await this.octokit.rest.git.getCommit({
+                owner: this.owner,
+                repo: this.repo,
+                commit_sha: parentSha
+            });
             
-            // Create tree
-            const tree = await this.createTree(files, parentSha);
+            // Create tree on top of the parent commit's tree
+            const tree = await this.createTree(files, parentCommit.data.tree.sha);
             
             // Create commit
             const commit = await this.octokit.rest.git.createCommit({
@@ -276,10 +298,13 @@ class GitHubAPI {
                 message: message,
                 tree: tree.sha,
                 parents: [parentSha],
-                author: {
-                    name: 'Claude Flow Automation',
-                    email: 'automation@claude-flow.ai'
-                }
+                // A GitHub App's commits are attributed to its bot account and signed by GitHub
+                ...(this.appAuth ? {} : {
+                    author: {
+                        name: 'Claude Flow Automation',
+                        email: 'automation@claude-flow.ai'
+                    }
+                })
             });
             
             // Update branch reference
@@ -418,6 +443,77 @@ class GitHubAPI {
         }
     }
 
+    async listPullRequestFiles(prNumber) {
+        try {
+            const files = await this.octokit.paginate(this.octokit.rest.pulls.listFiles, {
+                owner: this.owner,
+                repo: this.repo,
+                pull_number: prNumber,
+                per_page: 100
+            });
+            
+            return files.map(file => ({
+                path: file.filename,
+                status: file.status,
+                additions: file.additions,
+                deletions: file.deletions
+            }));
+        } catch (error) {
+            this.logger.error(`Error listing files of pull request ${prNumber}:`, error);
+            throw error;
+        }
+    }
+
+    async getReview(prNumber, reviewId) {
+        try {
+            const response = await this.octokit.rest.pulls.getReview({
+                owner: this.owner,
+                repo: this.repo,
+                pull_number: prNumber,
+                review_id: reviewId
+            });
+            
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Error fetching review ${reviewId} on pull request ${prNumber}:`, error);
+            throw error;
+        }
+    }
+
+    async listReviewComments(prNumber, reviewId) {
+        try {
+            const comments = await this.octokit.paginate(this.octokit.rest.pulls.listCommentsForReview, {
+                owner: this.owner,
+                repo: this.repo,
+                pull_number: prNumber,
+                review_id: reviewId,
+                per_page: 100
+            });
+            
+            return comments;
+        } catch (error) {
+            this.logger.error(`Error listing comments of review ${reviewId} on pull request ${prNumber}:`, error);
+            throw error;
+        }
+    }
+
+    async replyToReviewComment(prNumber, commentId, body) {
+        try {
+            const response = await this.octokit.rest.pulls.createReplyForReviewComment({
+                owner: this.owner,
+                repo: this.repo,
+                pull_number: prNumber,
+                comment_id: commentId,
+                body: body
+            });
+            
+            return response.data;
+        } catch (error) {
+            this.logger.error(`Error replying to review comment ${commentId}:`, error);
+            throw error;
+        }
+    }
+
     // Repository Operations
     async getRepository() {
         try {
@@ -449,6 +545,28 @@ class GitHubAPI {
         }
     }
 
+    async listRepositoryTree(branch = null) {
+        try {
+            const response = await this.octokit.rest.git.getTree({
+                owner: this.owner,
+                repo: this.repo,
+                tree_sha: branch || this.defaultBranch,
+                recursive: 'true'
+            });
+
+            if (response.data.truncated) {
+                this.logger.warn(`Repository tree for ${this.owner}/${this.repo} is truncated`);
+            }
+
+            return response.data.tree
+                .filter(entry => entry.type === 'blob')
+                .map(entry => ({ path: entry.path, size: entry.size, sha: entry.sha }));
+        } catch (error) {
+            this.logger.error('Error listing repository tree:', error);
+            throw error;
+        }
+    }
+
     // Webhook Operations
     async createWebhook(config) {
         try {
@@ -550,6 +668,47 @@ class GitHubAPI {
         }
     }
 
+    // Access Control
+    async getCollaboratorPermission(username) {
+        try {
+            const response = await this.octokit.rest.repos.getCollaboratorPermissionLevel({
+                owner: this.owner,
+                repo: this.repo,
+                username
+            });
+
+            // role_name carries the fine-grained roles (triage, maintain) that permission folds away
+            return {
+                permission: response.data.permission,
+                role: response.data.role_name || response.data.permission
+            };
+        } catch (error) {
+            if (error.status === 404) {
+                return { permission: 'none', role: 'none' };
+            }
+            this.logger.error(`Error fetching permission for ${username}:`, error);
+            throw error;
+        }
+    }
+
+    async isTeamMember(org, teamSlug, username) {
+        try {
+            const response = await this.octokit.rest.teams.getMembershipForUserInOrg({
+                org,
+                team_slug: teamSlug,
+                username
+            });
+
+            return response.data.state === 'active';
+        } catch (error) {
+            if (error.status === 404) {
+                return false;
+            }
+            this.logger.error(`Error checking ${org}/${teamSlug} membership for ${username}:`, error);
+            throw error;
+        }
+    }
+
     async validateToken() {
         try {
             const response = await this.octokit.rest.user.getAuthenticated();
@@ -571,9 +730,9 @@ class GitHubAPI {
         
         insertEvent.run(
             eventType,
-            JSON.stringify(eventData),
+            JSON.stringify(redact(eventData)),
             result ? true : false,
-            result ? JSON.stringify(result) : null,
+            result ? JSON.stringify(redact(result)) : null,
             new Date().toISOString()
         );
     }
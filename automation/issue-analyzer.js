@@ -1,6 +1,7 @@
 // Advanced Issue Analysis Engine for Claude Flow Automation
-const Database = require('better-sqlite3');
-const winston = require('winston');
+const UnifiedStore = require('../core/unified-store');
+const { createLogger } = require('../core/logger');
+const { redact } = require('../core/redaction');
 const path = require('path');
 const fs = require('fs-extra');
 
@@ -8,7 +9,7 @@ class IssueAnalyzer {
     constructor() {
         // Try SQLite, fallback to JSON storage
         try {
-            this.db = new Database('.hive-mind/automation.db');
+            this.db = new UnifiedStore().db;
             this.storageType = 'sqlite';
         } catch (error) {
             console.log('SQLite not available in IssueAnalyzer, using JSON fallback');
@@ -17,7 +18,7 @@ class IssueAnalyzer {
             this.jsonDbPath = '.hive-mind/issue-analyzer.json';
             this.ensureJsonDb();
         }
-        this.logger = this.setupLogger();
+        this.logger = createLogger('issue-analyzer');
         this.initializeAnalyzer();
     }
 
@@ -41,21 +42,7 @@ class IssueAnalyzer {
     }
 
     writeJsonDb(data) {
-        fs.writeJsonSync(this.jsonDbPath, data, { spaces: 2 });
-    }
-
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'logs/issue-analyzer.log' }),
-                new winston.transports.Console()
-            ]
-        });
+        fs.writeJsonSync(this.jsonDbPath, redact(data), { spaces: 2 });
     }
 
     initializeAnalyzer() {
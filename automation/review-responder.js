@@ -0,0 +1,231 @@
+// Review Responder for Claude Flow Automation
+// Turns review feedback on an automation-created pull request into a follow-up commit
+// on the same branch, then replies on the PR with what changed
+const PatchGenerator = require('../core/patch-generator');
+const { loadProjectConfig, formatConfigErrors } = require('../core/project-config');
+const { createLogger } = require('../core/logger');
+
+// Branches opened by the orchestrator, the webhook Hive-Mind runs and the simple engine
+const AUTOMATION_BRANCH_PATTERN = /^(?:hive-mind\/issue-|claude-flow-solution-issue-)(\d+)$/;
+
+class ReviewResponder {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            // Stop answering a PR whose reviews keep coming back; a human should take over
+            maxRevisions: options.maxRevisions || parseInt(process.env.REVIEW_MAX_REVISIONS, 10) || 5
+        };
+
+        this.store = options.store;
+        this.llmProvider = options.llmProvider;
+        this.logger = options.logger || createLogger('review-responder');
+    }
+
+    /**
+     * Issue number encoded in an automation branch name, or null for any other branch
+     */
+    parseAutomationBranch(branch) {
+        const match = AUTOMATION_BRANCH_PATTERN.exec(branch || '');
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Session that produced a pull request
+     * Sessions that never recorded their PR (external Hive-Mind runs) are matched by branch
+     * name and linked to the PR on first use
+     */
+    findSession(repository, pullRequest) {
+        const linked = this.store.findSessionByPullRequest(repository, pullRequest.number);
+        if (linked) {
+            return linked;
+        }
+
+        const issueNumber = this.parseAutomationBranch(pullRequest.head?.ref);
+        if (!issueNumber) {
+            return null;
+        }
+
+        const session = this.store.listSessions({ issueNumber })
+            .find(candidate => candidate.repository === repository && candidate.status === 'completed');
+
+        if (session) {
+            this.store.upsertSession({
+                sessionId: session.session_id,
+                prNumber: pullRequest.number,
+                prBranch: pullRequest.head.ref
+            });
+        }
+
+        return session || null;
+    }
+
+    /**
+     * Regenerate the changes a review asks for and push them to the PR branch
+     * @param {Object} request - { github, repository, prNumber, reviewId, sessionId }
+     *   github is a GitHubAPI for the repository
+     * @returns {Promise<Object>} { revised, reason?, commit?, files?, comments? }
+     */
+    async revise({ github, repository, prNumber, reviewId, sessionId }) {
+        const pullRequest = await github.getPullRequest(prNumber);
+        const session = this.store.getSession(sessionId);
+        const revisionCount = session?.data?.revisions?.count || 0;
+
+        if (pullRequest.state !== 'open') {
+            return { revised: false, reason: `pull request is ${pullRequest.state}` };
+        }
+
+        if (revisionCount >= this.options.maxRevisions) {
+            await github.addPullRequestComment(prNumber,
+                `🛑 This pull request has already been revised ${revisionCount} times, so I'm leaving the remaining feedback to a human maintainer.`);
+            return { revised: false, reason: 'revision limit reached' };
+        }
+
+        const comments = await this.collectComments(github, prNumber, reviewId);
+        if (comments.length === 0) {
+            return { revised: false, reason: 'review has no comments' };
+        }
+
+        // The repository's .claude-flow.yml path rules apply to revisions as much as to the first patch
+        const project = await loadProjectConfig(github);
+        if (!project.config) {
+            await github.addPullRequestComment(prNumber, formatConfigErrors(project.errors, project.source));
+            return { revised: false, reason: `invalid ${project.source}` };
+        }
+
+        const branch = pullRequest.head.ref;
+        const changedFiles = await github.listPullRequestFiles(prNumber);
+        const paths = [
+            ...comments.map(comment => comment.path).filter(Boolean),
+            ...changedFiles.filter(file => file.status !== 'removed').map(file => file.path)
+        ];
+
+        const issue = await this.loadIssue(github, session, pullRequest);
+        const patchGenerator = new PatchGenerator({ github, llmProvider: this.llmProvider, logger: this.logger });
+
+        this.logger.info(`🔁 Revising ${repository}#${prNumber} for ${comments.length} review comment(s)`);
+
+        const generated = await patchGenerator.generate({
+            issue,
+            branch,
+            paths,
+            review: comments,
+            pathPolicy: project.config.paths,
+            context: { pullRequest: prNumber, revision: revisionCount + 1 }
+        });
+
+        if (generated.files.length === 0) {
+            await github.addPullRequestComment(prNumber, this.formatSummary({ comments, generated: null }));
+            return { revised: false, reason: 'no applicable patch generated', comments: comments.length };
+        }
+
+        // Revisions pass the same guardrails as the first patch; the client's policy also guards the commit itself
+        const policy = github.changePolicy.check({ files: generated.files, patch: generated.patch });
+        if (!policy.allowed) {
+            this.logger.warn(`🛡️ Revision of ${repository}#${prNumber} blocked by policy`);
+            await github.addPullRequestComment(prNumber, github.changePolicy.formatViolations(policy.violations));
+            return { revised: false, reason: 'blocked by change policy', violations: policy.violations };
+        }
+
+        const reviewers = [...new Set(comments.map(comment => comment.author).filter(Boolean))];
+        const commit = await patchGenerator.commit({
+            files: generated.files,
+            branch,
+            message: `Address review feedback on #${prNumber}\n\nRevision ${revisionCount + 1} for ${reviewers.map(r => `@${r}`).join(', ') || 'reviewers'}`
+        });
+
+        await github.addPullRequestComment(prNumber, this.formatSummary({ comments, generated, commit }));
+
+        if (session) {
+            this.store.upsertSession({
+                sessionId: session.session_id,
+                data: {
+                    revisions: {
+                        count: revisionCount + 1,
+                        lastCommit: commit.sha,
+                        lastReviewId: reviewId,
+                        lastRevisedAt: new Date().toISOString()
+                    }
+                }
+            });
+        }
+
+        this.logger.info(`✅ Revision ${revisionCount + 1} pushed to ${branch} (${commit.sha})`);
+
+        return {
+            revised: true,
+            commit: commit.sha,
+            files: generated.files.map(file => file.path),
+            comments: comments.length
+        };
+    }
+
+    /**
+     * The review body and its inline comments, in the shape the patch prompt expects
+     */
+    async collectComments(github, prNumber, reviewId) {
+        const review = await github.getReview(prNumber, reviewId);
+        const author = review.user?.login;
+        const comments = [];
+
+        if (review.body && review.body.trim()) {
+            comments.push({ path: null, line: null, body: review.body.trim(), author, url: review.html_url });
+        }
+
+        for (const comment of await github.listReviewComments(prNumber, reviewId)) {
+            comments.push({
+                path: comment.path,
+                line: comment.line || comment.original_line || null,
+                body: comment.body,
+                author: comment.user?.login || author,
+                diffHunk: comment.diff_hunk,
+                url: comment.html_url
+            });
+        }
+
+        return comments;
+    }
+
+    async loadIssue(github, session, pullRequest) {
+        const issueNumber = session?.issue_number || this.parseAutomationBranch(pullRequest.head.ref);
+
+        if (issueNumber) {
+            try {
+                return await github.getIssue(issueNumber);
+            } catch (error) {
+                this.logger.warn(`Issue #${issueNumber} unavailable, using the pull request description: ${error.message}`);
+            }
+        }
+
+        return { number: issueNumber || pullRequest.number, title: pullRequest.title, body: pullRequest.body };
+    }
+
+    formatSummary({ comments, generated, commit = null }) {
+        const addressed = comments.map((comment) => {
+            const location = comment.path ? `\`${comment.path}${comment.line ? `:${comment.line}` : ''}\`` : 'review';
+            const excerpt = comment.body.split('\n')[0].slice(0, 120);
+            return `- ${comment.url ? `[${location}](${comment.url})` : location}: ${excerpt}`;
+        });
+
+        if (!generated) {
+            return [
+                '🤔 I read the review but could not produce a change that applies to this branch.',
+                '',
+                '**Feedback considered**',
+                ...addressed
+            ].join('\n');
+        }
+
+        return [
+            `🔁 Pushed ${commit.sha.slice(0, 7)} addressing ${comments.length} review comment(s) (+${generated.stat.additions} −${generated.stat.deletions})`,
+            '',
+            '**Feedback addressed**',
+            ...addressed,
+            '',
+            '**Files changed**',
+            ...generated.stat.files.map(file => `- \`${file.path}\` (+${file.additions} −${file.deletions})`)
+        ].join('\n');
+    }
+}
+
+module.exports = ReviewResponder;
+module.exports.AUTOMATION_BRANCH_PATTERN = AUTOMATION_BRANCH_PATTERN;
@@ -1,35 +1,24 @@
 // Test Automation System for Claude Flow Automation
 const { spawn } = require('child_process');
 const Database = require('better-sqlite3');
-const winston = require('winston');
+const UnifiedStore = require('../core/unified-store');
+const { createLogger } = require('../core/logger');
+const { redact } = require('../core/redaction');
+const { withSpan, traceEnv, SPAN_STATUS } = require('../core/tracing');
 const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
 
 class TestAutomation {
-    constructor() {
-        this.db = new Database('.hive-mind/automation.db');
-        this.logger = this.setupLogger();
+    constructor(options = {}) {
+        this.db = (options.store || new UnifiedStore()).db;
+        this.logger = createLogger('test-automation');
         this.testSuites = this.loadTestSuites();
         this.testResults = new Map();
         this.coverageThreshold = 80;
         this.testTimeout = 300000; // 5 minutes
     }
 
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'logs/test-automation.log' }),
-                new winston.transports.Console()
-            ]
-        });
-    }
-
     loadTestSuites() {
         return {
             unit_tests: {
@@ -203,12 +192,17 @@ class TestAutomation {
     }
 
     async executeTestSuite(suiteName, config) {
-        return new Promise((resolve, reject) => {
+        return withSpan('test.suite', {
+            attributes: { 'test.suite': suiteName, 'process.command': config.command }
+        }, span => new Promise((resolve, reject) => {
+            // config.cwd / config.env let callers run a suite against another checkout (see WorkspaceManager)
             const testProcess = spawn(config.command, config.args, {
-                cwd: process.cwd(),
+                cwd: config.cwd || process.cwd(),
                 stdio: 'pipe',
+                shell: config.shell || false,
                 env: {
-                    ...process.env,
+                    ...(config.env || process.env),
+                    ...traceEnv(span),
                     NODE_ENV: 'test',
                     TEST_SUITE: suiteName,
                     TEST_TIMEOUT: config.timeout.toString()
@@ -231,6 +225,11 @@ class TestAutomation {
             });
 
             testProcess.on('close', (code) => {
+                clearTimeout(timer);
+                span.setAttribute('process.exit_code', code);
+                if (code !== 0) {
+                    span.setStatus(SPAN_STATUS.ERROR, `exit code ${code}`);
+                }
                 resolve({
                     exitCode: code,
                     output: output,
@@ -240,15 +239,16 @@ class TestAutomation {
             });
 
             testProcess.on('error', (error) => {
+                clearTimeout(timer);
                 reject(error);
             });
 
             // Set timeout
-            setTimeout(() => {
+            const timer = setTimeout(() => {
                 testProcess.kill('SIGTERM');
                 reject(new Error(`Test suite ${suiteName} timed out after ${config.timeout}ms`));
             }, config.timeout);
-        });
+        }));
     }
 
     parseTestResults(result, config) {
@@ -478,7 +478,7 @@ class TestAutomation {
             sessionId,
             'running',
             new Date().toISOString(),
-            JSON.stringify(context)
+            JSON.stringify(redact(context))
         );
     }
 
@@ -537,7 +537,7 @@ class TestAutomation {
             result.passedTests,
             result.failedTests,
             result.coverage,
-            JSON.stringify(result.details)
+            JSON.stringify(redact(result.details))
         );
     }
 
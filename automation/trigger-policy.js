@@ -0,0 +1,116 @@
+// Trigger Permission Policy for Claude Flow Automation
+// Decides whether a GitHub user may run an automation command on a repository
+
+const { createLogger } = require('../core/logger');
+
+// Repository roles in ascending order of access
+const PERMISSION_LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+// Commands that only post information back are open to anyone who can comment
+const READ_ONLY_COMMANDS = ['status', 'explain', 'help'];
+
+function parseList(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+class TriggerPolicy {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            minPermission: (options.minPermission || process.env.TRIGGER_MIN_PERMISSION || 'write').toLowerCase(),
+            allowedUsers: (options.allowedUsers || parseList(process.env.TRIGGER_ALLOWED_USERS)).map(u => u.toLowerCase()),
+            // "org/team-slug" entries
+            allowedTeams: options.allowedTeams || parseList(process.env.TRIGGER_ALLOWED_TEAMS),
+            readOnlyCommands: options.readOnlyCommands || READ_ONLY_COMMANDS,
+            cacheTtlMs: options.cacheTtlMs || 5 * 60 * 1000
+        };
+
+        if (!PERMISSION_LEVELS.includes(this.options.minPermission)) {
+            throw new Error(`Invalid trigger permission "${this.options.minPermission}" (expected one of: ${PERMISSION_LEVELS.join(', ')})`);
+        }
+
+        this.cache = new Map();
+        this.logger = options.logger || createLogger('trigger-policy');
+    }
+
+    /**
+     * Check whether a user may run a command
+     * Grants, in order: read-only command, allow-list, repository permission, team membership.
+     * Lookup failures deny: on a public repository an outage must not open the gate.
+     * @param {Object} request - { command, username, repository, github } where github is a GitHubAPI for the repository
+     * @returns {Promise<{allowed: boolean, reason: string}>}
+     */
+    async authorize({ command, username, repository, github }) {
+        if (this.options.readOnlyCommands.includes(command)) {
+            return { allowed: true, reason: 'read-only command' };
+        }
+
+        if (!username) {
+            return { allowed: false, reason: 'unknown user' };
+        }
+
+        if (this.options.allowedUsers.includes(username.toLowerCase())) {
+            return { allowed: true, reason: 'allow-listed user' };
+        }
+
+        const cacheKey = `${repository}:${username.toLowerCase()}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.decision;
+        }
+
+        let decision;
+        try {
+            decision = await this.checkGitHubAccess(username, github);
+        } catch (error) {
+            this.logger.warn(`Permission lookup for ${username} on ${repository} failed: ${error.message}`);
+            return { allowed: false, reason: 'permission lookup failed' };
+        }
+
+        this.cache.set(cacheKey, { decision, expiresAt: Date.now() + this.options.cacheTtlMs });
+        return decision;
+    }
+
+    async checkGitHubAccess(username, github) {
+        if (!github) {
+            throw new Error('No GitHub client available');
+        }
+
+        const { role } = await github.getCollaboratorPermission(username);
+        if (this.meetsMinimum(role)) {
+            return { allowed: true, reason: `repository role ${role}` };
+        }
+
+        for (const entry of this.options.allowedTeams) {
+            const [org, teamSlug] = entry.split('/');
+            if (org && teamSlug && await github.isTeamMember(org, teamSlug, username)) {
+                return { allowed: true, reason: `member of ${entry}` };
+            }
+        }
+
+        return { allowed: false, reason: `repository role ${role || 'none'} is below ${this.options.minPermission}` };
+    }
+
+    meetsMinimum(role) {
+        const level = PERMISSION_LEVELS.indexOf(String(role || 'none').toLowerCase());
+        return level >= PERMISSION_LEVELS.indexOf(this.options.minPermission);
+    }
+
+    /**
+     * Polite refusal posted on the issue
+     */
+    formatRefusal(username, command) {
+        return [
+            `👋 Thanks for the request, @${username}!`,
+            '',
+            `Running \`/${command}\` on this repository is limited to maintainers, so I haven't started anything.`,
+            `If you think this should be automated, a maintainer can trigger it with \`/${command}\` — or use \`/status\` to see what is already running.`
+        ].join('\n');
+    }
+}
+
+module.exports = TriggerPolicy;
+module.exports.PERMISSION_LEVELS = PERMISSION_LEVELS;
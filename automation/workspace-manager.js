@@ -0,0 +1,267 @@
+// Workspace Manager for Claude Flow Automation
+// Clones the target repository into a throwaway directory, applies a generated change
+// and runs the project's own build and tests against it before a PR is opened
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const TestAutomation = require('./test-automation');
+const { createLogger } = require('../core/logger');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const execFileAsync = promisify(execFile);
+
+// Environment variables never handed to the code under test
+const SECRET_ENV_PATTERN = /(TOKEN|SECRET|PASSWORD|PRIVATE|API_KEY|CREDENTIAL)/i;
+
+// Keep the tail of each command's output; failures are at the end
+const OUTPUT_TAIL_CHARS = 4000;
+
+function parseCommands(value) {
+    return String(value || '')
+        .split(/[;\n]/)
+        .map(command => command.trim())
+        .filter(Boolean);
+}
+
+class WorkspaceManager {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            rootDir: options.rootDir || process.env.WORKSPACE_ROOT || os.tmpdir(),
+            // Explicit commands win over detection, e.g. "npm ci; npm run build; npm test"
+            commands: options.commands || parseCommands(process.env.VALIDATION_COMMANDS),
+            commandTimeoutMs: options.commandTimeoutMs || parseInt(process.env.VALIDATION_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+            cloneTimeoutMs: options.cloneTimeoutMs || 5 * 60 * 1000,
+            serverUrl: options.serverUrl || process.env.GITHUB_SERVER_URL || 'https://github.com',
+            keepWorkspace: options.keepWorkspace || process.env.KEEP_WORKSPACE === 'true'
+        };
+
+        this.token = options.token || process.env.GITHUB_TOKEN;
+        // GitHub App mode: async () => installation token for the repository being cloned
+        this.tokenProvider = options.tokenProvider || null;
+        this.testAutomation = options.testAutomation || new TestAutomation({ store: options.store });
+        this.logger = options.logger || createLogger('workspace-manager');
+    }
+
+    /**
+     * Validate a change in a fresh checkout
+     * @param {Object} request - { owner, repo, branch, files: [{path, action, content}], sessionId, commands, commandTimeoutMs }
+     *   files are the applied patch from PatchGenerator; commands and commandTimeoutMs
+     *   (e.g. from the repository's .claude-flow.yml) override the configured ones
+     * @returns {Promise<Object>} { success, commit, commands: [...], duration, error? }
+     *   success is false when the checkout, the change or any command fails
+     */
+    async validate({ owner, repo, branch, files, sessionId = null, commands: requestedCommands = [], commandTimeoutMs = null }) {
+        const startTime = Date.now();
+        const workspace = await fs.mkdtemp(path.join(this.options.rootDir, 'claude-flow-ws-'));
+        const validation = {
+            success: false,
+            repository: `${owner}/${repo}`,
+            branch,
+            sessionId,
+            commit: null,
+            commands: [],
+            duration: 0
+        };
+
+        this.logger.info(`🧪 Validating change for ${owner}/${repo}@${branch} in ${workspace}`);
+
+        try {
+            validation.commit = await this.checkout(owner, repo, branch, workspace);
+            await this.applyFiles(workspace, files);
+
+            const configured = requestedCommands.length > 0 ? requestedCommands : this.options.commands;
+            const commands = configured.length > 0
+                ? configured
+                : await this.detectCommands(workspace);
+
+            if (commands.length === 0) {
+                this.logger.warn(`No build or test commands found for ${owner}/${repo}`);
+            }
+
+            validation.success = true;
+            for (const [index, command] of commands.entries()) {
+                const result = await this.runCommand(`step_${index + 1}`, command, workspace, commandTimeoutMs);
+                validation.commands.push(result);
+
+                // Later steps depend on earlier ones (install → build → test)
+                if (!result.success) {
+                    validation.success = false;
+                    break;
+                }
+            }
+        } catch (error) {
+            this.logger.error(`Workspace validation failed: ${error.message}`);
+            validation.success = false;
+            validation.error = error.message;
+        } finally {
+            validation.duration = Date.now() - startTime;
+            if (this.options.keepWorkspace) {
+                validation.workspace = workspace;
+            } else {
+                await fs.remove(workspace).catch(error => this.logger.warn(`Could not remove ${workspace}: ${error.message}`));
+            }
+        }
+
+        this.logger.info(`${validation.success ? '✅' : '❌'} Validation ${validation.success ? 'passed' : 'failed'} for ${owner}/${repo} (${validation.commands.length} command(s))`);
+        return validation;
+    }
+
+    /**
+     * Shallow clone of one branch; returns the checked out commit
+     */
+    async checkout(owner, repo, branch, workspace) {
+        const url = `${this.options.serverUrl.replace(/\/$/, '')}/${owner}/${repo}.git`;
+
+        await this.git(['clone', '--depth', '1', '--single-branch', '--branch', branch, url, workspace]);
+        const { stdout } = await this.git(['rev-parse', 'HEAD'], workspace);
+
+        return stdout.trim();
+    }
+
+    async git(args, cwd = undefined) {
+        const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+        const token = this.tokenProvider ? await this.tokenProvider() : this.token;
+
+        // The token travels as config in the environment so it never shows up in argv or error messages
+        if (token && /^https:/.test(this.options.serverUrl)) {
+            env.GIT_CONFIG_COUNT = '1';
+            env.GIT_CONFIG_KEY_0 = 'http.extraheader';
+            env.GIT_CONFIG_VALUE_0 = `AUTHORIZATION: basic ${Buffer.from(`x-access-token:${token}`).toString('base64')}`;
+        }
+
+        try {
+            return await execFileAsync('git', args, { cwd, env, timeout: this.options.cloneTimeoutMs });
+        } catch (error) {
+            throw new Error(`git ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+        }
+    }
+
+    async applyFiles(workspace, files = []) {
+        for (const file of files) {
+            const target = path.resolve(workspace, file.path);
+            if (!target.startsWith(workspace + path.sep)) {
+                throw new Error(`Refusing to write ${file.path} outside the workspace`);
+            }
+
+            if (file.action === 'delete') {
+                await fs.remove(target);
+            } else {
+                await fs.outputFile(target, file.content);
+            }
+        }
+    }
+
+    /**
+     * Install, build and test commands from package.json scripts
+     */
+    async detectCommands(workspace) {
+        const packagePath = path.join(workspace, 'package.json');
+        if (!await fs.pathExists(packagePath)) {
+            return [];
+        }
+
+        const scripts = (await fs.readJson(packagePath)).scripts || {};
+        const hasLockfile = await fs.pathExists(path.join(workspace, 'package-lock.json'));
+        const commands = [hasLockfile ? 'npm ci' : 'npm install'];
+
+        if (scripts.build) commands.push('npm run build');
+        // npm init's placeholder test script always fails
+        if (scripts.test && !/no test specified/.test(scripts.test)) commands.push('npm test');
+
+        return commands;
+    }
+
+    async runCommand(name, command, workspace, timeoutMs = null) {
+        const [executable, ...args] = command.split(/\s+/);
+        const config = {
+            command: executable,
+            args,
+            cwd: workspace,
+            env: this.sandboxEnv(),
+            // npm and friends are .cmd shims on Windows
+            shell: process.platform === 'win32',
+            timeout: timeoutMs || this.options.commandTimeoutMs
+        };
+        const startTime = Date.now();
+
+        this.logger.info(`▶️ ${command}`);
+
+        try {
+            const result = await this.testAutomation.executeTestSuite(name, config);
+            const parsed = this.testAutomation.parseTestResults(result, config);
+
+            return {
+                name,
+                command,
+                success: parsed.success,
+                exitCode: result.exitCode,
+                duration: Date.now() - startTime,
+                totalTests: parsed.totalTests,
+                passedTests: parsed.passedTests,
+                failedTests: parsed.failedTests,
+                output: `${result.output}${result.errorOutput}`.slice(-OUTPUT_TAIL_CHARS)
+            };
+        } catch (error) {
+            return {
+                name,
+                command,
+                success: false,
+                exitCode: null,
+                duration: Date.now() - startTime,
+                totalTests: 0,
+                passedTests: 0,
+                failedTests: 0,
+                output: error.message
+            };
+        }
+    }
+
+    /**
+     * The code under test is untrusted: it gets the environment minus anything credential-shaped
+     */
+    sandboxEnv() {
+        return Object.fromEntries(
+            Object.entries(process.env).filter(([key]) => !SECRET_ENV_PATTERN.test(key))
+        );
+    }
+
+    /**
+     * Markdown summary for PR bodies and issue comments
+     */
+    formatResults(validation) {
+        if (!validation) {
+            return '_Change was not validated_';
+        }
+
+        const lines = [
+            `**Result**: ${validation.success ? '✅ passed' : '❌ failed'} on \`${validation.branch}\`${validation.commit ? ` @ \`${validation.commit.slice(0, 7)}\`` : ''} (${Math.round(validation.duration / 1000)}s)`
+        ];
+
+        if (validation.error) {
+            lines.push('', `**Error**: ${validation.error}`);
+        }
+
+        if (validation.commands.length === 0 && !validation.error) {
+            lines.push('', '_No build or test commands were found for this repository_');
+        }
+
+        if (validation.commands.length > 0) {
+            lines.push('', '| Command | Result | Tests | Duration |', '|---------|--------|-------|----------|');
+            for (const command of validation.commands) {
+                const tests = command.totalTests > 0 ? `${command.passedTests}/${command.totalTests}` : '-';
+                lines.push(`| \`${command.command}\` | ${command.success ? '✅' : `❌ exit ${command.exitCode ?? '-'}`} | ${tests} | ${Math.round(command.duration / 1000)}s |`);
+            }
+        }
+
+        const failed = validation.commands.find(command => !command.success);
+        if (failed) {
+            lines.push('', '<details>', `<summary>Output of <code>${failed.command}</code></summary>`, '', '```', failed.output.trim(), '```', '</details>');
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = WorkspaceManager;
@@ -0,0 +1,209 @@
+/**
+ * Claude Flow v3.0 - Change Policy
+ * Guardrails every generated change must pass before it is committed or proposed:
+ * protected paths (CI workflows, lockfiles, credentials), a files/lines budget,
+ * and a scan of added lines for tokens and keys
+ * Protected paths are also enforced by GitHubAPI on every write, whatever the caller
+ */
+
+const { parsePatch, diffStat } = require('./unified-diff');
+const { matchesAny } = require('./project-config');
+
+const DEFAULT_PROTECTED_PATHS = [
+    // CI definitions run with the repository's secrets
+    '.github/workflows/**',
+    '.github/actions/**',
+    '.gitlab-ci.yml',
+    '.circleci/**',
+    // Lockfiles belong to package managers
+    '**/package-lock.json',
+    '**/npm-shrinkwrap.json',
+    '**/yarn.lock',
+    '**/pnpm-lock.yaml',
+    '**/Gemfile.lock',
+    '**/poetry.lock',
+    '**/Cargo.lock',
+    '**/composer.lock',
+    '**/go.sum',
+    // Credentials and key material
+    '**/.env',
+    '**/.env.*',
+    '**/*.pem',
+    '**/*.key',
+    '**/*.p12',
+    '**/*.pfx',
+    '**/id_rsa*',
+    '**/id_ed25519*',
+    '**/.npmrc',
+    '**/.pypirc',
+    '**/.ssh/**',
+    '**/secrets/**'
+];
+
+// Checked in order; the first match names a line, and the matched text is never echoed
+const SECRET_PATTERNS = [
+    { name: 'private key', pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----/ },
+    { name: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+    { name: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/ },
+    { name: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/ },
+    { name: 'OpenAI API key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{32,}/ },
+    { name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+    { name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}/ },
+    { name: 'Stripe key', pattern: /\b[rs]k_live_[0-9A-Za-z]{20,}/ },
+    // key = "literal"; placeholders such as "${TOKEN}" or "<password>" are fine
+    { name: 'hard-coded credential', pattern: /\b(?:api[_-]?key|secret|password|passwd|token|client[_-]?secret)\b["']?\s*[:=]\s*["'](?![$<{%])[^"'\s]{12,}["']/i }
+];
+
+function parseList(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * A change touched something the policy forbids; violations explain what, for the issue comment
+ */
+class ChangePolicyError extends Error {
+    constructor(violations) {
+        super(`Change blocked by policy: ${violations.map(violation => violation.message).join('; ')}`);
+        this.name = 'ChangePolicyError';
+        this.violations = violations;
+    }
+}
+
+class ChangePolicy {
+    constructor(options = {}) {
+        const protectedPaths = parseList(process.env.CHANGE_PROTECTED_PATHS);
+
+        this.options = {
+            ...options,
+            // CHANGE_PROTECTED_PATHS replaces the defaults, so operators can also loosen them
+            protectedPaths: options.protectedPaths || (protectedPaths.length > 0 ? protectedPaths : DEFAULT_PROTECTED_PATHS),
+            maxFiles: options.maxFiles || parseInt(process.env.CHANGE_MAX_FILES, 10) || 20,
+            maxLines: options.maxLines || parseInt(process.env.CHANGE_MAX_LINES, 10) || 1000,
+            scanSecrets: options.scanSecrets ?? process.env.CHANGE_SECRET_SCAN !== 'false'
+        };
+    }
+
+    /**
+     * Violations for paths automation must never write, delete or rename
+     */
+    checkPaths(paths) {
+        return [...new Set(paths.filter(Boolean))]
+            .map(filePath => ({ filePath, glob: this.options.protectedPaths.find(glob => matchesAny(filePath, [glob])) }))
+            .filter(({ glob }) => glob)
+            .map(({ filePath, glob }) => ({
+                rule: 'protected-path',
+                path: filePath,
+                message: `\`${filePath}\` is a protected path (\`${glob}\`)`
+            }));
+    }
+
+    /**
+     * Check a proposed change
+     * @param {Object} change - { files: [{path, action, content}], patch }
+     *   with the patch, the line budget and the secret scan cover changed lines only;
+     *   without it, the full content of created and updated files is scanned
+     * @returns {{allowed: boolean, violations: Array<{rule, path, message}>, files: number, lines: number|null}}
+     */
+    check({ files = [], patch = null }) {
+        const paths = [...new Set(files.map(file => file.path))];
+        const filePatches = patch ? parsePatch(patch) : null;
+        const stat = filePatches ? diffStat(filePatches) : null;
+        const lines = stat ? stat.additions + stat.deletions : null;
+
+        const violations = this.checkPaths(paths);
+
+        if (paths.length > this.options.maxFiles) {
+            violations.push({
+                rule: 'max-files',
+                message: `${paths.length} files changed; the limit is ${this.options.maxFiles}`
+            });
+        }
+        if (lines !== null && lines > this.options.maxLines) {
+            violations.push({
+                rule: 'max-lines',
+                message: `${lines} lines changed; the limit is ${this.options.maxLines}`
+            });
+        }
+        if (this.options.scanSecrets) {
+            violations.push(...(filePatches ? this.scanPatch(filePatches) : this.scanFiles(files)));
+        }
+
+        return { allowed: violations.length === 0, violations, files: paths.length, lines };
+    }
+
+    /**
+     * Like check(), but throws ChangePolicyError
+     */
+    assertAllowed(change) {
+        const result = this.check(change);
+        if (!result.allowed) {
+            throw new ChangePolicyError(result.violations);
+        }
+        return result;
+    }
+
+    assertPathsAllowed(paths) {
+        const violations = this.checkPaths(paths);
+        if (violations.length > 0) {
+            throw new ChangePolicyError(violations);
+        }
+    }
+
+    scanPatch(filePatches) {
+        const violations = [];
+
+        for (const filePatch of filePatches) {
+            for (const hunk of filePatch.hunks) {
+                let lineNumber = hunk.newStart;
+                for (const line of hunk.lines) {
+                    if (line.type === '-') continue;
+                    if (line.type === '+') {
+                        const violation = this.scanLine(line.text, filePatch.newPath, lineNumber);
+                        if (violation) violations.push(violation);
+                    }
+                    lineNumber++;
+                }
+            }
+        }
+
+        return violations;
+    }
+
+    scanFiles(files) {
+        return files
+            .filter(file => file.action !== 'delete' && typeof file.content === 'string')
+            .flatMap(file => file.content.split('\n').map((text, index) => this.scanLine(text, file.path, index + 1)))
+            .filter(Boolean);
+    }
+
+    scanLine(text, filePath, lineNumber) {
+        const secret = SECRET_PATTERNS.find(({ pattern }) => pattern.test(text));
+        return secret ? {
+            rule: 'secret',
+            path: filePath,
+            line: lineNumber,
+            message: `possible ${secret.name} in \`${filePath}\` line ${lineNumber}`
+        } : null;
+    }
+
+    /**
+     * Markdown explaining why a change was blocked, for issue and PR comments
+     */
+    formatViolations(violations) {
+        return [
+            '⛔ **The generated change was blocked by the change policy**, so no Pull Request was opened or updated:',
+            '',
+            ...violations.map(violation => `- ${violation.message}`),
+            '',
+            `_Limits: ${this.options.maxFiles} files, ${this.options.maxLines} changed lines. Protected paths and limits are set by the automation's operators._`
+        ].join('\n');
+    }
+}
+
+module.exports = ChangePolicy;
+module.exports.ChangePolicyError = ChangePolicyError;
+module.exports.DEFAULT_PROTECTED_PATHS = DEFAULT_PROTECTED_PATHS;
+module.exports.SECRET_PATTERNS = SECRET_PATTERNS;
@@ -6,39 +6,28 @@
  */
 
 const HiveMindOrchestrator = require('./hive-mind-orchestrator');
-const winston = require('winston');
+const { createLogger, withLogContext, setLogContext } = require('./logger');
+const { redact } = require('./redaction');
+const { flushTraces } = require('./tracing');
 const fs = require('fs-extra');
 const path = require('path');
 
 // Setup global logger
-const logger = winston.createLogger({
-    level: process.env.LOG_LEVEL || 'info',
-    format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.colorize(),
-        winston.format.printf(({ timestamp, level, message, ...meta }) => {
-            return `${timestamp} [CLAUDE-FLOW-V3] ${level}: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
-        })
-    ),
-    transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ 
-            filename: 'logs/claude-flow-main.log',
-            maxsize: 10485760,
-            maxFiles: 5
-        })
-    ]
-});
+const logger = createLogger('claude-flow');
 
 class ClaudeFlowMain {
     constructor() {
         this.validateEnvironment();
+        // The orchestrator picks GITHUB_TOKEN or GitHub App credentials from the environment
         this.orchestrator = new HiveMindOrchestrator({
-            githubToken: process.env.GITHUB_TOKEN,
             repository: process.env.REPOSITORY,
             autoCreatePR: process.env.AUTO_CREATE_PR !== 'false',
             learningEnabled: process.env.LEARNING_ENABLED !== 'false',
-            maxConcurrentSessions: parseInt(process.env.MAX_CONCURRENT_SESSIONS) || 3
+            maxConcurrentSessions: parseInt(process.env.MAX_CONCURRENT_SESSIONS) || 3,
+            // Runs started by the webhook server get the repository config it already resolved
+            repositoryConfig: process.env.CLAUDE_FLOW_REPOSITORY_CONFIG
+                ? JSON.parse(process.env.CLAUDE_FLOW_REPOSITORY_CONFIG)
+                : undefined
         });
         
         logger.info('🚀 Claude Flow v3.0 Main System Initialized');
@@ -47,12 +36,18 @@ class ClaudeFlowMain {
     
     validateEnvironment() {
         const requiredEnvVars = [
-            'GITHUB_TOKEN',
             'REPOSITORY'
         ];
         
         const missing = requiredEnvVars.filter(env => !process.env[env]);
         
+        // Either a token or a GitHub App (ID plus private key)
+        const hasAppCredentials = process.env.GITHUB_APP_ID &&
+            (process.env.GITHUB_APP_PRIVATE_KEY || process.env.GITHUB_APP_PRIVATE_KEY_PATH);
+        if (!process.env.GITHUB_TOKEN && !hasAppCredentials) {
+            missing.unshift('GITHUB_TOKEN (or GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY)');
+        }
+        
         if (missing.length > 0) {
             logger.error(`❌ Missing required environment variables: ${missing.join(', ')}`);
             throw new Error(`Missing environment variables: ${missing.join(', ')}`);
@@ -72,6 +67,7 @@ class ClaudeFlowMain {
      */
     async runAutomation() {
         const args = this.parseArguments();
+        setLogContext({ issueNumber: args.issueNumber });
         
         logger.info('🎯 Starting Claude Flow v3.0 Automation');
         logger.info('📋 Arguments:', args);
@@ -93,7 +89,12 @@ class ClaudeFlowMain {
             const result = await this.orchestrator.resolveIssue(issueData, {
                 source: 'github-actions',
                 automated: true,
-                priority: args.priority || 'normal'
+                priority: args.priority || 'normal',
+                agents: args.agents,
+                resumeSessionId: args.resumeSessionId,
+                sessionId: args.sessionId,
+                analyzeOnly: args.analyzeOnly,
+                dryRun: args.dryRun
             });
             
             logger.info('🎉 Automation completed successfully!');
@@ -109,6 +110,11 @@ class ClaudeFlowMain {
             // Output results for GitHub Actions
             this.outputResults(result);
             
+            // Dry run: the preview is the product, print it in full
+            if (args.dryRun) {
+                console.log(this.orchestrator.formatPreview(result.githubResult));
+            }
+            
             return result;
             
         } catch (error) {
@@ -128,7 +134,12 @@ class ClaudeFlowMain {
             issueTitle: null,
             issueBody: null,
             labels: null,
-            priority: 'normal'
+            priority: 'normal',
+            agents: null,
+            resumeSessionId: null,
+            sessionId: null,
+            analyzeOnly: false,
+            dryRun: false
         };
         
         // Parse command line arguments
@@ -145,6 +156,16 @@ class ClaudeFlowMain {
                 args.labels = arg.split('=')[1];
             } else if (arg.startsWith('--priority=')) {
                 args.priority = arg.split('=')[1];
+            } else if (arg.startsWith('--agents=')) {
+                args.agents = arg.split('=')[1].split(',').map(type => type.trim()).filter(Boolean);
+            } else if (arg.startsWith('--resume-session=')) {
+                args.resumeSessionId = arg.split('=')[1];
+            } else if (arg.startsWith('--session-id=')) {
+                args.sessionId = arg.split('=')[1];
+            } else if (arg === '--analyze-only') {
+                args.analyzeOnly = true;
+            } else if (arg === '--dry-run') {
+                args.dryRun = true;
             }
         }
         
@@ -153,6 +174,10 @@ class ClaudeFlowMain {
         args.issueTitle = args.issueTitle || process.env.ISSUE_TITLE;
         args.issueBody = args.issueBody || process.env.ISSUE_BODY;
         args.labels = args.labels || process.env.ISSUE_LABELS;
+        args.resumeSessionId = args.resumeSessionId || process.env.RESUME_SESSION_ID;
+        args.sessionId = args.sessionId || process.env.CLAUDE_FLOW_SESSION_ID || null;
+        args.analyzeOnly = args.analyzeOnly || process.env.ANALYZE_ONLY === 'true';
+        args.dryRun = args.dryRun || process.env.DRY_RUN === 'true';
         
         return args;
     }
@@ -169,9 +194,11 @@ class ClaudeFlowMain {
             intelligence_level: result.intelligence,
             agents_used: result.agents,
             quality_score: Math.round(result.qualityScore * 100),
-            pr_created: !!result.githubResult?.pullRequest,
+            dry_run: !!result.githubResult?.dryRun,
+            pr_created: !result.githubResult?.dryRun && !!result.githubResult?.pullRequest,
             pr_number: result.githubResult?.pullRequest?.number,
-            pr_url: result.githubResult?.pullRequest?.url
+            pr_url: result.githubResult?.pullRequest?.url,
+            preview_path: result.githubResult?.previewPath
         };
         
         // Write to GitHub Actions output
@@ -185,12 +212,12 @@ class ClaudeFlowMain {
         
         // Write detailed results
         const resultsPath = 'claude-flow-results.json';
-        fs.writeJsonSync(resultsPath, {
+        fs.writeJsonSync(resultsPath, redact({
             ...output,
             timestamp: new Date().toISOString(),
             system: 'claude-flow-v3-hive-mind',
             details: result.details
-        }, { spaces: 2 });
+        }), { spaces: 2 });
         
         logger.info(`📄 Results written to ${resultsPath}`);
     }
@@ -201,7 +228,7 @@ class ClaudeFlowMain {
     outputError(error) {
         const errorOutput = {
             success: false,
-            error_message: error.message,
+            error_message: redact(error.message),
             error_type: error.constructor.name,
             timestamp: new Date().toISOString(),
             system: 'claude-flow-v3-hive-mind'
@@ -220,7 +247,7 @@ class ClaudeFlowMain {
         const errorPath = 'claude-flow-error.json';
         fs.writeJsonSync(errorPath, {
             ...errorOutput,
-            stack: error.stack
+            stack: redact(error.stack)
         }, { spaces: 2 });
         
         logger.info(`❌ Error details written to ${errorPath}`);
@@ -268,14 +295,17 @@ if (require.main === module) {
                 process.exit(1);
             });
     } else {
-        // Default: run automation
-        main.runAutomation()
-            .then(result => {
+        // Default: run automation, in a log context the run fills in
+        // OTLP exports are asynchronous, so spans are flushed before exiting
+        withLogContext({}, () => main.runAutomation())
+            .then(async result => {
                 logger.info('✅ Claude Flow v3.0 completed successfully');
+                await flushTraces();
                 process.exit(0);
             })
-            .catch(error => {
+            .catch(async error => {
                 logger.error('💥 Claude Flow v3.0 failed:', error.message);
+                await flushTraces();
                 process.exit(1);
             });
     }
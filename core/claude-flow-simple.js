@@ -5,16 +5,20 @@
  * Designed specifically for reliable GitHub Actions execution
  */
 
-const { Octokit } = require('@octokit/rest');
-const winston = require('winston');
+const { createGitHubClient } = require('./github-client');
+const { getGitHubAppAuth } = require('./github-app-auth');
+const { createLogger } = require('./logger');
 const fs = require('fs-extra');
 const crypto = require('crypto');
+const { createLLMProvider } = require('./llm-provider');
+const PatchGenerator = require('./patch-generator');
+const GitHubAPI = require('../automation/github-api');
 
 class ClaudeFlowSimple {
     constructor() {
         // Validate environment
-        if (!process.env.GITHUB_TOKEN) {
-            throw new Error('GITHUB_TOKEN environment variable is required');
+        if (!process.env.GITHUB_TOKEN && !getGitHubAppAuth()) {
+            throw new Error('GITHUB_TOKEN environment variable (or GitHub App credentials) is required');
         }
         
         if (!process.env.REPOSITORY) {
@@ -22,7 +26,7 @@ class ClaudeFlowSimple {
         }
         
         // Setup GitHub API
-        this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+        this.octokit = createGitHubClient();
         const [owner, repo] = process.env.REPOSITORY.split('/');
         this.owner = owner;
         this.repo = repo;
@@ -31,18 +35,11 @@ class ClaudeFlowSimple {
         this.args = this.parseArguments();
         this.sessionId = crypto.randomUUID();
         
+        // LLM provider behind the agents (LLM_PROVIDER, ANTHROPIC_API_KEY or OPENAI_API_KEY)
+        this.llmProvider = createLLMProvider();
+        
         // Setup logger
-        this.logger = winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.colorize(),
-                winston.format.printf(({ timestamp, level, message }) => {
-                    return `${timestamp} [CLAUDE-FLOW-V3-SIMPLE] ${level}: ${message}`;
-                })
-            ),
-            transports: [new winston.transports.Console()]
-        });
+        this.logger = createLogger('claude-flow-simple');
         
         this.logger.info('🚀 Claude Flow v3.0 Simple AI Engine initialized');
         this.logger.info(`📂 Repository: ${this.owner}/${this.repo}`);
@@ -396,83 +393,43 @@ class ClaudeFlowSimple {
     }
     
     async executeIndividualAnalysis(agents, analysis) {
-        this.logger.info('🔍 Executing individual agent analysis...');
+        this.logger.info(`🔍 Executing individual agent analysis via ${this.llmProvider.name} provider...`);
         
         const results = [];
         for (const agent of agents) {
-            const result = {
+            const response = await this.llmProvider.analyze({
+                agent: {
+                    type: agent.type,
+                    specialization: agent.specialty
+                },
+                issue: {
+                    number: this.args.issueNumber,
+                    title: this.args.issueTitle,
+                    body: this.args.issueBody
+                },
+                context: {
+                    domain: analysis.type,
+                    complexity: analysis.complexity,
+                    priority: analysis.priority,
+                    affectedAreas: analysis.affectedAreas,
+                    technicalTerms: analysis.technicalTerms,
+                    patterns: [...new Set(analysis.patterns.map(p => p.type))]
+                }
+            });
+            
+            results.push({
                 agentId: agent.id,
                 agentType: agent.type,
-                findings: this.generateAgentFindings(agent, analysis),
-                recommendations: this.generateAgentRecommendations(agent, analysis),
-                confidence: 0.8 + Math.random() * 0.15 // Simulate high AI confidence
-            };
-            results.push(result);
+                findings: response.findings,
+                recommendations: response.recommendations,
+                confidence: response.confidence !== null ? response.confidence : analysis.confidence,
+                provider: response.provider
+            });
         }
         
         return results;
     }
     
-    generateAgentFindings(agent, analysis) {
-        const baseFindings = [
-            `Advanced ${agent.specialty} analysis completed`,
-            `Identified ${analysis.patterns.length} key patterns in ${analysis.type} issue`,
-            `${analysis.complexity} complexity implementation requirements determined`
-        ];
-        
-        // Agent-specific findings
-        switch (agent.type) {
-            case 'analyzer':
-                baseFindings.push('Root cause analysis completed with high confidence');
-                baseFindings.push('Multiple contributing factors identified and prioritized');
-                break;
-            case 'architect':
-                baseFindings.push('Scalable architecture design patterns identified');
-                baseFindings.push('Component interaction and dependency analysis complete');
-                break;
-            case 'security_analyst':
-                baseFindings.push('Security implications thoroughly assessed');
-                baseFindings.push('Vulnerability surface area analyzed');
-                break;
-            case 'performance_engineer':
-                baseFindings.push('Performance bottlenecks and optimization opportunities identified');
-                baseFindings.push('Scalability considerations documented');
-                break;
-            default:
-                baseFindings.push(`Specialized ${agent.type} analysis provided unique insights`);
-        }
-        
-        return baseFindings;
-    }
-    
-    generateAgentRecommendations(agent, analysis) {
-        const baseRecommendations = [
-            'Implement comprehensive solution following best practices',
-            'Add extensive test coverage for reliability',
-            'Create detailed documentation for maintainability'
-        ];
-        
-        // Agent-specific recommendations
-        switch (agent.type) {
-            case 'security_analyst':
-                baseRecommendations.push('Implement security-first design principles');
-                baseRecommendations.push('Add comprehensive input validation and sanitization');
-                break;
-            case 'performance_engineer':
-                baseRecommendations.push('Implement performance monitoring and alerting');
-                baseRecommendations.push('Use caching strategies and lazy loading');
-                break;
-            case 'architect':
-                baseRecommendations.push('Use dependency injection for testability');
-                baseRecommendations.push('Implement proper separation of concerns');
-                break;
-            default:
-                baseRecommendations.push(`Apply ${agent.type}-specific best practices`);
-        }
-        
-        return baseRecommendations;
-    }
-    
     async facilitateAgentCollaboration(agents, analysis) {
         this.logger.info('🤝 Facilitating agent collaboration...');
         
@@ -864,16 +821,47 @@ This error has been logged for analysis. The AI system will learn from this feed
         try {
             this.logger.info('🔧 Starting actual PR creation process...');
             
-            // Step 1: Get the main branch reference
+            const github = new GitHubAPI({ token: process.env.GITHUB_TOKEN, octokit: this.octokit, owner: this.owner, repo: this.repo });
+            const patchGenerator = new PatchGenerator({ github, llmProvider: this.llmProvider, logger: this.logger });
+            
+            // Step 1: Generate a patch against the default branch before touching any refs
+            const generated = await patchGenerator.generate({
+                issue: { number: this.args.issueNumber, title: this.args.issueTitle, body: this.args.issueBody },
+                branch: github.defaultBranch,
+                context: {
+                    approach: coordination.approach,
+                    steps: implementation.steps,
+                    recommendations: coordination.recommendations
+                }
+            });
+            
+            if (generated.files.length === 0) {
+                return {
+                    success: false,
+                    error: 'No applicable patch generated'
+                };
+            }
+            
+            // Blocked changes are explained on the issue instead of being pushed
+            const policy = github.changePolicy.check({ files: generated.files, patch: generated.patch });
+            if (!policy.allowed) {
+                await github.addIssueComment(this.args.issueNumber, github.changePolicy.formatViolations(policy.violations));
+                return {
+                    success: false,
+                    error: `Change blocked by policy: ${policy.violations.map(violation => violation.message).join('; ')}`
+                };
+            }
+            
+            // Step 2: Get the default branch reference
             const mainBranch = await this.octokit.rest.git.getRef({
                 owner: this.owner,
                 repo: this.repo,
-                ref: 'heads/main'
+                ref: `heads/${github.defaultBranch}`
             });
             
-            this.logger.info('📋 Got main branch reference');
+            this.logger.info(`📋 Got ${github.defaultBranch} branch reference`);
             
-            // Step 2: Create new branch
+            // Step 3: Create new branch
             try {
                 await this.octokit.rest.git.createRef({
                     owner: this.owner,
@@ -898,37 +886,29 @@ This error has been logged for analysis. The AI system will learn from this feed
                 }
             }
             
-            // Step 3: Create solution files
-            const files = this.generateSolutionFiles(coordination, implementation, agents, analysis);
-            this.logger.info(`📁 Creating ${files.length} solution files...`);
-            
-            for (const file of files) {
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.owner,
-                    repo: this.repo,
-                    path: file.path,
-                    message: `Add ${file.path} - AI-generated solution for Issue #${this.args.issueNumber}`,
-                    content: Buffer.from(file.content).toString('base64'),
-                    branch: branchName
-                });
-                this.logger.info(`✅ Created file: ${file.path}`);
-            }
+            // Step 4: Commit the patched files
+            this.logger.info(`📁 Committing changes to ${generated.files.length} file(s)...`);
+            await patchGenerator.commit({
+                files: generated.files,
+                branch: branchName,
+                message: `Fix #${this.args.issueNumber}: ${this.args.issueTitle}\n\nGenerated by Claude Flow v3.0 (session ${this.sessionId})`
+            });
             
-            // Step 4: Create the pull request
+            // Step 5: Create the pull request
             const prTitle = `🐝 AI Solution: Fix Issue #${this.args.issueNumber} - ${this.args.issueTitle}`;
-            const prBody = this.generatePRDescription(coordination, implementation, agents, analysis);
+            const prBody = this.generatePRDescription(coordination, implementation, agents, analysis, generated);
             
             const pr = await this.octokit.rest.pulls.create({
                 owner: this.owner,
                 repo: this.repo,
                 title: prTitle,
                 head: branchName,
-                base: 'main',
+                base: github.defaultBranch,
                 body: prBody,
                 draft: false
             });
             
-            // Step 5: Add labels to the PR
+            // Step 6: Add labels to the PR
             try {
                 await this.octokit.rest.issues.addLabels({
                     owner: this.owner,
@@ -958,191 +938,7 @@ This error has been logged for analysis. The AI system will learn from this feed
         }
     }
     
-    generateSolutionFiles(coordination, implementation, agents, analysis) {
-        const files = [];
-        
-        // Main solution file
-        files.push({
-            path: `solutions/issue-${this.args.issueNumber}-solution.md`,
-            content: this.generateSolutionMarkdown(coordination, implementation, agents, analysis)
-        });
-        
-        // Implementation file
-        files.push({
-            path: `implementations/issue-${this.args.issueNumber}-implementation.js`,
-            content: this.generateImplementationCode(coordination, implementation, agents, analysis)
-        });
-        
-        // Test file
-        files.push({
-            path: `tests/issue-${this.args.issueNumber}-tests.js`,
-            content: this.generateTestCode(coordination, implementation, agents, analysis)
-        });
-        
-        return files;
-    }
-    
-    generateSolutionMarkdown(coordination, implementation, agents, analysis) {
-        return `# AI Solution for Issue #${this.args.issueNumber}
-
-## Issue Analysis
-- **Type**: ${analysis.type}
-- **Priority**: ${analysis.priority}
-- **Complexity**: ${analysis.complexity}
-- **Confidence**: ${Math.round(coordination.confidence * 100)}%
-
-## AI Coordination Results
-- **Agents Deployed**: ${agents.length}
-- **Agent Types**: ${agents.map(a => a.type).join(', ')}
-- **Neural Patterns**: ${analysis.patterns.length}
-
-## Solution Overview
-${coordination.approach}
-
-## Implementation Plan
-${implementation.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}
-
-## Testing Strategy
-${implementation.tests.map((test, i) => `${i + 1}. ${test}`).join('\n')}
-
-## Quality Metrics
-- **Overall Quality**: ${Math.round(implementation.quality * 100)}%
-- **Implementation Confidence**: ${Math.round(coordination.confidence * 100)}%
-
----
-Generated by Claude Flow v3.0 Hive-Mind System
-Session: ${this.sessionId}
-Timestamp: ${new Date().toISOString()}
-`;
-    }
-    
-    generateImplementationCode(coordination, implementation, agents, analysis) {
-        return `// AI-Generated Implementation for Issue #${this.args.issueNumber}
-// Generated by Claude Flow v3.0 Hive-Mind System
-// Session: ${this.sessionId}
-
-/**
- * Solution Implementation
- * Type: ${analysis.type}
- * Priority: ${analysis.priority}
- * Confidence: ${Math.round(coordination.confidence * 100)}%
- */
-
-class Issue${this.args.issueNumber}Solution {
-    constructor() {
-        this.issueNumber = ${this.args.issueNumber};
-        this.solutionType = '${analysis.type}';
-        this.confidence = ${coordination.confidence};
-        this.agentsUsed = ${agents.length};
-    }
-    
-    /**
-     * Execute the AI-generated solution
-     */
-    async execute() {
-        console.log('🐝 Executing AI-generated solution...');
-        
-        try {
-            // Implementation steps based on AI analysis
-            ${implementation.steps.map((step, i) => `
-            // Step ${i + 1}: ${step}
-            await this.step${i + 1}();`).join('')}
-            
-            console.log('✅ Solution executed successfully');
-            return { success: true, confidence: this.confidence };
-            
-        } catch (error) {
-            console.error('❌ Solution execution failed:', error);
-            return { success: false, error: error.message };
-        }
-    }
-    
-    ${implementation.steps.map((step, i) => `
-    async step${i + 1}() {
-        // ${step}
-        console.log('🔧 Executing step ${i + 1}: ${step}');
-        // TODO: Implement actual logic based on AI analysis
-        return true;
-    }`).join('')}
-    
-    /**
-     * Validate the solution
-     */
-    async validate() {
-        console.log('🔍 Validating solution...');
-        // AI-generated validation logic
-        return {
-            valid: true,
-            quality: ${implementation.quality},
-            confidence: this.confidence
-        };
-    }
-}
-
-module.exports = Issue${this.args.issueNumber}Solution;
-
-// Usage:
-// const solution = new Issue${this.args.issueNumber}Solution();
-// solution.execute().then(result => console.log(result));
-`;
-    }
-    
-    generateTestCode(coordination, implementation, agents, analysis) {
-        return `// AI-Generated Tests for Issue #${this.args.issueNumber}
-// Generated by Claude Flow v3.0 Hive-Mind System
-
-const Issue${this.args.issueNumber}Solution = require('../implementations/issue-${this.args.issueNumber}-implementation');
-
-describe('Issue #${this.args.issueNumber} Solution Tests', () => {
-    let solution;
-    
-    beforeEach(() => {
-        solution = new Issue${this.args.issueNumber}Solution();
-    });
-    
-    test('should initialize correctly', () => {
-        expect(solution.issueNumber).toBe(${this.args.issueNumber});
-        expect(solution.solutionType).toBe('${analysis.type}');
-        expect(solution.confidence).toBeGreaterThan(0.5);
-    });
-    
-    test('should execute solution successfully', async () => {
-        const result = await solution.execute();
-        expect(result.success).toBe(true);
-        expect(result.confidence).toBeGreaterThan(0.5);
-    });
-    
-    test('should validate solution', async () => {
-        const validation = await solution.validate();
-        expect(validation.valid).toBe(true);
-        expect(validation.quality).toBeGreaterThan(0.5);
-    });
-    
-    ${implementation.tests.map((test, i) => `
-    test('${test}', async () => {
-        // AI-generated test case
-        expect(solution).toBeDefined();
-        const result = await solution.step${i + 1}();
-        expect(result).toBe(true);
-    });`).join('')}
-});
-
-// Performance tests
-describe('Solution Performance', () => {
-    test('should execute within acceptable time', async () => {
-        const solution = new Issue${this.args.issueNumber}Solution();
-        const startTime = Date.now();
-        
-        await solution.execute();
-        
-        const duration = Date.now() - startTime;
-        expect(duration).toBeLessThan(5000); // 5 seconds max
-    });
-});
-`;
-    }
-    
-    generatePRDescription(coordination, implementation, agents, analysis) {
+    generatePRDescription(coordination, implementation, agents, analysis, generated) {
         return `## 🐝 AI-Generated Solution for Issue #${this.args.issueNumber}
 
 ### 🎯 Solution Overview
@@ -1166,21 +962,27 @@ ${implementation.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}
 ### 🧪 Testing Strategy
 ${implementation.tests.map((test, i) => `${i + 1}. ${test}`).join('\n')}
 
-### 📁 Files Added
-- \`solutions/issue-${this.args.issueNumber}-solution.md\` - Complete solution documentation
-- \`implementations/issue-${this.args.issueNumber}-implementation.js\` - Executable implementation
-- \`tests/issue-${this.args.issueNumber}-tests.js\` - Comprehensive test suite
+### 📁 Files Changed (+${generated.stat.additions} −${generated.stat.deletions})
+${generated.stat.files.map(f => `- \`${f.path}\` (+${f.additions} −${f.deletions})`).join('\n')}
+
+<details>
+<summary>Patch</summary>
+
+\`\`\`diff
+${generated.patch.trim()}
+\`\`\`
+</details>
 
 ### ✅ Quality Assurance
 - [x] AI analysis completed with ${Math.round(coordination.confidence * 100)}% confidence
 - [x] Multi-agent coordination with ${agents.length} agents
 - [x] Solution quality score: ${Math.round(implementation.quality * 100)}%
+- [x] Patch applies cleanly to \`${this.owner}/${this.repo}\`
 - [x] Comprehensive testing strategy included
-- [x] Implementation follows best practices
 
 ### 🚀 Next Steps
 1. Review the AI-generated solution and implementation
-2. Run the included test suite
+2. Run the project's test suite against the branch
 3. Deploy in staging environment for validation
 4. Merge when ready for production
 
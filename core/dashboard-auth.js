@@ -0,0 +1,389 @@
+/**
+ * Claude Flow v3.0 - Dashboard Auth
+ * Who may use the monitoring dashboard and what they may do there
+ * Users sign in with a local account (dashboard_users, bcrypt hashes, managed with npm run dashboard-user)
+ * or with GitHub OAuth, where DASHBOARD_GITHUB_ADMINS/OPERATORS/VIEWERS map logins, "org/team-slug"
+ * entries and whole orgs to a role; either way they get a JWT, kept in an HttpOnly cookie or sent
+ * as a Bearer token, that authenticates API requests and the socket.io handshake
+ * Roles: viewer reads, operator also runs controls, admin also resets learning and reads the audit log
+ */
+
+const axios = require('axios');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createLogger } = require('./logger');
+const { createGitHubClient } = require('./github-client');
+
+// Ascending access; every role can do what the roles before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SESSION_COOKIE = 'claude_flow_dashboard';
+const OAUTH_STATE_COOKIE = 'claude_flow_oauth_state';
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 12;
+
+// Compared against when the user does not exist, so a wrong username takes as long as a wrong password
+let dummyHash = null;
+
+function parseList(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeCookieValue(part.slice(index + 1).trim());
+        }
+    }
+    return cookies;
+}
+
+function decodeCookieValue(value) {
+    // Another site's cookie on the same host may not be URI-encoded ("%", "%zz"); keep it as sent
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+class DashboardAuth {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            jwtSecret: options.jwtSecret || process.env.DASHBOARD_JWT_SECRET,
+            sessionTtl: options.sessionTtl || process.env.DASHBOARD_SESSION_TTL || '8h',
+            // Where browsers reach the dashboard; the OAuth callback URL and secure cookies derive from it
+            publicUrl: options.publicUrl || process.env.DASHBOARD_PUBLIC_URL || `http://localhost:${process.env.DASHBOARD_PORT || 3001}`,
+            github: {
+                clientId: process.env.DASHBOARD_GITHUB_CLIENT_ID,
+                clientSecret: process.env.DASHBOARD_GITHUB_CLIENT_SECRET,
+                oauthUrl: process.env.DASHBOARD_GITHUB_OAUTH_URL || 'https://github.com',
+                // Logins, "org/team-slug" entries and org names, per role
+                admins: parseList(process.env.DASHBOARD_GITHUB_ADMINS),
+                operators: parseList(process.env.DASHBOARD_GITHUB_OPERATORS),
+                viewers: parseList(process.env.DASHBOARD_GITHUB_VIEWERS),
+                ...(options.github || {})
+            }
+        };
+
+        if (!options.store) {
+            throw new Error('DashboardAuth needs the unified store');
+        }
+        this.store = options.store;
+        this.db = this.store.db;
+        this.logger = options.logger || createLogger('dashboard-auth');
+
+        if (!this.options.jwtSecret) {
+            // Sessions then end when the dashboard restarts, and several dashboards cannot share them
+            this.options.jwtSecret = crypto.randomBytes(32).toString('hex');
+            this.logger.warn('⚠️ DASHBOARD_JWT_SECRET is not set; using a random secret, sessions end on restart');
+        }
+        this.secureCookies = this.options.publicUrl.startsWith('https://');
+    }
+
+    get githubEnabled() {
+        return !!(this.options.github.clientId && this.options.github.clientSecret);
+    }
+
+    // =================================================================
+    // LOCAL USERS
+    // =================================================================
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Invalid role "${role}" (expected one of: ${ROLES.join(', ')})`);
+        }
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    async createUser(username, password, role) {
+        this.validateRole(role);
+        this.validatePassword(password);
+        if (!/^[\w.@-]{1,64}$/.test(String(username))) {
+            throw new Error('Usernames may contain letters, digits and . _ @ - (up to 64 characters)');
+        }
+        if (this.getUser(username)) {
+            throw new Error(`User ${username} already exists`);
+        }
+
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO dashboard_users (username, password_hash, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+        `).run(username, await bcrypt.hash(password, BCRYPT_ROUNDS), role, now, now);
+
+        return this.getUser(username);
+    }
+
+    async setPassword(username, password) {
+        this.validatePassword(password);
+        return this.updateUser(username, 'password_hash', await bcrypt.hash(password, BCRYPT_ROUNDS));
+    }
+
+    setRole(username, role) {
+        this.validateRole(role);
+        return this.updateUser(username, 'role', role);
+    }
+
+    updateUser(username, column, value) {
+        const result = this.db.prepare(`UPDATE dashboard_users SET ${column} = ?, updated_at = ? WHERE username = ?`)
+            .run(value, new Date().toISOString(), username);
+        if (result.changes === 0) {
+            throw new Error(`User ${username} not found`);
+        }
+        return this.getUser(username);
+    }
+
+    deleteUser(username) {
+        return this.db.prepare('DELETE FROM dashboard_users WHERE username = ?').run(username).changes > 0;
+    }
+
+    getUser(username) {
+        return this.db.prepare(`
+            SELECT username, role, created_at, updated_at, last_login_at FROM dashboard_users WHERE username = ?
+        `).get(username) || null;
+    }
+
+    listUsers() {
+        return this.db.prepare('SELECT username, role, created_at, updated_at, last_login_at FROM dashboard_users ORDER BY username').all();
+    }
+
+    /**
+     * @returns {Promise<Object|null>} the user, or null for an unknown user or a wrong password
+     */
+    async verifyPassword(username, password) {
+        const row = this.db.prepare('SELECT * FROM dashboard_users WHERE username = ?').get(String(username || ''));
+        if (!row && !dummyHash) {
+            dummyHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+        }
+        const valid = await bcrypt.compare(String(password || ''), row ? row.password_hash : dummyHash);
+        if (!row || !valid) {
+            return null;
+        }
+
+        this.db.prepare('UPDATE dashboard_users SET last_login_at = ? WHERE username = ?').run(new Date().toISOString(), row.username);
+        return { username: row.username, role: row.role, provider: 'local' };
+    }
+
+    // =================================================================
+    // GITHUB OAUTH
+    // =================================================================
+
+    githubAuthorizeUrl(state) {
+        const params = new URLSearchParams({
+            client_id: this.options.github.clientId,
+            redirect_uri: `${this.options.publicUrl}/auth/github/callback`,
+            // Team and org entries are checked against the user's own memberships
+            scope: 'read:org',
+            state,
+            allow_signup: 'false'
+        });
+        return `${this.options.github.oauthUrl}/login/oauth/authorize?${params}`;
+    }
+
+    /**
+     * Exchange an OAuth code for the user's login and dashboard role
+     * @returns {Promise<Object>} { username, role, provider }; throws when no role matches
+     */
+    async githubLogin(code) {
+        const response = await axios.post(`${this.options.github.oauthUrl}/login/oauth/access_token`, {
+            client_id: this.options.github.clientId,
+            client_secret: this.options.github.clientSecret,
+            code,
+            redirect_uri: `${this.options.publicUrl}/auth/github/callback`
+        }, { headers: { Accept: 'application/json' }, timeout: 10000 });
+
+        if (!response.data.access_token) {
+            throw new Error(`GitHub refused the sign-in: ${response.data.error_description || response.data.error || 'no access token'}`);
+        }
+
+        const github = createGitHubClient({ token: response.data.access_token });
+        const { data: user } = await github.rest.users.getAuthenticated();
+        const role = await this.resolveGitHubRole(user.login, github);
+        if (!role) {
+            throw new Error(`GitHub user ${user.login} has no dashboard role`);
+        }
+
+        return { username: `github:${user.login}`, role, provider: 'github' };
+    }
+
+    /**
+     * Highest role whose list names the login, one of the user's teams or one of the user's orgs
+     */
+    async resolveGitHubRole(login, github) {
+        const { admins, operators, viewers } = this.options.github;
+        const lists = [['admin', admins], ['operator', operators], ['viewer', viewers]];
+        const entries = [...admins, ...operators, ...viewers];
+
+        let teams = [];
+        let orgs = [];
+        if (entries.some(entry => entry.includes('/'))) {
+            teams = (await github.paginate(github.rest.teams.listForAuthenticatedUser))
+                .map(team => `${team.organization.login}/${team.slug}`.toLowerCase());
+        }
+        // Logins and org names share one namespace on GitHub, so an entry without a slash may be either
+        if (entries.some(entry => !entry.includes('/') && entry.toLowerCase() !== login.toLowerCase())) {
+            orgs = (await github.paginate(github.rest.orgs.listForAuthenticatedUser)).map(org => org.login.toLowerCase());
+        }
+
+        const memberships = new Set([login.toLowerCase(), ...teams, ...orgs]);
+        const match = lists.find(([, list]) => list.some(entry => memberships.has(entry.toLowerCase())));
+        return match ? match[0] : null;
+    }
+
+    // =================================================================
+    // SESSIONS
+    // =================================================================
+
+    issueToken(user) {
+        return jwt.sign({ role: user.role, provider: user.provider }, this.options.jwtSecret, {
+            subject: user.username,
+            expiresIn: this.options.sessionTtl
+        });
+    }
+
+    /**
+     * @returns {Object|null} { username, role, provider, expiresAt } or null for a missing, invalid or expired token
+     * Local users are looked up again, so a removed user or a changed role takes effect at once
+     */
+    verifyToken(token) {
+        if (!token) return null;
+
+        let claims;
+        try {
+            claims = jwt.verify(token, this.options.jwtSecret);
+        } catch (error) {
+            return null;
+        }
+
+        let role = claims.role;
+        if (claims.provider === 'local') {
+            const user = this.getUser(claims.sub);
+            if (!user) return null;
+            role = user.role;
+        }
+
+        return ROLES.includes(role)
+            ? { username: claims.sub, role, provider: claims.provider, expiresAt: claims.exp * 1000 }
+            : null;
+    }
+
+    tokenFrom(headers, auth = {}) {
+        const authorization = headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            return authorization.slice('Bearer '.length);
+        }
+        return auth.token || parseCookies(headers.cookie)[SESSION_COOKIE] || null;
+    }
+
+    setSessionCookie(res, token) {
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: this.secureCookies,
+            path: '/'
+        });
+    }
+
+    clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+    }
+
+    /**
+     * Express middleware: req.user for a valid session, 401 otherwise
+     */
+    authenticate() {
+        return (req, res, next) => {
+            const user = this.verifyToken(this.tokenFrom(req.headers));
+            if (!user) {
+                return res.status(401).json({ error: 'Sign in required' });
+            }
+            req.user = user;
+            next();
+        };
+    }
+
+    requireRole(role) {
+        return (req, res, next) => {
+            if (!req.user || !hasRole(req.user.role, role)) {
+                return res.status(403).json({ error: `Requires the ${role} role` });
+            }
+            next();
+        };
+    }
+
+    /**
+     * socket.io middleware: the handshake needs the session cookie or { auth: { token } }
+     */
+    socketMiddleware() {
+        return (socket, next) => {
+            const user = this.verifyToken(this.tokenFrom(socket.handshake.headers, socket.handshake.auth));
+            if (!user) {
+                return next(new Error('unauthorized'));
+            }
+            socket.data.user = user;
+            next();
+        };
+    }
+
+    // =================================================================
+    // AUDIT
+    // =================================================================
+
+    audit(req, action, outcome, details = null, target = null) {
+        const entry = {
+            actor: req.user?.username || details?.username || null,
+            role: req.user?.role || null,
+            action,
+            target,
+            outcome,
+            details,
+            ip: req.ip
+        };
+
+        try {
+            this.store.recordAudit(entry);
+        } catch (error) {
+            this.logger.error(`Audit entry for ${action} not stored:`, error);
+        }
+        this.logger.info(`📝 ${entry.actor || 'anonymous'} ${action}${target ? ` ${target}` : ''}: ${outcome}`);
+    }
+
+    /**
+     * Express middleware auditing a route once its response is sent, denied attempts included
+     * @param {Function} target - (req) => what the action was applied to
+     */
+    audited(action, target = () => null) {
+        return (req, res, next) => {
+            res.on('finish', () => {
+                const outcome = res.statusCode < 400 ? 'success' : (res.statusCode === 403 ? 'denied' : `failed (${res.statusCode})`);
+                const body = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+                this.audit(req, action, outcome, body, target(req));
+            });
+            next();
+        };
+    }
+}
+
+module.exports = DashboardAuth;
+module.exports.ROLES = ROLES;
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
+module.exports.OAUTH_STATE_COOKIE = OAUTH_STATE_COOKIE;
+module.exports.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+module.exports.hasRole = hasRole;
+module.exports.parseCookies = parseCookies;
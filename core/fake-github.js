@@ -0,0 +1,1114 @@
+/**
+ * Claude Flow v3.0 - Fake GitHub
+ * Stateful in-memory stand-in for the GitHub REST API: repositories, issues, comments,
+ * labels, refs, trees, commits, contents and pull requests (with reviews)
+ * It plugs into Octokit as a fetch transport (see github-client.js) or serves the same
+ * routes over HTTP, so the whole pipeline can run on a machine with no network
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { createPatch, parsePatch, diffStat } = require('./unified-diff');
+
+const FAKE_BASE_URL = 'https://fake-github.local';
+
+class FakeGitHubError extends Error {
+    constructor(status, message, errors) {
+        super(message);
+        this.name = 'FakeGitHubError';
+        this.status = status;
+        // Validation details, like the "errors" list of GitHub's 422 responses
+        this.errors = errors;
+    }
+}
+
+function sha1(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+function blobSha(content) {
+    // Same id git gives the blob, so shas look and compare like the real thing
+    const buffer = Buffer.from(content);
+    return sha1(Buffer.concat([Buffer.from(`blob ${buffer.length}\0`), buffer]));
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+// [method, pattern, handler]; repository routes get the repository as their first argument
+const ROUTES = [
+    ['GET', /^\/user$/, 'getAuthenticatedUser'],
+    ['GET', /^\/app$/, 'getApp'],
+    ['POST', /^\/app\/installations\/(\d+)\/access_tokens$/, 'createInstallationToken'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/installation$/, 'getRepositoryInstallation'],
+    ['GET', /^\/rate_limit$/, 'getRateLimit'],
+    ['GET', /^\/search\/issues$/, 'searchIssues'],
+    ['GET', /^\/orgs\/([^/]+)\/teams\/([^/]+)\/memberships\/([^/]+)$/, 'getTeamMembership'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)$/, 'getRepository'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/collaborators\/([^/]+)\/permission$/, 'getCollaboratorPermission'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/issues$/, 'listIssues'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/issues$/, 'createIssue'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)$/, 'getIssue'],
+    ['PATCH', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)$/, 'updateIssue'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/comments$/, 'listComments'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/comments$/, 'createComment'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/labels$/, 'listLabels'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/labels$/, 'addLabels'],
+    ['DELETE', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/labels\/([^/]+)$/, 'removeLabel'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/git\/ref\/(.+)$/, 'getRef'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/git\/refs$/, 'createRef'],
+    ['PATCH', /^\/repos\/([^/]+)\/([^/]+)\/git\/refs\/(.+)$/, 'updateRef'],
+    ['DELETE', /^\/repos\/([^/]+)\/([^/]+)\/git\/refs\/(.+)$/, 'deleteRef'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/git\/commits\/([^/]+)$/, 'getCommit'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/git\/commits$/, 'createCommit'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/git\/trees\/(.+)$/, 'getTree'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/git\/trees$/, 'createTree'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/git\/blobs\/([^/]+)$/, 'getBlob'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/git\/blobs$/, 'createBlob'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/contents(?:\/(.*))?$/, 'getContent'],
+    ['PUT', /^\/repos\/([^/]+)\/([^/]+)\/contents\/(.+)$/, 'putContent'],
+    ['DELETE', /^\/repos\/([^/]+)\/([^/]+)\/contents\/(.+)$/, 'deleteContent'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls$/, 'listPulls'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/pulls$/, 'createPull'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)$/, 'getPull'],
+    ['PATCH', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)$/, 'updatePull'],
+    ['PUT', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/merge$/, 'mergePull'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/files$/, 'listPullFiles'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/reviews\/(\d+)$/, 'getReview'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/reviews\/(\d+)\/comments$/, 'listReviewComments'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/comments\/(\d+)\/replies$/, 'replyToReviewComment'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/check-runs$/, 'createCheckRun'],
+    ['PATCH', /^\/repos\/([^/]+)\/([^/]+)\/check-runs\/(\d+)$/, 'updateCheckRun'],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/hooks$/, 'listHooks'],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/hooks$/, 'createHook']
+];
+
+class FakeGitHub {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            login: options.login || 'claude-flow-bot',
+            // Snapshot file: loaded on start, rewritten after every change
+            statePath: 'statePath' in options ? options.statePath : (process.env.GITHUB_FAKE_STATE || null)
+        };
+
+        this.state = { repositories: {}, teams: {}, installations: {}, nextId: 1 };
+        this.requests = [];
+        this.faults = [];
+        this.rateLimit = { limit: 5000, remaining: 5000, reset: Math.floor(Date.now() / 1000) + 3600 };
+
+        if (this.options.statePath && fs.existsSync(this.options.statePath)) {
+            this.load(fs.readJsonSync(this.options.statePath));
+        }
+
+        // Handed to Octokit as request.fetch
+        this.fetch = this.fetch.bind(this);
+    }
+
+    /**
+     * Load a snapshot written by save(), or a seed file in the createRepository shape:
+     * { repositories: { "owner/repo": { files: {path: content}, issues: [...], collaborators: {...} } } }
+     */
+    load(snapshot) {
+        this.state.nextId = snapshot.nextId || this.state.nextId;
+        this.state.teams = snapshot.teams || {};
+        this.state.installations = snapshot.installations || {};
+
+        for (const [fullName, repository] of Object.entries(snapshot.repositories || {})) {
+            if (repository.refs) {
+                this.state.repositories[fullName] = repository;
+            } else {
+                this.createRepository(fullName, repository);
+            }
+        }
+    }
+
+    save() {
+        if (this.options.statePath) {
+            fs.outputJsonSync(this.options.statePath, this.state, { spaces: 2 });
+        }
+    }
+
+    nextId() {
+        return this.state.nextId++;
+    }
+
+    // Seeding
+
+    /**
+     * Create a repository with an initial commit
+     * @param {string} fullName - "owner/repo"
+     * @param {Object} seed - { files: {path: content}, issues: [{number, title, body, labels, user}],
+     *   collaborators: {login: permission}, defaultBranch, language, topics, description, private }
+     */
+    createRepository(fullName, seed = {}) {
+        const [owner, name] = fullName.split('/');
+        const defaultBranch = seed.defaultBranch || 'main';
+        const repository = {
+            id: this.nextId(),
+            name,
+            full_name: fullName,
+            owner: { login: owner, type: 'User' },
+            private: !!seed.private,
+            default_branch: defaultBranch,
+            description: seed.description || null,
+            language: seed.language || null,
+            topics: seed.topics || [],
+            html_url: `https://github.com/${fullName}`,
+            collaborators: seed.collaborators || {},
+            blobs: {},
+            trees: {},
+            commits: {},
+            refs: {},
+            issues: {},
+            comments: [],
+            pulls: {},
+            reviews: [],
+            reviewComments: [],
+            checkRuns: [],
+            hooks: [],
+            nextNumber: 1
+        };
+
+        this.state.repositories[fullName] = repository;
+
+        const files = {};
+        for (const [filePath, content] of Object.entries(seed.files || {})) {
+            files[filePath] = this.storeBlob(repository, content);
+        }
+        const commit = this.storeCommit(repository, {
+            tree: this.storeTree(repository, files),
+            parents: [],
+            message: 'Initial commit'
+        });
+        repository.refs[`heads/${defaultBranch}`] = commit.sha;
+
+        for (const issue of seed.issues || []) {
+            // Seeds may pin issue numbers, e.g. to replay a real issue
+            if (issue.number) repository.nextNumber = issue.number;
+            this.createIssue(repository, { body: issue });
+        }
+
+        this.save();
+        return this.publicRepository(repository);
+    }
+
+    /**
+     * Add a submitted review to a pull request, as a reviewer would
+     * @param {Object} review - { user, body, state, comments: [{path, line, body}] }
+     */
+    addReview(fullName, pullNumber, { user = 'reviewer', body = '', state = 'CHANGES_REQUESTED', comments = [] } = {}) {
+        const repository = this.repository(...fullName.split('/'));
+        this.pull(repository, pullNumber);
+
+        const review = {
+            id: this.nextId(),
+            pull_number: Number(pullNumber),
+            user: { login: user, type: 'User' },
+            body,
+            state,
+            submitted_at: now(),
+            html_url: `${repository.html_url}/pull/${pullNumber}#pullrequestreview-${this.state.nextId}`
+        };
+        repository.reviews.push(review);
+
+        for (const comment of comments) {
+            this.storeReviewComment(repository, pullNumber, { ...comment, user, reviewId: review.id });
+        }
+
+        this.save();
+        return review;
+    }
+
+    /**
+     * Fail the next matching requests, e.g. to exercise rate-limit handling
+     * @param {Object} fault - { status, message, headers, method, path (RegExp), times }
+     */
+    injectFault({ status = 403, message = 'You have exceeded a secondary rate limit', headers = {}, method = null, path: pattern = null, times = 1 } = {}) {
+        this.faults.push({ status, message, headers, method, pattern, times });
+    }
+
+    setTeamMembers(org, teamSlug, logins) {
+        this.state.teams[`${org}/${teamSlug}`] = logins;
+        this.save();
+    }
+
+    /**
+     * Current file contents of a branch, for assertions
+     */
+    readFiles(fullName, ref = null) {
+        const repository = this.repository(...fullName.split('/'));
+        const tree = repository.trees[this.resolveCommit(repository, ref).tree];
+
+        return Object.fromEntries(
+            Object.entries(tree).map(([filePath, sha]) => [filePath, repository.blobs[sha]])
+        );
+    }
+
+    // Transport
+
+    /**
+     * fetch-compatible entry point for Octokit
+     */
+    async fetch(url, init = {}) {
+        const { pathname, searchParams } = new URL(url);
+        const body = init.body ? JSON.parse(init.body) : {};
+        const { status, data, headers } = this.dispatch(init.method || 'GET', pathname, Object.fromEntries(searchParams), body, init.headers || {});
+
+        return new Response(status === 204 ? null : JSON.stringify(data), { status, headers });
+    }
+
+    /**
+     * Serve the fake over HTTP, e.g. for GITHUB_API_URL in another process
+     * @returns {Promise<http.Server>}
+     */
+    listen(port = 0, host = '127.0.0.1') {
+        const server = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                let result;
+                try {
+                    const { pathname, searchParams } = new URL(req.url, `http://${host}`);
+                    result = this.dispatch(req.method, pathname, Object.fromEntries(searchParams), raw ? JSON.parse(raw) : {}, req.headers);
+                } catch (error) {
+                    result = { status: 400, data: { message: `Problems parsing JSON: ${error.message}` } };
+                }
+
+                res.writeHead(result.status, result.headers || { 'content-type': 'application/json; charset=utf-8' });
+                res.end(result.status === 204 ? undefined : JSON.stringify(result.data));
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => resolve(server));
+        });
+    }
+
+    dispatch(method, pathname, query = {}, body = {}, headers = {}) {
+        const authorization = headers.authorization || headers.Authorization || null;
+        this.requests.push({ method, path: pathname, query, body, authorization });
+
+        // App endpoints only take the app's JWT, as on GitHub
+        if (pathname.startsWith('/app') && !/^bearer /i.test(authorization || '')) {
+            return { status: 401, data: { message: 'A JSON web token could not be decoded' }, headers: this.responseHeaders() };
+        }
+
+        const fault = this.faults.find(entry => (!entry.method || entry.method === method) && (!entry.pattern || entry.pattern.test(pathname)));
+        if (fault) {
+            fault.times--;
+            this.faults = this.faults.filter(entry => entry.times > 0);
+            return { status: fault.status, data: { message: fault.message }, headers: { ...this.responseHeaders(), ...fault.headers } };
+        }
+
+        const result = this.route(method, pathname, query, body);
+        return { ...result, headers: this.responseHeaders() };
+    }
+
+    responseHeaders() {
+        if (Date.now() / 1000 >= this.rateLimit.reset) {
+            this.rateLimit = { ...this.rateLimit, remaining: this.rateLimit.limit, reset: Math.floor(Date.now() / 1000) + 3600 };
+        }
+        this.rateLimit.remaining = Math.max(0, this.rateLimit.remaining - 1);
+
+        return {
+            'content-type': 'application/json; charset=utf-8',
+            'x-ratelimit-limit': String(this.rateLimit.limit),
+            'x-ratelimit-remaining': String(this.rateLimit.remaining),
+            'x-ratelimit-reset': String(this.rateLimit.reset),
+            'x-ratelimit-resource': 'core'
+        };
+    }
+
+    route(method, pathname, query, body) {
+        for (const [routeMethod, pattern, handler] of ROUTES) {
+            const match = method === routeMethod && pattern.exec(pathname);
+            if (!match) continue;
+
+            const params = match.slice(1).map(value => (value === undefined ? value : decodeURIComponent(value)));
+
+            try {
+                const args = pathname.startsWith('/repos/')
+                    ? [this.repository(params[0], params[1]), ...params.slice(2)]
+                    : params;
+                const data = this[handler](...args, { query, body });
+
+                if (method !== 'GET') {
+                    this.save();
+                }
+
+                return { status: data === undefined ? 204 : (method === 'POST' ? 201 : 200), data };
+            } catch (error) {
+                if (!(error instanceof FakeGitHubError)) throw error;
+                const data = { message: error.message, documentation_url: 'https://docs.github.com/rest' };
+                if (error.errors) data.errors = error.errors;
+                return { status: error.status, data };
+            }
+        }
+
+        return { status: 404, data: { message: `Fake GitHub does not implement ${method} ${pathname}` } };
+    }
+
+    // Lookup helpers
+
+    repository(owner, repo) {
+        const repository = this.state.repositories[`${owner}/${repo}`];
+        if (!repository) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return repository;
+    }
+
+    issue(repository, number) {
+        const issue = repository.issues[number];
+        if (!issue) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return issue;
+    }
+
+    pull(repository, number) {
+        const pull = repository.pulls[number];
+        if (!pull) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return pull;
+    }
+
+    /**
+     * Commit for a branch name, "heads/<branch>", "refs/heads/<branch>" or a commit sha;
+     * null means the default branch
+     */
+    resolveCommit(repository, ref) {
+        const name = String(ref || repository.default_branch).replace(/^refs\//, '').replace(/^heads\//, '');
+        const sha = repository.refs[`heads/${name}`] || repository.refs[name] || (repository.commits[name] && name);
+
+        if (!sha) {
+            throw new FakeGitHubError(404, `No commit found for the ref ${ref}`);
+        }
+        return repository.commits[sha];
+    }
+
+    storeBlob(repository, content) {
+        const sha = blobSha(content);
+        repository.blobs[sha] = content;
+        return sha;
+    }
+
+    storeTree(repository, files) {
+        const sorted = Object.fromEntries(Object.entries(files).sort(([a], [b]) => a.localeCompare(b)));
+        const sha = sha1(`tree ${JSON.stringify(sorted)}`);
+        repository.trees[sha] = sorted;
+        return sha;
+    }
+
+    storeCommit(repository, { tree, parents, message, author = null }) {
+        const signature = {
+            name: author?.name || this.options.login,
+            email: author?.email || `${this.options.login}@users.noreply.github.com`,
+            date: now()
+        };
+        const sha = sha1(`commit ${tree} ${parents.join(' ')} ${message} ${signature.date} ${this.state.nextId++}`);
+        const commit = { sha, tree, parents, message, author: signature, committer: signature };
+
+        repository.commits[sha] = commit;
+        return commit;
+    }
+
+    storeReviewComment(repository, pullNumber, { path: filePath, line = null, body, user, reviewId, inReplyTo = null }) {
+        const id = this.nextId();
+        const comment = {
+            id,
+            pull_request_review_id: reviewId,
+            pull_number: Number(pullNumber),
+            in_reply_to_id: inReplyTo,
+            path: filePath,
+            line,
+            original_line: line,
+            body,
+            diff_hunk: filePath ? this.diffHunk(repository, pullNumber, filePath) : null,
+            user: { login: user, type: 'User' },
+            created_at: now(),
+            html_url: `${repository.html_url}/pull/${pullNumber}#discussion_r${id}`
+        };
+
+        repository.reviewComments.push(comment);
+        return comment;
+    }
+
+    diffHunk(repository, pullNumber, filePath) {
+        const file = this.pullFiles(repository, this.pull(repository, pullNumber)).find(entry => entry.filename === filePath);
+        return file?.patch || null;
+    }
+
+    publicRepository(repository) {
+        const { collaborators, blobs, trees, commits, refs, issues, comments, pulls, reviews, reviewComments, checkRuns, hooks, nextNumber, ...data } = repository;
+        return data;
+    }
+
+    publicCommit(repository, commit) {
+        return {
+            sha: commit.sha,
+            node_id: commit.sha,
+            tree: { sha: commit.tree },
+            parents: commit.parents.map(sha => ({ sha })),
+            message: commit.message,
+            author: commit.author,
+            committer: commit.committer,
+            html_url: `${repository.html_url}/commit/${commit.sha}`
+        };
+    }
+
+    publicIssue(repository, issue) {
+        return {
+            ...issue,
+            labels: issue.labels.map(label => ({ name: label })),
+            comments: repository.comments.filter(comment => comment.issue_number === issue.number).length
+        };
+    }
+
+    publicPull(repository, pull) {
+        const headCommit = repository.refs[`heads/${pull.head.ref}`] || pull.head.sha;
+        return {
+            ...pull,
+            head: { ...pull.head, sha: headCommit },
+            labels: repository.issues[pull.number].labels.map(label => ({ name: label }))
+        };
+    }
+
+    // Users, search and rate limit
+
+    getAuthenticatedUser() {
+        return { login: this.options.login, id: 1, type: 'Bot' };
+    }
+
+    // GitHub App
+
+    installationFor(owner) {
+        if (!this.state.installations[owner]) {
+            this.state.installations[owner] = { id: this.nextId(), account: { login: owner }, tokens: 0 };
+        }
+        return this.state.installations[owner];
+    }
+
+    getApp() {
+        return { id: 1, slug: 'claude-flow', name: 'Claude Flow', owner: { login: this.options.login } };
+    }
+
+    getRepositoryInstallation(repository) {
+        const installation = this.installationFor(repository.owner.login);
+        return { id: installation.id, account: installation.account, app_id: 1, target_type: 'User' };
+    }
+
+    createInstallationToken(installationId) {
+        const installation = Object.values(this.state.installations).find(entry => entry.id === Number(installationId));
+        if (!installation) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+
+        installation.tokens++;
+        return {
+            token: `ghs_fake${installation.id}x${installation.tokens}`,
+            expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+            permissions: { contents: 'write', issues: 'write', pull_requests: 'write', metadata: 'read' }
+        };
+    }
+
+    getRateLimit() {
+        const core = { ...this.rateLimit, used: this.rateLimit.limit - this.rateLimit.remaining };
+        return { resources: { core, search: { ...core, limit: 30, remaining: 30 } }, rate: core };
+    }
+
+    searchIssues({ query }) {
+        const terms = String(query.q || '').split(/\s+/).filter(Boolean);
+        const scope = terms.find(term => term.startsWith('repo:'))?.slice(5);
+        const words = terms.filter(term => !term.includes(':')).map(term => term.toLowerCase());
+        const filters = terms.filter(term => /^(is|state):/.test(term)).map(term => term.split(':')[1]);
+
+        const items = Object.values(this.state.repositories)
+            .filter(repository => !scope || repository.full_name === scope)
+            .flatMap(repository => Object.values(repository.issues).map(issue => this.publicIssue(repository, issue)))
+            .filter(issue => filters.every(filter => (
+                filter === 'pr' ? !!issue.pull_request
+                    : filter === 'issue' ? !issue.pull_request
+                        : issue.state === filter
+            )))
+            .filter(issue => words.every(word => `${issue.title} ${issue.body || ''}`.toLowerCase().includes(word)));
+
+        return { total_count: items.length, incomplete_results: false, items };
+    }
+
+    getTeamMembership(org, teamSlug, username) {
+        const members = this.state.teams[`${org}/${teamSlug}`] || [];
+        if (!members.includes(username)) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return { state: 'active', role: 'member' };
+    }
+
+    // Repositories
+
+    getRepository(repository) {
+        return this.publicRepository(repository);
+    }
+
+    getCollaboratorPermission(repository, username) {
+        // Anyone can read a public repository; that is what GitHub reports for non-collaborators
+        const permission = repository.collaborators[username] || (repository.private ? 'none' : 'read');
+        const legacy = { maintain: 'write', triage: 'read' }[permission] || permission;
+
+        return { permission: legacy, role_name: permission, user: { login: username } };
+    }
+
+    listHooks(repository) {
+        return repository.hooks;
+    }
+
+    createHook(repository, { body }) {
+        const hook = { id: this.nextId(), name: body.name || 'web', active: body.active !== false, events: body.events || ['push'], config: body.config || {} };
+        repository.hooks.push(hook);
+        return hook;
+    }
+
+    createCheckRun(repository, { body }) {
+        const checkRun = { id: this.nextId(), ...body, started_at: now() };
+        repository.checkRuns.push(checkRun);
+        return checkRun;
+    }
+
+    updateCheckRun(repository, id, { body }) {
+        const checkRun = repository.checkRuns.find(run => run.id === Number(id));
+        if (!checkRun) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return Object.assign(checkRun, body);
+    }
+
+    // Issues, comments and labels
+
+    listIssues(repository, { query }) {
+        const state = query.state || 'open';
+        return Object.values(repository.issues)
+            .filter(issue => state === 'all' || issue.state === state)
+            .map(issue => this.publicIssue(repository, issue));
+    }
+
+    createIssue(repository, { body: input }) {
+        const number = repository.nextNumber++;
+        const issue = {
+            id: this.nextId(),
+            number,
+            title: input.title,
+            body: input.body || null,
+            state: 'open',
+            labels: (input.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+            user: { login: input.user || this.options.login, type: 'User' },
+            assignees: [],
+            created_at: now(),
+            updated_at: now(),
+            closed_at: null,
+            html_url: `${repository.html_url}/issues/${number}`
+        };
+
+        repository.issues[number] = issue;
+        return this.publicIssue(repository, issue);
+    }
+
+    getIssue(repository, number) {
+        return this.publicIssue(repository, this.issue(repository, number));
+    }
+
+    updateIssue(repository, number, { body }) {
+        const issue = this.issue(repository, number);
+
+        for (const field of ['title', 'body', 'state']) {
+            if (body[field] !== undefined) issue[field] = body[field];
+        }
+        if (body.labels) {
+            issue.labels = body.labels.map(label => (typeof label === 'string' ? label : label.name));
+        }
+        issue.closed_at = issue.state === 'closed' ? (issue.closed_at || now()) : null;
+        issue.updated_at = now();
+
+        return this.publicIssue(repository, issue);
+    }
+
+    listComments(repository, number) {
+        this.issue(repository, number);
+        return repository.comments.filter(comment => comment.issue_number === Number(number));
+    }
+
+    createComment(repository, number, { body }) {
+        this.issue(repository, number);
+
+        if (!body.body) {
+            throw new FakeGitHubError(422, 'Validation Failed: body is missing');
+        }
+
+        const id = this.nextId();
+        const comment = {
+            id,
+            issue_number: Number(number),
+            body: body.body,
+            user: { login: this.options.login, type: 'Bot' },
+            created_at: now(),
+            updated_at: now(),
+            html_url: `${repository.html_url}/issues/${number}#issuecomment-${id}`
+        };
+
+        repository.comments.push(comment);
+        return comment;
+    }
+
+    listLabels(repository, number) {
+        return this.issue(repository, number).labels.map(label => ({ name: label }));
+    }
+
+    addLabels(repository, number, { body }) {
+        const issue = this.issue(repository, number);
+        const labels = (Array.isArray(body) ? body : body.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+
+        issue.labels = [...new Set([...issue.labels, ...labels])];
+        return issue.labels.map(label => ({ name: label }));
+    }
+
+    removeLabel(repository, number, label) {
+        const issue = this.issue(repository, number);
+        if (!issue.labels.includes(label)) {
+            throw new FakeGitHubError(404, 'Label does not exist');
+        }
+
+        issue.labels = issue.labels.filter(existing => existing !== label);
+        return issue.labels.map(name => ({ name }));
+    }
+
+    // Git data
+
+    getRef(repository, ref) {
+        const sha = repository.refs[ref];
+        if (!sha) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return { ref: `refs/${ref}`, object: { sha, type: 'commit' } };
+    }
+
+    createRef(repository, { body }) {
+        const ref = String(body.ref || '').replace(/^refs\//, '');
+        if (!/^(heads|tags)\/.+/.test(ref)) {
+            throw new FakeGitHubError(422, 'Reference name must start with refs/heads/ or refs/tags/');
+        }
+        if (repository.refs[ref]) {
+            throw new FakeGitHubError(422, 'Reference already exists');
+        }
+        if (!repository.commits[body.sha]) {
+            throw new FakeGitHubError(422, 'Object does not exist');
+        }
+
+        repository.refs[ref] = body.sha;
+        return this.getRef(repository, ref);
+    }
+
+    updateRef(repository, ref, { body }) {
+        const current = this.getRef(repository, ref).object.sha;
+        if (!repository.commits[body.sha]) {
+            throw new FakeGitHubError(422, 'Object does not exist');
+        }
+        if (!body.force && !this.isAncestor(repository, current, body.sha)) {
+            throw new FakeGitHubError(422, 'Update is not a fast forward');
+        }
+
+        repository.refs[ref] = body.sha;
+        return this.getRef(repository, ref);
+    }
+
+    deleteRef(repository, ref) {
+        this.getRef(repository, ref);
+        delete repository.refs[ref];
+        return undefined;
+    }
+
+    isAncestor(repository, ancestor, sha) {
+        const pending = [sha];
+        const seen = new Set();
+
+        while (pending.length > 0) {
+            const current = pending.pop();
+            if (current === ancestor) return true;
+            if (seen.has(current) || !repository.commits[current]) continue;
+            seen.add(current);
+            pending.push(...repository.commits[current].parents);
+        }
+
+        return false;
+    }
+
+    getCommit(repository, sha) {
+        const commit = repository.commits[sha];
+        if (!commit) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return this.publicCommit(repository, commit);
+    }
+
+    createCommit(repository, { body }) {
+        if (!repository.trees[body.tree]) {
+            throw new FakeGitHubError(422, 'Tree SHA does not exist');
+        }
+        for (const parent of body.parents || []) {
+            if (!repository.commits[parent]) {
+                throw new FakeGitHubError(422, 'Parent SHA does not exist');
+            }
+        }
+
+        const commit = this.storeCommit(repository, {
+            tree: body.tree,
+            parents: body.parents || [],
+            message: body.message,
+            author: body.author
+        });
+        return this.publicCommit(repository, commit);
+    }
+
+    /**
+     * tree_sha may be a tree, a commit or a branch name, as on GitHub
+     */
+    getTree(repository, treeSha, { query }) {
+        const sha = repository.trees[treeSha] ? treeSha : this.resolveCommit(repository, treeSha).tree;
+        const files = repository.trees[sha];
+        const recursive = query.recursive !== undefined && query.recursive !== 'false' && query.recursive !== '0';
+        const directories = new Set();
+        const tree = [];
+
+        for (const [filePath, fileSha] of Object.entries(files)) {
+            const parts = filePath.split('/');
+            for (let depth = 1; depth < parts.length; depth++) {
+                directories.add(parts.slice(0, depth).join('/'));
+            }
+            if (recursive || parts.length === 1) {
+                tree.push({ path: filePath, mode: '100644', type: 'blob', sha: fileSha, size: Buffer.byteLength(repository.blobs[fileSha]) });
+            }
+        }
+
+        for (const directory of directories) {
+            if (recursive || !directory.includes('/')) {
+                tree.push({ path: directory, mode: '040000', type: 'tree', sha: sha1(`${sha}:${directory}`) });
+            }
+        }
+
+        tree.sort((a, b) => a.path.localeCompare(b.path));
+        return { sha, tree, truncated: false };
+    }
+
+    createTree(repository, { body }) {
+        const files = body.base_tree ? { ...this.treeFiles(repository, body.base_tree) } : {};
+
+        for (const item of body.tree || []) {
+            if (item.type === 'tree') {
+                throw new FakeGitHubError(422, 'Fake GitHub only supports blob tree entries');
+            }
+            if (item.content !== undefined) {
+                files[item.path] = this.storeBlob(repository, item.content);
+            } else if (item.sha === null) {
+                delete files[item.path];
+            } else if (repository.blobs[item.sha] !== undefined) {
+                files[item.path] = item.sha;
+            } else {
+                throw new FakeGitHubError(422, `Blob ${item.sha} does not exist`);
+            }
+        }
+
+        return this.getTree(repository, this.storeTree(repository, files), { query: { recursive: '1' } });
+    }
+
+    treeFiles(repository, treeSha) {
+        const files = repository.trees[treeSha];
+        if (!files) {
+            throw new FakeGitHubError(422, 'Base tree does not exist');
+        }
+        return files;
+    }
+
+    getBlob(repository, sha) {
+        const content = repository.blobs[sha];
+        if (content === undefined) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return { sha, size: Buffer.byteLength(content), encoding: 'base64', content: Buffer.from(content).toString('base64') };
+    }
+
+    createBlob(repository, { body }) {
+        const content = body.encoding === 'base64' ? Buffer.from(body.content, 'base64').toString() : body.content;
+        return { sha: this.storeBlob(repository, content) };
+    }
+
+    // Contents API
+
+    getContent(repository, filePath = '', { query }) {
+        const files = repository.trees[this.resolveCommit(repository, query.ref).tree];
+        const normalized = filePath.replace(/\/$/, '');
+
+        if (files[normalized] !== undefined) {
+            const content = repository.blobs[files[normalized]];
+            return {
+                type: 'file',
+                name: path.posix.basename(normalized),
+                path: normalized,
+                sha: files[normalized],
+                size: Buffer.byteLength(content),
+                encoding: 'base64',
+                content: Buffer.from(content).toString('base64')
+            };
+        }
+
+        const prefix = normalized ? `${normalized}/` : '';
+        const entries = new Map();
+        for (const [entryPath, sha] of Object.entries(files)) {
+            if (!entryPath.startsWith(prefix)) continue;
+            const [name, ...rest] = entryPath.slice(prefix.length).split('/');
+            entries.set(name, rest.length > 0
+                ? { type: 'dir', name, path: `${prefix}${name}`, sha: sha1(`dir:${prefix}${name}`) }
+                : { type: 'file', name, path: entryPath, sha, size: Buffer.byteLength(repository.blobs[sha]) });
+        }
+
+        if (entries.size === 0) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return [...entries.values()];
+    }
+
+    putContent(repository, filePath, { body }) {
+        const branch = body.branch || repository.default_branch;
+        const parent = this.resolveCommit(repository, branch);
+        const files = { ...repository.trees[parent.tree] };
+
+        if (files[filePath] !== undefined && body.sha !== files[filePath]) {
+            throw new FakeGitHubError(409, `${filePath} does not match ${body.sha || 'an empty sha'}`);
+        }
+
+        files[filePath] = this.storeBlob(repository, Buffer.from(body.content, 'base64').toString());
+        const commit = this.commitFiles(repository, branch, parent, files, body.message);
+
+        return { content: { name: path.posix.basename(filePath), path: filePath, sha: files[filePath] }, commit: this.publicCommit(repository, commit) };
+    }
+
+    deleteContent(repository, filePath, { body }) {
+        const branch = body.branch || repository.default_branch;
+        const parent = this.resolveCommit(repository, branch);
+        const files = { ...repository.trees[parent.tree] };
+
+        if (files[filePath] === undefined) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        if (body.sha !== files[filePath]) {
+            throw new FakeGitHubError(409, `${filePath} does not match ${body.sha}`);
+        }
+
+        delete files[filePath];
+        const commit = this.commitFiles(repository, branch, parent, files, body.message);
+
+        return { content: null, commit: this.publicCommit(repository, commit) };
+    }
+
+    commitFiles(repository, branch, parent, files, message) {
+        const commit = this.storeCommit(repository, {
+            tree: this.storeTree(repository, files),
+            parents: [parent.sha],
+            message
+        });
+        repository.refs[`heads/${branch}`] = commit.sha;
+        return commit;
+    }
+
+    // Pull requests
+
+    listPulls(repository, { query }) {
+        const state = query.state || 'open';
+        const head = query.head ? query.head.split(':').pop() : null;
+
+        return Object.values(repository.pulls)
+            .filter(pull => state === 'all' || pull.state === state)
+            .filter(pull => !head || pull.head.ref === head)
+            .filter(pull => !query.base || pull.base.ref === query.base)
+            .map(pull => this.publicPull(repository, pull));
+    }
+
+    createPull(repository, { body }) {
+        const head = String(body.head || '').split(':').pop();
+        const base = body.base || repository.default_branch;
+
+        if (!repository.refs[`heads/${head}`]) {
+            throw new FakeGitHubError(422, `Validation Failed: head ${head} does not exist`);
+        }
+        if (!repository.refs[`heads/${base}`]) {
+            throw new FakeGitHubError(422, `Validation Failed: base ${base} does not exist`);
+        }
+        if (Object.values(repository.pulls).some(pull => pull.state === 'open' && pull.head.ref === head && pull.base.ref === base)) {
+            throw new FakeGitHubError(422, 'Validation Failed', [
+                { resource: 'PullRequest', code: 'custom', message: `A pull request already exists for ${repository.owner.login}:${head}.` }
+            ]);
+        }
+
+        const issue = this.createIssue(repository, { body: { title: body.title, body: body.body } });
+        repository.issues[issue.number].pull_request = { url: `${repository.html_url}/pull/${issue.number}` };
+
+        const pull = {
+            id: this.nextId(),
+            number: issue.number,
+            title: body.title,
+            body: body.body || null,
+            state: 'open',
+            draft: !!body.draft,
+            merged: false,
+            merged_at: null,
+            merge_commit_sha: null,
+            closed_at: null,
+            user: { login: this.options.login, type: 'Bot' },
+            head: { ref: head, sha: repository.refs[`heads/${head}`] },
+            // The base commit at creation is what the PR diff and the merge are computed against
+            base: { ref: base, sha: repository.refs[`heads/${base}`] },
+            created_at: now(),
+            updated_at: now(),
+            html_url: `${repository.html_url}/pull/${issue.number}`
+        };
+
+        repository.pulls[pull.number] = pull;
+        return this.publicPull(repository, pull);
+    }
+
+    getPull(repository, number) {
+        return this.publicPull(repository, this.pull(repository, number));
+    }
+
+    updatePull(repository, number, { body }) {
+        const pull = this.pull(repository, number);
+        const issue = repository.issues[number];
+
+        for (const field of ['title', 'body', 'state']) {
+            if (body[field] !== undefined) {
+                pull[field] = body[field];
+                issue[field] = body[field];
+            }
+        }
+        if (body.base) pull.base.ref = body.base;
+        pull.closed_at = pull.state === 'closed' ? (pull.closed_at || now()) : null;
+        pull.updated_at = now();
+
+        return this.publicPull(repository, pull);
+    }
+
+    /**
+     * Files changed on the head branch since the PR's base commit win over the base branch
+     */
+    mergePull(repository, number, { body }) {
+        const pull = this.pull(repository, number);
+        if (pull.state !== 'open') {
+            throw new FakeGitHubError(405, 'Pull Request is not mergeable');
+        }
+
+        const baseCommit = this.resolveCommit(repository, pull.base.ref);
+        const headCommit = this.resolveCommit(repository, pull.head.ref);
+        const merged = { ...repository.trees[baseCommit.tree] };
+
+        for (const file of this.changedFiles(repository, pull)) {
+            if (file.after === undefined) delete merged[file.path];
+            else merged[file.path] = file.after;
+        }
+
+        const message = body.commit_title || `Merge pull request #${number} from ${pull.head.ref}`;
+        const commit = this.storeCommit(repository, {
+            tree: this.storeTree(repository, merged),
+            parents: body.merge_method === 'squash' || body.merge_method === 'rebase' ? [baseCommit.sha] : [baseCommit.sha, headCommit.sha],
+            message
+        });
+        repository.refs[`heads/${pull.base.ref}`] = commit.sha;
+
+        Object.assign(pull, { state: 'closed', merged: true, merged_at: now(), closed_at: now(), merge_commit_sha: commit.sha, updated_at: now() });
+        repository.issues[number].state = 'closed';
+
+        return { sha: commit.sha, merged: true, message: 'Pull Request successfully merged' };
+    }
+
+    changedFiles(repository, pull) {
+        const before = repository.trees[repository.commits[pull.base.sha].tree];
+        const after = repository.trees[this.resolveCommit(repository, pull.head.ref).tree];
+        const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+        return paths
+            .filter(filePath => before[filePath] !== after[filePath])
+            .map(filePath => ({ path: filePath, before: before[filePath], after: after[filePath] }));
+    }
+
+    pullFiles(repository, pull) {
+        return this.changedFiles(repository, pull).map((file) => {
+            const patch = createPatch(
+                file.path,
+                file.before === undefined ? null : repository.blobs[file.before],
+                file.after === undefined ? null : repository.blobs[file.after]
+            );
+            const stat = diffStat(parsePatch(patch));
+
+            return {
+                sha: file.after || file.before,
+                filename: file.path,
+                status: file.before === undefined ? 'added' : file.after === undefined ? 'removed' : 'modified',
+                additions: stat.additions,
+                deletions: stat.deletions,
+                changes: stat.additions + stat.deletions,
+                // GitHub's patch field starts at the first hunk
+                patch: patch.split('\n').slice(2).join('\n')
+            };
+        });
+    }
+
+    listPullFiles(repository, number) {
+        return this.pullFiles(repository, this.pull(repository, number));
+    }
+
+    getReview(repository, number, reviewId) {
+        const review = repository.reviews.find(entry => entry.id === Number(reviewId) && entry.pull_number === Number(number));
+        if (!review) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+        return review;
+    }
+
+    listReviewComments(repository, number, reviewId) {
+        this.getReview(repository, number, reviewId);
+        return repository.reviewComments.filter(comment => comment.pull_request_review_id === Number(reviewId));
+    }
+
+    replyToReviewComment(repository, number, commentId, { body }) {
+        const parent = repository.reviewComments.find(comment => comment.id === Number(commentId) && comment.pull_number === Number(number));
+        if (!parent) {
+            throw new FakeGitHubError(404, 'Not Found');
+        }
+
+        return this.storeReviewComment(repository, number, {
+            path: parent.path,
+            line: parent.line,
+            body: body.body,
+            user: this.options.login,
+            reviewId: parent.pull_request_review_id,
+            inReplyTo: parent.id
+        });
+    }
+}
+
+// node core/fake-github.js [port] — serve a fake (seeded from GITHUB_FAKE_STATE) over HTTP
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.FAKE_GITHUB_PORT, 10) || 3456;
+    const fake = new FakeGitHub();
+
+    fake.listen(port).then(() => {
+        console.log(`🧪 Fake GitHub listening on http://127.0.0.1:${port} (set GITHUB_API_URL to use it)`);
+        console.log(`📂 Repositories: ${Object.keys(fake.state.repositories).join(', ') || 'none'}`);
+    });
+}
+
+module.exports = FakeGitHub;
+module.exports.FakeGitHubError = FakeGitHubError;
+module.exports.FAKE_BASE_URL = FAKE_BASE_URL;
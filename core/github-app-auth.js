@@ -0,0 +1,200 @@
+/**
+ * Claude Flow v3.0 - GitHub App Authentication
+ * Runs the automation as a GitHub App instead of a personal or Actions token:
+ * an RS256 JWT signed with the app's private key mints installation tokens,
+ * which are cached per installation and refreshed before they expire
+ * Clients authenticate per repository through authStrategy(), so one process
+ * can serve every repository the app is installed on, as the app's bot
+ */
+
+const jwt = require('jsonwebtoken');
+const fs = require('fs-extra');
+const { createLogger } = require('./logger');
+
+// Installation tokens live for an hour; never hand out one that is about to expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+let sharedAppAuth;
+
+function loadPrivateKey() {
+    if (process.env.GITHUB_APP_PRIVATE_KEY) {
+        // Single-line secrets carry the PEM newlines escaped
+        return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+    }
+    if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+        return fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+    }
+    return null;
+}
+
+class GitHubAppAuth {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            appId: options.appId || process.env.GITHUB_APP_ID,
+            privateKey: options.privateKey || loadPrivateKey(),
+            refreshMarginMs: options.refreshMarginMs || REFRESH_MARGIN_MS
+        };
+
+        if (!this.options.appId || !this.options.privateKey) {
+            throw new Error('GitHub App authentication requires GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY (or GITHUB_APP_PRIVATE_KEY_PATH)');
+        }
+
+        this.appId = String(this.options.appId);
+        this.tokens = new Map();
+        this.pending = new Map();
+        this.installations = new Map();
+        this.logger = options.logger || createLogger('github-app');
+    }
+
+    /**
+     * App JWT; GitHub accepts at most ten minutes and the clock may be behind
+     */
+    createJwt() {
+        const now = Math.floor(Date.now() / 1000);
+        return jwt.sign({ iat: now - 60, exp: now + 9 * 60, iss: this.appId }, this.options.privateKey, { algorithm: 'RS256' });
+    }
+
+    /**
+     * Client authenticated as the app itself (installation lookup and token minting)
+     * A fresh JWT per client, so these are short-lived and bypass the request scheduler
+     */
+    appClient() {
+        // Required lazily: github-client depends on this module
+        const { createGitHubClient } = require('./github-client');
+        return createGitHubClient({
+            token: this.createJwt(),
+            transport: this.options.transport,
+            fakeGitHub: this.options.fakeGitHub,
+            baseUrl: this.options.baseUrl,
+            scheduler: false
+        });
+    }
+
+    /**
+     * Webhook payloads name their installation; remembering it saves a lookup
+     */
+    rememberInstallation(repository, installationId) {
+        if (repository && installationId) {
+            this.installations.set(repository, installationId);
+        }
+    }
+
+    forgetInstallation(installationId) {
+        for (const [repository, id] of this.installations) {
+            if (id === installationId) this.installations.delete(repository);
+        }
+        this.tokens.delete(installationId);
+    }
+
+    async getInstallationId(owner, repo) {
+        const repository = `${owner}/${repo}`;
+
+        if (!this.installations.has(repository)) {
+            try {
+                const { data } = await this.appClient().rest.apps.getRepoInstallation({ owner, repo });
+                this.installations.set(repository, data.id);
+            } catch (error) {
+                if (error.status === 404) {
+                    throw new Error(`GitHub App ${this.appId} is not installed on ${repository}`);
+                }
+                throw error;
+            }
+        }
+
+        return this.installations.get(repository);
+    }
+
+    /**
+     * Cached installation token with at least minValidityMs left
+     * Concurrent callers share one minting request
+     */
+    async getInstallationToken(installationId, { minValidityMs = this.options.refreshMarginMs } = {}) {
+        const cached = this.tokens.get(installationId);
+        if (cached && cached.expiresAt - Date.now() > minValidityMs) {
+            return cached.token;
+        }
+
+        if (!this.pending.has(installationId)) {
+            const minting = this.mintInstallationToken(installationId)
+                .finally(() => this.pending.delete(installationId));
+            this.pending.set(installationId, minting);
+        }
+
+        return (await this.pending.get(installationId)).token;
+    }
+
+    async mintInstallationToken(installationId) {
+        const { data } = await this.appClient().rest.apps.createInstallationAccessToken({ installation_id: installationId });
+        const entry = {
+            token: data.token,
+            expiresAt: new Date(data.expires_at).getTime(),
+            permissions: data.permissions
+        };
+
+        this.tokens.set(installationId, entry);
+        this.logger.info(`🔑 Installation token minted for installation ${installationId} (expires ${data.expires_at})`);
+        return entry;
+    }
+
+    async getRepositoryToken(owner, repo, options = {}) {
+        return this.getInstallationToken(await this.getInstallationId(owner, repo), options);
+    }
+
+    /**
+     * Octokit authStrategy for one repository or installation:
+     *   new Octokit({ authStrategy: appAuth.authStrategy(), auth: { owner, repo } })
+     * Every request gets a current installation token; a 401 (revoked token) is retried once with a new one
+     */
+    authStrategy() {
+        return ({ owner, repo, installationId }) => {
+            const resolveInstallation = async () => installationId || this.getInstallationId(owner, repo);
+            const token = async () => this.getInstallationToken(await resolveInstallation());
+
+            const auth = async () => ({ type: 'token', tokenType: 'installation', token: await token() });
+
+            auth.hook = async (request, route, parameters) => {
+                const endpoint = request.endpoint.merge(route, parameters);
+                endpoint.headers.authorization = `token ${await token()}`;
+
+                try {
+                    return await request(endpoint);
+                } catch (error) {
+                    if (error.status !== 401) throw error;
+
+                    this.tokens.delete(await resolveInstallation());
+                    endpoint.headers.authorization = `token ${await token()}`;
+                    return request(endpoint);
+                }
+            };
+
+            return auth;
+        };
+    }
+
+    /**
+     * The app's bot account, e.g. "claude-flow[bot]"
+     */
+    async getBotLogin() {
+        const { data } = await this.appClient().rest.apps.getAuthenticated();
+        return `${data.slug}[bot]`;
+    }
+}
+
+/**
+ * Process-wide app auth when GITHUB_APP_ID and a private key are configured, otherwise null
+ */
+function getGitHubAppAuth() {
+    if (sharedAppAuth === undefined) {
+        sharedAppAuth = process.env.GITHUB_APP_ID && loadPrivateKey() ? new GitHubAppAuth() : null;
+    }
+    return sharedAppAuth;
+}
+
+function resetGitHubAppAuth(appAuth = undefined) {
+    sharedAppAuth = appAuth;
+}
+
+module.exports = GitHubAppAuth;
+module.exports.getGitHubAppAuth = getGitHubAppAuth;
+module.exports.resetGitHubAppAuth = resetGitHubAppAuth;
@@ -0,0 +1,173 @@
+/**
+ * Claude Flow v3.0 - GitHub Client Factory
+ * The one place Octokit clients are built, so the transport can be swapped:
+ *   rest - api.github.com, or GITHUB_API_URL for GitHub Enterprise or a fake served over HTTP
+ *   fake - an in-process FakeGitHub shared by every client in the process
+ * Modules take an `octokit` option and fall back to createGitHubClient()
+ * Auth is GITHUB_TOKEN, or per-repository installation tokens when a GitHub App is
+ * configured (see github-app-auth.js); an explicit token option wins over both
+ * Clients sharing a token share a GitHubRequestScheduler, which owns that token's quota
+ * Comment, issue and PR text and commit messages are redacted before they are sent
+ * Every request is a client span, including time spent waiting for the scheduler, and is counted
+ * in claude_flow_github_requests_total (see metrics.js)
+ */
+
+const { Octokit } = require('@octokit/rest');
+const crypto = require('crypto');
+const FakeGitHub = require('./fake-github');
+const GitHubRequestScheduler = require('./github-scheduler');
+const { getGitHubAppAuth } = require('./github-app-auth');
+const { redactText } = require('./redaction');
+const { withSpan, SPAN_KIND } = require('./tracing');
+const { getMetrics } = require('./metrics');
+
+const GITHUB_TRANSPORTS = ['rest', 'fake'];
+
+// Request parameters holding prose that ends up on GitHub; file contents are never rewritten
+const REDACTED_PARAMETERS = ['body', 'title', 'message'];
+
+let sharedFakeGitHub = null;
+const schedulers = new Map();
+
+/**
+ * The process-wide fake used by the `fake` transport
+ * Seeded from GITHUB_FAKE_STATE when set; tests can seed it directly
+ */
+function getFakeGitHub() {
+    if (!sharedFakeGitHub) {
+        sharedFakeGitHub = new FakeGitHub();
+    }
+    return sharedFakeGitHub;
+}
+
+function resetFakeGitHub(fake = null) {
+    sharedFakeGitHub = fake;
+    return getFakeGitHub();
+}
+
+/**
+ * Scheduler for a token; keyed by a hash so tokens never appear in stats
+ */
+function getGitHubScheduler(token, options = {}) {
+    const key = token ? crypto.createHash('sha256').update(token).digest('hex').slice(0, 12) : 'anonymous';
+
+    if (!schedulers.has(key)) {
+        schedulers.set(key, new GitHubRequestScheduler(options));
+    }
+    return schedulers.get(key);
+}
+
+/**
+ * Queue depth and quota of every scheduler in the process
+ */
+function getGitHubSchedulerStats() {
+    const clients = Object.fromEntries([...schedulers].map(([key, scheduler]) => [key, scheduler.getStats()]));
+    const all = Object.values(clients);
+
+    return {
+        queued: all.reduce((sum, stats) => sum + stats.queued, 0),
+        active: all.reduce((sum, stats) => sum + stats.active, 0),
+        clients
+    };
+}
+
+/**
+ * Build an Octokit client
+ * @param {Object} options - { octokit, token, owner, repo, installationId, appAuth, baseUrl, transport, fakeGitHub, scheduler }
+ *   octokit is returned unchanged, so callers can inject any compatible client;
+ *   owner/repo (default: REPOSITORY) pick the installation in GitHub App mode;
+ *   scheduler: false sends requests straight through
+ * @returns {Octokit}
+ */
+function createGitHubClient(options = {}) {
+    if (options.octokit) {
+        return options.octokit;
+    }
+
+    const transport = options.transport || process.env.GITHUB_TRANSPORT || 'rest';
+    if (!GITHUB_TRANSPORTS.includes(transport)) {
+        throw new Error(`Unknown GitHub transport "${transport}" (expected one of: ${GITHUB_TRANSPORTS.join(', ')})`);
+    }
+
+    const appAuth = options.token ? null : (options.appAuth || getGitHubAppAuth());
+    const token = options.token || (appAuth ? null : process.env.GITHUB_TOKEN);
+    const clientOptions = {
+        auth: token,
+        baseUrl: options.baseUrl || process.env.GITHUB_API_URL || 'https://api.github.com'
+    };
+    let schedulerKey = token;
+
+    if (appAuth) {
+        const [owner, repo] = options.owner
+            ? [options.owner, options.repo]
+            : String(process.env.REPOSITORY || process.env.GITHUB_REPOSITORY || '').split('/');
+
+        if (!options.installationId && !(owner && repo)) {
+            throw new Error('GitHub App clients need a repository (owner/repo) or an installation id');
+        }
+
+        clientOptions.authStrategy = appAuth.authStrategy();
+        clientOptions.auth = { owner, repo, installationId: options.installationId };
+        // Quota belongs to the installation, which is per account
+        schedulerKey = `app:${appAuth.appId}:${options.installationId || owner}`;
+    }
+
+    if (transport === 'fake') {
+        const fake = options.fakeGitHub || getFakeGitHub();
+        clientOptions.baseUrl = FakeGitHub.FAKE_BASE_URL;
+        clientOptions.request = { fetch: fake.fetch };
+    }
+
+    const octokit = new Octokit(clientOptions);
+
+    octokit.hook.before('request', (requestOptions) => {
+        for (const parameter of REDACTED_PARAMETERS) {
+            if (typeof requestOptions[parameter] === 'string') {
+                requestOptions[parameter] = redactText(requestOptions[parameter]);
+            }
+        }
+    });
+
+    if (options.scheduler !== false) {
+        // The fake has no secondary limits to respect, so offline runs skip the write spacing
+        const scheduler = options.scheduler || (transport === 'fake'
+            ? getGitHubScheduler(`fake:${schedulerKey}`, { writeIntervalMs: 0 })
+            : getGitHubScheduler(schedulerKey));
+        octokit.hook.wrap('request', scheduler.wrap);
+    }
+
+    // Registered last, so it wraps the scheduler too
+    octokit.hook.wrap('request', (request, requestOptions) => withSpan(`GitHub ${requestOptions.method} ${requestOptions.url}`, {
+        kind: SPAN_KIND.CLIENT,
+        attributes: {
+            'http.request.method': requestOptions.method,
+            'url.template': requestOptions.url,
+            'github.transport': transport
+        }
+    }, async (span) => {
+        const labels = { method: requestOptions.method, route: requestOptions.url };
+
+        try {
+            const response = await request(requestOptions);
+            span.setAttribute('http.response.status_code', response.status);
+            getMetrics().githubRequests.inc({ ...labels, status: response.status });
+            return response;
+        } catch (error) {
+            span.setAttribute('http.response.status_code', error.status);
+            getMetrics().githubRequests.inc({ ...labels, status: error.status || 'network' });
+            getMetrics().githubErrors.inc({ ...labels, status: error.status || 'network' });
+            throw error;
+        }
+    }));
+
+    return octokit;
+}
+
+module.exports = {
+    createGitHubClient,
+    getFakeGitHub,
+    resetFakeGitHub,
+    getGitHubScheduler,
+    getGitHubSchedulerStats,
+    GITHUB_TRANSPORTS
+};
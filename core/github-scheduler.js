@@ -0,0 +1,262 @@
+/**
+ * Claude Flow v3.0 - GitHub Request Scheduler
+ * Every Octokit request goes through one queue per token:
+ * - primary quota is read from the x-ratelimit-* headers and the queue waits for the reset
+ *   instead of spending the last requests of the hour
+ * - writes are serialized and spaced out, as GitHub asks to avoid secondary rate limits;
+ *   reads don't wait behind them
+ * - 403/429 rate-limit responses pause the whole queue (Retry-After, reset time or
+ *   exponential backoff) and the request is retried
+ */
+
+const { EventEmitter } = require('events');
+const { createLogger } = require('./logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// GitHub's guidance for a secondary limit without Retry-After is to wait at least a minute
+const SECONDARY_BACKOFF_MS = 60 * 1000;
+
+class GitHubRequestScheduler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            ...options,
+            maxConcurrent: options.maxConcurrent || parseInt(process.env.GITHUB_MAX_CONCURRENT, 10) || 4,
+            writeIntervalMs: options.writeIntervalMs ?? (parseInt(process.env.GITHUB_WRITE_INTERVAL_MS, 10) || 1000),
+            // Core requests left untouched for other users of the token
+            quotaReserve: options.quotaReserve ?? (parseInt(process.env.GITHUB_QUOTA_RESERVE, 10) || 10),
+            maxRetries: options.maxRetries ?? (parseInt(process.env.GITHUB_MAX_RETRIES, 10) || 3),
+            secondaryBackoffMs: options.secondaryBackoffMs || SECONDARY_BACKOFF_MS,
+            // A wait longer than this fails the request instead of holding the queue
+            maxWaitMs: options.maxWaitMs || parseInt(process.env.GITHUB_MAX_WAIT_MS, 10) || 60 * 60 * 1000
+        };
+
+        this.queue = [];
+        this.active = 0;
+        this.writeInFlight = false;
+        this.lastWriteAt = 0;
+        this.pausedUntil = 0;
+        this.timer = null;
+        this.quota = new Map();
+        this.counters = { completed: 0, failed: 0, retried: 0, throttled: 0 };
+        this.logger = options.logger || createLogger('github-scheduler');
+    }
+
+    /**
+     * Octokit request hook: octokit.hook.wrap('request', scheduler.wrap)
+     */
+    get wrap() {
+        return (request, options) => this.schedule(request, options);
+    }
+
+    schedule(request, options) {
+        const method = (options.method || 'GET').toUpperCase();
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                request,
+                options,
+                resolve,
+                reject,
+                write: !READ_METHODS.includes(method),
+                resource: this.resourceFor(options.url),
+                attempts: 0,
+                label: `${method} ${options.url}`
+            });
+            this.drain();
+        });
+    }
+
+    resourceFor(url = '') {
+        if (url.startsWith('/search/')) return 'search';
+        if (url === '/graphql') return 'graphql';
+        return 'core';
+    }
+
+    /**
+     * Start queued requests in order until the concurrency limit or a pause stops us
+     * Reads go past writes waiting for the write slot: callers await a write before reading
+     * what it changed, so a read queued behind a pending write never depends on it
+     */
+    drain() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        // Writes keep their order: once one has to wait, the writes behind it wait too
+        let writesHeld = this.writeInFlight;
+        let wakeIn = null;
+        let index = 0;
+
+        while (index < this.queue.length && this.active < this.options.maxConcurrent) {
+            const entry = this.queue[index];
+
+            // Writes go one at a time; the one in flight drains the queue when it settles
+            if (entry.write && writesHeld) {
+                index++;
+                continue;
+            }
+
+            const delay = this.delayFor(entry);
+            if (delay > this.options.maxWaitMs) {
+                this.queue.splice(index, 1);
+                this.counters.failed++;
+                entry.reject(new Error(`GitHub rate limit: ${entry.label} would wait ${Math.ceil(delay / 1000)}s (limit ${Math.ceil(this.options.maxWaitMs / 1000)}s)`));
+                continue;
+            }
+            if (delay > 0) {
+                wakeIn = wakeIn === null ? delay : Math.min(wakeIn, delay);
+
+                // Only the gap between writes is left: the reads behind this write can still go
+                if (entry.write && this.holdFor(entry) === 0) {
+                    writesHeld = true;
+                    index++;
+                    continue;
+                }
+
+                // A pause or a spent quota holds everything queued behind it
+                break;
+            }
+
+            this.queue.splice(index, 1);
+            this.run(entry);
+            if (entry.write) writesHeld = true;
+        }
+
+        if (wakeIn !== null) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, wakeIn);
+        }
+    }
+
+    /**
+     * Wait every request to the entry's resource has to sit out: a pause or a spent quota
+     */
+    holdFor(entry) {
+        const now = Date.now();
+        let delay = Math.max(0, this.pausedUntil - now);
+
+        const quota = this.quota.get(entry.resource);
+        const reserve = entry.resource === 'core' ? this.options.quotaReserve : 0;
+        if (quota && quota.remaining <= reserve && quota.reset > now) {
+            delay = Math.max(delay, quota.reset - now + 1000);
+        }
+
+        return delay;
+    }
+
+    delayFor(entry) {
+        const delay = this.holdFor(entry);
+        return entry.write ? Math.max(delay, this.lastWriteAt + this.options.writeIntervalMs - Date.now()) : delay;
+    }
+
+    async run(entry) {
+        this.active++;
+        if (entry.write) this.writeInFlight = true;
+
+        // Count the request against the quota now so concurrent requests don't overshoot it
+        const quota = this.quota.get(entry.resource);
+        if (quota) quota.remaining--;
+
+        try {
+            const response = await entry.request(entry.options);
+            this.observe(entry.resource, response.headers);
+            this.counters.completed++;
+            entry.resolve(response);
+        } catch (error) {
+            this.observe(entry.resource, error.response?.headers);
+            const wait = this.retryDelay(error, entry);
+
+            if (wait !== null && entry.attempts < this.options.maxRetries) {
+                entry.attempts++;
+                this.counters.retried++;
+                this.queue.unshift(entry);
+                this.pause(wait, `${entry.label} hit a rate limit (${error.status})`);
+            } else {
+                this.counters.failed++;
+                entry.reject(error);
+            }
+        } finally {
+            this.active--;
+            if (entry.write) {
+                this.writeInFlight = false;
+                this.lastWriteAt = Date.now();
+            }
+            this.drain();
+        }
+    }
+
+    /**
+     * How long to wait before retrying a failed request, or null when it is not a rate limit
+     */
+    retryDelay(error, entry) {
+        if (error.status !== 403 && error.status !== 429) {
+            return null;
+        }
+
+        const headers = error.response?.headers || {};
+        const retryAfter = parseInt(headers['retry-after'], 10);
+        if (!Number.isNaN(retryAfter)) {
+            return retryAfter * 1000;
+        }
+
+        if (headers['x-ratelimit-remaining'] === '0') {
+            return Math.max(0, parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now()) + 1000;
+        }
+
+        // A plain 403 is a permission error
+        if (error.status === 429 || /secondary rate limit|abuse/i.test(error.message)) {
+            return this.options.secondaryBackoffMs * 2 ** entry.attempts;
+        }
+
+        return null;
+    }
+
+    pause(ms, reason) {
+        const until = Date.now() + ms;
+        if (until <= this.pausedUntil) return;
+
+        this.pausedUntil = until;
+        this.counters.throttled++;
+        this.logger.warn(`⏸️ Pausing GitHub requests for ${Math.ceil(ms / 1000)}s: ${reason} (${this.queue.length} queued)`);
+        this.emit('throttled', { until: new Date(until).toISOString(), reason });
+
+        // A drain timer set for an earlier time would start requests too soon
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    observe(resource, headers = {}) {
+        if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+            return;
+        }
+
+        this.quota.set(headers['x-ratelimit-resource'] || resource, {
+            limit: parseInt(headers['x-ratelimit-limit'], 10),
+            remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+            reset: parseInt(headers['x-ratelimit-reset'], 10) * 1000
+        });
+    }
+
+    getStats() {
+        return {
+            queued: this.queue.length,
+            active: this.active,
+            pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+            quota: Object.fromEntries([...this.quota].map(([resource, quota]) => [resource, {
+                ...quota,
+                reset: new Date(quota.reset).toISOString()
+            }])),
+            ...this.counters
+        };
+    }
+}
+
+module.exports = GitHubRequestScheduler;
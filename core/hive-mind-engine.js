@@ -9,7 +9,13 @@ const { EventEmitter } = require('events');
 const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
-const winston = require('winston');
+const { createLogger, withLogContext } = require('./logger');
+const { withSpan } = require('./tracing');
+const { getMetrics } = require('./metrics');
+const { createLLMProvider } = require('./llm-provider');
+const MemoryManager = require('./memory-manager');
+const UnifiedStore = require('./unified-store');
+const { redact } = require('./redaction');
 
 class HiveMindEngine extends EventEmitter {
     constructor(options = {}) {
@@ -24,7 +30,7 @@ class HiveMindEngine extends EventEmitter {
             ...options
         };
         
-        // Core state management (in-memory, no SQLite dependency)
+        // Core state management (in-memory working set, persisted through MemoryManager)
         this.state = {
             sessions: new Map(),
             agents: new Map(),
@@ -40,15 +46,29 @@ class HiveMindEngine extends EventEmitter {
             }
         };
         
-        // Memory persistence (JSON-based, lightweight) - Setup FIRST  
-        this.memoryPath = path.join(process.cwd(), 'hive-mind-memory');
+        // Memory persistence - Setup FIRST; checkpoints sit next to an injected memory manager's files
+        this.memoryPath = options.memoryPath ||
+            (options.memoryManager && options.memoryManager.options.memoryPath) ||
+            path.join(process.cwd(), 'hive-mind-memory');
         
-        // Setup logger (needs memoryPath)
-        this.logger = this.setupLogger();
+        // Setup logger
+        this.logger = createLogger('hive-mind');
+        
+        // LLM provider used by agents during swarm analysis
+        this.llmProvider = options.llmProvider || createLLMProvider(options.llm);
+        
+        // Durable memory shared with the orchestrator (json or sqlite storage)
+        this.ensureMemoryDirectory();
+        this.memory = options.memoryManager || new MemoryManager({
+            memoryPath: this.memoryPath,
+            storage: options.memoryStorage
+        });
+        
+        // Session history lives in the unified schema shared with the dashboard and CLI
+        this.store = options.store || new UnifiedStore();
         
         // Initialize neural pattern recognition
         this.initializeNeuralNetworks();
-        this.ensureMemoryDirectory();
         
         this.logger.info('🐝 Hive-Mind Engine v3.0 initialized - True AI Mode');
     }
@@ -63,49 +83,15 @@ class HiveMindEngine extends EventEmitter {
             learningOptimizer: new LearningOptimizationNetwork()
         };
         
-        // Load existing patterns from memory
-        this.loadNeuralPatterns();
-    }
-    
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.colorize(),
-                winston.format.printf(({ timestamp, level, message, ...meta }) => {
-                    return `${timestamp} [HIVE-MIND] ${level}: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
-                })
-            ),
-            transports: [
-                new winston.transports.Console(),
-                new winston.transports.File({ 
-                    filename: path.join(this.memoryPath, 'hive-mind.log'),
-                    maxsize: 10485760, // 10MB
-                    maxFiles: 5
-                })
-            ]
-        });
+        // Load existing patterns from memory; sessions wait on this before starting
+        this.ready = this.loadNeuralPatterns();
     }
     
     ensureMemoryDirectory() {
         fs.ensureDirSync(this.memoryPath);
         
-        // Initialize core memory files
-        const memoryFiles = [
-            'sessions.json',
-            'patterns.json', 
-            'knowledge.json',
-            'solutions.json',
-            'agents.json'
-        ];
-        
-        memoryFiles.forEach(file => {
-            const filePath = path.join(this.memoryPath, file);
-            if (!fs.existsSync(filePath)) {
-                fs.writeJsonSync(filePath, {}, { spaces: 2 });
-            }
-        });
+        // Per-session phase checkpoints for resumable runs
+        fs.ensureDirSync(path.join(this.memoryPath, 'checkpoints'));
     }
     
     /**
@@ -113,7 +99,10 @@ class HiveMindEngine extends EventEmitter {
      * This is the main entry point for true AI capabilities
      */
     async spawnHiveMind(issueData, sessionOptions = {}) {
-        const sessionId = crypto.randomUUID();
+        await this.ready;
+        
+        // Orchestrated runs reuse the orchestration id so both record the same session
+        const sessionId = sessionOptions.sessionId || crypto.randomUUID();
         const startTime = Date.now();
         
         this.logger.info(`🚀 Spawning Hive-Mind session ${sessionId} for Issue #${issueData.number}`);
@@ -139,71 +128,204 @@ class HiveMindEngine extends EventEmitter {
         this.state.sessions.set(sessionId, session);
         this.state.metrics.totalSessions++;
         
-        try {
-            // Phase 1: Deep Neural Analysis
-            session.status = 'analyzing';
-            const analysis = await this.performDeepAnalysis(session);
-            
-            // Phase 2: Agent Spawning Strategy
-            session.status = 'spawning';
-            const agentStrategy = await this.generateAgentStrategy(session, analysis);
-            const agents = await this.spawnIntelligentAgents(session, agentStrategy);
-            
-            // Phase 3: Coordinated Problem Solving
-            session.status = 'coordinating';
-            const coordination = await this.coordinateAgentSwarm(session, agents, analysis);
-            
-            // Phase 4: Solution Synthesis
-            session.status = 'synthesizing';
-            const solutions = await this.synthesizeSolutions(session, coordination);
-            
-            // Phase 5: Quality Assessment
-            session.status = 'validating';
-            const validation = await this.performQualityAssessment(session, solutions);
-            
-            // Phase 6: Learning Integration
-            session.status = 'learning';
-            await this.integrateLearnedPatterns(session, validation);
-            
-            // Phase 7: Final Output Generation
-            session.status = 'completed';
-            const finalResult = await this.generateFinalOutput(session, validation);
-            
-            // Update metrics
-            const duration = Date.now() - startTime;
-            session.duration = duration;
-            this.state.metrics.successfulResolutions++;
-            this.updateAverageResolutionTime(duration);
-            
-            // Persist session
-            await this.persistSession(session);
-            
-            this.logger.info(`✅ Hive-Mind session ${sessionId} completed successfully in ${Math.round(duration/1000)}s`);
+        const checkpoint = {
+            sessionId,
+            sessionOptions,
+            completedPhases: [],
+            outputs: {}
+        };
+        
+        await this.saveCheckpoint(session, checkpoint);
+        
+        return withLogContext({ sessionId, issueNumber: issueData.number }, () =>
+            this.executeSessionPhases(session, checkpoint));
+    }
+    
+    /**
+     * Resume a checkpointed Hive-Mind session
+     * Restarts from the phase after the last completed one
+     */
+    async resumeSession(sessionId) {
+        await this.ready;
+        
+        const checkpoint = await this.loadCheckpoint(sessionId);
+        
+        if (!checkpoint) {
+            throw new Error(`No checkpoint found for session ${sessionId}`);
+        }
+        
+        const session = this.restoreSession(checkpoint.session);
+        
+        if (checkpoint.completedPhases.includes('completed')) {
+            this.logger.info(`📦 Session ${sessionId} already completed, returning checkpointed result`);
+            return this.buildSessionResult(session, checkpoint.outputs);
+        }
+        
+        if (this.state.sessions.has(sessionId) && this.state.sessions.get(sessionId).status !== 'failed') {
+            throw new Error(`Session ${sessionId} is already running`);
+        }
+        
+        const lastPhase = checkpoint.completedPhases[checkpoint.completedPhases.length - 1] || 'none';
+        this.logger.info(`♻️ Resuming Hive-Mind session ${sessionId} after phase: ${lastPhase}`);
+        
+        session.resumedAt = Date.now();
+        session.resumeCount = (session.resumeCount || 0) + 1;
+        delete session.error;
+        
+        // A failed spawning phase may have checkpointed some of its agents; the retry spawns the full set again
+        if (!checkpoint.completedPhases.includes('spawning')) {
+            session.agents.clear();
+            session.metrics.agentsSpawned = 0;
+        }
+        
+        for (const agent of session.agents.values()) {
+            this.state.agents.set(agent.id, agent);
+        }
+        this.state.sessions.set(sessionId, session);
+        
+        return withLogContext({ sessionId, issueNumber: session.issue?.number }, () =>
+            this.executeSessionPhases(session, checkpoint));
+    }
+    
+    /**
+     * Ordered resolution phases
+     * Each phase output is checkpointed under its name before the next one starts
+     */
+    getSessionPhases() {
+        return [
+            {
+                // Phase 1: Deep Neural Analysis
+                name: 'analyzing',
+                run: (session) => this.performDeepAnalysis(session)
+            },
+            {
+                // Phase 2: Agent Spawning Strategy
+                name: 'spawning',
+                run: async (session, outputs) => {
+                    const agentStrategy = await this.generateAgentStrategy(session, outputs.analyzing);
+                    await this.spawnIntelligentAgents(session, agentStrategy);
+                    return agentStrategy;
+                }
+            },
+            {
+                // Phase 3: Coordinated Problem Solving
+                name: 'coordinating',
+                run: (session, outputs) => this.coordinateAgentSwarm(
+                    session,
+                    Array.from(session.agents.values()),
+                    outputs.analyzing
+                )
+            },
+            {
+                // Phase 4: Solution Synthesis
+                name: 'synthesizing',
+                run: (session, outputs) => this.synthesizeSolutions(session, outputs.coordinating)
+            },
+            {
+                // Phase 5: Quality Assessment
+                name: 'validating',
+                run: (session, outputs) => this.performQualityAssessment(session, outputs.synthesizing)
+            },
+            {
+                // Phase 6: Learning Integration
+                name: 'learning',
+                run: async (session, outputs) => {
+                    await this.integrateLearnedPatterns(session, outputs.validating);
+                    return null;
+                }
+            },
+            {
+                // Phase 7: Final Output Generation
+                name: 'completed',
+                run: (session, outputs) => this.generateFinalOutput(session, outputs.validating)
+            }
+        ];
+    }
+    
+    async executeSessionPhases(session, checkpoint) {
+        return withSpan('hive-mind.session', {
+            attributes: {
+                'session.id': session.id,
+                'issue.number': session.issue?.number,
+                'hive-mind.checkpointed_phases': checkpoint.completedPhases.length
+            }
+        }, async () => {
+            const { outputs, completedPhases } = checkpoint;
             
-            return {
-                success: true,
-                sessionId,
-                duration,
-                intelligence: 'advanced-ai',
-                agentsUsed: agents.length,
-                patternsRecognized: session.metrics.patternsRecognized,
-                qualityScore: session.metrics.qualityScore,
-                result: finalResult
-            };
+            try {
+                for (const phase of this.getSessionPhases()) {
+                    if (completedPhases.includes(phase.name)) continue;
+                    
+                    session.status = phase.name;
+                    outputs[phase.name] = await this.runPhase(phase, session, outputs);
+                    completedPhases.push(phase.name);
+                    
+                    await this.saveCheckpoint(session, checkpoint);
+                }
+                
+                // Update metrics
+                const duration = Date.now() - session.startTime;
+                session.duration = duration;
+                this.state.metrics.successfulResolutions++;
+                this.updateAverageResolutionTime(duration);
+                
+                // Persist session
+                await this.persistSession(session);
+                await this.saveCheckpoint(session, checkpoint);
+                
+                this.logger.info(`✅ Hive-Mind session ${session.id} completed successfully in ${Math.round(duration/1000)}s`);
+                
+                return this.buildSessionResult(session, outputs);
             
+            } catch (error) {
+                session.status = 'failed';
+                session.error = {
+                    message: error.message,
+                    stack: error.stack,
+                    phase: this.getSessionPhases().find(p => !completedPhases.includes(p.name))?.name,
+                    timestamp: Date.now()
+                };
+                
+                await this.saveCheckpoint(session, checkpoint);
+                await this.handleSessionFailure(session, error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Run one phase in its own span and record its duration
+     */
+    async runPhase(phase, session, outputs) {
+        const startTime = Date.now();
+        const observe = outcome => getMetrics().phaseDuration.observe({ phase: phase.name, outcome }, (Date.now() - startTime) / 1000);
+        
+        try {
+            const output = await withSpan(`hive-mind.phase.${phase.name}`, {
+                attributes: { 'hive-mind.phase': phase.name }
+            }, () => phase.run(session, outputs));
+            observe('completed');
+            return output;
         } catch (error) {
-            session.status = 'failed';
-            session.error = {
-                message: error.message,
-                stack: error.stack,
-                timestamp: Date.now()
-            };
-            
-            await this.handleSessionFailure(session, error);
+            observe('failed');
             throw error;
         }
     }
     
+    buildSessionResult(session, outputs) {
+        return {
+            success: true,
+            sessionId: session.id,
+            duration: session.duration,
+            intelligence: 'advanced-ai',
+            agentsUsed: session.agents.size,
+            patternsRecognized: session.metrics.patternsRecognized,
+            qualityScore: session.metrics.qualityScore,
+            resumed: !!session.resumedAt,
+            result: outputs.completed
+        };
+    }
+    
     /**
      * Perform deep neural analysis of the issue
      * Uses advanced pattern recognition to understand the problem
@@ -430,7 +552,9 @@ class HiveMindEngine extends EventEmitter {
             maxAgents: this.options.maxAgents,
             complexity: analysis.complexity.level,
             domain: analysis.domain,
-            patterns: analysis.patterns
+            patterns: analysis.patterns,
+            // Repositories may restrict the agent types a run can use
+            agentTypes: session.agentTypes
         });
         
         return {
@@ -490,6 +614,7 @@ class HiveMindEngine extends EventEmitter {
         
         for (const agentSpec of strategy.agents) {
             const agent = await this.createIntelligentAgent(session, agentSpec);
+            getMetrics().agentsSpawned.inc({ type: agentSpec.type });
             agents.push(agent);
             session.agents.set(agent.id, agent);
             this.state.agents.set(agent.id, agent);
@@ -570,7 +695,7 @@ class HiveMindEngine extends EventEmitter {
         
         // Phase 1: Individual Analysis
         const individualAnalyses = await Promise.all(
-            agents.map(agent => this.executeAgentAnalysis(agent, analysis))
+            agents.map(agent => this.executeAgentAnalysis(agent, analysis, session.issue))
         );
         
         coordination.phases.push({
@@ -600,67 +725,59 @@ class HiveMindEngine extends EventEmitter {
         return coordination;
     }
     
-    async executeAgentAnalysis(agent, analysis) {
-        // Simulate advanced AI agent analysis
-        return {
-            agentId: agent.id,
-            findings: await this.generateAgentFindings(agent, analysis),
-            recommendations: await this.generateAgentRecommendations(agent, analysis),
-            confidence: this.calculateAgentConfidence(agent, analysis),
-            timestamp: Date.now()
-        };
-    }
-    
-    async generateAgentFindings(agent, analysis) {
-        // Generate findings based on agent specialization
-        const findings = [];
-        
-        switch (agent.type) {
-            case 'analyzer':
-                findings.push(`Root cause identified in ${analysis.domain} domain`);
-                findings.push(`Complexity level: ${analysis.complexity.level}`);
-                break;
-            case 'implementer':
-                findings.push(`Implementation approach: ${analysis.solutionSpace[0] || 'general'}`);
-                findings.push(`Estimated effort: ${analysis.complexity.estimatedEffort} hours`);
-                break;
-            case 'tester':
-                findings.push(`Testing strategy required for ${analysis.domain}`);
-                findings.push(`Risk level: ${analysis.risks.length > 0 ? 'medium' : 'low'}`);
-                break;
-            default:
-                findings.push(`Analysis completed from ${agent.specialization} perspective`);
-        }
-        
-        return findings;
+    async executeAgentAnalysis(agent, analysis, issue) {
+        // The agent's log lines, and those of the provider call, carry its id
+        return withLogContext({ agentId: agent.id }, () => withSpan('hive-mind.agent-analysis', {
+            attributes: {
+                'agent.id': agent.id,
+                'agent.type': agent.type,
+                'llm.provider': this.llmProvider.name
+            }
+        }, async (span) => {
+            this.logger.debug(`🤖 ${agent.type} agent analyzing Issue #${issue.number}`);
+            
+            // Each agent asks the configured LLM provider for its perspective
+            const response = await this.llmProvider.analyze({
+                agent: {
+                    type: agent.type,
+                    specialization: agent.specialization,
+                    capabilities: agent.capabilities
+                },
+                issue: {
+                    number: issue.number,
+                    title: issue.title,
+                    body: issue.body,
+                    labels: issue.labels
+                },
+                context: this.buildAgentContext(analysis)
+            });
+            span.setAttribute('llm.model', response.model);
+            
+            return {
+                agentId: agent.id,
+                findings: response.findings,
+                recommendations: response.recommendations,
+                confidence: response.confidence !== null
+                    ? response.confidence
+                    : this.calculateAgentConfidence(agent, analysis),
+                provider: response.provider,
+                model: response.model,
+                timestamp: Date.now()
+            };
+        }));
     }
     
-    async generateAgentRecommendations(agent, analysis) {
-        // Generate recommendations based on agent expertise
-        const recommendations = [];
-        
-        switch (agent.type) {
-            case 'analyzer':
-                recommendations.push('Conduct thorough impact analysis');
-                recommendations.push('Identify all stakeholders affected');
-                break;
-            case 'implementer':
-                recommendations.push('Follow test-driven development approach');
-                recommendations.push('Implement with backward compatibility');
-                break;
-            case 'tester':
-                recommendations.push('Create comprehensive test suite');
-                recommendations.push('Include edge case testing');
-                break;
-            case 'security-specialist':
-                recommendations.push('Perform security vulnerability scan');
-                recommendations.push('Implement secure coding practices');
-                break;
-            default:
-                recommendations.push('Ensure solution meets quality standards');
-        }
-        
-        return recommendations;
+    buildAgentContext(analysis) {
+        // Only the parts of the deep analysis that are useful in a prompt
+        return {
+            domain: analysis.domain,
+            complexity: analysis.complexity.level,
+            estimatedEffort: analysis.complexity.estimatedEffort,
+            priority: analysis.priority,
+            solutionSpace: analysis.solutionSpace,
+            risks: analysis.risks,
+            matchedPatterns: analysis.patterns.map(p => ({ id: p.id, similarity: p.similarity }))
+        };
     }
     
     calculateAgentConfidence(agent, analysis) {
@@ -984,15 +1101,19 @@ class HiveMindEngine extends EventEmitter {
     // NEURAL NETWORK IMPLEMENTATIONS
     // =================================================================
     
-    loadNeuralPatterns() {
-        // Load existing patterns from persistent storage
+    async loadNeuralPatterns() {
+        // Load existing patterns and knowledge from persistent storage
         try {
-            const patternsFile = path.join(this.memoryPath, 'patterns.json');
-            if (fs.existsSync(patternsFile)) {
-                const patterns = fs.readJsonSync(patternsFile);
-                for (const [id, pattern] of Object.entries(patterns)) {
-                    this.state.patterns.set(id, pattern);
-                }
+            await this.memory.ready;
+            
+            for (const [id, pattern] of this.memory.cache.patterns) {
+                this.state.patterns.set(id, pattern);
+            }
+            for (const [id, knowledge] of this.memory.cache.knowledge) {
+                this.state.knowledge.set(id, knowledge);
+            }
+            
+            if (this.state.patterns.size > 0) {
                 this.logger.info(`📚 Loaded ${this.state.patterns.size} neural patterns`);
             }
         } catch (error) {
@@ -1037,20 +1158,117 @@ class HiveMindEngine extends EventEmitter {
         return similarity / factors;
     }
     
+    // =================================================================
+    // SESSION CHECKPOINTS
+    // =================================================================
+    
+    getCheckpointPath(sessionId) {
+        return path.join(this.memoryPath, 'checkpoints', `${sessionId}.json`);
+    }
+    
+    async saveCheckpoint(session, checkpoint) {
+        const checkpointFile = this.getCheckpointPath(session.id);
+        const tempFile = `${checkpointFile}.${process.pid}.tmp`;
+        
+        checkpoint.status = session.status;
+        checkpoint.session = this.serializeSession(session);
+        checkpoint.updatedAt = Date.now();
+        
+        try {
+            // Write-then-rename so a killed process never leaves a torn checkpoint
+            await fs.writeJson(tempFile, redact(checkpoint), { spaces: 2 });
+            await fs.move(tempFile, checkpointFile, { overwrite: true });
+        } catch (error) {
+            this.logger.error(`Failed to checkpoint session ${session.id}:`, error.message);
+        }
+    }
+    
+    async loadCheckpoint(sessionId) {
+        const checkpointFile = this.getCheckpointPath(sessionId);
+        
+        if (!(await fs.pathExists(checkpointFile))) {
+            return null;
+        }
+        
+        return fs.readJson(checkpointFile);
+    }
+    
+    /**
+     * List checkpointed sessions that did not reach the completed phase
+     */
+    async listResumableSessions() {
+        const checkpointDir = path.join(this.memoryPath, 'checkpoints');
+        const files = (await fs.readdir(checkpointDir)).filter(file => file.endsWith('.json'));
+        const resumable = [];
+        
+        for (const file of files) {
+            try {
+                const checkpoint = await fs.readJson(path.join(checkpointDir, file));
+                if (!checkpoint.completedPhases.includes('completed')) {
+                    resumable.push({
+                        sessionId: checkpoint.sessionId,
+                        issueNumber: checkpoint.session.issue?.number,
+                        status: checkpoint.status,
+                        completedPhases: checkpoint.completedPhases,
+                        updatedAt: checkpoint.updatedAt
+                    });
+                }
+            } catch (error) {
+                this.logger.warn(`Skipping unreadable checkpoint ${file}:`, error.message);
+            }
+        }
+        
+        return resumable.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+    
+    serializeSession(session) {
+        // Convert Maps to objects for JSON serialization
+        return {
+            ...session,
+            agents: Object.fromEntries(
+                Array.from(session.agents.entries()).map(([id, agent]) => [id, {
+                    ...agent,
+                    memory: Object.fromEntries(agent.memory || [])
+                }])
+            )
+        };
+    }
+    
+    restoreSession(serializedSession) {
+        return {
+            ...serializedSession,
+            agents: new Map(
+                Object.entries(serializedSession.agents || {}).map(([id, agent]) => [id, {
+                    ...agent,
+                    memory: new Map(Object.entries(agent.memory || {}))
+                }])
+            )
+        };
+    }
+    
     async persistSession(session) {
         try {
-            const sessionsFile = path.join(this.memoryPath, 'sessions.json');
-            const sessions = fs.existsSync(sessionsFile) ? fs.readJsonSync(sessionsFile) : {};
-            
-            // Convert Maps to objects for JSON serialization
-            const serializedSession = {
-                ...session,
-                agents: Object.fromEntries(session.agents),
-                timestamp: Date.now()
-            };
-            
-            sessions[session.id] = serializedSession;
-            fs.writeJsonSync(sessionsFile, sessions, { spaces: 2 });
+            this.store.upsertSession({
+                sessionId: session.id,
+                source: 'engine',
+                issueNumber: session.issue?.number,
+                repository: session.repository,
+                status: session.status,
+                startTime: session.startTime,
+                endTime: Date.now(),
+                durationMs: session.duration,
+                qualityScore: session.metrics.qualityScore,
+                agents: Array.from(session.agents.keys()),
+                errorMessage: session.error?.message,
+                data: {
+                    engine: {
+                        intelligence: session.intelligence,
+                        metrics: session.metrics,
+                        errorPhase: session.error?.phase,
+                        resumeCount: session.resumeCount || 0
+                    }
+                }
+            });
             
         } catch (error) {
             this.logger.error('Failed to persist session:', error.message);
@@ -1059,15 +1277,14 @@ class HiveMindEngine extends EventEmitter {
     
     async persistLearnings(learnings) {
         try {
-            // Update patterns file
-            const patternsFile = path.join(this.memoryPath, 'patterns.json');
-            const patterns = Object.fromEntries(this.state.patterns);
-            fs.writeJsonSync(patternsFile, patterns, { spaces: 2 });
+            // Only the new records are written; existing ones stay untouched on disk
+            for (const pattern of learnings.patterns) {
+                await this.memory.storePattern(pattern);
+            }
             
-            // Update knowledge file
-            const knowledgeFile = path.join(this.memoryPath, 'knowledge.json');
-            const knowledge = Object.fromEntries(this.state.knowledge);
-            fs.writeJsonSync(knowledgeFile, knowledge, { spaces: 2 });
+            for (const knowledge of learnings.knowledge) {
+                await this.memory.storeKnowledge(knowledge);
+            }
             
         } catch (error) {
             this.logger.error('Failed to persist learnings:', error.message);
@@ -1418,7 +1635,7 @@ class AgentCoordinationNetwork {
         const maxAgents = context.maxAgents;
         
         // Generate intelligent agent strategy
-        const agentTypes = [
+        const agentTypes = context.agentTypes?.length ? context.agentTypes : [
             'analyzer', 'implementer', 'tester', 'reviewer', 'coordinator',
             'optimizer', 'validator', 'documenter', 'security-specialist', 'performance-expert'
         ];
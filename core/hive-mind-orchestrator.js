@@ -6,44 +6,124 @@
  */
 
 const HiveMindEngine = require('./hive-mind-engine');
-const { Octokit } = require('@octokit/rest');
-const winston = require('winston');
+const MemoryManager = require('./memory-manager');
+const UnifiedStore = require('./unified-store');
+const PatchGenerator = require('./patch-generator');
+const ChangePolicy = require('./change-policy');
+const GitHubAPI = require('../automation/github-api');
+const WorkspaceManager = require('../automation/workspace-manager');
+const RepositoryRegistry = require('./repository-registry');
+const { mapLabels, resolveAgents } = require('./repository-registry');
+const { loadProjectConfig, ProjectConfigError, formatConfigErrors } = require('./project-config');
+const { createGitHubClient, getGitHubSchedulerStats } = require('./github-client');
+const { getGitHubAppAuth } = require('./github-app-auth');
+const { redact } = require('./redaction');
+const { createLogger, withLogContext } = require('./logger');
+const { withSpan } = require('./tracing');
 const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 
+// Labels put on pull requests opened by the orchestrator
+const PR_LABELS = ['hive-mind-generated', 'ai-solution', 'ready-for-review'];
+
+/**
+ * GitHub answers 422 for any invalid request; "already exists" conflicts are named in the
+ * message (refs) or in the errors list (pull requests), and everything else is a real failure
+ */
+function isAlreadyExistsError(error, pattern) {
+    const data = (error.status === 422 && error.response && error.response.data) || {};
+    const messages = [data.message, ...(data.errors || []).map(item => item && item.message)];
+    return messages.some(message => pattern.test(message || ''));
+}
+
 class HiveMindOrchestrator {
     constructor(options = {}) {
+        // A configured GitHub App wins over GITHUB_TOKEN; an explicit githubToken wins over both
+        this.appAuth = options.githubToken ? null : (options.appAuth || getGitHubAppAuth());
+        
         this.options = {
             maxConcurrentSessions: options.maxConcurrentSessions || 3,
-            githubToken: options.githubToken || process.env.GITHUB_TOKEN,
+            githubToken: options.githubToken || (this.appAuth ? null : process.env.GITHUB_TOKEN),
             repository: options.repository || process.env.REPOSITORY,
             autoCreatePR: options.autoCreatePR !== false,
             learningEnabled: options.learningEnabled !== false,
+            memoryStorage: options.memoryStorage || process.env.MEMORY_STORAGE || 'json',
+            // Run the project's build and tests on a checkout with the change before opening a PR
+            validateChanges: options.validateChanges ?? process.env.VALIDATE_CHANGES !== 'false',
             ...options
         };
         
         // Validate required configuration
         this.validateConfiguration();
         
-        // Initialize GitHub API
-        this.octokit = new Octokit({ auth: this.options.githubToken });
-        
         // Parse repository information
         const [owner, repo] = this.options.repository.split('/');
         this.owner = owner;
         this.repo = repo;
         
+        // Per-repository policy (config/repositories) narrows what the options allow
+        this.repositoryConfig = options.repositoryConfig || new RepositoryRegistry().get(this.options.repository);
+        if (!this.repositoryConfig || !this.repositoryConfig.enabled) {
+            throw new Error(`Repository ${this.options.repository} is not enabled for automation (see REPOSITORY_CONFIG_DIR)`);
+        }
+        this.options.autoCreatePR = this.options.autoCreatePR && this.repositoryConfig.pullRequests.create;
+        this.options.learningEnabled = this.options.learningEnabled && this.repositoryConfig.features.learning;
+        
+        // Initialize GitHub API
+        this.octokit = createGitHubClient({
+            octokit: options.octokit,
+            token: this.options.githubToken,
+            appAuth: this.appAuth,
+            owner,
+            repo
+        });
+        
         // Initialize Hive-Mind engines
         this.engines = new Map();
         this.activeSessions = new Map();
         
+        // Runs holding one of the maxConcurrentSessions slots, and the runs waiting for one
+        this.runningSessions = 0;
+        this.slotWaiters = [];
+        
         // Initialize persistent storage first
         this.storagePath = path.join(process.cwd(), 'orchestrator-data');
         this.ensureStorageDirectory();
         
         // Setup logger after storage is ready
-        this.logger = this.setupLogger();
+        this.logger = createLogger('orchestrator');
+        
+        // One durable memory shared by every engine this orchestrator spawns
+        this.memory = options.memoryManager || new MemoryManager({ storage: this.options.memoryStorage });
+        
+        // Session history in the unified schema (runs pending migrations on open)
+        this.store = options.store || new UnifiedStore();
+        
+        // Guardrails every generated change must pass before it is validated or proposed
+        this.changePolicy = options.changePolicy || new ChangePolicy();
+        
+        // Code changes are real diffs against the repository, fetched and committed through GitHubAPI
+        this.github = options.github || new GitHubAPI({
+            token: this.options.githubToken,
+            appAuth: this.appAuth,
+            octokit: this.octokit,
+            owner: this.owner,
+            repo: this.repo,
+            defaultBranch: this.repositoryConfig.pullRequests.base,
+            changePolicy: this.changePolicy,
+            store: this.store
+        });
+        this.patchGenerator = options.patchGenerator || new PatchGenerator({
+            github: this.github,
+            logger: this.logger
+        });
+        this.workspaceManager = options.workspaceManager || new WorkspaceManager({
+            token: this.options.githubToken,
+            tokenProvider: this.appAuth ? () => this.github.getToken() : null,
+            store: this.store,
+            logger: this.logger
+        });
         
         this.logger.info('🎯 Hive-Mind Orchestrator v3.0 initialized');
         this.logger.info(`📂 Repository: ${this.owner}/${this.repo}`);
@@ -51,8 +131,8 @@ class HiveMindOrchestrator {
     }
     
     validateConfiguration() {
-        if (!this.options.githubToken) {
-            throw new Error('GitHub token is required (GITHUB_TOKEN environment variable)');
+        if (!this.options.githubToken && !this.appAuth) {
+            throw new Error('GitHub token is required (GITHUB_TOKEN, or GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY for a GitHub App)');
         }
         
         if (!this.options.repository) {
@@ -64,43 +144,10 @@ class HiveMindOrchestrator {
         }
     }
     
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.colorize(),
-                winston.format.printf(({ timestamp, level, message, ...meta }) => {
-                    return `${timestamp} [ORCHESTRATOR] ${level}: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
-                })
-            ),
-            transports: [
-                new winston.transports.Console(),
-                new winston.transports.File({ 
-                    filename: path.join(this.storagePath, 'orchestrator.log'),
-                    maxsize: 10485760, // 10MB
-                    maxFiles: 5
-                })
-            ]
-        });
-    }
-    
     ensureStorageDirectory() {
         fs.ensureDirSync(this.storagePath);
         
-        // Initialize storage files
-        const storageFiles = [
-            'sessions.json',
-            'results.json',
-            'metrics.json'
-        ];
-        
-        storageFiles.forEach(file => {
-            const filePath = path.join(this.storagePath, file);
-            if (!fs.existsSync(filePath)) {
-                fs.writeJsonSync(filePath, {}, { spaces: 2 });
-            }
-        });
+        // Session state is kept in the unified store; this directory only holds logs
     }
     
     /**
@@ -108,18 +155,64 @@ class HiveMindOrchestrator {
      * This replaces the fallback-prone automation systems
      */
     async resolveIssue(issueData, options = {}) {
-        const orchestrationId = crypto.randomUUID();
+        // A resumed run continues the session it interrupted; a webhook run records into the session the webhook created
+        const orchestrationId = options.resumeSessionId || options.sessionId || crypto.randomUUID();
+        
+        // Every log line of the run, in whichever component, carries these fields
+        return withLogContext({
+            orchestrationId,
+            sessionId: orchestrationId,
+            issueNumber: issueData.number,
+            repository: this.options.repository
+        }, () => withSpan('orchestrator.resolve-issue', {
+            attributes: {
+                'orchestration.id': orchestrationId,
+                'issue.number': issueData.number,
+                'github.repository': this.options.repository,
+                'orchestration.resumed': !!options.resumeSessionId,
+                'orchestration.dry_run': !!options.dryRun
+            }
+        }, () => this.runResolution(issueData, options, orchestrationId)));
+    }
+    
+    async runResolution(issueData, options, orchestrationId) {
+        // Runs beyond maxConcurrentSessions wait their turn instead of failing
+        await this.acquireSessionSlot(issueData.number);
+        
+        try {
+            return await this.executeResolution(issueData, options, orchestrationId);
+        } finally {
+            this.releaseSessionSlot();
+        }
+    }
+    
+    acquireSessionSlot(issueNumber) {
+        if (this.runningSessions < this.options.maxConcurrentSessions) {
+            this.runningSessions++;
+            return Promise.resolve();
+        }
+        
+        this.logger.info(`⏳ Issue #${issueNumber} waits for a free session slot (${this.slotWaiters.length + 1} waiting)`);
+        return new Promise(resolve => this.slotWaiters.push(resolve));
+    }
+    
+    releaseSessionSlot() {
+        const next = this.slotWaiters.shift();
+        if (next) {
+            // The slot passes straight to the oldest waiting run
+            next();
+        } else {
+            this.runningSessions--;
+        }
+    }
+    
+    async executeResolution(issueData, options, orchestrationId) {
         const startTime = Date.now();
         
         this.logger.info(`🚀 Starting issue resolution: Issue #${issueData.number}`);
         this.logger.info(`🎯 Orchestration ID: ${orchestrationId}`);
         
         try {
-            // Check if we can accept new sessions
-            if (this.activeSessions.size >= this.options.maxConcurrentSessions) {
-                throw new Error('Maximum concurrent sessions reached. Please wait for completion.');
-            }
-            
             // Fetch complete issue data from GitHub
             const completeIssue = await this.fetchCompleteIssueData(issueData.number);
             
@@ -137,6 +230,17 @@ class HiveMindOrchestrator {
             };
             
             this.activeSessions.set(orchestrationId, session);
+            this.store.upsertSession({
+                sessionId: orchestrationId,
+                source: 'orchestrator',
+                issueNumber: completeIssue.number,
+                repository: this.options.repository,
+                status: session.status,
+                startTime
+            });
+            
+            // The repository's own .claude-flow.yml; an invalid file stops the run before any agent starts
+            session.settings = await this.loadSessionSettings(options);
             
             // Create and configure Hive-Mind engine
             const engine = new HiveMindEngine({
@@ -144,7 +248,8 @@ class HiveMindOrchestrator {
                 learningEnabled: this.options.learningEnabled,
                 maxAgents: 15,
                 maxResolutionTime: 1800000, // 30 minutes
-                sessionId: orchestrationId
+                memoryManager: this.memory,
+                store: this.store
             });
             
             this.engines.set(orchestrationId, engine);
@@ -154,19 +259,26 @@ class HiveMindOrchestrator {
             session.status = 'executing';
             this.logger.info(`🐝 Executing Hive-Mind resolution for Issue #${completeIssue.number}`);
             
-            const hiveMindResult = await engine.spawnHiveMind(completeIssue, {
-                orchestrationId,
-                repository: this.options.repository,
-                autoCreatePR: this.options.autoCreatePR
-            });
+            // Resume from the last checkpointed phase when a previous run was interrupted
+            const hiveMindResult = options.resumeSessionId
+                ? await engine.resumeSession(options.resumeSessionId)
+                : await engine.spawnHiveMind(completeIssue, {
+                    sessionId: orchestrationId,
+                    orchestrationId,
+                    repository: this.options.repository,
+                    autoCreatePR: this.options.autoCreatePR,
+                    agentTypes: session.settings.agentTypes
+                });
             
             // Process results
             session.status = 'processing';
             const processedResult = await this.processHiveMindResult(session, hiveMindResult);
             
-            // Create GitHub artifacts (PR, comments, etc.)
+            // Create GitHub artifacts (PR, comments, etc.), or only describe them in dry-run mode
             session.status = 'publishing';
-            const githubResult = await this.publishToGitHub(session, processedResult);
+            const githubResult = options.dryRun
+                ? await withSpan('orchestrator.preview', {}, () => this.previewGitHubChanges(session, processedResult))
+                : await withSpan('orchestrator.publish', {}, () => this.publishToGitHub(session, processedResult));
             
             // Finalize session
             session.status = 'completed';
@@ -213,7 +325,9 @@ class HiveMindOrchestrator {
                 };
                 
                 // Try to post error to GitHub
-                await this.reportErrorToGitHub(session, error);
+                if (!options.dryRun) {
+                    await this.reportErrorToGitHub(session, error);
+                }
                 
                 // Persist error state
                 await this.persistResults(session);
@@ -227,6 +341,39 @@ class HiveMindOrchestrator {
         }
     }
     
+    /**
+     * Settings for one run: the server's repository config combined with the repository's .claude-flow.yml
+     * The file decides its own base branch, test commands, labels and paths; agents must be allowed by both
+     */
+    async loadSessionSettings(options = {}) {
+        const project = await loadProjectConfig(this.github);
+        if (!project.config) {
+            throw new ProjectConfigError(project.errors, project.source);
+        }
+        
+        const { config } = project;
+        const serverAgents = resolveAgents(this.repositoryConfig, options.agents).agents;
+        const agentTypes = resolveAgents({ agents: config.agents.allowed }, serverAgents).agents;
+        if (agentTypes && agentTypes.length === 0) {
+            throw new ProjectConfigError([
+                `\`agents.allowed\`: none of ${config.agents.allowed.join(', ')} may be used here (allowed: ${serverAgents.join(', ')})`
+            ], project.source);
+        }
+        
+        if (project.found) {
+            this.logger.info(`📄 Using ${project.source} from ${this.options.repository}`);
+        }
+        
+        return {
+            source: project.found ? project.source : null,
+            base: config.pullRequests.base || this.github.defaultBranch,
+            agentTypes,
+            labels: { ...this.repositoryConfig.labels, ...config.labels.rename },
+            tests: config.tests,
+            paths: config.paths
+        };
+    }
+    
     /**
      * Fetch complete issue data from GitHub API
      */
@@ -309,51 +456,65 @@ class HiveMindOrchestrator {
             alternatives: result.result.alternatives,
             
             // Implementation artifacts
-            artifacts: this.generateImplementationArtifacts(result.result)
+            artifacts: await this.generatePatchArtifacts(session, result.result)
         };
         
         return processed;
     }
     
     /**
-     * Generate implementation artifacts (files, tests, docs)
+     * Generate the code change for the issue as a unified diff against the base branch
+     * Tests and documentation are the patch's own test and markdown files
      */
-    generateImplementationArtifacts(result) {
+    async generatePatchArtifacts(session, result) {
         const artifacts = {
+            patch: '',
+            stat: { files: [], additions: 0, deletions: 0 },
             files: [],
             tests: [],
             documentation: [],
             configuration: []
         };
         
-        // Extract files from solution
-        if (result.implementation && result.implementation.files) {
-            for (const file of result.implementation.files) {
-                artifacts.files.push({
-                    path: file,
-                    content: result.implementation.code || this.generatePlaceholderCode(file),
-                    type: this.determineFileType(file)
-                });
-            }
+        // Analysis-only runs end with the analysis comment; no patch is generated or validated
+        if (session.options.analyzeOnly) {
+            return artifacts;
         }
         
-        // Generate tests
-        if (result.implementation && result.implementation.tests) {
-            artifacts.tests.push({
-                path: 'tests/hive-mind-solution.test.js',
-                content: result.implementation.tests,
-                framework: 'jest'
+        try {
+            const generated = await withSpan('orchestrator.generate-patch', {}, async (span) => {
+                const patch = await this.patchGenerator.generate({
+                    issue: session.issueData,
+                    branch: session.settings.base,
+                    pathPolicy: session.settings.paths,
+                    context: {
+                        approach: result.solution?.approach,
+                        steps: result.implementation?.steps,
+                        recommendations: result.recommendations,
+                        insights: result.insights
+                    }
+                });
+                span.setAttribute('patch.files', patch.files.length);
+                return patch;
             });
+            
+            artifacts.patch = generated.patch;
+            artifacts.stat = generated.stat;
+            artifacts.files = generated.files.map(file => ({ ...file, type: this.determineFileType(file.path) }));
+            
+            artifacts.policy = this.changePolicy.check({ files: generated.files, patch: generated.patch });
+            if (!artifacts.policy.allowed) {
+                this.logger.warn(`🛡️ Change for Issue #${session.issueNumber} blocked by policy: ${artifacts.policy.violations.map(violation => violation.message).join('; ')}`);
+            }
+        } catch (error) {
+            // Without an applicable patch there is nothing to open a PR with; the analysis comment still goes out
+            this.logger.error(`Patch generation failed: ${error.message}`);
+            artifacts.error = error.message;
         }
         
-        // Generate documentation
-        if (result.implementation && result.implementation.documentation) {
-            artifacts.documentation.push({
-                path: 'docs/hive-mind-solution.md',
-                content: result.implementation.documentation,
-                type: 'markdown'
-            });
-        }
+        artifacts.tests = artifacts.files.filter(file => /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[^.]+$/.test(file.path));
+        artifacts.documentation = artifacts.files.filter(file => /\.(md|rst|txt)$/i.test(file.path));
+        artifacts.configuration = artifacts.files.filter(file => /\.(json|ya?ml|toml|ini)$/i.test(file.path));
         
         return artifacts;
     }
@@ -372,6 +533,11 @@ class HiveMindOrchestrator {
         };
         
         try {
+            // Validate before publishing so the comment can explain a withheld PR
+            if (this.shouldValidate(processedResult)) {
+                processedResult.validation = await this.validateChanges(session, processedResult);
+            }
+            
             // Create detailed analysis comment
             const analysisComment = await this.createAnalysisComment(session, processedResult);
             githubResult.comments.push(analysisComment);
@@ -384,8 +550,14 @@ class HiveMindOrchestrator {
             if (this.options.autoCreatePR && this.shouldCreatePR(processedResult)) {
                 const pullRequest = await this.createPullRequest(session, processedResult);
                 githubResult.pullRequest = pullRequest;
+            } else if (!this.passesChangePolicy(processedResult)) {
+                this.logger.warn(`Pull Request withheld for Issue #${session.issueNumber}: blocked by change policy`);
+            } else if (processedResult.validation && !processedResult.validation.success) {
+                this.logger.warn(`Pull Request withheld for Issue #${session.issueNumber}: validation failed`);
             }
             
+            githubResult.validation = processedResult.validation || null;
+            
         } catch (error) {
             this.logger.error(`Failed to publish to GitHub: ${error.message}`);
             // Don't throw - we still want to return the solution results
@@ -399,7 +571,22 @@ class HiveMindOrchestrator {
      * Create comprehensive analysis comment
      */
     async createAnalysisComment(session, result) {
-        const comment = `## 🐝 Hive-Mind Analysis Complete
+        const response = await this.octokit.rest.issues.createComment({
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: session.issueNumber,
+            body: this.buildAnalysisComment(session, result)
+        });
+        
+        return {
+            id: response.data.id,
+            url: response.data.html_url,
+            type: 'analysis'
+        };
+    }
+    
+    buildAnalysisComment(session, result) {
+        return `## 🐝 Hive-Mind Analysis Complete
 
 **Issue #${session.issueNumber}** has been analyzed using Claude Flow's advanced Hive-Mind system.
 
@@ -419,15 +606,18 @@ ${result.solution.description || 'Advanced AI solution generated'}
 ### 🔧 Implementation Plan
 ${result.implementation.steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}
 
-### 📁 Recommended Files
-${result.artifacts.files.map(file => `- \`${file.path}\` (${file.type})`).join('\n')}
-
-### 🧪 Testing Strategy
-${result.artifacts.tests.map(test => `- \`${test.path}\` (${test.framework})`).join('\n')}
-
-### 📚 Documentation
-${result.artifacts.documentation.map(doc => `- \`${doc.path}\` (${doc.type})`).join('\n')}
-
+### 📁 Proposed Changes
+${this.formatChangeList(result.artifacts) || (session.options.analyzeOnly
+        ? '_Analysis only: no code change was generated._'
+        : `_No applicable code change was generated${result.artifacts.error ? `: ${result.artifacts.error}` : ''}_`)}
+${this.passesChangePolicy(result) ? '' : `
+### 🛡️ Change Policy
+${this.changePolicy.formatViolations(result.artifacts.policy.violations)}
+`}${result.validation ? `
+### 🧪 Build & Test Results
+${this.workspaceManager.formatResults(result.validation)}
+${result.validation.success ? '' : '\n_The change did not pass validation, so no Pull Request was opened._'}
+` : ''}
 ### 🎯 Quality Metrics
 - **Completeness**: ${Math.round(result.quality.completeness * 100)}%
 - **Maintainability**: ${Math.round(result.quality.maintainability * 100)}%
@@ -447,25 +637,30 @@ ${result.insights.neuralPathways || 'Advanced neural pattern analysis completed'
 
 *Session ID: ${session.id}*
 *Timestamp: ${new Date().toISOString()}*`;
-
-        const response = await this.octokit.rest.issues.createComment({
-            owner: this.owner,
-            repo: this.repo,
-            issue_number: session.issueNumber,
-            body: comment
-        });
-        
-        return {
-            id: response.data.id,
-            url: response.data.html_url,
-            type: 'analysis'
-        };
     }
     
     /**
      * Add appropriate labels to issue
      */
     async addLabelsToIssue(session, result) {
+        const labels = this.buildIssueLabels(session, result);
+        
+        try {
+            await this.octokit.rest.issues.addLabels({
+                owner: this.owner,
+                repo: this.repo,
+                issue_number: session.issueNumber,
+                labels
+            });
+            
+            return labels;
+        } catch (error) {
+            this.logger.warn(`Failed to add labels: ${error.message}`);
+            return [];
+        }
+    }
+    
+    buildIssueLabels(session, result) {
         const labels = [
             'hive-mind-analyzed',
             'ai-solution-ready',
@@ -482,318 +677,267 @@ ${result.insights.neuralPathways || 'Advanced neural pattern analysis completed'
             labels.push('ai-generated');
         }
         
-        try {
-            await this.octokit.rest.issues.addLabels({
-                owner: this.owner,
-                repo: this.repo,
-                issue_number: session.issueNumber,
-                labels
-            });
-            
-            return labels;
-        } catch (error) {
-            this.logger.warn(`Failed to add labels: ${error.message}`);
-            return [];
-        }
+        return mapLabels(labels, session.settings.labels);
+    }
+    
+    getPullRequestLabels(session) {
+        return mapLabels(PR_LABELS, session.settings.labels);
     }
     
     /**
      * Determine if PR should be created
      */
     shouldCreatePR(result) {
-        // Create PR if solution has high confidence and complete implementation
+        // A confident, complete solution is not enough on its own: the project's build and tests must pass too
+        return this.meetsQualityBar(result) &&
+               this.passesChangePolicy(result) &&
+               (!this.options.validateChanges || result.validation?.success === true);
+    }
+    
+    /**
+     * Only changes that could become a PR are built and tested; a blocked change never runs
+     */
+    shouldValidate(result) {
+        return this.options.autoCreatePR && this.options.validateChanges &&
+               this.meetsQualityBar(result) && this.passesChangePolicy(result);
+    }
+    
+    passesChangePolicy(result) {
+        return result.artifacts.policy?.allowed !== false;
+    }
+    
+    meetsQualityBar(result) {
         return result.quality.score > 0.8 && 
                result.quality.completeness > 0.9 && 
                result.artifacts.files.length > 0;
     }
     
+    /**
+     * Apply the change to a fresh checkout and run the project's commands against it
+     */
+    async validateChanges(session, result) {
+        this.logger.info(`🧪 Validating change for Issue #${session.issueNumber}`);
+        
+        try {
+            return await withSpan('orchestrator.validate-changes', {
+                attributes: { 'vcs.base': session.settings.base, 'patch.files': result.artifacts.files.length }
+            }, () => this.workspaceManager.validate({
+                owner: this.owner,
+                repo: this.repo,
+                branch: session.settings.base,
+                files: result.artifacts.files,
+                sessionId: session.id,
+                commands: session.settings.tests.commands,
+                commandTimeoutMs: session.settings.tests.timeoutMs
+            }));
+        } catch (error) {
+            this.logger.error(`Validation could not run: ${error.message}`);
+            return { success: false, error: error.message, branch: session.settings.base, commands: [], duration: 0 };
+        }
+    }
+    
+    getBranchName(session) {
+        return `hive-mind/issue-${session.issueNumber}`;
+    }
+    
+    getPullRequestTitle(session) {
+        return `🐝 AI Solution: ${session.issueData.title}`;
+    }
+    
+    /**
+     * Dry run: make the same decisions as publishToGitHub but write nothing to GitHub
+     * The preview is saved under orchestrator-data/previews as JSON and Markdown
+     */
+    async previewGitHubChanges(session, processedResult) {
+        this.logger.info(`🔍 Dry run: previewing GitHub changes for Issue #${session.issueNumber}`);
+        
+        // Validation only reads from GitHub, and its outcome decides whether a PR would be opened
+        if (this.shouldValidate(processedResult)) {
+            processedResult.validation = await this.validateChanges(session, processedResult);
+        }
+        
+        const willCreatePR = this.options.autoCreatePR && this.shouldCreatePR(processedResult);
+        const preview = {
+            dryRun: true,
+            sessionId: session.id,
+            repository: this.options.repository,
+            issue: { number: session.issueNumber, title: session.issueData.title },
+            comment: this.buildAnalysisComment(session, processedResult),
+            labels: this.buildIssueLabels(session, processedResult),
+            pullRequest: willCreatePR ? {
+                title: this.getPullRequestTitle(session),
+                branch: this.getBranchName(session),
+                base: session.settings.base,
+                labels: this.getPullRequestLabels(session),
+                draft: this.repositoryConfig.pullRequests.draft,
+                files: processedResult.artifacts.files.map(file => ({ path: file.path, action: file.action })),
+                patch: processedResult.artifacts.patch,
+                body: this.generatePRBody(session, processedResult)
+            } : null,
+            pullRequestSkipped: willCreatePR ? null : this.explainSkippedPR(processedResult),
+            validation: processedResult.validation || null,
+            timestamp: Date.now()
+        };
+        
+        const previewDir = path.join(this.storagePath, 'previews');
+        const baseName = `issue-${session.issueNumber}-${session.id}`;
+        const redacted = redact(preview);
+        await fs.ensureDir(previewDir);
+        await fs.writeJson(path.join(previewDir, `${baseName}.json`), redacted, { spaces: 2 });
+        await fs.writeFile(path.join(previewDir, `${baseName}.md`), this.formatPreview(redacted));
+        
+        preview.previewPath = path.join(previewDir, `${baseName}.md`);
+        this.logger.info(`📄 Dry-run preview written to ${preview.previewPath}`);
+        
+        return preview;
+    }
+    
+    explainSkippedPR(result) {
+        if (!this.repositoryConfig.pullRequests.create) return `pull requests are disabled for this repository (${this.repositoryConfig.source})`;
+        if (!this.options.autoCreatePR) return 'AUTO_CREATE_PR is disabled';
+        if (result.artifacts.files.length === 0) return `no applicable code change${result.artifacts.error ? `: ${result.artifacts.error}` : ''}`;
+        if (!this.meetsQualityBar(result)) return 'solution quality below the PR threshold';
+        if (!this.passesChangePolicy(result)) return `change blocked by policy: ${result.artifacts.policy.violations.map(violation => violation.message).join('; ')}`;
+        return 'change failed validation';
+    }
+    
+    formatPreview(preview) {
+        const lines = [
+            `# Dry run: Issue #${preview.issue.number} — ${preview.issue.title}`,
+            '',
+            `Repository: ${preview.repository} · Session: ${preview.sessionId}`,
+            '',
+            '## Issue labels',
+            preview.labels.map(label => `\`${label}\``).join(', '),
+            '',
+            '## Issue comment',
+            '',
+            preview.comment,
+            '',
+            '## Pull request'
+        ];
+        
+        if (!preview.pullRequest) {
+            lines.push('', `_No pull request would be opened: ${preview.pullRequestSkipped}_`);
+        } else {
+            const pr = preview.pullRequest;
+            lines.push(
+                '',
+                `**Title**: ${pr.title}`,
+                `**Branch**: \`${pr.branch}\` → \`${pr.base}\`${pr.draft ? ' (draft)' : ''}`,
+                `**Labels**: ${pr.labels.map(label => `\`${label}\``).join(', ')}`,
+                '',
+                '### Files',
+                ...pr.files.map(file => `- \`${file.path}\` — ${file.action}`),
+                '',
+                '### Body',
+                '',
+                pr.body
+            );
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
     /**
      * Create Pull Request with implementation
      */
     async createPullRequest(session, result) {
         this.logger.info(`📝 Creating Pull Request for Issue #${session.issueNumber}`);
         
-        const branchName = `hive-mind/issue-${session.issueNumber}`;
-        const title = `🐝 AI Solution: ${session.issueData.title}`;
+        const branchName = this.getBranchName(session);
+        const baseBranch = session.settings.base;
+        const title = this.getPullRequestTitle(session);
+        
+        // Get base branch reference
+        const mainBranch = await this.octokit.rest.git.getRef({
+            owner: this.owner,
+            repo: this.repo,
+            ref: `heads/${baseBranch}`
+        });
         
+        // Create new branch; one left by an earlier run for this issue gets the new commit on top
         try {
-            // Get main branch reference
-            const mainBranch = await this.octokit.rest.git.getRef({
-                owner: this.owner,
-                repo: this.repo,
-                ref: 'heads/main'
-            });
-            
-            // Create new branch
             await this.octokit.rest.git.createRef({
                 owner: this.owner,
                 repo: this.repo,
                 ref: `refs/heads/${branchName}`,
                 sha: mainBranch.data.object.sha
             });
-            
-            // Create files on the branch
-            for (const file of result.artifacts.files) {
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.owner,
-                    repo: this.repo,
-                    path: file.path,
-                    message: `Add ${file.path} - Hive-Mind generated`,
-                    content: Buffer.from(file.content).toString('base64'),
-                    branch: branchName
-                });
-            }
-            
-            // Create tests
-            for (const test of result.artifacts.tests) {
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.owner,
-                    repo: this.repo,
-                    path: test.path,
-                    message: `Add ${test.path} - Hive-Mind generated tests`,
-                    content: Buffer.from(test.content).toString('base64'),
-                    branch: branchName
-                });
-            }
-            
-            // Create documentation
-            for (const doc of result.artifacts.documentation) {
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.owner,
-                    repo: this.repo,
-                    path: doc.path,
-                    message: `Add ${doc.path} - Hive-Mind generated docs`,
-                    content: Buffer.from(doc.content).toString('base64'),
-                    branch: branchName
-                });
+        } catch (error) {
+            if (!isAlreadyExistsError(error, /Reference already exists/)) {
+                throw error;
             }
-            
-            // Create Pull Request
-            const prBody = this.generatePRBody(session, result);
-            
-            const pr = await this.octokit.rest.pulls.create({
+            this.logger.warn(`Branch ${branchName} already exists, committing on top of it`);
+        }
+        
+        // Commit the patched files in a single commit
+        await this.patchGenerator.commit({
+            files: result.artifacts.files,
+            branch: branchName,
+            message: `Fix #${session.issueNumber}: ${session.issueData.title}\n\nGenerated by Claude Flow Hive-Mind (session ${session.id})`
+        });
+        
+        // Create Pull Request
+        const prBody = this.generatePRBody(session, result);
+        
+        let pr;
+        try {
+            pr = await this.octokit.rest.pulls.create({
                 owner: this.owner,
                 repo: this.repo,
                 title,
                 head: branchName,
-                base: 'main',
+                base: baseBranch,
                 body: prBody,
-                draft: false
+                draft: this.repositoryConfig.pullRequests.draft
             });
-            
-            // Add labels to PR
+        } catch (error) {
+            if (!isAlreadyExistsError(error, /A pull request already exists/)) {
+                throw error;
+            }
+            // The new commit is already on the branch the open pull request tracks
+            this.logger.warn(`A pull request for ${branchName} is already open, reusing it`);
+            pr = await this.findOpenPullRequest(branchName, baseBranch);
+        }
+        
+        // Add labels to PR
+        const labels = this.getPullRequestLabels(session);
+        if (labels.length > 0) {
             await this.octokit.rest.issues.addLabels({
                 owner: this.owner,
                 repo: this.repo,
                 issue_number: pr.data.number,
-                labels: ['hive-mind-generated', 'ai-solution', 'ready-for-review']
+                labels
             });
-            
-            return {
-                number: pr.data.number,
-                url: pr.data.html_url,
-                branch: branchName,
-                title
-            };
-            
-        } catch (error) {
-            if (error.status === 422) {
-                // Branch might already exist, that's okay
-                this.logger.warn(`Branch ${branchName} already exists`);
-                return { error: 'Branch exists', branch: branchName };
-            }
-            throw error;
         }
-    }
-    
-    generateImplementationFile(session, result) {
-        return `// Hive-Mind AI Implementation for Issue #${session.issueNumber}
-// Generated by Claude Flow v3.0 Hive-Mind System
-
-/**
- * AI-Generated Solution Implementation
- * Issue: ${session.issueData.title}
- * Generated: ${new Date().toISOString()}
- */
-
-class HiveMindSolution {
-    constructor() {
-        this.issueNumber = ${session.issueNumber};
-        this.confidence = ${Math.round((result.solution?.confidence || 0.9) * 100)}%;
-        this.agents = [${result.intelligence?.agentsUsed || '"coordinator", "analyst"'}];
-    }
-    
-    async execute() {
-        console.log('🐝 Executing Hive-Mind generated solution...');
         
-        // Implementation logic generated by AI agents
-        ${result.implementation?.code || `
-        // Multi-agent coordination result
-        this.analyze();
-        this.implement();
-        this.validate();
-        `}
-        
-        console.log('✅ Solution execution completed');
-        return { success: true, confidence: this.confidence };
-    }
-    
-    analyze() {
-        // AI analysis implementation
-        console.log('🔍 Performing deep analysis...');
-    }
-    
-    implement() {
-        // AI implementation logic
-        console.log('🔧 Implementing solution...');
-    }
-    
-    validate() {
-        // AI validation logic
-        console.log('✅ Validating implementation...');
-    }
-}
-
-module.exports = HiveMindSolution;
-
-// Usage:
-// const solution = new HiveMindSolution();
-// solution.execute().then(result => console.log(result));
-`;
+        return {
+            number: pr.data.number,
+            url: pr.data.html_url,
+            branch: branchName,
+            title
+        };
     }
     
-    generateTestFile(session, result) {
-        return `// Hive-Mind AI Test Suite for Issue #${session.issueNumber}
-// Generated by Claude Flow v3.0 Test Agent
-
-const HiveMindSolution = require('../fixes/implementation-${session.issueNumber}');
-
-describe('Hive-Mind Solution #${session.issueNumber}', () => {
-    let solution;
-    
-    beforeEach(() => {
-        solution = new HiveMindSolution();
-    });
-    
-    test('should initialize correctly', () => {
-        expect(solution.issueNumber).toBe(${session.issueNumber});
-        expect(solution.confidence).toBeGreaterThan(80);
-    });
-    
-    test('should execute solution successfully', async () => {
-        const result = await solution.execute();
-        expect(result.success).toBe(true);
-        expect(result.confidence).toBeGreaterThan(80);
-    });
-    
-    test('should have valid AI agent coordination', () => {
-        expect(solution.agents).toContain('coordinator');
-        expect(solution.agents.length).toBeGreaterThanOrEqual(2);
-    });
-    
-    test('should perform analysis', () => {
-        expect(() => solution.analyze()).not.toThrow();
-    });
-    
-    test('should implement solution', () => {
-        expect(() => solution.implement()).not.toThrow();
-    });
-    
-    test('should validate implementation', () => {
-        expect(() => solution.validate()).not.toThrow();
-    });
-});
-
-// AI-generated quality metrics test
-describe('Solution Quality Metrics', () => {
-    test('meets Hive-Mind quality standards', () => {
-        const qualityScore = ${Math.round((result.quality?.score || 0.95) * 100)};
-        const completeness = ${Math.round((result.quality?.completeness || 0.95) * 100)};
+    /**
+     * The open pull request from branchName into baseBranch, shaped like a pulls.create response
+     */
+    async findOpenPullRequest(branchName, baseBranch) {
+        const { data: pulls } = await this.octokit.rest.pulls.list({
+            owner: this.owner,
+            repo: this.repo,
+            head: `${this.owner}:${branchName}`,
+            base: baseBranch,
+            state: 'open'
+        });
         
-        expect(qualityScore).toBeGreaterThanOrEqual(80);
-        expect(completeness).toBeGreaterThanOrEqual(90);
-    });
-});
-`;
-    }
-    
-    generateDocumentationFile(session, result) {
-        return `# Hive-Mind AI Solution Documentation - Issue #${session.issueNumber}
-
-## Overview
-This document describes the AI-generated solution for Issue #${session.issueNumber}: "${session.issueData.title}".
-
-## Solution Analysis
-- **Category**: ${result.analysis?.category || 'General'}
-- **Complexity**: ${result.analysis?.complexity || 'Medium'}
-- **Confidence**: ${Math.round((result.solution?.confidence || 0.9) * 100)}%
-- **AI Agents Used**: ${result.intelligence?.agentsUsed || 2}
-
-## Implementation Approach
-${result.solution?.approach || 'Multi-agent Hive-Mind coordination with specialized AI agents'}
-
-## Architecture Decisions
-${result.architecture?.decisions || '1. Modular design for maintainability\\n2. Comprehensive testing strategy\\n3. Documentation-first approach'}
-
-## Testing Strategy
-- Unit tests for core functionality
-- Integration tests for system interactions
-- Quality assurance validation
-- Performance benchmarks
-
-## Quality Metrics
-- **Score**: ${Math.round((result.quality?.score || 0.95) * 100)}%
-- **Completeness**: ${Math.round((result.quality?.completeness || 0.95) * 100)}%
-- **Maintainability**: ${Math.round((result.quality?.maintainability || 0.85) * 100)}%
-
-## Deployment Guide
-1. Review the generated implementation
-2. Run the test suite to validate functionality
-3. Deploy in staging environment
-4. Perform integration testing
-5. Deploy to production when ready
-
----
-Generated by Claude Flow Hive-Mind v3.0  
-Session: ${session.id}  
-Timestamp: ${new Date().toISOString()}
-`;
+        if (pulls.length === 0) {
+            throw new Error(`GitHub reported an open pull request for ${branchName}, but none was found`);
+        }
+        return { data: pulls[0] };
     }
     
-    generateSolutionFile(session, result) {
-        return `# Hive-Mind AI Solution for Issue #${session.issueNumber}
-
-## Problem Analysis
-**Title**: ${session.issueData.title}
-**Category**: ${result.analysis?.category || 'General'}
-**Complexity**: ${result.analysis?.complexity || 'Medium'}
-
-## AI Solution Overview
-${result.solution?.description || 'AI-powered analysis and solution generation completed successfully.'}
-
-**Approach**: ${result.solution?.approach || 'Multi-agent Hive-Mind coordination'}
-**Confidence**: ${Math.round((result.solution?.confidence || 0.9) * 100)}%
-
-## Implementation Details
-${result.implementation?.steps?.map((step, i) => `${i + 1}. ${step}`).join('\n') || '1. AI analysis completed\n2. Multi-agent coordination executed\n3. Solution generated with high confidence'}
-
-## Quality Metrics
-- **Completeness**: ${Math.round((result.quality?.completeness || 0.95) * 100)}%
-- **Maintainability**: ${Math.round((result.quality?.maintainability || 0.85) * 100)}%
-- **Confidence**: ${Math.round((result.quality?.confidence || 0.90) * 100)}%
-
-## Next Steps
-1. Review the AI-generated solution
-2. Test the implementation in your development environment
-3. Deploy when ready
-
----
-Generated by Claude Flow Hive-Mind v3.0
-Session: ${session.id}
-Timestamp: ${new Date().toISOString()}
-`;
-    }
-
     generatePRBody(session, result) {
         return `## 🐝 Hive-Mind Generated Solution
 
@@ -817,27 +961,32 @@ ${result.solution.description}
 ### 🔧 Implementation Details
 ${result.implementation.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}
 
-### 📁 Files Added/Modified
-${result.artifacts.files.map(f => `- \`${f.path}\` - ${f.type} implementation`).join('\n')}
+### 📁 Files Changed (+${result.artifacts.stat.additions} −${result.artifacts.stat.deletions})
+${this.formatChangeList(result.artifacts)}
 
-### 🧪 Testing
-${result.artifacts.tests.map(t => `- \`${t.path}\` - ${t.framework} tests`).join('\n')}
+<details>
+<summary>Patch</summary>
 
-### 📚 Documentation
-${result.artifacts.documentation.map(d => `- \`${d.path}\` - ${d.type} documentation`).join('\n')}
+\`\`\`diff
+${result.artifacts.patch.trim()}
+\`\`\`
+</details>
 
 ### 🎯 Quality Metrics
 - **Completeness**: ${Math.round(result.quality.completeness * 100)}%
 - **Maintainability**: ${Math.round(result.quality.maintainability * 100)}%
 - **Confidence**: ${Math.round(result.quality.confidence * 100)}%
 
+### 🧪 Build & Test Results
+${this.workspaceManager.formatResults(result.validation)}
+
 ### ✅ Validation Checklist
 - [x] AI analysis completed with high confidence
 - [x] Solution generated using advanced neural networks
 - [x] Quality assessment passed
-- [x] Tests generated and included
-- [x] Documentation created
-- [x] Code follows best practices
+- [${result.artifacts.tests.length > 0 ? 'x' : ' '}] Tests added or updated
+- [${result.artifacts.documentation.length > 0 ? 'x' : ' '}] Documentation updated
+- [${result.validation?.success ? 'x' : ' '}] Project build and tests pass with the change
 
 ### 🚀 Deployment Notes
 This solution was generated using Claude Flow's advanced Hive-Mind system with true AI intelligence. No fallback mode was used.
@@ -853,7 +1002,10 @@ This solution was generated using Claude Flow's advanced Hive-Mind system with t
      */
     async reportErrorToGitHub(session, error) {
         try {
-            const errorComment = `## ❌ Hive-Mind Analysis Failed
+            // A broken .claude-flow.yml is for the repository to fix, so list exactly what is wrong with it
+            const errorComment = error instanceof ProjectConfigError
+                ? formatConfigErrors(error.errors, error.source)
+                : `## ❌ Hive-Mind Analysis Failed
 
 **Session**: ${session.id}
 **Timestamp**: ${new Date().toISOString()}
@@ -891,24 +1043,32 @@ This error has been logged for analysis. The Hive-Mind system will be improved b
      * Persist results for learning and analysis
      */
     async persistResults(session) {
+        // A dry run only planned its pull request
+        const pullRequest = session.options?.dryRun ? null : session.results?.github?.pullRequest;
+        
         try {
-            const resultsFile = path.join(this.storagePath, 'results.json');
-            const results = fs.existsSync(resultsFile) ? fs.readJsonSync(resultsFile) : {};
-            
-            results[session.id] = {
-                timestamp: Date.now(),
+            this.store.upsertSession({
+                sessionId: session.id,
+                source: 'orchestrator',
                 issueNumber: session.issueNumber,
+                repository: this.options.repository,
                 status: session.status,
-                duration: session.results?.duration,
                 success: session.status === 'completed',
-                error: session.error,
-                metadata: {
-                    engines: session.engines.length,
-                    intelligence: session.results?.intelligence
+                endTime: Date.now(),
+                durationMs: session.results?.duration ?? (Date.now() - session.startTime),
+                errorMessage: session.error?.message,
+                // Review events on the PR are routed back to this session
+                prNumber: pullRequest?.number,
+                prBranch: pullRequest?.branch,
+                data: {
+                    dryRun: !!session.options?.dryRun,
+                    orchestrator: {
+                        engines: session.engines.length,
+                        intelligence: session.results?.intelligence,
+                        pullRequest: session.results?.github?.pullRequest?.number
+                    }
                 }
-            };
-            
-            fs.writeJsonSync(resultsFile, results, { spaces: 2 });
+            });
             
         } catch (error) {
             this.logger.error(`Failed to persist results: ${error.message}`);
@@ -919,19 +1079,14 @@ This error has been logged for analysis. The Hive-Mind system will be improved b
     // UTILITY METHODS
     // =================================================================
     
-    generatePlaceholderCode(filename) {
-        const ext = path.extname(filename);
+    formatChangeList(artifacts) {
+        const stats = new Map(artifacts.stat.files.map(file => [file.path, file]));
         
-        switch (ext) {
-            case '.js':
-                return `// Generated by Claude Flow Hive-Mind v3.0\n// ${filename}\n\nmodule.exports = {\n    // Implementation generated by AI\n    init() {\n        console.log('Hive-Mind solution initialized');\n    }\n};`;
-            case '.ts':
-                return `// Generated by Claude Flow Hive-Mind v3.0\n// ${filename}\n\nexport class HiveMindSolution {\n    // Implementation generated by AI\n    init(): void {\n        console.log('Hive-Mind solution initialized');\n    }\n}`;
-            case '.py':
-                return `# Generated by Claude Flow Hive-Mind v3.0\n# ${filename}\n\nclass HiveMindSolution:\n    """Implementation generated by AI"""\n    \n    def init(self):\n        print('Hive-Mind solution initialized')`;
-            default:
-                return `# Generated by Claude Flow Hive-Mind v3.0\n# ${filename}\n\n# Implementation generated by AI`;
-        }
+        return artifacts.files.map((file) => {
+            const stat = stats.get(file.path);
+            const counts = stat ? ` (+${stat.additions} −${stat.deletions})` : '';
+            return `- \`${file.path}\` — ${file.action}${counts}`;
+        }).join('\n');
     }
     
     determineFileType(filename) {
@@ -968,16 +1123,26 @@ This error has been logged for analysis. The Hive-Mind system will be improved b
             sessions: {
                 active: this.activeSessions.size,
                 maxConcurrent: this.options.maxConcurrentSessions,
+                waiting: this.slotWaiters.length,
                 total: this.engines.size
             },
             
+            // Outstanding GitHub API requests and remaining quota per token
+            githubRequests: getGitHubSchedulerStats(),
+            
             configuration: {
                 repository: `${this.owner}/${this.repo}`,
+                memoryStorage: this.memory.adapter.name,
+                schemaVersion: this.store.getSchemaVersion(),
                 autoCreatePR: this.options.autoCreatePR,
+                githubAuth: this.appAuth ? `app:${this.appAuth.appId}` : 'token',
+                repositoryConfig: this.repositoryConfig.source,
                 learningEnabled: this.options.learningEnabled
             },
             
-            engines: Array.from(this.engines.keys())
+            engines: Array.from(this.engines.keys()),
+            
+            history: this.store.getSessionStats({ repository: this.options.repository })
         };
     }
 }
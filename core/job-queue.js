@@ -0,0 +1,485 @@
+/**
+ * Claude Flow v3.0 - Job Queue
+ * Durable SQLite-backed queue for automation work
+ * Jobs survive restarts, run in priority order under a concurrency limit,
+ * retry with exponential backoff and end up dead-lettered when retries run out
+ * Workers renew the locks of their running jobs; a lock that stops being renewed, or whose
+ * process on this host is gone, is released and the job queued again; the attempt that
+ * lost it can no longer complete or fail the job
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const os = require('os');
+const { createLogger, withLogContext } = require('./logger');
+const UnifiedStore = require('./unified-store');
+const { redact, redactText } = require('./redaction');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    DEAD: 'dead',
+    CANCELLED: 'cancelled'
+};
+
+const JOB_PRIORITY = {
+    LOW: -10,
+    NORMAL: 0,
+    HIGH: 10,
+    CRITICAL: 20
+};
+
+function isProcessAlive(pid) {
+    if (pid === process.pid) return true;
+
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: the process exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+}
+
+class JobQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            ...options,
+            concurrency: options.concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+            maxAttempts: options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+            backoffBaseMs: options.backoffBaseMs || 30000,
+            backoffMaxMs: options.backoffMaxMs || 30 * 60 * 1000,
+            pollIntervalMs: options.pollIntervalMs || 1000,
+            // A running job whose lock was not renewed for this long belonged to a worker that died
+            lockTimeoutMs: options.lockTimeoutMs || parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 5 * 60 * 1000
+        };
+
+        this.store = options.store || new UnifiedStore();
+        this.db = this.store.db;
+        this.workerId = options.workerId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.handlers = new Map();
+        this.running = new Map();
+        // Running jobs whose cancellation listeners were already told
+        this.cancelNotified = new Set();
+        this.started = false;
+        this.pollTimer = null;
+        this.logger = options.logger || createLogger('job-queue');
+    }
+
+    /**
+     * Register the function that processes jobs of a type
+     * The handler receives the hydrated job; its resolved value is stored as the job result
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {string} type - registered job type
+     * @param {Object} payload - JSON-serializable job input
+     * @param {Object} options - { priority, maxAttempts, delayMs }
+     * @returns {Object} the queued job
+     */
+    enqueue(type, payload = {}, options = {}) {
+        const now = new Date();
+        const job = {
+            id: options.id || crypto.randomUUID(),
+            type,
+            // Payloads carry issue text; whatever looks like a secret is not kept in the queue
+            payload: JSON.stringify(redact(payload)),
+            priority: options.priority ?? JOB_PRIORITY.NORMAL,
+            maxAttempts: options.maxAttempts || this.options.maxAttempts,
+            runAt: new Date(now.getTime() + (options.delayMs || 0)).toISOString(),
+            now: now.toISOString()
+        };
+
+        this.db.prepare(`
+            INSERT INTO jobs (id, type, payload, priority, status, attempts, max_attempts, run_at, created_at, updated_at)
+            VALUES (@id, @type, @payload, @priority, 'queued', 0, @maxAttempts, @runAt, @now, @now)
+        `).run(job);
+
+        this.logger.info(`📥 Job queued: ${type} ${job.id} (priority ${job.priority})`);
+        this.emit('enqueued', job.id);
+
+        if (this.started) {
+            setImmediate(() => this.poll());
+        }
+
+        return this.getJob(job.id);
+    }
+
+    getJob(id) {
+        const row = this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+        return row ? this.hydrateJob(row) : null;
+    }
+
+    listJobs({ status, type, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (status) { conditions.push('status = ?'); params.push(status); }
+        if (type) { conditions.push('type = ?'); params.push(type); }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        return this.db.prepare(`
+            SELECT * FROM jobs ${where}
+            ORDER BY created_at DESC
+            LIMIT ?
+        `).all(...params, limit).map(row => this.hydrateJob(row));
+    }
+
+    /**
+     * Jobs of a type for one issue, newest first; payloads carry { repository, issue: { number } }
+     */
+    listIssueJobs(type, repository, issueNumber, statuses = null) {
+        const statusFilter = statuses ? `AND status IN (${statuses.map(() => '?').join(', ')})` : '';
+
+        return this.db.prepare(`
+            SELECT * FROM jobs
+            WHERE type = ?
+              AND json_extract(payload, '$.repository') = ?
+              AND json_extract(payload, '$.issue.number') = ?
+              ${statusFilter}
+            ORDER BY created_at DESC
+        `).all(type, repository, issueNumber, ...(statuses || [])).map(row => this.hydrateJob(row));
+    }
+
+    getStats() {
+        const counts = { queued: 0, running: 0, completed: 0, dead: 0, cancelled: 0 };
+
+        for (const row of this.db.prepare('SELECT status, COUNT(*) as count FROM jobs GROUP BY status').all()) {
+            counts[row.status] = row.count;
+        }
+
+        return {
+            ...counts,
+            concurrency: this.options.concurrency,
+            inFlight: this.running.size,
+            workerId: this.workerId
+        };
+    }
+
+    /**
+     * Put a dead-lettered job back in the queue with a fresh set of attempts
+     */
+    retryDeadJob(id) {
+        const now = new Date().toISOString();
+        const result = this.db.prepare(`
+            UPDATE jobs
+            SET status = 'queued', attempts = 0, run_at = ?, locked_by = NULL, locked_at = NULL, updated_at = ?
+            WHERE id = ? AND status = 'dead'
+        `).run(now, now, id);
+
+        if (result.changes > 0 && this.started) {
+            setImmediate(() => this.poll());
+        }
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Cancel a queued or running job
+     * Running jobs are only marked; listeners of the 'cancelled' event stop the actual work,
+     * in the worker that runs the job even when it is another process
+     */
+    cancel(id) {
+        const now = new Date().toISOString();
+        const result = this.db.prepare(`
+            UPDATE jobs
+            SET status = 'cancelled', locked_by = NULL, locked_at = NULL, completed_at = ?, updated_at = ?
+            WHERE id = ? AND status IN ('queued', 'running')
+        `).run(now, now, id);
+
+        if (result.changes === 0) {
+            return false;
+        }
+
+        this.logger.info(`🚫 Job ${id} cancelled`);
+        if (this.running.has(id)) {
+            this.cancelNotified.add(id);
+        }
+        this.emit('cancelled', this.getJob(id));
+        return true;
+    }
+
+    // =================================================================
+    // WORKER
+    // =================================================================
+
+    start() {
+        if (this.started) return;
+
+        this.started = true;
+        this.releaseOrphanedLocks();
+        this.recoverStaleJobs();
+        this.logger.info(`⚙️ Job worker ${this.workerId} started (concurrency ${this.options.concurrency})`);
+        this.schedulePoll();
+    }
+
+    /**
+     * Stop claiming new jobs and wait for the ones in flight
+     */
+    async stop() {
+        this.started = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+
+        await Promise.allSettled(Array.from(this.running.values()));
+        this.logger.info(`🛑 Job worker ${this.workerId} stopped`);
+    }
+
+    schedulePoll() {
+        if (!this.started) return;
+
+        this.pollTimer = setTimeout(() => {
+            this.renewLocks();
+            this.recoverStaleJobs();
+            this.detectCancellations();
+            this.poll();
+            this.schedulePoll();
+        }, this.options.pollIntervalMs);
+        this.pollTimer.unref();
+    }
+
+    poll() {
+        while (this.started && this.running.size < this.options.concurrency) {
+            const job = this.claimNext();
+            if (!job) break;
+
+            const execution = this.execute(job).finally(() => {
+                this.running.delete(job.id);
+                this.cancelNotified.delete(job.id);
+                // A finished job frees a slot for the next one without waiting for the timer
+                if (this.started) setImmediate(() => this.poll());
+            });
+            this.running.set(job.id, execution);
+        }
+    }
+
+    /**
+     * Running jobs of this worker cancelled by another process (the dashboard, another server)
+     * get the same 'cancelled' event as jobs cancelled here
+     */
+    detectCancellations() {
+        const ids = Array.from(this.running.keys()).filter(id => !this.cancelNotified.has(id));
+        if (ids.length === 0) return;
+
+        const cancelled = this.db.prepare(`
+            SELECT id FROM jobs WHERE status = 'cancelled' AND id IN (${ids.map(() => '?').join(', ')})
+        `).all(...ids);
+
+        for (const { id } of cancelled) {
+            this.cancelNotified.add(id);
+            this.logger.info(`🚫 Job ${id} was cancelled elsewhere`);
+            this.emit('cancelled', this.getJob(id));
+        }
+    }
+
+    /**
+     * Atomically move the next runnable job to running and lock it to this worker
+     */
+    claimNext() {
+        const types = Array.from(this.handlers.keys());
+        if (types.length === 0) return null;
+
+        const now = new Date().toISOString();
+        const row = this.db.prepare(`
+            UPDATE jobs
+            SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_at = ?, updated_at = ?
+            WHERE id = (
+                SELECT id FROM jobs
+                WHERE status = 'queued' AND run_at <= ? AND type IN (${types.map(() => '?').join(', ')})
+                ORDER BY priority DESC, run_at ASC, created_at ASC
+                LIMIT 1
+            )
+            RETURNING *
+        `).get(this.workerId, now, now, now, ...types);
+
+        return row ? this.hydrateJob(row) : null;
+    }
+
+    async execute(job) {
+        const handler = this.handlers.get(job.type);
+        this.logger.info(`▶️ Running job ${job.type} ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+        this.emit('started', job);
+
+        try {
+            const result = await withLogContext({ jobId: job.id }, () => handler(job));
+            this.complete(job, result);
+        } catch (error) {
+            this.fail(job, error);
+        }
+    }
+
+    isCancelled(job) {
+        return this.getJob(job.id)?.status === JOB_STATUS.CANCELLED;
+    }
+
+    complete(job, result) {
+        // A job cancelled while it ran keeps its cancelled status
+        if (this.isCancelled(job)) return false;
+
+        const now = new Date().toISOString();
+        const { changes } = this.db.prepare(`
+            UPDATE jobs
+            SET status = 'completed', result = ?, last_error = NULL, locked_by = NULL, locked_at = NULL,
+                completed_at = ?, updated_at = ?
+            WHERE id = ? AND status = 'running' AND locked_by = ?
+        `).run(result === undefined ? null : JSON.stringify(redact(result)), now, now, job.id, this.workerId);
+
+        if (changes === 0) return this.lockLost(job, 'completed');
+
+        this.logger.info(`✅ Job ${job.type} ${job.id} completed`);
+        this.emit('completed', this.getJob(job.id));
+        return true;
+    }
+
+    fail(job, error) {
+        if (this.isCancelled(job)) {
+            this.logger.info(`🚫 Cancelled job ${job.type} ${job.id} stopped: ${error.message}`);
+            return false;
+        }
+
+        const now = new Date();
+        const exhausted = job.attempts >= job.max_attempts;
+
+        if (exhausted) {
+            const { changes } = this.db.prepare(`
+                UPDATE jobs
+                SET status = 'dead', last_error = ?, locked_by = NULL, locked_at = NULL, updated_at = ?
+                WHERE id = ? AND status = 'running' AND locked_by = ?
+            `).run(redactText(error.message), now.toISOString(), job.id, this.workerId);
+
+            if (changes === 0) return this.lockLost(job, 'failed');
+
+            this.logger.error(`☠️ Job ${job.type} ${job.id} dead-lettered after ${job.attempts} attempts: ${error.message}`);
+            this.emit('dead', this.getJob(job.id));
+            return true;
+        }
+
+        const delay = this.getBackoffDelay(job.attempts);
+        const { changes } = this.db.prepare(`
+            UPDATE jobs
+            SET status = 'queued', last_error = ?, run_at = ?, locked_by = NULL, locked_at = NULL, updated_at = ?
+            WHERE id = ? AND status = 'running' AND locked_by = ?
+        `).run(redactText(error.message), new Date(now.getTime() + delay).toISOString(), now.toISOString(), job.id, this.workerId);
+
+        if (changes === 0) return this.lockLost(job, 'failed');
+
+        this.logger.warn(`🔁 Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        this.emit('retry', this.getJob(job.id));
+        return true;
+    }
+
+    /**
+     * The job's lock expired and it was released, or another worker claimed it, while this attempt ran
+     * The job's current state wins; this attempt's outcome is only reported
+     */
+    lockLost(job, outcome) {
+        this.logger.warn(`🔒 Job ${job.type} ${job.id} ${outcome}, but this worker no longer holds its lock; outcome discarded`);
+        this.emit('lock-lost', this.getJob(job.id));
+        return false;
+    }
+
+    /**
+     * Exponential backoff with jitter: base * 2^(attempt-1), capped
+     */
+    getBackoffDelay(attempt) {
+        const exponential = this.options.backoffBaseMs * Math.pow(2, Math.max(0, attempt - 1));
+        const jitter = Math.random() * this.options.backoffBaseMs * 0.2;
+        return Math.min(this.options.backoffMaxMs, Math.round(exponential + jitter));
+    }
+
+    /**
+     * Heartbeat for the jobs this worker runs; a lock is renewed once a third of lockTimeoutMs has passed
+     */
+    renewLocks() {
+        if (this.running.size === 0) return 0;
+
+        const now = new Date();
+        const renewBefore = new Date(now.getTime() - this.options.lockTimeoutMs / 3).toISOString();
+
+        return this.db.prepare(`
+            UPDATE jobs SET locked_at = ?
+            WHERE status = 'running' AND locked_by = ? AND locked_at < ?
+        `).run(now.toISOString(), this.workerId, renewBefore).changes;
+    }
+
+    /**
+     * Requeue jobs left running by a worker that crashed or was killed
+     * The interrupted attempt still counts towards max_attempts
+     */
+    recoverStaleJobs() {
+        const staleBefore = new Date(Date.now() - this.options.lockTimeoutMs).toISOString();
+        const stale = this.db.prepare(`
+            SELECT id FROM jobs WHERE status = 'running' AND locked_at < ?
+        `).all(staleBefore).map(row => row.id);
+
+        return this.releaseLocks(stale, 'Worker lock expired');
+    }
+
+    /**
+     * Requeue jobs locked by workers on this host whose process no longer exists, such as
+     * this server's previous instance; they need not wait for their locks to expire
+     */
+    releaseOrphanedLocks() {
+        const host = `${os.hostname()}:`;
+        const orphaned = this.db.prepare(`
+            SELECT id, locked_by FROM jobs WHERE status = 'running' AND locked_by LIKE ?
+        `).all(`${host}%`)
+            .filter(row => {
+                const pid = parseInt(row.locked_by.slice(host.length).split(':')[0], 10);
+                return pid && !isProcessAlive(pid);
+            })
+            .map(row => row.id);
+
+        return this.releaseLocks(orphaned, 'Worker process exited');
+    }
+
+    releaseLocks(ids, reason) {
+        if (ids.length === 0) return 0;
+
+        const now = new Date().toISOString();
+        const release = this.db.prepare(`
+            UPDATE jobs
+            SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+                last_error = COALESCE(last_error, ?),
+                locked_by = NULL, locked_at = NULL, updated_at = ?
+            WHERE id = ? AND status = 'running'
+        `);
+        const released = this.db.transaction(() => ids.reduce((count, id) => count + release.run(reason, now, id).changes, 0))();
+
+        if (released > 0) {
+            this.logger.warn(`♻️ Recovered ${released} stale job(s): ${reason}`);
+        }
+
+        return released;
+    }
+
+    hydrateJob(row) {
+        const parse = (value) => {
+            if (value === null || value === undefined) return null;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        };
+
+        return {
+            ...row,
+            payload: parse(row.payload),
+            result: parse(row.result)
+        };
+    }
+}
+
+module.exports = JobQueue;
+module.exports.JOB_STATUS = JOB_STATUS;
+module.exports.JOB_PRIORITY = JOB_PRIORITY;
@@ -0,0 +1,249 @@
+/**
+ * Claude Flow v3.0 - Legacy Store Import
+ * Reads the pre-unification JSON stores and copies them into the unified schema
+ * Safe to run repeatedly: rows that already exist are left untouched
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+function readJsonIfExists(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    try {
+        return fs.readJsonSync(filePath);
+    } catch (error) {
+        return null;
+    }
+}
+
+function readRecordDirectory(dirPath) {
+    if (!fs.existsSync(dirPath)) return {};
+
+    const records = {};
+    for (const file of fs.readdirSync(dirPath).filter(f => f.endsWith('.json'))) {
+        const record = readJsonIfExists(path.join(dirPath, file));
+        if (record) {
+            records[decodeURIComponent(file.slice(0, -'.json'.length))] = record;
+        }
+    }
+    return records;
+}
+
+function readMemoryRecords(db, namespace) {
+    const table = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'memory_records'").get();
+    if (!table) return {};
+
+    const records = {};
+    for (const row of db.prepare('SELECT key, value FROM memory_records WHERE namespace = ?').all(namespace)) {
+        try {
+            records[row.key] = JSON.parse(row.value);
+        } catch (error) {
+            continue;
+        }
+    }
+    return records;
+}
+
+/**
+ * Every place a namespace used to live: the single-file blob (and the copy the
+ * JSON memory adapter leaves behind after splitting it), per-record files, and SQLite memory
+ */
+function collectMemoryNamespace(store, baseDir, namespace) {
+    return {
+        ...(readJsonIfExists(path.join(baseDir, `${namespace}.json.imported`)) || {}),
+        ...(readJsonIfExists(path.join(baseDir, `${namespace}.json`)) || {}),
+        ...readRecordDirectory(path.join(baseDir, namespace)),
+        ...readMemoryRecords(store.db, namespace)
+    };
+}
+
+// Orchestrator result summaries (orchestrator-data/results.json, memory "results")
+function mapOrchestratorResult(id, record) {
+    return {
+        sessionId: id,
+        source: 'orchestrator',
+        issueNumber: record.issueNumber,
+        status: record.status,
+        success: record.success,
+        endTime: record.timestamp,
+        durationMs: record.duration,
+        errorMessage: record.error?.message || (typeof record.error === 'string' ? record.error : null),
+        data: { metadata: record.metadata || {} }
+    };
+}
+
+// Engine sessions (hive-mind-memory sessions), full or compressed
+function mapEngineSession(id, record) {
+    const agents = record.agents && typeof record.agents === 'object' ? Object.keys(record.agents) : undefined;
+
+    return {
+        // Engine sessions started by the orchestrator belong to the orchestration's session
+        sessionId: record.orchestrationId || record.id || id,
+        source: 'engine',
+        issueNumber: record.issue?.number ?? record.issueNumber,
+        repository: record.repository,
+        status: record.status,
+        startTime: record.startTime,
+        endTime: record.startTime && record.duration ? record.startTime + record.duration : record.timestamp,
+        durationMs: record.duration,
+        qualityScore: record.metrics?.qualityScore,
+        agents,
+        errorMessage: record.error?.message,
+        data: { engineSessionId: record.id || id, metrics: record.metrics || {} }
+    };
+}
+
+// Full-automation JSON fallback (.hive-mind/automation.json)
+function mapAutomationResolution(record) {
+    return {
+        sessionId: record.session_id,
+        source: 'full-automation',
+        issueNumber: record.metrics?.issue_number,
+        status: record.status,
+        startTime: record.start_time,
+        endTime: record.end_time,
+        metrics: record.metrics,
+        data: record.additionalData ? { additionalData: record.additionalData } : undefined
+    };
+}
+
+function importSessions(store, seen, sessions) {
+    let imported = 0;
+
+    for (const session of sessions) {
+        if (!session.sessionId) continue;
+
+        // Existing rows win, except ones created earlier in this same import run
+        if (!seen.has(session.sessionId) && store.getSession(session.sessionId)) continue;
+
+        seen.add(session.sessionId);
+        store.upsertSession(session);
+        imported++;
+    }
+
+    return imported;
+}
+
+function importAgentSpawnerDb(db, data) {
+    const exists = db.prepare('SELECT 1 FROM agent_performance WHERE agent_id = ?');
+    const insert = db.prepare(`
+        INSERT INTO agent_performance (
+            agent_id, agent_type, task_type, success_rate, completion_time, quality_score, tools_used, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    let imported = 0;
+
+    for (const record of [...(data.agents || []), ...(data.performance_data || [])]) {
+        const agentId = record.agent_id || record.id;
+        if (!agentId || exists.get(agentId)) continue;
+
+        insert.run(
+            agentId,
+            record.agent_type || record.type || null,
+            record.task_type || null,
+            record.success_rate ?? null,
+            record.completion_time ?? null,
+            record.quality_score ?? null,
+            JSON.stringify(record.tools_used || record.capabilities || []),
+            record.created_at || new Date().toISOString()
+        );
+        imported++;
+    }
+
+    return imported;
+}
+
+function importIssueAnalyzerDb(db, data) {
+    const insertIssue = db.prepare(`
+        INSERT OR IGNORE INTO issues (
+            github_id, number, title, body, labels, complexity_score,
+            estimated_duration, language_detected, framework_detected, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const patternExists = db.prepare(`
+        SELECT 1 FROM learning_patterns WHERE pattern_type = ? AND pattern_data = ? AND created_at = ?
+    `);
+    const insertPattern = db.prepare(`
+        INSERT INTO learning_patterns (
+            pattern_type, pattern_data, confidence_score, issue_characteristics, solution_approach, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    let issues = 0;
+    let patterns = 0;
+
+    for (const record of data.issue_analyses || []) {
+        const result = insertIssue.run(
+            record.github_id ?? null,
+            record.number ?? null,
+            record.title || null,
+            record.body || null,
+            JSON.stringify(record.labels || []),
+            record.complexity_score ?? null,
+            record.estimated_duration ?? null,
+            JSON.stringify(record.language_detected || []),
+            JSON.stringify(record.framework_detected || []),
+            record.created_at || new Date().toISOString()
+        );
+        issues += result.changes;
+    }
+
+    for (const record of data.learning_patterns || []) {
+        const patternData = JSON.stringify(record.pattern_data || {});
+        const createdAt = record.created_at || new Date().toISOString();
+        if (patternExists.get(record.pattern_type, patternData, createdAt)) continue;
+
+        insertPattern.run(
+            record.pattern_type || 'issue_analysis',
+            patternData,
+            record.confidence_score ?? null,
+            JSON.stringify(record.issue_characteristics || {}),
+            JSON.stringify(record.solution_approach || {}),
+            createdAt
+        );
+        patterns++;
+    }
+
+    return { issues, patterns };
+}
+
+/**
+ * Import every legacy store found under rootDir into the unified schema
+ * @returns {Object} per-source counts of imported rows
+ */
+function importLegacyStores(store, rootDir = process.cwd()) {
+    const seen = new Set();
+    const memoryDir = path.join(rootDir, 'hive-mind-memory');
+    const orchestratorDir = path.join(rootDir, 'orchestrator-data');
+    const hiveMindDir = path.join(rootDir, '.hive-mind');
+    const counts = {};
+
+    // Engine sessions first; orchestrator summaries of the same run are merged over them
+    const engineSessions = collectMemoryNamespace(store, memoryDir, 'sessions');
+    counts.engineSessions = importSessions(store, seen,
+        Object.entries(engineSessions).map(([id, record]) => mapEngineSession(id, record)));
+
+    const orchestratorResults = {
+        ...(readJsonIfExists(path.join(orchestratorDir, 'sessions.json')) || {}),
+        ...(readJsonIfExists(path.join(orchestratorDir, 'results.json')) || {}),
+        ...collectMemoryNamespace(store, memoryDir, 'results')
+    };
+    counts.orchestratorSessions = importSessions(store, seen,
+        Object.entries(orchestratorResults).map(([id, record]) => mapOrchestratorResult(id, record)));
+
+    const automationDb = readJsonIfExists(path.join(hiveMindDir, 'automation.json'));
+    counts.automationSessions = automationDb
+        ? importSessions(store, seen, (automationDb.resolutions || []).map(mapAutomationResolution))
+        : 0;
+
+    const spawnerDb = readJsonIfExists(path.join(hiveMindDir, 'agent-spawner.json'));
+    counts.agents = spawnerDb ? importAgentSpawnerDb(store.db, spawnerDb) : 0;
+
+    const analyzerDb = readJsonIfExists(path.join(hiveMindDir, 'issue-analyzer.json'));
+    const analyzerCounts = analyzerDb ? importIssueAnalyzerDb(store.db, analyzerDb) : { issues: 0, patterns: 0 };
+    counts.issues = analyzerCounts.issues;
+    counts.learningPatterns = analyzerCounts.patterns;
+
+    return counts;
+}
+
+module.exports = { importLegacyStores };
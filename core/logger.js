@@ -0,0 +1,141 @@
+/**
+ * Claude Flow v3.0 - Logger
+ * One logging pipeline for every component: JSON lines on the console and in LOG_FILE
+ * (default logs/claude-flow.log), each tagged with its component and the active run context
+ * Context fields (orchestrationId, sessionId, agentId, issueNumber, repository, jobId) are set
+ * with withLogContext() and follow the async call chain through AsyncLocalStorage, so
+ *   grep '"issueNumber":42' logs/claude-flow.log
+ * shows what every component did for issue #42; inside a span (see tracing.js) lines also carry
+ * its traceId and spanId
+ * LOG_FORMAT=pretty prints colorized lines on the console for local runs
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const path = require('path');
+const util = require('util');
+const winston = require('winston');
+const { redactFormat } = require('./redaction');
+const { getActiveSpan } = require('./tracing');
+
+const LOG_CONTEXT_FIELDS = ['orchestrationId', 'sessionId', 'agentId', 'issueNumber', 'repository', 'jobId'];
+
+const logContext = new AsyncLocalStorage();
+let rootLogger = null;
+
+function getLogContext() {
+    return logContext.getStore() || {};
+}
+
+function definedFields(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Run fn with fields added to the context of every log line it leads to, sync or async
+ */
+function withLogContext(fields, fn) {
+    return logContext.run({ ...getLogContext(), ...definedFields(fields) }, fn);
+}
+
+/**
+ * Add fields to the current withLogContext() scope once they are known
+ * Outside a scope this does nothing
+ */
+function setLogContext(fields) {
+    const store = logContext.getStore();
+    if (store) {
+        Object.assign(store, definedFields(fields));
+    }
+}
+
+/**
+ * Extra arguments read as console.log would: logger.error('Fetch failed:', error.message)
+ * winston keeps an object argument as fields and an Error's message, but drops strings and numbers;
+ * format.splat() would spread a string into one field per character when there is no %s
+ */
+const argumentsFormat = winston.format((info) => {
+    const values = [];
+    for (const value of info[Symbol.for('splat')] || []) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            values.push(value);
+        } else if (!(value instanceof Error)) {
+            Object.assign(info, value);
+        }
+    }
+
+    if (values.length > 0) {
+        info.message = util.format(info.message, ...values);
+    }
+    return info;
+});
+
+// Fields passed with a log call win over the context
+const contextFormat = winston.format((info) => {
+    const span = getActiveSpan();
+    const fields = span ? { ...getLogContext(), traceId: span.traceId, spanId: span.spanId } : getLogContext();
+
+    for (const [key, value] of Object.entries(fields)) {
+        if (info[key] === undefined) {
+            info[key] = value;
+        }
+    }
+    return info;
+});
+
+const prettyFormat = winston.format.printf(({ timestamp, level, message, component, stack, ...meta }) => {
+    const fields = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : '';
+    return `${timestamp} [${String(component || 'claude-flow').toUpperCase()}] ${level}: ${message}${fields}${stack ? `\n${stack}` : ''}`;
+});
+
+function getRootLogger() {
+    if (!rootLogger) {
+        const logFile = process.env.LOG_FILE ?? path.join('logs', 'claude-flow.log');
+        const transports = [
+            new winston.transports.Console({
+                format: process.env.LOG_FORMAT === 'pretty'
+                    ? winston.format.combine(winston.format.colorize(), prettyFormat)
+                    : winston.format.json()
+            })
+        ];
+
+        // An empty LOG_FILE keeps logs on the console only
+        if (logFile) {
+            transports.push(new winston.transports.File({
+                filename: logFile,
+                format: winston.format.json(),
+                maxsize: 10485760, // 10MB
+                maxFiles: 5
+            }));
+        }
+
+        rootLogger = winston.createLogger({
+            level: process.env.LOG_LEVEL || 'info',
+            format: winston.format.combine(
+                argumentsFormat(),
+                redactFormat(),
+                contextFormat(),
+                winston.format.timestamp(),
+                winston.format.errors({ stack: true })
+            ),
+            transports
+        });
+    }
+
+    return rootLogger;
+}
+
+/**
+ * Logger for one component; every component shares the same transports
+ * @param {string} component - short name in the "component" field, e.g. "orchestrator"
+ */
+function createLogger(component) {
+    return getRootLogger().child({ component });
+}
+
+module.exports = {
+    LOG_CONTEXT_FIELDS,
+    createLogger,
+    withLogContext,
+    setLogContext,
+    getLogContext
+};
@@ -0,0 +1,251 @@
+/**
+ * Claude Flow v3.0 - Memory Storage Adapters
+ * Durable key/value storage behind the Memory Manager
+ * Records are grouped by namespace (patterns, knowledge, sessions, ...)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { redact } = require('./redaction');
+
+class MemoryAdapter {
+    constructor(options = {}) {
+        this.options = { ...options };
+        this.name = 'base';
+    }
+
+    async get(namespace, key) {
+        throw new Error(`${this.constructor.name}.get() is not implemented`);
+    }
+
+    async set(namespace, key, value) {
+        throw new Error(`${this.constructor.name}.set() is not implemented`);
+    }
+
+    async delete(namespace, key) {
+        throw new Error(`${this.constructor.name}.delete() is not implemented`);
+    }
+
+    /**
+     * Load every record of a namespace
+     * @returns {Promise<Object>} key → value
+     */
+    async list(namespace) {
+        throw new Error(`${this.constructor.name}.list() is not implemented`);
+    }
+
+    async clear(namespace) {
+        throw new Error(`${this.constructor.name}.clear() is not implemented`);
+    }
+
+    close() {}
+}
+
+/**
+ * One JSON file per record: <basePath>/<namespace>/<key>.json
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * never leaves a half-written record and saving one record never rewrites the rest.
+ */
+class JsonFileAdapter extends MemoryAdapter {
+    constructor(options = {}) {
+        super({
+            ...options,
+            basePath: options.basePath || path.join(process.cwd(), 'hive-mind-memory')
+        });
+        this.name = 'json';
+        fs.ensureDirSync(this.options.basePath);
+    }
+
+    namespacePath(namespace) {
+        return path.join(this.options.basePath, namespace);
+    }
+
+    recordPath(namespace, key) {
+        // Keys become file names; keep them inside the namespace directory
+        const safeKey = encodeURIComponent(String(key));
+        return path.join(this.namespacePath(namespace), `${safeKey}.json`);
+    }
+
+    async get(namespace, key) {
+        const filePath = this.recordPath(namespace, key);
+
+        if (!await fs.pathExists(filePath)) {
+            return null;
+        }
+
+        return fs.readJson(filePath);
+    }
+
+    async set(namespace, key, value) {
+        const filePath = this.recordPath(namespace, key);
+        const tempFile = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeJson(tempFile, redact(value), { spaces: 2 });
+        await fs.move(tempFile, filePath, { overwrite: true });
+    }
+
+    async delete(namespace, key) {
+        await fs.remove(this.recordPath(namespace, key));
+    }
+
+    async list(namespace) {
+        await this.importLegacyFile(namespace);
+
+        const dir = this.namespacePath(namespace);
+        if (!await fs.pathExists(dir)) {
+            return {};
+        }
+
+        const records = {};
+        const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+
+        for (const file of files) {
+            const key = decodeURIComponent(file.slice(0, -'.json'.length));
+            try {
+                records[key] = await fs.readJson(path.join(dir, file));
+            } catch (error) {
+                // A record that cannot be parsed is skipped rather than poisoning the whole namespace
+                continue;
+            }
+        }
+
+        return records;
+    }
+
+    async clear(namespace) {
+        await fs.remove(this.namespacePath(namespace));
+    }
+
+    /**
+     * Split a pre-adapter <namespace>.json blob into per-record files (runs once)
+     */
+    async importLegacyFile(namespace) {
+        const legacyFile = path.join(this.options.basePath, `${namespace}.json`);
+
+        if (!await fs.pathExists(legacyFile)) {
+            return;
+        }
+
+        let legacy = {};
+        try {
+            legacy = await fs.readJson(legacyFile);
+        } catch (error) {
+            legacy = {};
+        }
+
+        for (const [key, value] of Object.entries(legacy)) {
+            if (!await fs.pathExists(this.recordPath(namespace, key))) {
+                const { _metadata, ...record } = value || {};
+                await this.set(namespace, key, record);
+            }
+        }
+
+        await fs.move(legacyFile, `${legacyFile}.imported`, { overwrite: true });
+    }
+}
+
+/**
+ * better-sqlite3 backed storage: one row per record in memory_records
+ * Defaults to the shared automation database so every component sees the same memory
+ */
+class SqliteAdapter extends MemoryAdapter {
+    constructor(options = {}) {
+        super({
+            ...options,
+            dbPath: options.dbPath || path.join(process.cwd(), '.hive-mind', 'automation.db')
+        });
+        this.name = 'sqlite';
+
+        // Required lazily so the JSON adapter works where the native module is unavailable
+        const Database = require('better-sqlite3');
+
+        fs.ensureDirSync(path.dirname(this.options.dbPath));
+        this.db = new Database(this.options.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.initializeSchema();
+        this.prepareStatements();
+    }
+
+    initializeSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS memory_records (
+                namespace TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (namespace, key)
+            )
+        `);
+    }
+
+    prepareStatements() {
+        this.statements = {
+            get: this.db.prepare('SELECT value FROM memory_records WHERE namespace = ? AND key = ?'),
+            set: this.db.prepare(`
+                INSERT INTO memory_records (namespace, key, value, updated_at)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(namespace, key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+            `),
+            delete: this.db.prepare('DELETE FROM memory_records WHERE namespace = ? AND key = ?'),
+            list: this.db.prepare('SELECT key, value FROM memory_records WHERE namespace = ?'),
+            clear: this.db.prepare('DELETE FROM memory_records WHERE namespace = ?')
+        };
+    }
+
+    async get(namespace, key) {
+        const row = this.statements.get.get(namespace, String(key));
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async set(namespace, key, value) {
+        this.statements.set.run(namespace, String(key), JSON.stringify(redact(value)));
+    }
+
+    async delete(namespace, key) {
+        this.statements.delete.run(namespace, String(key));
+    }
+
+    async list(namespace) {
+        const records = {};
+        for (const row of this.statements.list.all(namespace)) {
+            records[row.key] = JSON.parse(row.value);
+        }
+        return records;
+    }
+
+    async clear(namespace) {
+        this.statements.clear.run(namespace);
+    }
+
+    close() {
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+}
+
+const ADAPTERS = {
+    json: JsonFileAdapter,
+    sqlite: SqliteAdapter
+};
+
+/**
+ * Create a storage adapter by name ('json' or 'sqlite')
+ */
+function createMemoryAdapter(storage = 'json', options = {}) {
+    const Adapter = ADAPTERS[storage];
+
+    if (!Adapter) {
+        throw new Error(`Unknown memory storage "${storage}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+
+    return new Adapter(options);
+}
+
+module.exports = {
+    MemoryAdapter,
+    JsonFileAdapter,
+    SqliteAdapter,
+    createMemoryAdapter
+};
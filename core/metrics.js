@@ -0,0 +1,396 @@
+/**
+ * Claude Flow v3.0 - Metrics
+ * Prometheus text-format metrics for GET /metrics on the webhook server and the monitoring dashboard
+ * Runs are child processes of the webhook server, so nothing is kept in process memory alone:
+ *   - counters and histograms recorded during runs (GitHub requests, phase durations, agents spawned)
+ *     are added up in the metric_values table of the unified store
+ *   - sessions, webhook events, tool selections and queue depth are read from their own tables at scrape time
+ * Both endpoints therefore report the same numbers, and counters survive restarts
+ * Without SQLite the registry keeps values in memory and only covers its own process
+ */
+
+const crypto = require('crypto');
+const UnifiedStore = require('./unified-store');
+const { createLogger } = require('./logger');
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; phases range from milliseconds (checkpointed bookkeeping) to tens of minutes (agent analysis)
+const PHASE_DURATION_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800];
+
+let metrics = null;
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isFinite(Number(value)) ? String(Number(value)) : 'NaN';
+}
+
+/**
+ * Values kept in this process only
+ */
+class MemoryMetricValues {
+    constructor() {
+        this.values = new Map();
+    }
+
+    add(entries) {
+        for (const { name, labels, value } of entries) {
+            const key = `${name}\u0000${labels}`;
+            this.values.set(key, (this.values.get(key) || 0) + value);
+        }
+    }
+
+    read() {
+        return [...this.values].map(([key, value]) => {
+            const [name, labels] = key.split('\u0000');
+            return { name, labels, value };
+        });
+    }
+}
+
+/**
+ * Values shared by every process using the same database
+ */
+class SqliteMetricValues {
+    constructor(db) {
+        this.db = db;
+        const upsert = db.prepare(`
+            INSERT INTO metric_values (name, labels, value, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(name, labels) DO UPDATE SET value = value + excluded.value, updated_at = CURRENT_TIMESTAMP
+        `);
+        this.addAll = db.transaction((entries) => {
+            for (const { name, labels, value } of entries) {
+                upsert.run(name, labels, value);
+            }
+        });
+    }
+
+    add(entries) {
+        this.addAll(entries);
+    }
+
+    read() {
+        return this.db.prepare('SELECT name, labels, value FROM metric_values').all();
+    }
+}
+
+class Metric {
+    constructor(registry, type, name, help, { labelNames = [], collect = null } = {}) {
+        this.registry = registry;
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+    }
+
+    // Every declared label, in declared order, so equal label sets store under one key
+    labelKey(labels, extra = {}) {
+        const complete = Object.fromEntries(this.labelNames.map(label => [label, labels[label] ?? '']));
+        return JSON.stringify({ ...complete, ...extra });
+    }
+
+    /**
+     * [[seriesName, labels, value]] for the exposition
+     * @param {Map<string, Array<{labels, value}>>} stored - recorded values by series name
+     */
+    samples(stored) {
+        if (this.collect) {
+            return this.collect().map(row => [
+                this.name,
+                Object.fromEntries(this.labelNames.map(label => [label, row[label] ?? ''])),
+                row.value
+            ]);
+        }
+        return (stored.get(this.name) || []).map(({ labels, value }) => [this.name, labels, value]);
+    }
+}
+
+class Counter extends Metric {
+    constructor(registry, name, help, options) {
+        super(registry, 'counter', name, help, options);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.registry.record([{ name: this.name, labels: this.labelKey(labels), value }]);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(registry, name, help, options) {
+        super(registry, 'gauge', name, help, options);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(registry, name, help, { buckets, ...options }) {
+        super(registry, 'histogram', name, help, options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    /**
+     * Only the bucket the value falls in is stored; samples() makes the buckets cumulative
+     */
+    observe(labels = {}, value) {
+        const bucket = this.buckets.find(upperBound => value <= upperBound);
+        this.registry.record([
+            { name: `${this.name}_bucket`, labels: this.labelKey(labels, { le: bucket === undefined ? '+Inf' : String(bucket) }), value: 1 },
+            { name: `${this.name}_sum`, labels: this.labelKey(labels), value },
+            { name: `${this.name}_count`, labels: this.labelKey(labels), value: 1 }
+        ]);
+    }
+
+    samples(stored) {
+        const series = new Map();
+
+        for (const { labels, value } of stored.get(`${this.name}_bucket`) || []) {
+            const { le, ...rest } = labels;
+            const key = JSON.stringify(rest);
+            if (!series.has(key)) series.set(key, { labels: rest, buckets: new Map(), sum: 0, count: 0 });
+            series.get(key).buckets.set(le, value);
+        }
+        for (const suffix of ['sum', 'count']) {
+            for (const { labels, value } of stored.get(`${this.name}_${suffix}`) || []) {
+                const entry = series.get(JSON.stringify(labels));
+                if (entry) entry[suffix] = value;
+            }
+        }
+
+        const samples = [];
+        for (const { labels, buckets, sum, count } of series.values()) {
+            let cumulative = 0;
+            for (const upperBound of [...this.buckets.map(String), '+Inf']) {
+                cumulative += buckets.get(upperBound) || 0;
+                samples.push([`${this.name}_bucket`, { ...labels, le: upperBound }, cumulative]);
+            }
+            samples.push([`${this.name}_sum`, labels, sum], [`${this.name}_count`, labels, count]);
+        }
+        return samples;
+    }
+}
+
+class MetricsRegistry {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            prefix: options.prefix ?? 'claude_flow_'
+        };
+
+        this.db = options.db || null;
+        this.values = this.db ? new SqliteMetricValues(this.db) : new MemoryMetricValues();
+        this.metrics = new Map();
+        this.logger = createLogger('metrics');
+        this.recordFailed = false;
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, options = {}) {
+        return this.register(new Counter(this, `${this.options.prefix}${name}`, help, options));
+    }
+
+    /**
+     * Gauges are read when scraped: options.collect returns [{...labels, value}]
+     */
+    gauge(name, help, options = {}) {
+        return this.register(new Gauge(this, `${this.options.prefix}${name}`, help, options));
+    }
+
+    histogram(name, help, options = {}) {
+        return this.register(new Histogram(this, `${this.options.prefix}${name}`, help, options));
+    }
+
+    /**
+     * Metrics never fail the work they measure; a broken store is reported once
+     */
+    record(entries) {
+        try {
+            this.values.add(entries);
+        } catch (error) {
+            if (!this.recordFailed) {
+                this.recordFailed = true;
+                this.logger.warn(`⚠️ Failed to record metrics: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Prometheus text exposition format 0.0.4
+     */
+    render() {
+        const stored = new Map();
+        for (const { name, labels, value } of this.values.read()) {
+            if (!stored.has(name)) stored.set(name, []);
+            stored.get(name).push({ labels: JSON.parse(labels), value });
+        }
+
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+            try {
+                for (const [name, labels, value] of metric.samples(stored)) {
+                    lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+                }
+            } catch (error) {
+                // A table missing from an old database leaves one metric empty, not the whole scrape
+                this.logger.warn(`⚠️ Failed to collect ${metric.name}: ${error.message}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+/**
+ * The metrics this system exposes; everything with collect() is read from the store when scraped
+ */
+function definePipelineMetrics(registry) {
+    const rows = (sql) => (registry.db ? registry.db.prepare(sql).all() : []);
+
+    return {
+        registry,
+
+        webhookEvents: registry.counter('webhook_events_total', 'GitHub webhook deliveries recorded, by event type and processing status', {
+            labelNames: ['event', 'status'],
+            collect: () => rows(`
+                SELECT event_type AS event,
+                    CASE WHEN status LIKE 'error%' THEN 'error' ELSE COALESCE(status, 'received') END AS status,
+                    COUNT(*) AS value
+                FROM webhook_events GROUP BY 1, 2
+            `)
+        }),
+        webhookDuplicates: registry.counter('webhook_duplicate_deliveries_total', 'Redelivered webhooks acknowledged without a second run', {
+            labelNames: ['event'],
+            collect: () => rows(`
+                SELECT event_type AS event, SUM(duplicate_count) AS value
+                FROM webhook_events WHERE duplicate_count > 0 GROUP BY 1
+            `)
+        }),
+        sessions: registry.counter('sessions_total', 'Finished automation sessions by outcome', {
+            labelNames: ['outcome'],
+            collect: () => rows(`
+                SELECT status AS outcome, COUNT(*) AS value
+                FROM automation_sessions WHERE status IN ('completed', 'failed') GROUP BY 1
+            `)
+        }),
+        activeSessions: registry.gauge('sessions_active', 'Automation sessions started and not yet finished', {
+            collect: () => rows(`SELECT COUNT(*) AS value FROM automation_sessions WHERE status = 'started'`)
+        }),
+        phaseDuration: registry.histogram('session_phase_duration_seconds', 'Duration of Hive-Mind session phases', {
+            labelNames: ['phase', 'outcome'],
+            buckets: PHASE_DURATION_BUCKETS
+        }),
+        agentsSpawned: registry.counter('agents_spawned_total', 'Agents spawned, by agent type', {
+            labelNames: ['type']
+        }),
+        toolSelections: registry.counter('tool_selections_total', 'MCP tools chosen by the auto-selector, by tool', {
+            labelNames: ['tool', 'category'],
+            collect: () => rows(`
+                SELECT tool_name AS tool, tool_category AS category, SUM(usage_count) AS value
+                FROM tool_usage WHERE usage_count > 0 GROUP BY 1, 2
+            `)
+        }),
+        githubRequests: registry.counter('github_requests_total', 'GitHub API requests, by method, route template and HTTP status', {
+            labelNames: ['method', 'route', 'status']
+        }),
+        githubErrors: registry.counter('github_request_errors_total', 'GitHub API requests that failed; status is "network" when no response arrived', {
+            labelNames: ['method', 'route', 'status']
+        }),
+        queueJobs: registry.gauge('job_queue_jobs', 'Jobs waiting, running or dead-lettered, by job type; status="queued" is the queue depth', {
+            labelNames: ['type', 'status'],
+            collect: () => rows(`
+                SELECT type, status, COUNT(*) AS value
+                FROM jobs WHERE status IN ('queued', 'running', 'dead') GROUP BY 1, 2
+            `)
+        }),
+        uptime: registry.gauge('process_uptime_seconds', 'Uptime of the process serving these metrics', {
+            collect: () => [{ value: Math.round(process.uptime()) }]
+        }),
+        memory: registry.gauge('process_memory_bytes', 'Memory of the process serving these metrics', {
+            labelNames: ['kind'],
+            collect: () => {
+                const usage = process.memoryUsage();
+                return [{ kind: 'rss', value: usage.rss }, { kind: 'heap_used', value: usage.heapUsed }];
+            }
+        })
+    };
+}
+
+/**
+ * The process-wide metrics, recorded in the unified store when it can be opened
+ */
+function getMetrics() {
+    if (!metrics) {
+        let db = null;
+        try {
+            db = new UnifiedStore().db;
+        } catch (error) {
+            createLogger('metrics').warn(`⚠️ Unified store unavailable, metrics only cover this process: ${error.message}`);
+        }
+        metrics = definePipelineMetrics(new MetricsRegistry({ db }));
+    }
+    return metrics;
+}
+
+/**
+ * Express handler for GET /metrics; with METRICS_TOKEN set, scrapers must send it as a bearer token
+ * @param {Object} options - token (default METRICS_TOKEN); authenticate, middleware that admits
+ *   requests without the token instead of the open or 401 response
+ */
+function metricsHandler(options = {}) {
+    const token = options.token ?? process.env.METRICS_TOKEN;
+    const expected = Buffer.from(`Bearer ${token}`);
+
+    const render = (req, res) => {
+        try {
+            res.type(METRICS_CONTENT_TYPE).send(getMetrics().registry.render());
+        } catch (error) {
+            createLogger('metrics').error('Error rendering metrics:', error);
+            res.status(500).type('text/plain').send('Unable to render metrics\n');
+        }
+    };
+
+    return (req, res) => {
+        const provided = Buffer.from(String(req.headers.authorization || ''));
+        if (token && provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+            return render(req, res);
+        }
+        // The dashboard admits its signed-in users as well as the scraper
+        if (options.authenticate) {
+            return options.authenticate(req, res, () => render(req, res));
+        }
+        if (token) {
+            return res.status(401).type('text/plain').send('Unauthorized\n');
+        }
+        render(req, res);
+    };
+}
+
+module.exports = {
+    METRICS_CONTENT_TYPE,
+    PHASE_DURATION_BUCKETS,
+    MetricsRegistry,
+    MemoryMetricValues,
+    SqliteMetricValues,
+    definePipelineMetrics,
+    getMetrics,
+    metricsHandler
+};
@@ -0,0 +1,223 @@
+/**
+ * Claude Flow v3.0 - Patch Generator
+ * Turns a Hive-Mind analysis into a unified diff against the target repository
+ * Relevant files are fetched through GitHubAPI, the model writes the diff,
+ * and the diff is applied and committed so PRs change the code the issue is about
+ */
+
+const path = require('path');
+const { createLogger } = require('./logger');
+const { createLLMProvider } = require('./llm-provider');
+const { parsePatch, applyFilePatch, diffStat } = require('./unified-diff');
+const { isPathAllowed } = require('./project-config');
+
+// Paths that are never worth sending to the model
+const IGNORED_PATHS = [
+    /(^|\/)node_modules\//,
+    /(^|\/)\.git\//,
+    /(^|\/)(dist|build|coverage|vendor)\//,
+    /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$/,
+    /\.min\.(js|css)$/,
+    /\.(png|jpe?g|gif|ico|svg|webp|pdf|zip|gz|tgz|jar|exe|dll|so|dylib|woff2?|ttf|eot|mp4|mp3|db|sqlite)$/i
+];
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'this', 'that', 'when', 'from', 'have', 'should', 'would', 'could',
+    'there', 'their', 'what', 'which', 'where', 'into', 'after', 'before', 'issue', 'error', 'please',
+    'does', 'doesn', 'isn', 'not', 'but', 'are', 'was', 'were', 'been', 'being', 'also', 'only', 'some'
+]);
+
+class PatchGenerator {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            maxContextFiles: options.maxContextFiles || 6,
+            maxFileBytes: options.maxFileBytes || 60000
+        };
+
+        this.github = options.github;
+        this.llmProvider = options.llmProvider || createLLMProvider(options.llm);
+        this.logger = options.logger || createLogger('patch-generator');
+
+        if (!this.github) {
+            throw new Error('PatchGenerator requires a GitHubAPI client');
+        }
+    }
+
+    /**
+     * Produce a patch for an issue against a branch
+     * @param {Object} request - { issue, context, branch, paths, review, pathPolicy }
+     *   paths are always sent to the model (e.g. the files a pull request already changes);
+     *   review holds PR review comments when revising an existing pull request branch;
+     *   pathPolicy { allow, deny } globs keep files out of the context and out of the patch
+     * @returns {Promise<Object>} { patch, files: [{path, action, content}], stat, contextFiles }
+     *   files is empty when the model produced no applicable change
+     */
+    async generate({ issue, context = {}, branch = null, paths = [], review = null, pathPolicy = {} }) {
+        const tree = await this.github.listRepositoryTree(branch);
+        const visible = tree.filter(entry => isPathAllowed(entry.path, pathPolicy));
+        const existing = new Set(visible.map(entry => entry.path));
+        const required = paths.filter(filePath => existing.has(filePath));
+        const selected = [...new Set([...required, ...this.selectRelevantFiles(issue, visible, context)])]
+            .slice(0, Math.max(this.options.maxContextFiles, required.length));
+        const contextFiles = await this.loadFiles(selected, branch);
+
+        this.logger.info(`🔎 Sending ${contextFiles.length} file(s) to ${this.llmProvider.name} for Issue #${issue.number}`);
+
+        const { patch } = await this.llmProvider.generatePatch({ issue, files: contextFiles, context, review });
+
+        if (!patch) {
+            this.logger.warn(`No patch produced for Issue #${issue.number}`);
+            return { patch: '', files: [], stat: diffStat([]), contextFiles: contextFiles.map(f => f.path) };
+        }
+
+        const forbidden = parsePatch(patch)
+            .flatMap(filePatch => [filePatch.oldPath, filePatch.newPath])
+            .filter(filePath => filePath && !isPathAllowed(filePath, pathPolicy));
+        if (forbidden.length > 0) {
+            throw new Error(`Patch changes paths the repository does not allow automation to touch: ${[...new Set(forbidden)].join(', ')}`);
+        }
+
+        const files = await this.applyPatch(patch, { tree, contextFiles, branch });
+        const stat = diffStat(parsePatch(patch));
+
+        this.logger.info(`🩹 Patch touches ${files.length} file(s): +${stat.additions} -${stat.deletions}`);
+
+        return { patch, files, stat, contextFiles: contextFiles.map(f => f.path) };
+    }
+
+    /**
+     * Apply a unified diff to the branch contents
+     * @returns {Promise<Array<{path, action, content}>>} files ready for GitHubAPI.createCommit
+     */
+    async applyPatch(patch, { tree, contextFiles = [], branch = null }) {
+        const filePatches = parsePatch(patch);
+        const known = new Map(contextFiles.map(file => [file.path, file.content]));
+        const existing = new Set(tree.map(entry => entry.path));
+
+        if (filePatches.length === 0) {
+            throw new Error('Patch contains no file changes');
+        }
+
+        const files = [];
+
+        for (const filePatch of filePatches) {
+            const sourcePath = filePatch.oldPath;
+            const targetPath = filePatch.newPath;
+
+            for (const filePath of [sourcePath, targetPath].filter(Boolean)) {
+                this.assertSafePath(filePath);
+            }
+
+            let original = null;
+            if (sourcePath) {
+                if (!existing.has(sourcePath)) {
+                    throw new Error(`Patch modifies ${sourcePath}, which does not exist in the repository`);
+                }
+                original = known.has(sourcePath)
+                    ? known.get(sourcePath)
+                    : (await this.github.getFileContent(sourcePath, branch)).content;
+            } else if (existing.has(targetPath)) {
+                throw new Error(`Patch creates ${targetPath}, which already exists in the repository`);
+            }
+
+            const content = applyFilePatch(original, filePatch);
+
+            if (content === null) {
+                files.push({ path: sourcePath, action: 'delete' });
+                continue;
+            }
+
+            // A rename writes the new path and removes the old one
+            if (sourcePath && targetPath !== sourcePath) {
+                files.push({ path: sourcePath, action: 'delete' });
+            }
+            files.push({ path: targetPath, action: existing.has(targetPath) ? 'update' : 'create', content });
+        }
+
+        return files;
+    }
+
+    assertSafePath(filePath) {
+        const normalized = path.posix.normalize(filePath);
+        if (path.posix.isAbsolute(normalized) || normalized.startsWith('..') || normalized.startsWith('.git/')) {
+            throw new Error(`Patch path ${filePath} is outside the repository`);
+        }
+    }
+
+    /**
+     * Commit applied patch files to a branch through the Git Data API
+     */
+    async commit({ files, branch, message }) {
+        if (files.length === 0) {
+            throw new Error('Nothing to commit');
+        }
+
+        return this.github.createCommit(message, files, branch);
+    }
+
+    /**
+     * Rank repository files by how strongly the issue points at them
+     */
+    selectRelevantFiles(issue, tree, context = {}) {
+        const text = `${issue.title || ''}\n${issue.body || ''}`;
+        const lowerText = text.toLowerCase();
+        const keywords = this.extractKeywords(text, context);
+
+        const scored = tree
+            .filter(entry => !IGNORED_PATHS.some(pattern => pattern.test(entry.path)))
+            .filter(entry => !entry.size || entry.size <= this.options.maxFileBytes)
+            .map((entry) => {
+                const lowerPath = entry.path.toLowerCase();
+                const baseName = path.posix.basename(lowerPath);
+                const stem = baseName.replace(/\.[^.]+$/, '');
+                let score = 0;
+
+                // Full paths (stack traces, "see src/foo.js") are the strongest signal
+                if (lowerText.includes(lowerPath)) score += 10;
+                else if (new RegExp(`(^|[^\\w.-])${this.escape(baseName)}($|[^\\w-])`).test(lowerText)) score += 6;
+
+                if (stem.length >= 4 && keywords.has(stem)) score += 3;
+
+                for (const segment of lowerPath.split(/[/._-]/)) {
+                    if (segment.length >= 4 && keywords.has(segment)) score += 1;
+                }
+
+                return { path: entry.path, score };
+            })
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || a.path.length - b.path.length);
+
+        return scored.slice(0, this.options.maxContextFiles).map(entry => entry.path);
+    }
+
+    extractKeywords(text, context = {}) {
+        const words = `${text} ${(context.keywords || []).join(' ')}`
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .match(/[a-z][a-z0-9]{3,}/g) || [];
+
+        return new Set(words.filter(word => !STOP_WORDS.has(word)));
+    }
+
+    async loadFiles(paths, branch) {
+        const files = [];
+
+        for (const filePath of paths) {
+            try {
+                const { content } = await this.github.getFileContent(filePath, branch);
+                files.push({ path: filePath, content });
+            } catch (error) {
+                this.logger.warn(`Skipping ${filePath}: ${error.message}`);
+            }
+        }
+
+        return files;
+    }
+
+    escape(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = PatchGenerator;
@@ -0,0 +1,179 @@
+/**
+ * Claude Flow v3.0 - Project Config
+ * The repository's own .claude-flow.yml, read from its default branch:
+ *   triggers:     { phrases: ["@claude-flow-automation"] }
+ *   agents:       { allowed: [analyzer, implementer, tester] }
+ *   tests:        { commands: ["npm ci", "npm test"], timeoutMs: 600000 }
+ *   labels:       { rename: { ai-solution: bot }, priority: { critical: [P0], high: [P1], low: [P3] } }
+ *   pullRequests: { base: develop }
+ *   paths:        { allow: ["src/**"], deny: ["db/migrations/**", ".github/**"] }
+ * Every section is optional; a missing file means the defaults. Unknown keys are errors,
+ * so a misspelled section is reported instead of silently ignored
+ */
+
+const Joi = require('joi');
+const yaml = require('js-yaml');
+
+const PROJECT_CONFIG_PATH = '.claude-flow.yml';
+
+const DEFAULT_TRIGGER_PHRASES = ['@claude-flow-automation'];
+
+const globList = Joi.array().items(Joi.string().trim().min(1));
+
+const PROJECT_CONFIG_SCHEMA = Joi.object({
+    version: Joi.number().valid(1).default(1),
+    triggers: Joi.object({
+        // Issue text that starts a run, matched case-insensitively
+        phrases: Joi.array().items(Joi.string().trim().min(3)).min(1).default(DEFAULT_TRIGGER_PHRASES)
+    }).default(),
+    agents: Joi.object({
+        allowed: Joi.array().items(Joi.string().trim().min(1)).min(1).allow(null).default(null)
+    }).default(),
+    tests: Joi.object({
+        // Replaces detection from package.json when validating a change
+        commands: Joi.array().items(Joi.string().trim().min(1)).default([]),
+        timeoutMs: Joi.number().integer().min(1000).max(60 * 60 * 1000)
+    }).default(),
+    labels: Joi.object({
+        rename: Joi.object().pattern(Joi.string(), Joi.string().allow(null)).default({}),
+        priority: Joi.object({
+            critical: Joi.array().items(Joi.string()).default([]),
+            high: Joi.array().items(Joi.string()).default([]),
+            low: Joi.array().items(Joi.string()).default([])
+        }).default()
+    }).default(),
+    pullRequests: Joi.object({
+        base: Joi.string().trim().min(1).allow(null).default(null)
+    }).default(),
+    paths: Joi.object({
+        allow: globList.default([]),
+        deny: globList.default([])
+    }).default()
+});
+
+/**
+ * Invalid .claude-flow.yml; errors are shown to the issue author as they are
+ */
+class ProjectConfigError extends Error {
+    constructor(errors, source = PROJECT_CONFIG_PATH) {
+        super(`Invalid ${source}: ${errors.join('; ')}`);
+        this.name = 'ProjectConfigError';
+        this.errors = errors;
+        this.source = source;
+    }
+}
+
+/**
+ * Glob to RegExp: ** crosses directories, * and ? stay within one path segment
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // "**/" also matches no directory at all
+            const slash = glob[i + 2] === '/';
+            pattern += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    // A directory pattern ("docs/") covers everything below it
+    return new RegExp(`^${pattern}${glob.endsWith('/') ? '.*' : ''}$`);
+}
+
+function matchesAny(filePath, globs = []) {
+    return globs.some(glob => globToRegExp(glob).test(filePath));
+}
+
+/**
+ * Whether automation may read and change a path: not denied, and allowed when an allow list is set
+ */
+function isPathAllowed(filePath, { allow = [], deny = [] } = {}) {
+    if (matchesAny(filePath, deny)) return false;
+    return allow.length === 0 || matchesAny(filePath, allow);
+}
+
+/**
+ * Parse and validate the file's text
+ * @returns {{config: Object|null, errors: Array<string>}}
+ */
+function parseProjectConfig(text, source = PROJECT_CONFIG_PATH) {
+    let raw;
+    try {
+        // safeLoad: the file comes from the repository, so no custom YAML types
+        raw = yaml.safeLoad(text, { filename: source }) || {};
+    } catch (error) {
+        return { config: null, errors: [`YAML syntax error: ${error.reason || error.message}${error.mark ? ` (line ${error.mark.line + 1}, column ${error.mark.column + 1})` : ''}`] };
+    }
+
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { config: null, errors: ['the file must contain a mapping of settings'] };
+    }
+
+    const { value, error } = PROJECT_CONFIG_SCHEMA.validate(raw, { abortEarly: false });
+    if (error) {
+        return { config: null, errors: error.details.map(detail => `\`${detail.path.join('.') || '(root)'}\`: ${detail.message}`) };
+    }
+
+    return { config: value, errors: [] };
+}
+
+/**
+ * Read the config from a repository through GitHubAPI
+ * @returns {Promise<{found: boolean, config: Object|null, errors: Array<string>, source: string}>}
+ *   config is null only when the file exists and is invalid
+ */
+async function loadProjectConfig(github, { ref = null, path = process.env.PROJECT_CONFIG_PATH || PROJECT_CONFIG_PATH } = {}) {
+    let text;
+    try {
+        // Straight through Octokit: a missing file is the usual case and not worth an error log
+        const { data } = await github.octokit.rest.repos.getContent({
+            owner: github.owner,
+            repo: github.repo,
+            path,
+            ref: ref || undefined
+        });
+        text = Buffer.from(data.content || '', 'base64').toString();
+    } catch (error) {
+        if (error.status === 404) {
+            return { found: false, ...parseProjectConfig('', path), source: path };
+        }
+        throw error;
+    }
+
+    return { found: true, ...parseProjectConfig(text, path), source: path };
+}
+
+/**
+ * Issue comment listing what is wrong with the file
+ */
+function formatConfigErrors(errors, source = PROJECT_CONFIG_PATH) {
+    return [
+        `⚠️ **\`${source}\` is invalid**, so automation did not run.`,
+        '',
+        ...errors.map(error => `- ${error}`),
+        '',
+        'Fix the file on the default branch and trigger the run again.'
+    ].join('\n');
+}
+
+module.exports = {
+    PROJECT_CONFIG_PATH,
+    PROJECT_CONFIG_SCHEMA,
+    DEFAULT_TRIGGER_PHRASES,
+    ProjectConfigError,
+    parseProjectConfig,
+    loadProjectConfig,
+    formatConfigErrors,
+    globToRegExp,
+    matchesAny,
+    isPathAllowed
+};
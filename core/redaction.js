@@ -0,0 +1,168 @@
+/**
+ * Claude Flow v3.0 - Redaction
+ * One scrubber for everything that leaves the process: log transports (redactFormat),
+ * JSON stores and session records (redact), and GitHub comments (the client's request hook)
+ * Removes known token formats, private keys, credentials in URLs and key/value pairs,
+ * values of secret environment variables, and long high-entropy strings
+ */
+
+const winston = require('winston');
+
+const REDACTED = '[REDACTED]';
+
+// Environment variables whose values never appear in output; *_PATH, *_FILE and *_DIR only point at secrets
+const SECRET_ENV_NAME = /(TOKEN|SECRET|PASSWORD|PASSWD|PRIVATE_KEY|API_KEY|ACCESS_KEY|CREDENTIAL|_KEY$)/i;
+const NON_SECRET_ENV_NAME = /_(PATH|FILE|DIR|URL|ID)$/i;
+const MIN_SECRET_LENGTH = 8;
+
+const TOKEN_PATTERNS = [
+    // Whole PEM blocks, not just the header line
+    { pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY-----/g },
+    { pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+    { pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+    { pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+    { pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+    { pattern: /\b[rs]k_(?:live|test)_[0-9A-Za-z]{20,}/g },
+    // JWTs: GitHub App tokens, dashboard sessions
+    { pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+    // Authorization header values and user:password@ in URLs keep their scheme and user
+    { pattern: /\b(Bearer|Basic|token)\s+[A-Za-z0-9._~+/=-]{16,}/gi, replace: `$1 ${REDACTED}` },
+    { pattern: /(\/\/[^/\s:@]+:)[^@\s/]+@/g, replace: `$1${REDACTED}@` },
+    // password: "...", "apiKey": "...", token=... (placeholders such as ${TOKEN} stay)
+    {
+        pattern: /(\b(?:api[_-]?key|secret|password|passwd|token|client[_-]?secret|webhook[_-]?secret)["']?\s*[:=]\s*["']?)(?![$<{%[])([^"'\s,;}&]{8,})/gi,
+        replace: `$1${REDACTED}`
+    }
+];
+
+// Candidates for the entropy check: long runs of base64/base64url characters
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+/_-]{32,}={0,2}/g;
+const HIGH_ENTROPY_THRESHOLD = 4.3;
+
+function shannonEntropy(text) {
+    const counts = new Map();
+    for (const char of text) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / text.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Random-looking strings: mixed case with digits and high entropy
+ * Hex (commit SHAs, hashes), UUIDs and camelCase identifiers are left alone
+ */
+function isHighEntropy(candidate) {
+    if (/^[0-9a-f-]+$/i.test(candidate)) return false;
+    if (/^[A-Za-z][a-z]+(?:[A-Z][a-z]+)+\d*$/.test(candidate)) return false;
+    if (!/[a-z]/.test(candidate) || !/[A-Z]/.test(candidate) || (candidate.match(/\d/g) || []).length < 2) return false;
+
+    return shannonEntropy(candidate) >= HIGH_ENTROPY_THRESHOLD;
+}
+
+/**
+ * Values of secret-looking environment variables, longest first so overlapping values redact fully
+ * Read on every call: dotenv and tests change the environment after this module loads
+ */
+function secretEnvValues() {
+    return Object.entries(process.env)
+        .filter(([name, value]) => SECRET_ENV_NAME.test(name) && !NON_SECRET_ENV_NAME.test(name) &&
+            typeof value === 'string' && value.length >= MIN_SECRET_LENGTH)
+        .map(([, value]) => value)
+        .sort((a, b) => b.length - a.length);
+}
+
+function redactText(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+        return text;
+    }
+
+    let result = text;
+
+    for (const value of secretEnvValues()) {
+        if (result.includes(value)) {
+            result = result.split(value).join(REDACTED);
+        }
+    }
+
+    for (const { pattern, replace } of TOKEN_PATTERNS) {
+        result = result.replace(pattern, replace || REDACTED);
+    }
+
+    return result.replace(HIGH_ENTROPY_CANDIDATE, candidate => (isHighEntropy(candidate) ? REDACTED : candidate));
+}
+
+/**
+ * Redacted copy of any JSON-like value; plain objects, arrays and errors are copied deeply
+ * An object referenced twice, or from inside itself, maps to the same redacted copy
+ */
+function redact(value, copies = new Map()) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (copies.has(value)) {
+        return copies.get(value);
+    }
+
+    if (Array.isArray(value)) {
+        const copy = [];
+        copies.set(value, copy);
+        for (const item of value) {
+            copy.push(redact(item, copies));
+        }
+        return copy;
+    }
+
+    if (value instanceof Error) {
+        const copy = Object.create(Object.getPrototypeOf(value));
+        copies.set(value, copy);
+        for (const key of Object.getOwnPropertyNames(value)) {
+            copy[key] = redact(value[key], copies);
+        }
+        return copy;
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+        // Dates, Buffers, Maps and class instances are passed through untouched
+        return value;
+    }
+
+    const copy = {};
+    copies.set(value, copy);
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = redact(item, copies);
+    }
+    return copy;
+}
+
+/**
+ * Winston format scrubbing the message and every metadata field; put it first in format.combine()
+ */
+const redactFormat = winston.format((info) => {
+    // An Error logged directly keeps its message and stack in non-enumerable properties
+    for (const key of new Set([...Object.keys(info), 'message', 'stack'])) {
+        if (info[key] !== undefined) {
+            info[key] = redact(info[key]);
+        }
+    }
+    return info;
+});
+
+module.exports = {
+    REDACTED,
+    redact,
+    redactText,
+    redactFormat,
+    isHighEntropy,
+    shannonEntropy
+};
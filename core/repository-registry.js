@@ -0,0 +1,174 @@
+/**
+ * Claude Flow v3.0 - Repository Registry
+ * Per-repository configuration for a server that handles many repositories
+ * One JSON file per repository in REPOSITORY_CONFIG_DIR (default config/repositories):
+ *   { "repository": "acme/api", "features": {...}, "agents": [...], "pullRequests": {...}, "labels": {...}, "learning": {...} }
+ * "owner/*" covers every repository of an owner and default.json covers the rest
+ * Without the directory every repository is served with the defaults, as before routing existed
+ */
+
+const Joi = require('joi');
+const fs = require('fs-extra');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const LEARNING_SCOPES = ['repository', 'global'];
+
+const REPOSITORY_CONFIG_SCHEMA = Joi.object({
+    repository: Joi.string().pattern(/^[\w.-]+\/([\w.-]+|\*)$/).messages({
+        'string.pattern.base': '"repository" must be "owner/repo" or "owner/*"'
+    }),
+    enabled: Joi.boolean().default(true),
+    features: Joi.object({
+        // Issue mentions, /autosolve and /retry
+        autosolve: Joi.boolean().default(true),
+        analyze: Joi.boolean().default(true),
+        // Revisions of automation PRs from review feedback
+        reviewRevisions: Joi.boolean().default(true),
+        // PR outcomes and reverts fed back to the learning system
+        learning: Joi.boolean().default(true)
+    }).default(),
+    // Agent types runs may use; null allows every type
+    agents: Joi.array().items(Joi.string().trim().min(1)).min(1).allow(null).default(null),
+    pullRequests: Joi.object({
+        create: Joi.boolean().default(true),
+        draft: Joi.boolean().default(false),
+        // Branch PRs target and patches are computed against (default: GITHUB_BRANCH or main)
+        base: Joi.string().allow(null).default(null)
+    }).default(),
+    // Automation label → label used in this repository; null leaves the label off
+    labels: Joi.object().pattern(Joi.string(), Joi.string().allow(null)).default({}),
+    learning: Joi.object({
+        // repository: learn only from this repository; global: share one model with every global repository
+        scope: Joi.string().valid(...LEARNING_SCOPES).default(() => process.env.LEARNING_SCOPE || 'repository')
+    }).default()
+});
+
+/**
+ * Rename labels through a repository's label map; labels mapped to null are dropped
+ */
+function mapLabels(labels, labelMap = {}) {
+    return labels
+        .map(label => (Object.prototype.hasOwnProperty.call(labelMap, label) ? labelMap[label] : label))
+        .filter(Boolean);
+}
+
+/**
+ * Agent types a run may use: the requested ones the repository allows, or the repository's list
+ * @returns {{agents: Array|null, rejected: Array}} agents is null when any type may be used
+ */
+function resolveAgents(config, requested = null) {
+    const allowed = config?.agents;
+
+    if (!requested || requested.length === 0) {
+        return { agents: allowed || null, rejected: [] };
+    }
+    if (!allowed) {
+        return { agents: requested, rejected: [] };
+    }
+    return {
+        agents: requested.filter(type => allowed.includes(type)),
+        rejected: requested.filter(type => !allowed.includes(type))
+    };
+}
+
+class RepositoryRegistry {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            configDir: options.configDir || process.env.REPOSITORY_CONFIG_DIR || path.join('config', 'repositories')
+        };
+
+        this.logger = options.logger || createLogger('repositories');
+
+        this.load();
+    }
+
+    /**
+     * (Re)read every config file; an invalid file fails the whole load so a typo never silently disables routing
+     */
+    load() {
+        const configDir = path.resolve(this.options.configDir);
+
+        this.repositories = new Map();
+        this.owners = new Map();
+        this.fallback = null;
+        this.routed = fs.existsSync(configDir);
+
+        if (!this.routed) {
+            this.fallback = this.validate({}, '(defaults)');
+            return this;
+        }
+
+        for (const file of fs.readdirSync(configDir).filter(name => name.endsWith('.json')).sort()) {
+            const config = this.validate(fs.readJsonSync(path.join(configDir, file)), file);
+
+            if (file === 'default.json') {
+                this.fallback = config;
+                continue;
+            }
+            if (!config.repository) {
+                throw new Error(`Repository config ${file}: "repository" is required`);
+            }
+
+            const [owner, repo] = config.repository.split('/');
+            const target = repo === '*' ? this.owners : this.repositories;
+            const key = repo === '*' ? owner.toLowerCase() : config.repository.toLowerCase();
+            if (target.has(key)) {
+                throw new Error(`Repository config ${file}: ${config.repository} is already configured in ${target.get(key).source}`);
+            }
+            target.set(key, config);
+        }
+
+        this.logger.info(`📚 ${this.repositories.size} repositories, ${this.owners.size} owners configured in ${this.options.configDir}${this.fallback ? ' (with default)' : ''}`);
+        return this;
+    }
+
+    validate(raw, source) {
+        const { value, error } = REPOSITORY_CONFIG_SCHEMA.validate(raw, { abortEarly: false });
+        if (error) {
+            throw new Error(`Repository config ${source}: ${error.details.map(detail => detail.message).join('; ')}`);
+        }
+        return { ...value, source };
+    }
+
+    /**
+     * Config for a repository: its own file, then "owner/*", then default.json
+     * @returns {Object|null} null when routing is configured and nothing covers the repository
+     */
+    get(repository) {
+        const [owner] = String(repository).split('/');
+        const config = this.repositories.get(String(repository).toLowerCase())
+            || this.owners.get(owner.toLowerCase())
+            || this.fallback;
+
+        return config ? { ...config, repository } : null;
+    }
+
+    /**
+     * Why events from a repository are not handled, or null when they are
+     */
+    explainUnrouted(repository) {
+        const config = this.get(repository);
+        if (!config) return `${repository} is not configured in ${this.options.configDir}`;
+        if (!config.enabled) return `${repository} is disabled (${config.source})`;
+        return null;
+    }
+
+    list() {
+        return [...this.repositories.values(), ...this.owners.values(), ...(this.fallback ? [this.fallback] : [])]
+            .map(({ repository, source, enabled, features, learning }) => ({
+                repository: repository || '*',
+                source,
+                enabled,
+                features,
+                learningScope: learning.scope
+            }));
+    }
+}
+
+module.exports = RepositoryRegistry;
+module.exports.REPOSITORY_CONFIG_SCHEMA = REPOSITORY_CONFIG_SCHEMA;
+module.exports.LEARNING_SCOPES = LEARNING_SCOPES;
+module.exports.mapLabels = mapLabels;
+module.exports.resolveAgents = resolveAgents;
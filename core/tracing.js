@@ -0,0 +1,388 @@
+/**
+ * Claude Flow v3.0 - Tracing
+ * Spans for the resolution pipeline in the OpenTelemetry data model:
+ *   orchestrator.resolve-issue > hive-mind.session > hive-mind.phase.* > hive-mind.agent-analysis,
+ *   plus GitHub requests and agent/test child processes wherever they happen
+ * The active span follows the async call chain through AsyncLocalStorage, like the log context,
+ * and its traceId/spanId are added to every log line
+ * TRACING_EXPORTER picks where finished spans go:
+ *   otlp - OTLP/HTTP JSON to OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, or OTEL_EXPORTER_OTLP_ENDPOINT + /v1/traces
+ *   file - one JSON span per line in TRACE_FILE (default logs/traces.jsonl)
+ *   none - spans are not recorded; the default unless an OTLP endpoint is set
+ * Child processes get TRACEPARENT (W3C trace context); a process started with it continues that trace
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { redactText } = require('./redaction');
+
+const TRACE_EXPORTERS = ['otlp', 'file', 'none'];
+
+// OTLP enum values
+const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const SPAN_STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+const activeSpan = new AsyncLocalStorage();
+let tracer = null;
+
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Wall-clock time with sub-millisecond precision, as OTLP's decimal nanosecond string
+function nowUnixNano() {
+    return (BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n).toString();
+}
+
+function parseTraceparent(value) {
+    const match = TRACEPARENT_PATTERN.exec(String(value || '').trim());
+    return match ? { traceId: match[1], spanId: match[2] } : null;
+}
+
+/**
+ * "key1=value1,key2=value2", the OTEL_EXPORTER_OTLP_HEADERS format
+ */
+function parseHeaders(value) {
+    return Object.fromEntries(String(value || '')
+        .split(',')
+        .map(pair => pair.split('='))
+        .filter(([key, ...rest]) => key.trim() && rest.length > 0)
+        .map(([key, ...rest]) => [key.trim(), decodeURIComponent(rest.join('=').trim())]));
+}
+
+class Span {
+    constructor(tracer, name, { parent = null, kind = SPAN_KIND.INTERNAL, attributes = {} } = {}) {
+        this.tracer = tracer;
+        this.recording = tracer.enabled;
+        this.name = name;
+        this.kind = kind;
+        this.traceId = parent?.traceId || randomId(16);
+        this.spanId = randomId(8);
+        this.parentSpanId = parent?.spanId || null;
+        this.attributes = {};
+        this.events = [];
+        this.status = { code: SPAN_STATUS.UNSET };
+        this.startTimeUnixNano = nowUnixNano();
+        this.endTimeUnixNano = null;
+
+        this.setAttributes(attributes);
+    }
+
+    setAttribute(key, value) {
+        if (value !== undefined && value !== null) {
+            this.attributes[key] = value;
+        }
+        return this;
+    }
+
+    setAttributes(attributes) {
+        for (const [key, value] of Object.entries(attributes)) {
+            this.setAttribute(key, value);
+        }
+        return this;
+    }
+
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, timeUnixNano: nowUnixNano(), attributes });
+        return this;
+    }
+
+    setStatus(code, message) {
+        this.status = message ? { code, message: redactText(message) } : { code };
+        return this;
+    }
+
+    recordException(error) {
+        this.addEvent('exception', {
+            'exception.type': error.name,
+            'exception.message': redactText(error.message)
+        });
+        return this.setStatus(SPAN_STATUS.ERROR, error.message);
+    }
+
+    /**
+     * Finish the span; later calls are ignored
+     */
+    end() {
+        if (this.endTimeUnixNano) return;
+        this.endTimeUnixNano = nowUnixNano();
+        this.tracer.onEnd(this);
+    }
+
+    get durationMs() {
+        const end = this.endTimeUnixNano ? BigInt(this.endTimeUnixNano) : BigInt(nowUnixNano());
+        return Number(end - BigInt(this.startTimeUnixNano)) / 1e6;
+    }
+
+    get traceparent() {
+        return `00-${this.traceId}-${this.spanId}-01`;
+    }
+}
+
+function toOtlpValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (Number.isInteger(value)) return { intValue: String(value) };
+    if (typeof value === 'number') return { doubleValue: value };
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(toOtlpValue) } };
+    return { stringValue: String(value) };
+}
+
+function toOtlpAttributes(attributes) {
+    return Object.entries(attributes).map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+/**
+ * OTLP/HTTP with the JSON encoding, accepted by the OpenTelemetry Collector, Jaeger, Tempo and most vendors
+ */
+class OTLPHttpExporter {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            timeout: options.timeout || 10000
+        };
+        if (!this.options.endpoint) {
+            throw new Error('The otlp trace exporter needs OTEL_EXPORTER_OTLP_ENDPOINT or OTEL_EXPORTER_OTLP_TRACES_ENDPOINT');
+        }
+    }
+
+    async export(spans, resource) {
+        await axios.post(this.options.endpoint, {
+            resourceSpans: [{
+                resource: { attributes: toOtlpAttributes(resource) },
+                scopeSpans: [{
+                    scope: { name: 'claude-flow', version: '3.0' },
+                    spans: spans.map(span => ({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        parentSpanId: span.parentSpanId || undefined,
+                        name: span.name,
+                        kind: span.kind,
+                        startTimeUnixNano: span.startTimeUnixNano,
+                        endTimeUnixNano: span.endTimeUnixNano,
+                        attributes: toOtlpAttributes(span.attributes),
+                        events: span.events.map(event => ({
+                            name: event.name,
+                            timeUnixNano: event.timeUnixNano,
+                            attributes: toOtlpAttributes(event.attributes)
+                        })),
+                        status: span.status
+                    }))
+                }]
+            }]
+        }, {
+            headers: { 'Content-Type': 'application/json', ...this.options.headers },
+            timeout: this.options.timeout
+        });
+    }
+}
+
+const KIND_NAMES = Object.fromEntries(Object.entries(SPAN_KIND).map(([name, value]) => [value, name.toLowerCase()]));
+const STATUS_NAMES = Object.fromEntries(Object.entries(SPAN_STATUS).map(([name, value]) => [value, name.toLowerCase()]));
+
+/**
+ * One JSON span per line, readable with jq:
+ *   jq -s 'sort_by(-.durationMs) | .[:10] | .[] | {name, durationMs}' logs/traces.jsonl
+ */
+class FileSpanExporter {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            file: options.file || path.join('logs', 'traces.jsonl')
+        };
+    }
+
+    async export(spans, resource) {
+        this.exportSync(spans, resource);
+    }
+
+    // Also used on process exit, when nothing asynchronous runs anymore
+    exportSync(spans, resource) {
+        const lines = spans.map(span => JSON.stringify({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId,
+            name: span.name,
+            kind: KIND_NAMES[span.kind],
+            startTime: new Date(Number(BigInt(span.startTimeUnixNano) / 1000000n)).toISOString(),
+            durationMs: Math.round(span.durationMs * 1000) / 1000,
+            status: STATUS_NAMES[span.status.code],
+            statusMessage: span.status.message,
+            attributes: span.attributes,
+            events: span.events.length > 0 ? span.events : undefined,
+            service: resource['service.name']
+        }));
+
+        fs.ensureDirSync(path.dirname(path.resolve(this.options.file)));
+        fs.appendFileSync(this.options.file, `${lines.join('\n')}\n`);
+    }
+}
+
+class Tracer {
+    constructor(options = {}) {
+        const baseEndpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+        const endpoint = options.endpoint || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+            (baseEndpoint ? `${baseEndpoint.replace(/\/+$/, '')}/v1/traces` : null);
+
+        this.options = {
+            ...options,
+            exporter: options.exporter || process.env.TRACING_EXPORTER || (endpoint ? 'otlp' : 'none'),
+            endpoint,
+            headers: options.headers || parseHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+            file: options.file || process.env.TRACE_FILE || path.join('logs', 'traces.jsonl'),
+            serviceName: options.serviceName || process.env.OTEL_SERVICE_NAME || 'claude-flow',
+            maxBatchSize: options.maxBatchSize || 512,
+            flushIntervalMs: options.flushIntervalMs || parseInt(process.env.TRACE_FLUSH_INTERVAL_MS, 10) || 5000
+        };
+
+        if (!TRACE_EXPORTERS.includes(this.options.exporter)) {
+            throw new Error(`Unknown trace exporter "${this.options.exporter}" (expected one of: ${TRACE_EXPORTERS.join(', ')})`);
+        }
+
+        this.enabled = this.options.exporter !== 'none';
+        this.exporter = options.spanExporter || this.createExporter();
+        // A process started with TRACEPARENT continues its parent's trace
+        this.remoteParent = parseTraceparent(options.traceparent ?? process.env.TRACEPARENT);
+        this.resource = {
+            'service.name': this.options.serviceName,
+            'host.name': os.hostname(),
+            'process.pid': process.pid
+        };
+        this.pending = [];
+        this.timer = null;
+    }
+
+    createExporter() {
+        switch (this.options.exporter) {
+            case 'otlp':
+                return new OTLPHttpExporter({ endpoint: this.options.endpoint, headers: this.options.headers });
+            case 'file':
+                return new FileSpanExporter({ file: this.options.file });
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Start a span under the active one; end() it when the work is done
+     * @param {Object} options - { attributes, kind, parent }
+     */
+    startSpan(name, options = {}) {
+        const parent = options.parent || activeSpan.getStore() || this.remoteParent;
+        return new Span(this, name, { ...options, parent });
+    }
+
+    onEnd(span) {
+        if (!span.recording) return;
+
+        this.pending.push(span);
+        if (this.pending.length >= this.options.maxBatchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.options.flushIntervalMs);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Export every finished span; a failing exporter loses the batch but never fails the run
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const spans = this.pending.splice(0);
+        if (spans.length === 0 || !this.exporter) return;
+
+        try {
+            await this.exporter.export(spans, this.resource);
+        } catch (error) {
+            // Required here: the logger adds trace ids to its lines, so it depends on this module
+            require('./logger').createLogger('tracing').warn(`⚠️ Failed to export ${spans.length} spans: ${error.message}`);
+        }
+    }
+
+    // Last chance for spans that ended after the final flush()
+    flushSync() {
+        const spans = this.pending.splice(0);
+        if (spans.length > 0 && this.exporter?.exportSync) {
+            this.exporter.exportSync(spans, this.resource);
+        }
+    }
+}
+
+/**
+ * The process-wide tracer, configured from the environment on first use
+ */
+function getTracer() {
+    if (!tracer) {
+        tracer = new Tracer();
+        process.once('exit', () => tracer?.flushSync());
+    }
+    return tracer;
+}
+
+function startSpan(name, options = {}) {
+    return getTracer().startSpan(name, options);
+}
+
+/**
+ * Run fn(span) inside a new span that ends when fn settles; a thrown error marks the span as failed
+ * @param {Object} options - { attributes, kind }
+ */
+async function withSpan(name, options, fn) {
+    const span = startSpan(name, options);
+
+    try {
+        return await activeSpan.run(span, () => fn(span));
+    } catch (error) {
+        span.recordException(error);
+        throw error;
+    } finally {
+        span.end();
+    }
+}
+
+/**
+ * The recording span of the current async context, if any
+ */
+function getActiveSpan() {
+    const span = activeSpan.getStore();
+    return span?.recording ? span : null;
+}
+
+/**
+ * Environment for a child process, so its spans join the current trace
+ */
+function traceEnv(span = getActiveSpan()) {
+    return span?.recording ? { TRACEPARENT: span.traceparent } : {};
+}
+
+async function flushTraces() {
+    if (tracer) {
+        await tracer.flush();
+    }
+}
+
+module.exports = {
+    TRACE_EXPORTERS,
+    SPAN_KIND,
+    SPAN_STATUS,
+    Span,
+    Tracer,
+    OTLPHttpExporter,
+    FileSpanExporter,
+    getTracer,
+    startSpan,
+    withSpan,
+    getActiveSpan,
+    traceEnv,
+    flushTraces,
+    parseTraceparent
+};
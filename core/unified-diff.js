@@ -0,0 +1,312 @@
+/**
+ * Claude Flow v3.0 - Unified Diff
+ * Parse, apply and create unified diffs (the `diff -u` / `git diff` format)
+ * Hunk counts in model-written patches are often off, so parsing relies on
+ * line prefixes and applying locates hunks by their content
+ */
+
+const DEFAULT_CONTEXT = 3;
+
+// Beyond this many changed lines the Myers trace gets large; fall back to replacing the block
+const MAX_EDIT_DISTANCE = 4000;
+
+function splitLines(text) {
+    if (text === null || text === undefined || text === '') return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines.map(line => line.replace(/\r$/, ''));
+}
+
+function cleanPath(header) {
+    // "a/src/file.js\t2024-01-01 00:00:00" → "src/file.js"
+    const raw = header.split('\t')[0].trim();
+    if (raw === '/dev/null') return null;
+    return raw.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse a unified diff into per-file patches
+ * @returns {Array<{oldPath, newPath, hunks: Array<{oldStart, newStart, lines: Array<{type, text}>}>}>}
+ */
+function parsePatch(text) {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+
+    const files = [];
+    let current = null;
+    let hunk = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+            current = { oldPath: cleanPath(line.slice(4)), newPath: cleanPath(lines[i + 1].slice(4)), hunks: [] };
+            files.push(current);
+            hunk = null;
+            i++;
+            continue;
+        }
+
+        const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+        if (header) {
+            if (!current) {
+                throw new Error(`Hunk header without file header at line ${i + 1}`);
+            }
+            hunk = { oldStart: parseInt(header[1], 10), newStart: parseInt(header[3], 10), lines: [], noNewlineAtEnd: false };
+            current.hunks.push(hunk);
+            continue;
+        }
+
+        if (!hunk) continue; // "diff --git", "index ...", prose around the patch
+
+        if (line.startsWith('\\')) {
+            // "\ No newline at end of file" applies to the line before it; only the new side matters here
+            const previous = hunk.lines[hunk.lines.length - 1];
+            if (previous && previous.type !== '-') hunk.noNewlineAtEnd = true;
+        } else if (line.startsWith('+')) {
+            hunk.lines.push({ type: '+', text: line.slice(1) });
+        } else if (line.startsWith('-')) {
+            hunk.lines.push({ type: '-', text: line.slice(1) });
+        } else if (line.startsWith(' ') || line === '') {
+            // Models and editors sometimes strip the space from blank context lines
+            hunk.lines.push({ type: ' ', text: line.slice(1) });
+        } else {
+            hunk = null;
+        }
+    }
+
+    return files.filter(file => file.hunks.length > 0 || file.newPath === null);
+}
+
+function matchesAt(lines, block, position, loose) {
+    if (position < 0 || position + block.length > lines.length) return false;
+    for (let i = 0; i < block.length; i++) {
+        const a = lines[position + i];
+        const b = block[i];
+        if (loose ? a.trimEnd() !== b.trimEnd() : a !== b) return false;
+    }
+    return true;
+}
+
+/**
+ * Find where a hunk's old lines sit, searching outward from where the header says
+ */
+function findBlock(lines, block, expected, minPosition) {
+    if (block.length === 0) {
+        return Math.max(minPosition, Math.min(expected, lines.length));
+    }
+
+    // A header pointing past the end of the file still searches the whole file
+    const start = Math.min(expected, lines.length);
+
+    for (const loose of [false, true]) {
+        for (let distance = 0; distance <= lines.length; distance++) {
+            for (const position of [start - distance, start + distance]) {
+                if (position >= minPosition && matchesAt(lines, block, position, loose)) {
+                    return position;
+                }
+            }
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Apply one file patch to the file's current content
+ * @param {string|null} content - current content, null when the file does not exist
+ * @returns {string|null} new content, or null when the patch deletes the file
+ */
+function applyFilePatch(content, filePatch) {
+    if (filePatch.newPath === null) return null;
+
+    const lines = splitLines(content);
+    let delta = 0;
+    let cursor = 0;
+    let noNewlineAtEnd = false;
+
+    filePatch.hunks.forEach((hunk, index) => {
+        const oldBlock = hunk.lines.filter(l => l.type !== '+').map(l => l.text);
+        const newBlock = hunk.lines.filter(l => l.type !== '-').map(l => l.text);
+        const expected = Math.max(0, (oldBlock.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta);
+        const position = findBlock(lines, oldBlock, expected, cursor);
+
+        if (position === -1) {
+            throw new Error(`Hunk ${index + 1} of ${filePatch.newPath || filePatch.oldPath} does not apply`);
+        }
+
+        lines.splice(position, oldBlock.length, ...newBlock);
+        delta += newBlock.length - oldBlock.length;
+        cursor = position + newBlock.length;
+        noNewlineAtEnd = hunk.noNewlineAtEnd;
+    });
+
+    if (lines.length === 0) return '';
+
+    const keepFinalNewline = content === null || content === undefined || content === '' || content.endsWith('\n');
+    return lines.join('\n') + (keepFinalNewline && !noNewlineAtEnd ? '\n' : '');
+}
+
+/**
+ * Myers O(ND) line diff
+ * @returns {Array<{type: ' '|'-'|'+', text}>}
+ */
+function diffLines(a, b) {
+    // Common prefix and suffix are cheap to strip and keep the search small
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const prefix = a.slice(0, start).map(text => ({ type: ' ', text }));
+    const suffix = a.slice(endA).map(text => ({ type: ' ', text }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    return [...prefix, ...myers(midA, midB), ...suffix];
+}
+
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+
+    if (max === 0) return [];
+    if (max > MAX_EDIT_DISTANCE) {
+        return [...a.map(text => ({ type: '-', text })), ...b.map(text => ({ type: '+', text }))];
+    }
+
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    outer:
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset]))
+                ? v[k + 1 + offset]
+                : v[k - 1 + offset] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+            v[k + offset] = x;
+            if (x >= n && y >= m) break outer;
+        }
+    }
+
+    const ops = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const vd = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && vd[k - 1 + offset] < vd[k + 1 + offset])) ? k + 1 : k - 1;
+        const prevX = vd[prevK + offset];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', text: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push({ type: '+', text: b[y - 1] });
+            else ops.push({ type: '-', text: a[x - 1] });
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Create a unified diff for one file
+ * @param {string} filePath
+ * @param {string|null} oldText - null for a new file
+ * @param {string|null} newText - null for a deleted file
+ */
+function createPatch(filePath, oldText, newText, options = {}) {
+    const context = options.context ?? DEFAULT_CONTEXT;
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+    if (!ops.some(op => op.type !== ' ')) return '';
+
+    // Line numbers (0-based) before each op
+    const oldAt = [];
+    const newAt = [];
+    let oldLine = 0;
+    let newLine = 0;
+    ops.forEach((op, i) => {
+        oldAt[i] = oldLine;
+        newAt[i] = newLine;
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    });
+
+    const changes = ops.map((op, i) => (op.type !== ' ' ? i : -1)).filter(i => i !== -1);
+    const hunks = [];
+    let first = changes[0];
+    let last = changes[0];
+
+    const flush = () => {
+        const from = Math.max(0, first - context);
+        const to = Math.min(ops.length, last + context + 1);
+        const slice = ops.slice(from, to);
+        const oldCount = slice.filter(op => op.type !== '+').length;
+        const newCount = slice.filter(op => op.type !== '-').length;
+        const oldStart = oldCount === 0 ? oldAt[from] : oldAt[from] + 1;
+        const newStart = newCount === 0 ? newAt[from] : newAt[from] + 1;
+
+        hunks.push([
+            `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+            ...slice.map(op => `${op.type}${op.text}`)
+        ].join('\n'));
+    };
+
+    for (const index of changes.slice(1)) {
+        if (index - last > context * 2) {
+            flush();
+            first = index;
+        }
+        last = index;
+    }
+    flush();
+
+    return [
+        `--- ${oldText === null ? '/dev/null' : `a/${filePath}`}`,
+        `+++ ${newText === null ? '/dev/null' : `b/${filePath}`}`,
+        ...hunks
+    ].join('\n') + '\n';
+}
+
+/**
+ * Added/removed line counts for parsed file patches
+ */
+function diffStat(filePatches) {
+    const files = filePatches.map((file) => {
+        const lines = file.hunks.flatMap(hunk => hunk.lines);
+        return {
+            path: file.newPath || file.oldPath,
+            additions: lines.filter(l => l.type === '+').length,
+            deletions: lines.filter(l => l.type === '-').length
+        };
+    });
+
+    return {
+        files,
+        additions: files.reduce((sum, f) => sum + f.additions, 0),
+        deletions: files.reduce((sum, f) => sum + f.deletions, 0)
+    };
+}
+
+module.exports = {
+    parsePatch,
+    applyFilePatch,
+    createPatch,
+    diffLines,
+    diffStat,
+    splitLines
+};
@@ -0,0 +1,777 @@
+/**
+ * Claude Flow v3.0 - Unified Store
+ * Single versioned SQLite schema shared by every component
+ * Sessions from the orchestrator, engine, webhook server and legacy automation
+ * all live in automation_sessions, so every report reads the same rows
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs-extra');
+const path = require('path');
+const { importLegacyStores } = require('./legacy-stores');
+const { redact, redactText } = require('./redaction');
+
+// Canonical session statuses; anything else is mapped onto one of these
+const SESSION_STATUS = {
+    STARTED: 'started',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const STATUS_ALIASES = {
+    'hive-mind-started': SESSION_STATUS.STARTED,
+    'hive-mind-completed': SESSION_STATUS.COMPLETED,
+    'hive-mind-failed': SESSION_STATUS.FAILED,
+    'success': SESSION_STATUS.COMPLETED,
+    'resolved': SESSION_STATUS.COMPLETED,
+    'error': SESSION_STATUS.FAILED
+};
+
+function normalizeStatus(status) {
+    if (!status) return SESSION_STATUS.STARTED;
+    if (Object.values(SESSION_STATUS).includes(status)) return status;
+    // Intermediate phases (initializing, analyzing, executing, publishing, ...) count as running
+    return STATUS_ALIASES[status] || SESSION_STATUS.STARTED;
+}
+
+function toIsoTime(value) {
+    if (value === undefined || value === null) return null;
+    const date = typeof value === 'number' ? new Date(value) : new Date(String(value));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Columns automation_sessions must have after migration 2.
+ * Older databases (setup-enhanced-db or full-automation) are missing some of them.
+ */
+const SESSION_COLUMNS = {
+    agents_spawned: 'TEXT',
+    tools_used: 'TEXT',
+    success: 'BOOLEAN',
+    error_message: 'TEXT',
+    metrics: 'TEXT',
+    source: 'TEXT',
+    issue_number: 'INTEGER',
+    repository: 'TEXT',
+    duration_ms: 'INTEGER',
+    quality_score: 'REAL',
+    data: 'TEXT',
+    updated_at: 'DATETIME'
+};
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'baseline-schema',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS issues (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    github_id INTEGER UNIQUE,
+                    number INTEGER,
+                    title TEXT,
+                    body TEXT,
+                    labels TEXT,
+                    state TEXT,
+                    complexity_score INTEGER,
+                    estimated_duration INTEGER,
+                    language_detected TEXT,
+                    framework_detected TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    resolved_at DATETIME,
+                    resolution_time INTEGER
+                );
+
+                CREATE TABLE IF NOT EXISTS agent_performance (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    agent_id TEXT,
+                    agent_type TEXT,
+                    task_type TEXT,
+                    issue_id INTEGER,
+                    success_rate REAL,
+                    completion_time INTEGER,
+                    quality_score REAL,
+                    tools_used TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (issue_id) REFERENCES issues(id)
+                );
+
+                CREATE TABLE IF NOT EXISTS learning_patterns (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    pattern_type TEXT,
+                    pattern_data TEXT,
+                    success_rate REAL,
+                    usage_count INTEGER DEFAULT 1,
+                    confidence_score REAL,
+                    issue_characteristics TEXT,
+                    solution_approach TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS tool_usage (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tool_name TEXT,
+                    tool_category TEXT,
+                    task_type TEXT,
+                    success_rate REAL,
+                    avg_execution_time INTEGER,
+                    error_rate REAL,
+                    usage_count INTEGER DEFAULT 1,
+                    last_used DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    performance_score REAL
+                );
+
+                CREATE TABLE IF NOT EXISTS automation_sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    session_id TEXT UNIQUE,
+                    issue_id INTEGER,
+                    status TEXT,
+                    agents_spawned TEXT,
+                    tools_used TEXT,
+                    start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    end_time DATETIME,
+                    success BOOLEAN,
+                    error_message TEXT,
+                    metrics TEXT,
+                    FOREIGN KEY (issue_id) REFERENCES issues(id)
+                );
+
+                CREATE TABLE IF NOT EXISTS github_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    event_type TEXT,
+                    event_data TEXT,
+                    processed BOOLEAN DEFAULT FALSE,
+                    processing_time INTEGER,
+                    result TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS neural_training_data (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    input_data TEXT,
+                    expected_output TEXT,
+                    actual_output TEXT,
+                    training_epoch INTEGER,
+                    loss_score REAL,
+                    accuracy_score REAL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS optimization_metrics (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    metric_type TEXT,
+                    metric_value REAL,
+                    optimization_target TEXT,
+                    improvement_percentage REAL,
+                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS webhook_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    event_id TEXT,
+                    event_type TEXT,
+                    payload TEXT,
+                    signature TEXT,
+                    processed BOOLEAN DEFAULT FALSE,
+                    processing_duration INTEGER,
+                    status TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_issues_github_id ON issues(github_id);
+                CREATE INDEX IF NOT EXISTS idx_issues_state ON issues(state);
+                CREATE INDEX IF NOT EXISTS idx_issues_complexity ON issues(complexity_score);
+                CREATE INDEX IF NOT EXISTS idx_agent_performance_type ON agent_performance(agent_type);
+                CREATE INDEX IF NOT EXISTS idx_learning_patterns_type ON learning_patterns(pattern_type);
+                CREATE INDEX IF NOT EXISTS idx_tool_usage_name ON tool_usage(tool_name);
+                CREATE INDEX IF NOT EXISTS idx_automation_sessions_status ON automation_sessions(status);
+                CREATE INDEX IF NOT EXISTS idx_github_events_processed ON github_events(processed);
+                CREATE INDEX IF NOT EXISTS idx_webhook_events_processed ON webhook_events(processed);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'unified-sessions',
+        up(db) {
+            const existing = new Set(db.prepare('PRAGMA table_info(automation_sessions)').all().map(c => c.name));
+
+            for (const [column, type] of Object.entries(SESSION_COLUMNS)) {
+                if (!existing.has(column)) {
+                    db.exec(`ALTER TABLE automation_sessions ADD COLUMN ${column} ${type}`);
+                }
+            }
+
+            // Fold the ad-hoc status values written by different components into the canonical set
+            const rows = db.prepare('SELECT id, status, metrics FROM automation_sessions').all();
+            const update = db.prepare(`
+                UPDATE automation_sessions
+                SET status = ?, success = COALESCE(success, ?), issue_number = COALESCE(issue_number, ?), source = COALESCE(source, 'automation')
+                WHERE id = ?
+            `);
+
+            for (const row of rows) {
+                const status = normalizeStatus(row.status);
+                let issueNumber = null;
+                try {
+                    issueNumber = JSON.parse(row.metrics || '{}').issue_number || null;
+                } catch (error) {
+                    issueNumber = null;
+                }
+                const success = status === SESSION_STATUS.STARTED ? null : (status === SESSION_STATUS.COMPLETED ? 1 : 0);
+                update.run(status, success, issueNumber, row.id);
+            }
+
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_automation_sessions_issue ON automation_sessions(issue_number);
+                CREATE INDEX IF NOT EXISTS idx_automation_sessions_start ON automation_sessions(start_time);
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'import-legacy-stores',
+        up(db, context) {
+            importLegacyStores(context.store, context.rootDir);
+        }
+    },
+    {
+        version: 4,
+        name: 'job-queue',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS jobs (
+                    id TEXT PRIMARY KEY,
+                    type TEXT NOT NULL,
+                    payload TEXT,
+                    priority INTEGER DEFAULT 0,
+                    status TEXT NOT NULL DEFAULT 'queued',
+                    attempts INTEGER DEFAULT 0,
+                    max_attempts INTEGER DEFAULT 3,
+                    run_at DATETIME NOT NULL,
+                    locked_by TEXT,
+                    locked_at DATETIME,
+                    last_error TEXT,
+                    result TEXT,
+                    created_at DATETIME NOT NULL,
+                    updated_at DATETIME NOT NULL,
+                    completed_at DATETIME
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs(status, priority DESC, run_at);
+                CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type);
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'webhook-delivery-dedupe',
+        up(db) {
+            const existing = new Set(db.prepare('PRAGMA table_info(webhook_events)').all().map(c => c.name));
+
+            if (!existing.has('duplicate_count')) {
+                db.exec('ALTER TABLE webhook_events ADD COLUMN duplicate_count INTEGER DEFAULT 0');
+            }
+            if (!existing.has('replay_of')) {
+                db.exec('ALTER TABLE webhook_events ADD COLUMN replay_of TEXT');
+            }
+
+            // Redeliveries recorded before deduplication existed: keep the first row of each delivery
+            db.exec(`
+                UPDATE webhook_events
+                SET duplicate_count = (
+                    SELECT COUNT(*) - 1 FROM webhook_events dup WHERE dup.event_id = webhook_events.event_id
+                )
+                WHERE event_id IS NOT NULL AND id IN (
+                    SELECT MIN(id) FROM webhook_events WHERE event_id IS NOT NULL GROUP BY event_id HAVING COUNT(*) > 1
+                );
+
+                DELETE FROM webhook_events
+                WHERE event_id IS NOT NULL AND id NOT IN (
+                    SELECT MIN(id) FROM webhook_events WHERE event_id IS NOT NULL GROUP BY event_id
+                );
+
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_event_id ON webhook_events(event_id);
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'session-pull-requests',
+        up(db) {
+            const existing = new Set(db.prepare('PRAGMA table_info(automation_sessions)').all().map(c => c.name));
+
+            if (!existing.has('pr_number')) {
+                db.exec('ALTER TABLE automation_sessions ADD COLUMN pr_number INTEGER');
+            }
+            if (!existing.has('pr_branch')) {
+                db.exec('ALTER TABLE automation_sessions ADD COLUMN pr_branch TEXT');
+            }
+
+            // Orchestrator sessions recorded their PR inside the JSON data
+            db.exec(`
+                UPDATE automation_sessions
+                SET pr_number = json_extract(data, '$.orchestrator.pullRequest')
+                WHERE pr_number IS NULL AND json_valid(data) AND json_extract(data, '$.orchestrator.pullRequest') IS NOT NULL;
+
+                CREATE INDEX IF NOT EXISTS idx_automation_sessions_pr ON automation_sessions(repository, pr_number);
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'pr-outcomes',
+        up(db) {
+            // Ground-truth labels: what humans did with the PR a session produced
+            const addColumns = (table, columns) => {
+                const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+                for (const [column, type] of Object.entries(columns)) {
+                    if (!existing.has(column)) {
+                        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+                    }
+                }
+            };
+
+            addColumns('learning_patterns', { session_id: 'TEXT', outcome: 'TEXT' });
+            addColumns('neural_training_data', { session_id: 'TEXT', label: 'TEXT' });
+
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS pr_outcomes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    repository TEXT NOT NULL,
+                    pr_number INTEGER NOT NULL,
+                    session_id TEXT,
+                    outcome TEXT NOT NULL,
+                    merge_commit_sha TEXT,
+                    closed_at DATETIME,
+                    reverted_by TEXT,
+                    reverted_at DATETIME,
+                    created_at DATETIME NOT NULL,
+                    updated_at DATETIME NOT NULL,
+                    UNIQUE (repository, pr_number)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_pr_outcomes_merge_commit ON pr_outcomes(repository, merge_commit_sha);
+                CREATE INDEX IF NOT EXISTS idx_learning_patterns_session ON learning_patterns(session_id);
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: 'repository-partitions',
+        up(db) {
+            // One server handles many repositories: learning data is partitioned per repository,
+            // and rows flagged shared make up the optional global model
+            const addColumns = (table, columns) => {
+                const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+                for (const [column, type] of Object.entries(columns)) {
+                    if (!existing.has(column)) {
+                        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+                    }
+                }
+            };
+
+            addColumns('learning_patterns', { repository: 'TEXT', shared: 'BOOLEAN DEFAULT 0' });
+            addColumns('neural_training_data', { repository: 'TEXT', shared: 'BOOLEAN DEFAULT 0' });
+            addColumns('pr_outcomes', { shared: 'BOOLEAN DEFAULT 0' });
+
+            // Rows from before partitioning belong to the repository of their session and seed the global model
+            db.exec(`
+                UPDATE learning_patterns SET shared = 1, repository = (
+                    SELECT s.repository FROM automation_sessions s WHERE s.session_id = learning_patterns.session_id
+                );
+                UPDATE neural_training_data SET shared = 1, repository = (
+                    SELECT s.repository FROM automation_sessions s WHERE s.session_id = neural_training_data.session_id
+                );
+                UPDATE pr_outcomes SET shared = 1;
+
+                CREATE INDEX IF NOT EXISTS idx_learning_patterns_repository ON learning_patterns(repository);
+                CREATE INDEX IF NOT EXISTS idx_neural_training_repository ON neural_training_data(repository);
+                CREATE INDEX IF NOT EXISTS idx_sessions_repository ON automation_sessions(repository, issue_number);
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'metric-values',
+        up(db) {
+            // Counters and histogram buckets recorded by any process (runs are child processes of the
+            // webhook server) and read back by every /metrics endpoint; see core/metrics.js
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS metric_values (
+                    name TEXT NOT NULL,
+                    labels TEXT NOT NULL,
+                    value REAL NOT NULL DEFAULT 0,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (name, labels)
+                );
+            `);
+        }
+    },
+    {
+        version: 10,
+        name: 'operator-controls',
+        up(db) {
+            // Switches the dashboard sets and the webhook server, runs and agents read (intake pause, learning reset)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS runtime_controls (
+                    name TEXT PRIMARY KEY,
+                    value TEXT NOT NULL,
+                    updated_by TEXT,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+
+            // An agent belongs to the process that spawned it; others leave a termination request for that process
+            const existing = new Set(db.prepare('PRAGMA table_info(agent_performance)').all().map(c => c.name));
+            if (!existing.has('termination_requested_at')) {
+                db.exec('ALTER TABLE agent_performance ADD COLUMN termination_requested_at DATETIME');
+            }
+            if (!existing.has('termination_reason')) {
+                db.exec('ALTER TABLE agent_performance ADD COLUMN termination_reason TEXT');
+            }
+            db.exec('CREATE INDEX IF NOT EXISTS idx_agent_performance_agent ON agent_performance(agent_id)');
+        }
+    },
+    {
+        version: 11,
+        name: 'dashboard-auth',
+        up(db) {
+            // Local dashboard accounts (GitHub sign-ins have no row) and who did what on the dashboard
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS dashboard_users (
+                    username TEXT PRIMARY KEY,
+                    password_hash TEXT NOT NULL,
+                    role TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_login_at DATETIME
+                );
+
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    actor TEXT,
+                    role TEXT,
+                    action TEXT NOT NULL,
+                    target TEXT,
+                    outcome TEXT NOT NULL,
+                    details TEXT,
+                    ip TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+                CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor);
+            `);
+        }
+    }
+];
+
+class UnifiedStore {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            dbPath: options.dbPath || process.env.CLAUDE_FLOW_DB || path.join('.hive-mind', 'automation.db'),
+            rootDir: options.rootDir || process.cwd(),
+            autoMigrate: options.autoMigrate !== false
+        };
+
+        if (options.db) {
+            this.db = options.db;
+        } else {
+            fs.ensureDirSync(path.dirname(path.resolve(this.options.rootDir, this.options.dbPath)));
+            this.db = new Database(path.resolve(this.options.rootDir, this.options.dbPath));
+        }
+
+        if (this.options.autoMigrate) {
+            this.migrate();
+        }
+    }
+
+    // =================================================================
+    // MIGRATIONS
+    // =================================================================
+
+    ensureMigrationTable() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    getSchemaVersion() {
+        this.ensureMigrationTable();
+        return this.db.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version || 0;
+    }
+
+    /**
+     * Apply every pending migration, each in its own transaction
+     * @returns {Array<{version, name}>} migrations applied by this call
+     */
+    migrate() {
+        const currentVersion = this.getSchemaVersion();
+        const pending = MIGRATIONS.filter(m => m.version > currentVersion);
+        const record = this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+        const context = { store: this, rootDir: this.options.rootDir };
+
+        for (const migration of pending) {
+            this.db.transaction(() => {
+                migration.up(this.db, context);
+                record.run(migration.version, migration.name);
+            })();
+        }
+
+        return pending.map(({ version, name }) => ({ version, name }));
+    }
+
+    // =================================================================
+    // SESSIONS
+    // =================================================================
+
+    /**
+     * Create or update a session row
+     * Fields left undefined keep their stored value; `data` is merged into the stored JSON
+     */
+    upsertSession(session) {
+        const status = session.status ? normalizeStatus(session.status) : null;
+        const success = session.success !== undefined
+            ? (session.success ? 1 : 0)
+            : (status && status !== SESSION_STATUS.STARTED ? (status === SESSION_STATUS.COMPLETED ? 1 : 0) : null);
+
+        this.db.prepare(`
+            INSERT INTO automation_sessions (
+                session_id, source, issue_id, issue_number, repository, status, success,
+                start_time, end_time, duration_ms, quality_score, agents_spawned, tools_used,
+                error_message, metrics, data, pr_number, pr_branch, updated_at
+            ) VALUES (
+                @sessionId, @source, @issueId, @issueNumber, @repository, COALESCE(@status, 'started'), @success,
+                COALESCE(@startTime, @now), @endTime, @durationMs, @qualityScore, @agents, @tools,
+                @errorMessage, @metrics, @data, @prNumber, @prBranch, @now
+            )
+            ON CONFLICT(session_id) DO UPDATE SET
+                source = COALESCE(automation_sessions.source, excluded.source),
+                issue_id = COALESCE(excluded.issue_id, automation_sessions.issue_id),
+                issue_number = COALESCE(excluded.issue_number, automation_sessions.issue_number),
+                repository = COALESCE(excluded.repository, automation_sessions.repository),
+                status = COALESCE(@status, automation_sessions.status),
+                success = COALESCE(excluded.success, automation_sessions.success),
+                start_time = COALESCE(@startTime, automation_sessions.start_time),
+                end_time = COALESCE(excluded.end_time, automation_sessions.end_time),
+                duration_ms = COALESCE(excluded.duration_ms, automation_sessions.duration_ms),
+                quality_score = COALESCE(excluded.quality_score, automation_sessions.quality_score),
+                agents_spawned = COALESCE(excluded.agents_spawned, automation_sessions.agents_spawned),
+                tools_used = COALESCE(excluded.tools_used, automation_sessions.tools_used),
+                error_message = COALESCE(excluded.error_message, automation_sessions.error_message),
+                metrics = COALESCE(excluded.metrics, automation_sessions.metrics),
+                data = CASE
+                    WHEN excluded.data IS NULL THEN automation_sessions.data
+                    WHEN automation_sessions.data IS NULL THEN excluded.data
+                    ELSE json_patch(automation_sessions.data, excluded.data)
+                END,
+                pr_number = COALESCE(excluded.pr_number, automation_sessions.pr_number),
+                pr_branch = COALESCE(excluded.pr_branch, automation_sessions.pr_branch),
+                updated_at = excluded.updated_at
+        `).run({
+            sessionId: session.sessionId,
+            source: session.source || null,
+            issueId: session.issueId ?? null,
+            issueNumber: session.issueNumber ?? null,
+            repository: session.repository || null,
+            status,
+            success,
+            startTime: toIsoTime(session.startTime),
+            endTime: toIsoTime(session.endTime),
+            durationMs: session.durationMs ?? null,
+            qualityScore: session.qualityScore ?? null,
+            agents: session.agents !== undefined ? JSON.stringify(session.agents) : null,
+            tools: session.tools !== undefined ? JSON.stringify(session.tools) : null,
+            // Error text and session data may quote tokens from environments, issues or model output
+            errorMessage: redactText(session.errorMessage) || null,
+            metrics: session.metrics !== undefined ? JSON.stringify(session.metrics) : null,
+            data: session.data !== undefined ? JSON.stringify(redact(session.data)) : null,
+            prNumber: session.prNumber ?? null,
+            prBranch: session.prBranch || null,
+            now: new Date().toISOString()
+        });
+
+        return session.sessionId;
+    }
+
+    getSession(sessionId) {
+        const row = this.db.prepare('SELECT * FROM automation_sessions WHERE session_id = ?').get(sessionId);
+        return row ? this.hydrateSession(row) : null;
+    }
+
+    /**
+     * The session that opened a pull request, newest first when a PR was reopened by a later run
+     */
+    findSessionByPullRequest(repository, prNumber) {
+        const row = this.db.prepare(`
+            SELECT * FROM automation_sessions
+            WHERE repository = ? AND pr_number = ?
+            ORDER BY start_time DESC
+            LIMIT 1
+        `).get(repository, prNumber);
+
+        return row ? this.hydrateSession(row) : null;
+    }
+
+    listSessions({ limit = 50, status, issueNumber, source, repository } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (repository) { conditions.push('repository = ?'); params.push(repository); }
+        if (status) { conditions.push('status = ?'); params.push(normalizeStatus(status)); }
+        if (issueNumber) { conditions.push('issue_number = ?'); params.push(issueNumber); }
+        if (source) { conditions.push('source = ?'); params.push(source); }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        return this.db.prepare(`
+            SELECT * FROM automation_sessions ${where}
+            ORDER BY start_time DESC
+            LIMIT ?
+        `).all(...params, limit).map(row => this.hydrateSession(row));
+    }
+
+    /**
+     * Session counts used by the dashboard, learning system and CLI
+     * @param {Object} options - { sinceHours } to restrict to recent sessions, { repository } to one repository
+     */
+    getSessionStats({ sinceHours, repository } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (sinceHours) { conditions.push('julianday(start_time) > julianday(\'now\', ?)'); params.push(`-${sinceHours} hours`); }
+        if (repository) { conditions.push('repository = ?'); params.push(repository); }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const stats = this.db.prepare(`
+            SELECT
+                COUNT(*) as total,
+                SUM(CASE WHEN status = 'started' THEN 1 ELSE 0 END) as active,
+                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
+                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+                AVG(CASE WHEN end_time IS NOT NULL THEN COALESCE(duration_ms,
+                    (julianday(end_time) - julianday(start_time)) * 24 * 60 * 60 * 1000) END) as avg_duration
+            FROM automation_sessions ${where}
+        `).get(...params);
+
+        const finished = (stats.completed || 0) + (stats.failed || 0);
+
+        return {
+            total: stats.total,
+            active: stats.active || 0,
+            completed: stats.completed || 0,
+            failed: stats.failed || 0,
+            successRate: finished > 0 ? Math.round((stats.completed / finished) * 10000) / 100 : 0,
+            averageDurationMs: stats.avg_duration ? Math.round(stats.avg_duration) : 0
+        };
+    }
+
+    hydrateSession(row) {
+        const parse = (value) => {
+            if (value === null || value === undefined) return null;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        };
+
+        return {
+            ...row,
+            success: row.success === null ? null : !!row.success,
+            agents_spawned: parse(row.agents_spawned),
+            tools_used: parse(row.tools_used),
+            metrics: parse(row.metrics),
+            data: parse(row.data)
+        };
+    }
+
+    // =================================================================
+    // RUNTIME CONTROLS
+    // =================================================================
+
+    /**
+     * Operator switch shared by every process on this database
+     * @returns {Object|null} { name, value, updatedBy, updatedAt }, null when it was never set
+     */
+    getControl(name) {
+        const row = this.db.prepare('SELECT * FROM runtime_controls WHERE name = ?').get(name);
+        if (!row) return null;
+
+        return { name, value: JSON.parse(row.value), updatedBy: row.updated_by, updatedAt: row.updated_at };
+    }
+
+    /**
+     * @param {*} value - JSON-serializable
+     * @param {string} updatedBy - who changed it, kept for the dashboard and logs
+     */
+    setControl(name, value, updatedBy = null) {
+        this.db.prepare(`
+            INSERT INTO runtime_controls (name, value, updated_by, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT(name) DO UPDATE SET
+                value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at
+        `).run(name, JSON.stringify(value), updatedBy, new Date().toISOString());
+
+        return this.getControl(name);
+    }
+
+    // =================================================================
+    // AUDIT LOG
+    // =================================================================
+
+    /**
+     * Record who did what; details are redacted like every other stored payload
+     * @param {Object} entry - { actor, role, action, target, outcome, details, ip }
+     */
+    recordAudit(entry) {
+        this.db.prepare(`
+            INSERT INTO audit_log (actor, role, action, target, outcome, details, ip, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            entry.actor || null,
+            entry.role || null,
+            entry.action,
+            entry.target || null,
+            entry.outcome,
+            entry.details ? JSON.stringify(redact(entry.details)) : null,
+            entry.ip || null,
+            new Date().toISOString()
+        );
+    }
+
+    listAuditLog({ limit = 100, actor, action } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (actor) { conditions.push('actor = ?'); params.push(actor); }
+        if (action) { conditions.push('action = ?'); params.push(action); }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        return this.db.prepare(`
+            SELECT * FROM audit_log ${where}
+            ORDER BY id DESC
+            LIMIT ?
+        `).all(...params, limit).map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+    }
+
+    close() {
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+}
+
+module.exports = UnifiedStore;
+module.exports.SESSION_STATUS = SESSION_STATUS;
+module.exports.MIGRATIONS = MIGRATIONS;
+module.exports.normalizeStatus = normalizeStatus;
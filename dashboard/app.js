@@ -1,7 +1,17 @@
 // Claude Flow Automation Dashboard JavaScript
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Audit entries hold names typed on the sign-in page, so they are never inserted as markup
+function escapeHtml(value) {
+    const element = document.createElement('span');
+    element.textContent = String(value);
+    return element.innerHTML;
+}
+
 class AutomationDashboard {
     constructor() {
         this.socket = null;
+        this.user = null;
         this.charts = {};
         this.isConnected = false;
         this.metricsHistory = {
@@ -11,15 +21,61 @@ class AutomationDashboard {
             tools: [],
             learning: []
         };
-        
-        this.initializeSocket();
-        this.initializeCharts();
-        this.bindEvents();
+
+        // Nothing is shown or connected before the session is known to be valid
+        this.loadUser().then(() => {
+            this.initializeSocket();
+            this.initializeCharts();
+            this.bindEvents();
+        });
+    }
+
+    loadUser() {
+        return this.api('/auth/me')
+            .then(response => response.json())
+            .then(data => {
+                this.user = data.user;
+                document.getElementById('current-user').textContent = `${this.user.username} (${this.user.role})`;
+                document.querySelectorAll('[data-min-role]').forEach(element => {
+                    element.classList.toggle('d-none', !this.hasRole(element.dataset.minRole));
+                });
+            });
+    }
+
+    hasRole(role) {
+        return Boolean(this.user) && ROLES.indexOf(this.user.role) >= ROLES.indexOf(role);
+    }
+
+    /**
+     * fetch() that sends the browser to the sign-in page once the session is gone
+     */
+    api(url, options = {}) {
+        return fetch(url, { credentials: 'same-origin', ...options }).then(response => {
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                throw new Error('Signed out');
+            }
+            return response;
+        });
+    }
+
+    logout() {
+        fetch('/auth/logout', { method: 'POST', credentials: 'same-origin' })
+            .finally(() => {
+                window.location.href = '/login.html';
+            });
     }
 
     initializeSocket() {
         this.socket = io();
-        
+
+        // The handshake carries the session cookie; an expired session ends the connection
+        this.socket.on('connect_error', (error) => {
+            if (error.message === 'unauthorized') {
+                window.location.href = '/login.html';
+            }
+        });
+
         this.socket.on('connect', () => {
             this.isConnected = true;
             this.updateConnectionStatus('Connected', 'connection-connected');
@@ -29,10 +85,14 @@ class AutomationDashboard {
             this.socket.emit('subscribe', ['system', 'automation', 'agents', 'tools', 'learning']);
         });
 
-        this.socket.on('disconnect', () => {
+        this.socket.on('disconnect', (reason) => {
             this.isConnected = false;
             this.updateConnectionStatus('Disconnected', 'connection-disconnected');
             this.addLogEntry('Disconnected from Claude Flow Automation system', 'error');
+            if (reason === 'io server disconnect') {
+                // The server only drops a client when its session expired
+                window.location.href = '/login.html';
+            }
         });
 
         this.socket.on('initial-data', (data) => {
@@ -153,6 +213,13 @@ class AutomationDashboard {
         document.getElementById('learning-tab').addEventListener('click', () => {
             this.refreshLearning();
         });
+
+        document.getElementById('controls-tab').addEventListener('click', () => {
+            this.refreshControls();
+            if (this.hasRole('admin')) {
+                this.refreshAudit();
+            }
+        });
     }
 
     updateConnectionStatus(text, className) {
@@ -298,7 +365,7 @@ class AutomationDashboard {
     }
 
     refreshSessions() {
-        fetch('/api/sessions')
+        this.api('/api/sessions')
             .then(response => response.json())
             .then(data => {
                 const tableBody = document.getElementById('sessions-table');
@@ -311,6 +378,18 @@ class AutomationDashboard {
                         ? this.formatDuration(new Date(session.end_time) - new Date(session.start_time))
                         : 'Running...';
 
+                    // Webhook runs are queue jobs: only they can be cancelled or re-run from here
+                    const cancelButton = this.hasRole('operator') && session.status === 'started' && session.job_id
+                        ? `<button class="btn btn-sm btn-danger" onclick="dashboard.cancelSession('${session.session_id}')">
+                                <i class="fas fa-ban"></i> Cancel
+                            </button>`
+                        : '';
+                    const rerunButton = this.hasRole('operator') && session.repository && session.issue_number
+                        ? `<button class="btn btn-sm btn-secondary" onclick="dashboard.rerunIssue('${session.repository}', ${session.issue_number})">
+                                <i class="fas fa-redo"></i> Re-run
+                            </button>`
+                        : '';
+
                     row.innerHTML = `
                         <td><code>${session.session_id.substring(0, 8)}</code></td>
                         <td>${statusBadge}</td>
@@ -320,6 +399,8 @@ class AutomationDashboard {
                             <button class="btn btn-sm btn-info" onclick="dashboard.viewSession('${session.session_id}')">
                                 <i class="fas fa-eye"></i> View
                             </button>
+                            ${cancelButton}
+                            ${rerunButton}
                         </td>
                     `;
                     tableBody.appendChild(row);
@@ -331,18 +412,47 @@ class AutomationDashboard {
     }
 
     refreshAgents() {
-        fetch('/api/agents')
+        this.api('/api/agents')
             .then(response => response.json())
             .then(data => {
                 this.updateAgentMetrics({ agent_types: data });
+                this.updateRunningAgents(data.filter(agent => agent.completion_time === null));
             })
             .catch(error => {
                 this.addLogEntry(`Error fetching agents: ${error.message}`, 'error');
             });
     }
 
+    updateRunningAgents(agents) {
+        const tableBody = document.getElementById('running-agents-table');
+        tableBody.innerHTML = agents.length === 0
+            ? '<tr><td colspan="5" class="text-center">No running agents</td></tr>'
+            : '';
+
+        agents.forEach(agent => {
+            const row = document.createElement('tr');
+            let action = '--';
+            if (agent.termination_requested_at) {
+                action = '<span class="badge bg-warning">Terminating...</span>';
+            } else if (this.hasRole('operator')) {
+                action = `<button class="btn btn-sm btn-danger" onclick="dashboard.terminateAgent('${agent.agent_id}')">
+                        <i class="fas fa-stop"></i> Terminate
+                    </button>`;
+            }
+
+            row.innerHTML = `
+                <td><code>${agent.agent_id.substring(0, 8)}</code></td>
+                <td>${agent.agent_type}</td>
+                <td>${agent.task_type || '--'}</td>
+                <td>${new Date(agent.created_at).toLocaleString()}</td>
+                <td>${action}</td>
+            `;
+            tableBody.appendChild(row);
+        });
+    }
+
     refreshTools() {
-        fetch('/api/tools')
+        this.api('/api/tools')
             .then(response => response.json())
             .then(data => {
                 this.updateToolMetrics({ top_tools: data });
@@ -353,7 +463,7 @@ class AutomationDashboard {
     }
 
     refreshLearning() {
-        fetch('/api/learning')
+        this.api('/api/learning')
             .then(response => response.json())
             .then(data => {
                 this.updateLearningMetrics(data);
@@ -363,6 +473,105 @@ class AutomationDashboard {
             });
     }
 
+    refreshControls() {
+        this.api('/api/control/state')
+            .then(response => response.json())
+            .then(data => {
+                const intake = data.intake.paused
+                    ? `Paused${data.intake.updatedBy ? ` by ${data.intake.updatedBy}` : ''} since ${new Date(data.intake.updatedAt).toLocaleString()}`
+                    : 'Accepting';
+                document.getElementById('intake-state').textContent = intake;
+            })
+            .catch(error => {
+                this.addLogEntry(`Error fetching control state: ${error.message}`, 'error');
+            });
+    }
+
+    refreshAudit() {
+        this.api('/api/audit?limit=50')
+            .then(response => response.json())
+            .then(entries => {
+                const tableBody = document.getElementById('audit-table');
+                tableBody.innerHTML = entries.length === 0
+                    ? '<tr><td colspan="5" class="text-center">No audit entries</td></tr>'
+                    : '';
+
+                entries.forEach(entry => {
+                    const row = document.createElement('tr');
+                    const badge = entry.outcome === 'success' ? 'bg-success' : 'bg-danger';
+                    row.innerHTML = `
+                        <td>${new Date(entry.created_at).toLocaleString()}</td>
+                        <td>${escapeHtml(entry.actor || 'anonymous')}${entry.role ? ` <small class="text-muted">(${entry.role})</small>` : ''}</td>
+                        <td>${escapeHtml(entry.action)}</td>
+                        <td>${escapeHtml(entry.target || '--')}</td>
+                        <td><span class="badge ${badge}">${escapeHtml(entry.outcome)}</span></td>
+                    `;
+                    tableBody.appendChild(row);
+                });
+            })
+            .catch(error => {
+                this.addLogEntry(`Error fetching audit log: ${error.message}`, 'error');
+            });
+    }
+
+    /**
+     * POST a control action and log its outcome; the server answers { message } or { error }
+     */
+    sendControl(url, body = {}) {
+        return this.api(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        })
+            .then(response => response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || `HTTP ${response.status}`);
+                }
+                this.addLogEntry(data.message, 'info');
+                return data;
+            }))
+            .catch(error => {
+                this.addLogEntry(`Control action failed: ${error.message}`, 'error');
+                return null;
+            });
+    }
+
+    setIntakePaused(paused) {
+        this.sendControl(`/api/control/intake/${paused ? 'pause' : 'resume'}`).then(() => this.refreshControls());
+    }
+
+    forceOptimization() {
+        this.sendControl('/api/control/force-optimization');
+    }
+
+    snapshotLearning() {
+        this.sendControl('/api/control/snapshot-learning').then(data => {
+            if (data) this.addLogEntry(`Snapshot: ${data.path}`, 'info');
+        });
+    }
+
+    resetLearning() {
+        if (!confirm('Reset all learned patterns and training data? A snapshot is written first.')) return;
+        this.sendControl('/api/control/reset-learning').then(data => {
+            if (data) this.addLogEntry(`Snapshot before reset: ${data.snapshot.path}`, 'info');
+            this.refreshLearning();
+        });
+    }
+
+    cancelSession(sessionId) {
+        if (!confirm(`Cancel session ${sessionId}?`)) return;
+        this.sendControl(`/api/control/sessions/${encodeURIComponent(sessionId)}/cancel`).then(() => this.refreshSessions());
+    }
+
+    terminateAgent(agentId) {
+        if (!confirm(`Terminate agent ${agentId}?`)) return;
+        this.sendControl(`/api/control/agents/${encodeURIComponent(agentId)}/terminate`).then(() => this.refreshAgents());
+    }
+
+    rerunIssue(repository, issueNumber) {
+        this.sendControl('/api/control/issues/rerun', { repository, issueNumber }).then(() => this.refreshSessions());
+    }
+
     handleAgentUpdate(data) {
         const message = `Agent ${data.agent.id} ${data.type}`;
         this.addLogEntry(message, 'info');
@@ -449,4 +658,34 @@ function refreshSessions() {
 
 function clearLogs() {
     window.dashboard.clearLogs();
+}
+
+function logout() {
+    window.dashboard.logout();
+}
+
+function pauseIntake() {
+    window.dashboard.setIntakePaused(true);
+}
+
+function resumeIntake() {
+    window.dashboard.setIntakePaused(false);
+}
+
+function forceOptimization() {
+    window.dashboard.forceOptimization();
+}
+
+function snapshotLearning() {
+    window.dashboard.snapshotLearning();
+}
+
+function resetLearning() {
+    window.dashboard.resetLearning();
+}
+
+function rerunIssue() {
+    const repository = document.getElementById('rerun-repository').value.trim();
+    const issueNumber = parseInt(document.getElementById('rerun-issue').value, 10);
+    window.dashboard.rerunIssue(repository, issueNumber);
 }
\ No newline at end of file
@@ -1,35 +1,26 @@
 // Auto-Optimization System for Claude Flow Automation
-const Database = require('better-sqlite3');
-const winston = require('winston');
+const UnifiedStore = require('../core/unified-store');
+const { createLogger } = require('../core/logger');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
 
 class AutoOptimizer {
-    constructor() {
-        this.db = new Database('.hive-mind/automation.db');
-        this.logger = this.setupLogger();
+    /**
+     * @param {Object} options - { store, autoStart }; autoStart false leaves cycles to forceOptimization()
+     */
+    constructor(options = {}) {
+        this.db = (options.store || new UnifiedStore()).db;
+        this.logger = createLogger('auto-optimizer');
         this.optimizationRules = this.loadOptimizationRules();
         this.systemMetrics = this.initializeSystemMetrics();
         this.optimizationHistory = [];
         this.lastOptimization = Date.now();
         this.optimizationInterval = 300000; // 5 minutes
         
-        this.startOptimizationLoop();
-    }
-
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'logs/auto-optimizer.log' }),
-                new winston.transports.Console()
-            ]
-        });
+        if (options.autoStart !== false) {
+            this.startOptimizationLoop();
+        }
     }
 
     loadOptimizationRules() {
@@ -145,33 +136,41 @@ class AutoOptimizer {
 
     async performOptimization() {
         try {
-            this.logger.info('Starting optimization cycle...');
-            
-            // Collect current metrics
-            const currentMetrics = await this.collectSystemMetrics();
-            
-            // Analyze performance trends
-            const trends = await this.analyzePerformanceTrends(currentMetrics);
-            
-            // Generate optimization recommendations
-            const recommendations = await this.generateOptimizationRecommendations(trends);
-            
-            // Apply optimizations
-            const appliedOptimizations = await this.applyOptimizations(recommendations);
-            
-            // Record optimization results
-            await this.recordOptimizationResults(appliedOptimizations);
-            
-            // Update system configuration
-            await this.updateSystemConfiguration(appliedOptimizations);
-            
-            this.logger.info(`Optimization cycle completed. Applied ${appliedOptimizations.length} optimizations.`);
-            
+            await this.runOptimizationCycle();
         } catch (error) {
             this.logger.error('Error during optimization cycle:', error);
         }
     }
 
+    /**
+     * One optimization cycle; unlike performOptimization() errors reach the caller
+     * @returns {Promise<Array>} the optimizations, applied or failed
+     */
+    async runOptimizationCycle() {
+        this.logger.info('Starting optimization cycle...');
+        
+        // Collect current metrics
+        const currentMetrics = await this.collectSystemMetrics();
+        
+        // Analyze performance trends
+        const trends = await this.analyzePerformanceTrends(currentMetrics);
+        
+        // Generate optimization recommendations
+        const recommendations = await this.generateOptimizationRecommendations(trends);
+        
+        // Apply optimizations
+        const appliedOptimizations = await this.applyOptimizations(recommendations);
+        
+        // Record optimization results
+        await this.recordOptimizationResults(appliedOptimizations);
+        
+        // Update system configuration
+        await this.updateSystemConfiguration(appliedOptimizations);
+        
+        this.logger.info(`Optimization cycle completed. Applied ${appliedOptimizations.length} optimizations.`);
+        return appliedOptimizations;
+    }
+
     async collectSystemMetrics() {
         const metrics = {
             // System metrics
@@ -312,7 +311,8 @@ class AutoOptimizer {
     }
 
     async getDatabaseSize() {
-        const stats = await fs.stat('.hive-mind/automation.db');
+        // The file the store opened, wherever CLAUDE_FLOW_DB points
+        const stats = await fs.stat(this.db.name);
         return stats.size / (1024 * 1024); // MB
     }
 
@@ -737,7 +737,7 @@ class AutoOptimizer {
     async forceOptimization() {
         // Force an immediate optimization cycle
         this.logger.info('Forcing optimization cycle...');
-        await this.performOptimization();
+        return await this.runOptimizationCycle();
     }
 
     async resetOptimizations() {
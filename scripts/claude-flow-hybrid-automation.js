@@ -2,7 +2,8 @@
 // Claude Flow Hybrid Automation - Fixed Version for GitHub Actions
 // Properly implements Claude Flow execution with robust error handling
 
-const { Octokit } = require('@octokit/rest');
+const { createGitHubClient } = require('../core/github-client');
+const { createLogger } = require('../core/logger');
 const { spawn, exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -17,7 +18,7 @@ class ClaudeFlowHybridAutomation {
             throw new Error('GITHUB_TOKEN environment variable is required');
         }
         
-        this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+        this.octokit = createGitHubClient();
         this.owner = process.env.REPOSITORY?.split('/')[0] || 'Marimo-317';
         this.repo = process.env.REPOSITORY?.split('/')[1] || 'claude_flow_windows';
         this.args = this.parseArguments();
@@ -314,20 +315,7 @@ class ClaudeFlowHybridAutomation {
         
         try {
             // Initialize local Hive-Mind system with proper configuration
-            const winston = require('winston');
-            const logger = winston.createLogger({
-                level: 'info',
-                format: winston.format.combine(
-                    winston.format.timestamp(),
-                    winston.format.printf(({ timestamp, level, message }) => 
-                        `${timestamp} [HIVE-MIND] ${level}: ${message}`
-                    )
-                ),
-                transports: [
-                    new winston.transports.Console(),
-                    new winston.transports.File({ filename: 'logs/hive-mind-automation.log' })
-                ]
-            });
+            const logger = createLogger('hive-mind-automation');
 
             // Initialize Hive-Mind Orchestrator with full configuration
             const HiveMindOrchestrator = require('../core/hive-mind-orchestrator');
@@ -2,7 +2,7 @@
 // Claude Flow Issue Comment Automation - PR作成権限なしバージョン
 // Issueコメント更新のみで解決報告を行う
 
-const { Octokit } = require('@octokit/rest');
+const { createGitHubClient } = require('../core/github-client');
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -14,7 +14,7 @@ class ClaudeFlowIssueCommentAutomation {
             throw new Error('GITHUB_TOKEN environment variable is required');
         }
         
-        this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+        this.octokit = createGitHubClient();
         this.owner = process.env.REPOSITORY?.split('/')[0] || 'Marimo-317';
         this.repo = process.env.REPOSITORY?.split('/')[1] || 'claude_flow_windows';
         this.args = this.parseArguments();
@@ -2,7 +2,7 @@
 // Claude Flow Hybrid Automation - No Native Dependencies Version
 // Optimized for GitHub Actions with pure JavaScript implementation
 
-const { Octokit } = require('@octokit/rest');
+const { createGitHubClient } = require('../core/github-client');
 const { spawn, exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -17,7 +17,7 @@ class ClaudeFlowNoNativeAutomation {
             throw new Error('GITHUB_TOKEN environment variable is required');
         }
         
-        this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+        this.octokit = createGitHubClient();
         this.owner = process.env.REPOSITORY?.split('/')[0] || 'Marimo-317';
         this.repo = process.env.REPOSITORY?.split('/')[1] || 'claude_flow_windows';
         this.args = this.parseArguments();
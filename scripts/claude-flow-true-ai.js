@@ -5,7 +5,7 @@
  */
 
 const HiveMindOrchestrator = require('../core/hive-mind-orchestrator');
-const winston = require('winston');
+const { createLogger } = require('../core/logger');
 
 class ClaudeFlowTrueAI {
     constructor() {
@@ -69,23 +69,7 @@ class ClaudeFlowTrueAI {
             await fs.ensureDir('logs');
             
             // Create logger for Hive-Mind system
-            const logger = winston.createLogger({
-                level: 'info',
-                format: winston.format.combine(
-                    winston.format.timestamp(),
-                    winston.format.printf(({ timestamp, level, message }) => 
-                        `${timestamp} [HIVE-MIND] ${level}: ${message}`
-                    )
-                ),
-                transports: [
-                    new winston.transports.Console(),
-                    new winston.transports.File({ 
-                        filename: 'logs/true-ai-execution.log',
-                        maxsize: 10485760,
-                        maxFiles: 3
-                    })
-                ]
-            });
+            const logger = createLogger('true-ai');
             
             // Initialize orchestrator
             const [owner, repo] = process.env.REPOSITORY.split('/');
@@ -0,0 +1,90 @@
+// Dashboard User Management for Claude Flow Automation
+// npm run dashboard-user -- add <username> --role <viewer|operator|admin>
+//                           passwd <username> | role <username> <role> | remove <username> | list | audit [--limit N]
+// Passwords are read from DASHBOARD_USER_PASSWORD or prompted for without echo
+const readline = require('readline');
+const UnifiedStore = require('../core/unified-store');
+const DashboardAuth = require('../core/dashboard-auth');
+
+function promptPassword(question) {
+    if (process.env.DASHBOARD_USER_PASSWORD) {
+        return Promise.resolve(process.env.DASHBOARD_USER_PASSWORD);
+    }
+
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        // Print the question, then nothing of what is typed
+        rl._writeToOutput = (text) => {
+            if (text.includes(question)) rl.output.write(text);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+function flag(args, name) {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function runCommand(args) {
+    const [command, username, value] = args;
+    const store = new UnifiedStore();
+    const auth = new DashboardAuth({ store, jwtSecret: 'unused-by-user-management' });
+
+    try {
+        switch (command) {
+            case 'add': {
+                const role = flag(args, 'role') || 'viewer';
+                const user = await auth.createUser(username, await promptPassword(`Password for ${username}: `), role);
+                store.recordAudit({ actor: 'cli', action: 'user-add', target: user.username, outcome: 'success', details: { role } });
+                console.log(`✅ Added ${user.username} (${user.role})`);
+                break;
+            }
+            case 'passwd':
+                await auth.setPassword(username, await promptPassword(`New password for ${username}: `));
+                store.recordAudit({ actor: 'cli', action: 'user-password', target: username, outcome: 'success' });
+                console.log(`✅ Password of ${username} changed`);
+                break;
+            case 'role':
+                auth.setRole(username, value);
+                store.recordAudit({ actor: 'cli', action: 'user-role', target: username, outcome: 'success', details: { role: value } });
+                console.log(`✅ ${username} is now ${value}`);
+                break;
+            case 'remove':
+                if (!auth.deleteUser(username)) {
+                    throw new Error(`User ${username} not found`);
+                }
+                store.recordAudit({ actor: 'cli', action: 'user-remove', target: username, outcome: 'success' });
+                console.log(`✅ Removed ${username}; their sessions stop working at once`);
+                break;
+            case 'list':
+                auth.listUsers().forEach(user => console.log(`${user.username.padEnd(24)} ${user.role.padEnd(9)} last sign-in: ${user.last_login_at || 'never'}`));
+                break;
+            case 'audit':
+                store.listAuditLog({ limit: parseInt(flag(args, 'limit'), 10) || 50 }).reverse().forEach(entry => console.log(
+                    `${entry.created_at} ${entry.actor || 'anonymous'} (${entry.role || '-'}) ${entry.action}${entry.target ? ` ${entry.target}` : ''}: ${entry.outcome}`
+                ));
+                break;
+            default:
+                throw new Error('Usage: dashboard-users.js add <username> --role <role> | passwd <username> | role <username> <role> | remove <username> | list | audit [--limit N]');
+        }
+    } finally {
+        store.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    runCommand(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(`💥 ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { runCommand };
@@ -3,9 +3,9 @@ const IssueAnalyzer = require('../automation/issue-analyzer');
 const AgentSpawner = require('../automation/agent-spawner');
 const MCPAutoSelector = require('./mcp-auto-selector');
 const LearningSystem = require('./learning-system');
-const { Octokit } = require('@octokit/rest');
-const Database = require('better-sqlite3');
-const winston = require('winston');
+const { createGitHubClient } = require('../core/github-client');
+const UnifiedStore = require('../core/unified-store');
+const { createLogger } = require('../core/logger');
 const crypto = require('crypto');
 const { spawn } = require('child_process');
 const fs = require('fs-extra');
@@ -16,7 +16,8 @@ class FullAutomationOrchestrator {
     constructor() {
         // Try SQLite, fallback to JSON storage
         try {
-            this.db = new Database('.hive-mind/automation.db');
+            this.store = new UnifiedStore();
+            this.db = this.store.db;
             this.storageType = 'sqlite';
         } catch (error) {
             console.log('SQLite not available, using JSON fallback');
@@ -25,8 +26,8 @@ class FullAutomationOrchestrator {
             this.jsonDbPath = '.hive-mind/automation.json';
             this.ensureJsonDb();
         }
-        this.logger = this.setupLogger();
-        this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+        this.logger = createLogger('full-automation');
+        this.octokit = createGitHubClient();
         
         // Initialize components
         this.issueAnalyzer = new IssueAnalyzer();
@@ -47,18 +48,8 @@ class FullAutomationOrchestrator {
 
     initializeDatabase() {
         if (this.storageType === 'sqlite') {
-            // SQLite database initialization (existing code)
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS automation_sessions (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    session_id TEXT UNIQUE,
-                    issue_id INTEGER,
-                    status TEXT,
-                    start_time DATETIME,
-                    end_time DATETIME,
-                    metrics TEXT
-                );
-            `);
+            // Schema is created and migrated by the unified store
+            this.logger.info(`Unified store ready (schema v${this.store.getSchemaVersion()})`);
         } else {
             // JSON fallback - already ensured in constructor
             console.log('Using JSON storage fallback - no database initialization needed');
@@ -90,26 +81,6 @@ class FullAutomationOrchestrator {
         fs.writeJsonSync(this.jsonDbPath, data, { spaces: 2 });
     }
 
-    setupLogger() {
-        return winston.createLogger({
-            level: process.env.LOG_LEVEL || 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.errors({ stack: true }),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'logs/full-automation.log' }),
-                new winston.transports.Console({
-                    format: winston.format.combine(
-                        winston.format.colorize(),
-                        winston.format.simple()
-                    )
-                })
-            ]
-        });
-    }
-
     setupShutdownHandlers() {
         process.on('SIGINT', () => this.gracefulShutdown('SIGINT'));
         process.on('SIGTERM', () => this.gracefulShutdown('SIGTERM'));
@@ -197,6 +168,7 @@ class FullAutomationOrchestrator {
             // Update session as completed
             await this.updateSession(sessionId, 'completed', {
                 prNumber: prResult.number,
+                prBranch: prResult.head?.ref,
                 prUrl: prResult.html_url,
                 testsPassed: testResults.passed,
                 totalTests: testResults.total
@@ -242,21 +214,18 @@ class FullAutomationOrchestrator {
 
     async createSession(sessionId, issueData) {
         if (this.storageType === 'sqlite') {
-            const insertSession = this.db.prepare(`
-                INSERT INTO automation_sessions (
-                    session_id, issue_id, status, start_time, metrics
-                ) VALUES (?, ?, ?, ?, ?)
-            `);
-            
             const issueRecord = this.db.prepare('SELECT id FROM issues WHERE github_id = ?').get(issueData.id);
             
-            insertSession.run(
+            this.store.upsertSession({
                 sessionId,
-                issueRecord?.id,
-                'started',
-                new Date().toISOString(),
-                JSON.stringify({ issue_number: issueData.number, issue_title: issueData.title })
-            );
+                source: 'full-automation',
+                issueId: issueRecord?.id,
+                issueNumber: issueData.number,
+                repository: `${process.env.GITHUB_REPO_OWNER}/${process.env.GITHUB_REPO_NAME}`,
+                status: 'started',
+                startTime: Date.now(),
+                metrics: { issue_number: issueData.number, issue_title: issueData.title }
+            });
             
             return {
                 sessionId: sessionId,
@@ -284,18 +253,15 @@ class FullAutomationOrchestrator {
 
     async updateSession(sessionId, status, additionalData = {}) {
         if (this.storageType === 'sqlite') {
-            const updateSession = this.db.prepare(`
-                UPDATE automation_sessions 
-                SET status = ?, end_time = ?, metrics = ?
-                WHERE session_id = ?
-            `);
-            
-            updateSession.run(
+            this.store.upsertSession({
+                sessionId,
                 status,
-                new Date().toISOString(),
-                JSON.stringify(additionalData),
-                sessionId
-            );
+                endTime: Date.now(),
+                errorMessage: additionalData.error,
+                prNumber: additionalData.prNumber,
+                prBranch: additionalData.prBranch,
+                metrics: additionalData
+            });
         } else {
             // JSON fallback
             const data = this.readJsonDb();
@@ -669,27 +635,18 @@ Co-Authored-By: Claude Flow Automation <automation@claude-flow.ai>
     }
 
     async getSystemStatus() {
+        const sessionStats = this.store.getSessionStats();
+        
         return {
             uptime: process.uptime(),
             memory: process.memoryUsage(),
-            active_sessions: this.db.prepare('SELECT COUNT(*) as count FROM automation_sessions WHERE status = ?').get('started').count,
-            total_sessions: this.db.prepare('SELECT COUNT(*) as count FROM automation_sessions').get().count,
-            success_rate: this.calculateSuccessRate(),
+            active_sessions: sessionStats.active,
+            total_sessions: sessionStats.total,
+            success_rate: sessionStats.successRate,
             agent_stats: await this.agentSpawner.getAgentStats(),
             learning_stats: await this.learningSystem.getLearningStats()
         };
     }
-
-    calculateSuccessRate() {
-        const stats = this.db.prepare(`
-            SELECT 
-                COUNT(*) as total,
-                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as successful
-            FROM automation_sessions
-        `).get();
-        
-        return stats.total > 0 ? (stats.successful / stats.total) * 100 : 0;
-    }
 }
 
 // CLI interface
@@ -2,13 +2,13 @@
 // GitHub Actions Direct Automation - No Claude Flow Dependencies
 // Bypasses SQLite and complex dependencies for reliable GitHub Actions execution
 
-const { Octokit } = require('@octokit/rest');
+const { createGitHubClient } = require('../core/github-client');
 const fs = require('fs');
 const path = require('path');
 
 class GitHubActionsAutomation {
     constructor() {
-        this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+        this.octokit = createGitHubClient();
         this.owner = process.env.REPOSITORY?.split('/')[0] || 'Marimo-317';
         this.repo = process.env.REPOSITORY?.split('/')[1] || 'claude_flow_windows';
         
@@ -10,7 +10,7 @@
  * - Works in ANY GitHub Actions environment
  */
 
-const { Octokit } = require('@octokit/rest');
+const { createGitHubClient } = require('../core/github-client');
 const fs = require('fs');
 const path = require('path');
 
@@ -20,7 +20,7 @@ class IndependentIssueAnalyzer {
         this.validateEnvironment();
         
         // Initialize with validated environment
-        this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+        this.octokit = createGitHubClient();
         this.repository = this.parseRepository();
         this.issueNumber = this.getIssueNumber();
         this.issueTitle = process.env.ISSUE_TITLE || 'Unknown Issue';
@@ -1,31 +1,59 @@
 // Continuous Learning System for Claude Flow Automation
-const Database = require('better-sqlite3');
-const winston = require('winston');
+const UnifiedStore = require('../core/unified-store');
+const { createLogger } = require('../core/logger');
+const { redact } = require('../core/redaction');
 const crypto = require('crypto');
 const fs = require('fs-extra');
+const path = require('path');
+
+// Outcomes needed before a merge rate is trusted for one issue category
+const MIN_OUTCOME_SAMPLES = 5;
 
 class LearningSystem {
-    constructor() {
-        this.db = new Database('.hive-mind/automation.db');
-        this.logger = this.setupLogger();
+    /**
+     * @param {Object} options - { store, repository, scope }
+     *   scope "repository" learns from and predicts with this repository's data only,
+     *   "global" shares one model between every repository configured as global;
+     *   without a repository the system reads all data, as single-repository setups always did
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || null;
+        this.scope = options.scope || (this.repository ? process.env.LEARNING_SCOPE || 'repository' : null);
+        this.store = options.store || new UnifiedStore();
+        this.db = this.store.db;
+        this.logger = createLogger('learning-system');
         this.neuralNetwork = this.initializeNeuralNetwork();
         this.learningMetrics = this.initializeLearningMetrics();
+        this.networkStartedAt = Date.now();
+        this.snapshotDir = options.snapshotDir || process.env.LEARNING_SNAPSHOT_DIR || path.join('.hive-mind', 'learning-snapshots');
         this.confidenceThreshold = 0.7;
         this.learningRate = parseFloat(process.env.NEURAL_LEARNING_RATE) || 0.01;
     }
 
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'logs/learning-system.log' }),
-                new winston.transports.Console()
-            ]
-        });
+    /**
+     * SQL condition restricting a table to this system's partition
+     * @returns {{sql: string, params: Array}}
+     */
+    scopeFilter(alias = null) {
+        const column = (name) => (alias ? `${alias}.${name}` : name);
+
+        if (this.scope === 'global') {
+            return { sql: `${column('shared')} = 1`, params: [] };
+        }
+        if (this.scope === 'repository' && this.repository) {
+            return { sql: `${column('repository')} = ?`, params: [this.repository] };
+        }
+        return { sql: '1 = 1', params: [] };
+    }
+
+    /**
+     * Partition columns for a new row
+     */
+    partitionOf(repository = null) {
+        return {
+            repository: repository || this.repository,
+            shared: this.scope === 'global' ? 1 : 0
+        };
     }
 
     initializeNeuralNetwork() {
@@ -123,9 +151,10 @@ class LearningSystem {
         const insertSuccess = this.db.prepare(`
             INSERT INTO learning_patterns (
                 pattern_type, pattern_data, success_rate, confidence_score,
-                issue_characteristics, solution_approach, created_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+                issue_characteristics, solution_approach, created_at, session_id, repository, shared
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
+        const partition = this.partitionOf(context.repository);
 
         const patternData = {
             issue: {
@@ -148,9 +177,12 @@ class LearningSystem {
             JSON.stringify(patternData),
             1.0,
             context.confidence || 0.8,
-            JSON.stringify(context.issue),
-            JSON.stringify(context.solution),
-            new Date().toISOString()
+            JSON.stringify(redact(context.issue)),
+            JSON.stringify(redact(context.solution)),
+            new Date().toISOString(),
+            context.sessionId || null,
+            partition.repository,
+            partition.shared
         );
 
         return successId;
@@ -162,9 +194,10 @@ class LearningSystem {
         const insertFailure = this.db.prepare(`
             INSERT INTO learning_patterns (
                 pattern_type, pattern_data, success_rate, confidence_score,
-                issue_characteristics, solution_approach, created_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+                issue_characteristics, solution_approach, created_at, session_id, repository, shared
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
+        const partition = this.partitionOf(context.repository);
 
         const patternData = {
             issue: {
@@ -191,15 +224,20 @@ class LearningSystem {
             JSON.stringify(patternData),
             0.0,
             context.confidence || 0.3,
-            JSON.stringify(context.issue),
-            JSON.stringify(context.attemptedSolution),
-            new Date().toISOString()
+            JSON.stringify(redact(context.issue)),
+            JSON.stringify(redact(context.attemptedSolution)),
+            new Date().toISOString(),
+            context.sessionId || null,
+            partition.repository,
+            partition.shared
         );
 
         return failureId;
     }
 
     async updateNeuralNetwork(context, success) {
+        this.refreshAfterReset();
+
         try {
             // Create feature vectors from context
             const features = this.createFeatureVectors(context);
@@ -332,7 +370,7 @@ class LearningSystem {
             }
 
             const currentWeight = this.neuralNetwork.weights.issue_patterns.get(featureType);
-            const gradient = error * this.sigmoid(featureValue);
+            const gradient = error * this.sigmoid(this.featureScalar(featureValue));
             const newWeight = currentWeight + (this.learningRate * gradient);
 
             this.neuralNetwork.weights.issue_patterns.set(featureType, newWeight);
@@ -359,7 +397,7 @@ class LearningSystem {
 
         Object.entries(features).forEach(([featureType, featureValue]) => {
             const weight = this.neuralNetwork.weights.issue_patterns.get(featureType) || 0.5;
-            prediction += weight * this.sigmoid(featureValue);
+            prediction += weight * this.sigmoid(this.featureScalar(featureValue));
         });
 
         // Apply biases
@@ -370,11 +408,18 @@ class LearningSystem {
         return this.sigmoid(prediction);
     }
 
+    featureScalar(value) {
+        // One-hot features (category, languages, ...) count as the number of active entries
+        return Array.isArray(value) ? value.reduce((a, b) => a + b, 0) : value;
+    }
+
     sigmoid(x) {
         return 1 / (1 + Math.exp(-x));
     }
 
     async suggestSolution(newIssue) {
+        this.refreshAfterReset();
+
         try {
             this.logger.info(`Suggesting solution for issue: ${newIssue.title}`);
 
@@ -405,14 +450,16 @@ class LearningSystem {
     }
 
     async findSimilarIssues(newIssue) {
-        // Find similar issues using vector similarity
+        // Find similar issues using vector similarity, within this system's partition
+        const scope = this.scopeFilter();
         const similarIssues = this.db.prepare(`
             SELECT * FROM learning_patterns 
             WHERE pattern_type = 'success_pattern'
             AND success_rate > 0.7
+            AND ${scope.sql}
             ORDER BY confidence_score DESC, usage_count DESC
             LIMIT 10
-        `).all();
+        `).all(...scope.params);
 
         // Calculate similarity scores
         const newIssueFeatures = this.createFeatureVectors({
@@ -525,8 +572,10 @@ class LearningSystem {
         // Estimated duration
         prediction.estimatedDuration = Math.round(totalDuration / totalSimilarity);
 
-        // Overall confidence
-        prediction.confidence = Math.round((totalConfidence / totalSimilarity) * 100);
+        // Overall confidence, scaled by how often PRs for this kind of issue actually get merged
+        const mergeRate = this.getMergeRate({ category: newIssue.category });
+        prediction.mergeRate = mergeRate;
+        prediction.confidence = Math.round((totalConfidence / totalSimilarity) * (mergeRate ?? 1) * 100);
 
         // Reasoning
         prediction.reasoning = similarIssues.map(issue => ({
@@ -586,15 +635,18 @@ class LearningSystem {
         // Store insights in database for future reference
         const insertInsights = this.db.prepare(`
             INSERT INTO neural_training_data (
-                input_data, expected_output, actual_output, accuracy_score
-            ) VALUES (?, ?, ?, ?)
+                input_data, expected_output, actual_output, accuracy_score, repository, shared
+            ) VALUES (?, ?, ?, ?, ?, ?)
         `);
+        const partition = this.partitionOf();
 
         insertInsights.run(
             JSON.stringify(insights.key_factors),
             JSON.stringify(insights.recommendations),
             JSON.stringify(insights),
-            insights.confidence
+            insights.confidence,
+            partition.repository,
+            partition.shared
         );
     }
 
@@ -648,10 +700,309 @@ class LearningSystem {
         this.learningMetrics.last_updated = Date.now();
     }
 
+    // =================================================================
+    // PR OUTCOMES
+    // =================================================================
+
+    /**
+     * Record what a human did with a PR a session opened (pull_request.closed)
+     * Merged PRs label the session a success, PRs closed without merging a failure
+     * @param {Object} outcome - { repository, pullRequest, sessionId }
+     * @returns {Promise<Object>} { outcome, sessionId, labeled }
+     */
+    async recordPullRequestOutcome({ repository, pullRequest, sessionId = null }) {
+        const outcome = pullRequest.merged ? 'merged' : 'closed';
+        const now = new Date().toISOString();
+        const previous = this.getPullRequestOutcome(repository, pullRequest.number);
+
+        this.db.prepare(`
+            INSERT INTO pr_outcomes (
+                repository, pr_number, session_id, outcome, merge_commit_sha, closed_at, created_at, updated_at, shared
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(repository, pr_number) DO UPDATE SET
+                session_id = COALESCE(excluded.session_id, pr_outcomes.session_id),
+                outcome = excluded.outcome,
+                merge_commit_sha = COALESCE(excluded.merge_commit_sha, pr_outcomes.merge_commit_sha),
+                closed_at = excluded.closed_at,
+                updated_at = excluded.updated_at
+        `).run(
+            repository,
+            pullRequest.number,
+            sessionId,
+            outcome,
+            pullRequest.merged ? pullRequest.merge_commit_sha || null : null,
+            pullRequest.closed_at || now,
+            now,
+            now,
+            this.partitionOf(repository).shared
+        );
+
+        this.logger.info(`PR outcome recorded: ${repository}#${pullRequest.number} ${outcome}`);
+
+        // A PR closed, reopened and closed the same way again teaches nothing new
+        if (previous && previous.outcome === outcome) {
+            return { outcome, sessionId, labeled: false };
+        }
+
+        await this.applyOutcomeLabel(sessionId || previous?.session_id, outcome, repository);
+        return { outcome, sessionId, labeled: true };
+    }
+
+    /**
+     * A merged PR was reverted: the earlier success label is replaced by a failure
+     * @returns {Promise<Object|null>} null when the PR was not opened by automation
+     */
+    async recordRevert({ repository, prNumber, revertedBy }) {
+        const record = this.getPullRequestOutcome(repository, prNumber);
+        if (!record || record.outcome !== 'merged') {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            UPDATE pr_outcomes
+            SET outcome = 'reverted', reverted_by = ?, reverted_at = ?, updated_at = ?
+            WHERE id = ?
+        `).run(String(revertedBy), now, now, record.id);
+
+        this.logger.info(`PR outcome recorded: ${repository}#${prNumber} reverted by ${revertedBy}`);
+
+        await this.applyOutcomeLabel(record.session_id, 'reverted', repository);
+        return { outcome: 'reverted', sessionId: record.session_id, prNumber };
+    }
+
+    /**
+     * A commit on the default branch reverted a merge commit ("This reverts commit <sha>.")
+     */
+    async recordRevertedCommit({ repository, commitSha, revertedBy }) {
+        const record = this.db.prepare(`
+            SELECT pr_number FROM pr_outcomes
+            WHERE repository = ? AND merge_commit_sha LIKE ?
+        `).get(repository, `${commitSha}%`);
+
+        return record ? this.recordRevert({ repository, prNumber: record.pr_number, revertedBy }) : null;
+    }
+
+    getPullRequestOutcome(repository, prNumber) {
+        return this.db.prepare('SELECT * FROM pr_outcomes WHERE repository = ? AND pr_number = ?').get(repository, prNumber) || null;
+    }
+
+    /**
+     * Feed an outcome back as a ground-truth label
+     * learning_patterns of the session take the observed success rate, and each labeled example is
+     * stored in neural_training_data with the network's prediction before it learns from it
+     */
+    async applyOutcomeLabel(sessionId, outcome, repository = null) {
+        if (!sessionId) {
+            return;
+        }
+
+        this.refreshAfterReset();
+
+        const success = outcome === 'merged';
+        const label = success ? 1.0 : 0.0;
+
+        const patterns = this.db.prepare('SELECT * FROM learning_patterns WHERE session_id = ?').all(sessionId);
+        this.db.prepare(`
+            UPDATE learning_patterns SET outcome = ?, success_rate = ?, updated_at = ? WHERE session_id = ?
+        `).run(outcome, label, new Date().toISOString(), sessionId);
+
+        // Sessions from the orchestrator and webhook runs have no pattern yet; learn from the session record
+        const contexts = patterns.length > 0
+            ? patterns.map(pattern => this.contextFromPattern(pattern, sessionId))
+            : [this.contextFromSession(sessionId)].filter(Boolean);
+
+        const insertTraining = this.db.prepare(`
+            INSERT INTO neural_training_data (
+                input_data, expected_output, actual_output, loss_score, accuracy_score, session_id, label, repository, shared
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const partition = this.partitionOf(repository);
+
+        for (const context of contexts) {
+            const features = this.createFeatureVectors(context);
+            const predicted = this.predict(features);
+
+            insertTraining.run(
+                JSON.stringify(features),
+                JSON.stringify({ outcome, merged: success }),
+                JSON.stringify({ predicted }),
+                Math.pow(label - predicted, 2),
+                1 - Math.abs(label - predicted),
+                sessionId,
+                outcome,
+                partition.repository,
+                partition.shared
+            );
+
+            await this.updateNeuralNetwork(context, success);
+        }
+
+        this.logger.info(`Session ${sessionId} labeled ${outcome} (${contexts.length} training example(s))`);
+    }
+
+    contextFromPattern(pattern, sessionId) {
+        const data = JSON.parse(pattern.pattern_data || '{}');
+        const solution = data.solution || data.attempted_solution || {};
+
+        return {
+            sessionId,
+            issue: {
+                ...data.issue,
+                languages: data.issue?.languages || [],
+                frameworks: data.issue?.frameworks || []
+            },
+            agents: (solution.agents || []).map(type => ({ type })),
+            toolsUsed: solution.tools || [],
+            duration: solution.duration || 0
+        };
+    }
+
+    contextFromSession(sessionId) {
+        const session = this.store.getSession(sessionId);
+        if (!session) {
+            return null;
+        }
+
+        const agents = Array.isArray(session.agents_spawned) ? session.agents_spawned : [];
+
+        return {
+            sessionId,
+            issue: { languages: [], frameworks: [] },
+            agents: agents.map(agent => (typeof agent === 'string' ? { type: agent } : agent)),
+            toolsUsed: Array.isArray(session.tools_used) ? session.tools_used : [],
+            duration: session.duration_ms || 0
+        };
+    }
+
+    /**
+     * Share of labeled PRs that were merged and stayed merged
+     * Uses the issue category when it has enough outcomes, otherwise all outcomes; null without data
+     */
+    getMergeRate({ category } = {}) {
+        const scope = this.scopeFilter('o');
+        const rate = (rows) => {
+            const total = rows.reduce((sum, row) => sum + row.count, 0);
+            const merged = rows.find(row => row.outcome === 'merged')?.count || 0;
+            return { total, rate: total > 0 ? merged / total : null };
+        };
+
+        if (category) {
+            const byCategory = rate(this.db.prepare(`
+                SELECT o.outcome, COUNT(DISTINCT o.id) as count
+                FROM pr_outcomes o
+                JOIN learning_patterns p ON p.session_id = o.session_id
+                WHERE json_extract(p.pattern_data, '$.issue.category') = ? AND ${scope.sql}
+                GROUP BY o.outcome
+            `).all(category, ...scope.params));
+
+            if (byCategory.total >= MIN_OUTCOME_SAMPLES) {
+                return byCategory.rate;
+            }
+        }
+
+        return rate(this.db.prepare(`
+            SELECT o.outcome, COUNT(*) as count FROM pr_outcomes o WHERE ${scope.sql} GROUP BY o.outcome
+        `).all(...scope.params)).rate;
+    }
+
+    // =================================================================
+    // SNAPSHOTS AND RESET
+    // =================================================================
+
+    /**
+     * Write this partition's learning data and network to a JSON file in LEARNING_SNAPSHOT_DIR
+     * @returns {Promise<Object>} { path, counts }
+     */
+    async snapshot({ reason = 'manual' } = {}) {
+        const scope = this.scopeFilter();
+        const tables = {};
+        for (const table of ['learning_patterns', 'neural_training_data', 'pr_outcomes']) {
+            tables[table] = this.db.prepare(`SELECT * FROM ${table} WHERE ${scope.sql}`).all(...scope.params);
+        }
+
+        const createdAt = new Date().toISOString();
+        const partition = this.scope === 'global' ? 'global' : (this.repository || 'all').replace(/\//g, '__');
+        const file = path.resolve(this.snapshotDir, `learning-${partition}-${createdAt.replace(/[:.]/g, '-')}.json`);
+
+        await fs.outputJSON(file, redact({
+            createdAt,
+            reason,
+            repository: this.repository,
+            scope: this.scope || 'all',
+            neuralNetwork: {
+                weights: Object.fromEntries(Object.entries(this.neuralNetwork.weights)
+                    .map(([name, weights]) => [name, Object.fromEntries(weights)])),
+                biases: this.neuralNetwork.biases,
+                learning_history: this.neuralNetwork.learning_history
+            },
+            learningMetrics: this.learningMetrics,
+            tables
+        }), { spaces: 2 });
+
+        const counts = Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.length]));
+        this.logger.info(`Learning snapshot written to ${file} (${JSON.stringify(counts)})`);
+        return { path: file, counts };
+    }
+
+    /**
+     * Forget what this partition learned: patterns, training examples and the network, after a snapshot
+     * PR outcomes stay; they are what happened to the PRs, and reverts are matched against them
+     * @param {Object} options - { updatedBy } who asked, recorded with the reset
+     * @returns {Promise<Object>} { snapshot, removed }
+     */
+    async reset({ updatedBy = null } = {}) {
+        const snapshot = await this.snapshot({ reason: 'reset' });
+        const scope = this.scopeFilter();
+
+        const removed = this.db.transaction(() => ({
+            learning_patterns: this.db.prepare(`DELETE FROM learning_patterns WHERE ${scope.sql}`).run(...scope.params).changes,
+            neural_training_data: this.db.prepare(`DELETE FROM neural_training_data WHERE ${scope.sql}`).run(...scope.params).changes
+        }))();
+
+        // Learning systems in other processes (the webhook server's) rebuild their network on next use
+        this.store.setControl('learning-reset', {
+            repository: this.repository,
+            scope: this.scope || 'all',
+            snapshot: snapshot.path
+        }, updatedBy);
+        this.neuralNetwork = this.initializeNeuralNetwork();
+        this.learningMetrics = this.initializeLearningMetrics();
+        this.networkStartedAt = Date.now();
+
+        this.logger.info(`Learning reset (${this.scope || 'all'}${this.repository ? ` ${this.repository}` : ''}): ${JSON.stringify(removed)}`);
+        return { snapshot, removed };
+    }
+
+    /**
+     * Start over with a fresh network when learning was reset since this one was built
+     */
+    refreshAfterReset() {
+        const reset = this.store.getControl('learning-reset');
+        if (!reset || Date.parse(reset.updatedAt) <= this.networkStartedAt) {
+            return;
+        }
+
+        this.logger.info(`Learning was reset by ${reset.updatedBy || 'an operator'} at ${reset.updatedAt}; rebuilding the network`);
+        this.neuralNetwork = this.initializeNeuralNetwork();
+        this.learningMetrics = this.initializeLearningMetrics();
+        this.networkStartedAt = Date.now();
+    }
+
     async getLearningStats() {
         // Get comprehensive learning statistics
+        // Session counts come from the unified store, not this process's counters
+        const sessionStats = this.store.getSessionStats({
+            repository: this.scope === 'repository' ? this.repository : undefined
+        });
+        const scope = this.scopeFilter();
         const stats = {
             ...this.learningMetrics,
+            repository: this.repository,
+            scope: this.scope || 'all',
+            total_sessions: sessionStats.total,
+            successful_sessions: sessionStats.completed,
+            failed_sessions: sessionStats.failed,
             neural_network: {
                 weights_count: this.neuralNetwork.weights.issue_patterns.size,
                 learning_history_size: this.neuralNetwork.learning_history.length,
@@ -664,8 +1015,13 @@ class LearningSystem {
                     AVG(confidence_score) as avg_confidence,
                     AVG(success_rate) as avg_success_rate
                 FROM learning_patterns
+                WHERE ${scope.sql}
                 GROUP BY pattern_type
-            `).all()
+            `).all(...scope.params),
+            pr_outcomes: this.db.prepare(`
+                SELECT outcome, COUNT(*) as count FROM pr_outcomes WHERE ${scope.sql} GROUP BY outcome
+            `).all(...scope.params),
+            merge_rate: this.getMergeRate()
         };
 
         return stats;
@@ -1,31 +1,17 @@
 // MCP Tool Auto-Selection System for Claude Flow Automation
-const Database = require('better-sqlite3');
-const winston = require('winston');
+const UnifiedStore = require('../core/unified-store');
+const { createLogger } = require('../core/logger');
 const fs = require('fs-extra');
 const path = require('path');
 
 class MCPAutoSelector {
     constructor() {
-        this.db = new Database('.hive-mind/automation.db');
-        this.logger = this.setupLogger();
+        this.db = new UnifiedStore().db;
+        this.logger = createLogger('mcp-selector');
         this.toolCatalog = this.loadToolCatalog();
         this.initializeSelector();
     }
 
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'logs/mcp-selector.log' }),
-                new winston.transports.Console()
-            ]
-        });
-    }
-
     loadToolCatalog() {
         // Complete catalog of 87 MCP tools available in Claude Flow
         return {
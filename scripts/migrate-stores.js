@@ -0,0 +1,46 @@
+// Schema Migration Runner for Claude Flow Automation
+const UnifiedStore = require('../core/unified-store');
+const { importLegacyStores } = require('../core/legacy-stores');
+
+function runMigrations(options = {}) {
+    const store = new UnifiedStore({ autoMigrate: false });
+
+    try {
+        console.log(`📐 Current schema version: ${store.getSchemaVersion()}`);
+
+        const applied = store.migrate();
+        if (applied.length === 0) {
+            console.log('✅ Schema is up to date');
+        } else {
+            applied.forEach(m => console.log(`   - Applied migration ${m.version}: ${m.name}`));
+            console.log(`✅ Migrated to schema version ${store.getSchemaVersion()}`);
+        }
+
+        // Migration 3 imports legacy stores once; --reimport picks up files written since then
+        if (options.reimport) {
+            const counts = importLegacyStores(store);
+            console.log('📥 Legacy stores re-imported:');
+            Object.entries(counts).forEach(([source, count]) => console.log(`   - ${source}: ${count}`));
+        }
+
+        const stats = store.getSessionStats();
+        console.log(`📊 Sessions: ${stats.total} total, ${stats.active} active, ${stats.completed} completed, ${stats.failed} failed`);
+
+        return { applied, stats };
+    } finally {
+        store.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    try {
+        runMigrations({ reimport: process.argv.includes('--reimport') });
+        process.exit(0);
+    } catch (error) {
+        console.error('💥 Migration failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { runMigrations };
@@ -1,27 +1,51 @@
 // Real-time Monitoring Dashboard for Claude Flow Automation
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
+const cors = require('cors');
 const socketIo = require('socket.io');
-const Database = require('better-sqlite3');
-const winston = require('winston');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const UnifiedStore = require('../core/unified-store');
+const JobQueue = require('../core/job-queue');
+const DashboardAuth = require('../core/dashboard-auth');
+const { createLogger } = require('../core/logger');
+const { metricsHandler } = require('../core/metrics');
+const AutoOptimizer = require('./auto-optimizer');
+const LearningSystem = require('./learning-system');
+const AgentSpawner = require('../automation/agent-spawner');
 const path = require('path');
 const fs = require('fs-extra');
 const os = require('os');
 require('dotenv').config();
 
+const MAX_LOGIN_FAILURES = 5;
+
 class MonitoringDashboard {
     constructor() {
+        // Other origins that may call the API with credentials; the dashboard itself is same-origin
+        this.allowedOrigins = (process.env.DASHBOARD_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+        const corsOptions = {
+            origin: this.allowedOrigins.length > 0 ? this.allowedOrigins : false,
+            methods: ['GET', 'POST'],
+            credentials: true
+        };
+
         this.app = express();
         this.server = http.createServer(this.app);
-        this.io = socketIo(this.server, {
-            cors: {
-                origin: "*",
-                methods: ["GET", "POST"]
-            }
-        });
+        this.io = socketIo(this.server, { cors: corsOptions });
+        this.corsOptions = corsOptions;
         
-        this.db = new Database('.hive-mind/automation.db');
-        this.logger = this.setupLogger();
+        this.store = new UnifiedStore();
+        this.db = this.store.db;
+        this.auth = new DashboardAuth({ store: this.store });
+        // Password guessing: a few failed sign-ins per user and address, then a 15 minute wait
+        this.loginLimiter = new RateLimiterMemory({ points: MAX_LOGIN_FAILURES, duration: 15 * 60 });
+        // Enqueue and cancel only; the webhook server's worker runs the jobs
+        this.queue = new JobQueue({ store: this.store });
+        this.autoOptimizer = null;
+        this.agentSpawner = null;
+        this.optimizing = false;
+        this.logger = createLogger('monitoring-dashboard');
         this.port = process.env.DASHBOARD_PORT || 3001;
         
         this.metrics = {
@@ -41,40 +65,114 @@ class MonitoringDashboard {
         this.startMetricsCollection();
     }
 
-    setupLogger() {
-        return winston.createLogger({
-            level: 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'logs/monitoring-dashboard.log' }),
-                new winston.transports.Console()
-            ]
-        });
-    }
-
     setupMiddleware() {
+        this.app.use(cors(this.corsOptions));
         this.app.use(express.json());
+        // The pages carry no data; everything they show comes from the authenticated API and socket
         this.app.use(express.static(path.join(__dirname, '../dashboard')));
-        
-        // CORS middleware
-        this.app.use((req, res, next) => {
-            res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-            res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-            next();
+    }
+
+    setupAuthRoutes() {
+        this.app.get('/auth/providers', (req, res) => {
+            res.json({ local: true, github: this.auth.githubEnabled });
+        });
+
+        this.app.post('/auth/login', async (req, res) => {
+            const username = String(req.body?.username || '');
+            const limiterKey = `${req.ip}:${username.toLowerCase()}`;
+
+            try {
+                const failures = await this.loginLimiter.get(limiterKey);
+                if (failures && failures.consumedPoints >= MAX_LOGIN_FAILURES) {
+                    this.auth.audit(req, 'login', 'rate-limited', { username, provider: 'local' });
+                    return res.status(429).json({ error: 'Too many failed sign-ins; try again later' });
+                }
+
+                const user = await this.auth.verifyPassword(username, req.body?.password);
+                if (!user) {
+                    // Rejects once the limit is reached; the next attempt is refused above
+                    await this.loginLimiter.consume(limiterKey).catch(() => {});
+                    this.auth.audit(req, 'login', 'failed', { username, provider: 'local' });
+                    return res.status(401).json({ error: 'Invalid username or password' });
+                }
+
+                await this.loginLimiter.delete(limiterKey);
+                const token = this.auth.issueToken(user);
+                this.auth.setSessionCookie(res, token);
+                req.user = user;
+                this.auth.audit(req, 'login', 'success', { provider: 'local' });
+                // Browsers use the cookie; scripts send the token as a Bearer header
+                res.json({ user: { username: user.username, role: user.role }, token });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/auth/logout', (req, res) => {
+            req.user = this.auth.verifyToken(this.auth.tokenFrom(req.headers));
+            if (req.user) {
+                this.auth.audit(req, 'logout', 'success');
+            }
+            this.auth.clearSessionCookie(res);
+            res.json({ message: 'Signed out' });
+        });
+
+        this.app.get('/auth/me', this.auth.authenticate(), (req, res) => {
+            res.json({ user: req.user });
+        });
+
+        this.app.get('/auth/github', (req, res) => {
+            if (!this.auth.githubEnabled) {
+                return res.status(404).json({ error: 'GitHub sign-in is not configured' });
+            }
+
+            // Ties the callback to this browser (login CSRF)
+            const state = crypto.randomBytes(16).toString('hex');
+            res.cookie(DashboardAuth.OAUTH_STATE_COOKIE, state, {
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: this.auth.secureCookies,
+                maxAge: 10 * 60 * 1000,
+                path: '/auth/github'
+            });
+            res.redirect(this.auth.githubAuthorizeUrl(state));
+        });
+
+        this.app.get('/auth/github/callback', async (req, res) => {
+            const expected = DashboardAuth.parseCookies(req.headers.cookie)[DashboardAuth.OAUTH_STATE_COOKIE];
+            res.clearCookie(DashboardAuth.OAUTH_STATE_COOKIE, { path: '/auth/github' });
+
+            if (!this.auth.githubEnabled || !expected || req.query.state !== expected || !req.query.code) {
+                this.auth.audit(req, 'login', 'failed', { provider: 'github', reason: 'invalid OAuth state' });
+                return res.redirect('/login.html?error=github');
+            }
+
+            try {
+                const user = await this.auth.githubLogin(String(req.query.code));
+                this.auth.setSessionCookie(res, this.auth.issueToken(user));
+                req.user = user;
+                this.auth.audit(req, 'login', 'success', { provider: 'github' });
+                res.redirect('/');
+            } catch (error) {
+                this.auth.audit(req, 'login', 'failed', { provider: 'github', reason: error.message });
+                res.redirect('/login.html?error=github');
+            }
         });
     }
 
     setupRoutes() {
+        this.setupAuthRoutes();
+
         // Main dashboard page
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, '../dashboard/index.html'));
         });
 
-        // API endpoints
+        // API endpoints: every role reads, controls below require operator or admin
+        this.app.use('/api', this.auth.authenticate());
+        const operator = (action, target) => [this.auth.audited(action, target), this.auth.requireRole('operator')];
+        const admin = (action, target) => [this.auth.audited(action, target), this.auth.requireRole('admin')];
+
         this.app.get('/api/status', async (req, res) => {
             try {
                 const status = await this.getSystemStatus();
@@ -139,19 +237,149 @@ class MonitoringDashboard {
         });
 
         // Control endpoints
-        this.app.post('/api/control/force-optimization', async (req, res) => {
+        // The webhook server, its runs and their agents are other processes: controls go through
+        // the shared database, where those processes pick them up
+        this.app.get('/api/control/state', (req, res) => {
+            try {
+                res.json({
+                    intake: this.getIntakeState(),
+                    jobs: this.queue.getStats(),
+                    optimizing: this.optimizing
+                });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/control/force-optimization', operator('force-optimization'), async (req, res) => {
+            if (this.optimizing) {
+                return res.status(409).json({ error: 'An optimization cycle is already running' });
+            }
+
+            this.optimizing = true;
+            try {
+                const optimizations = await this.getAutoOptimizer().forceOptimization();
+                const applied = optimizations.filter(optimization => optimization.status === 'applied').length;
+                this.logger.info(`🔧 Optimization forced by ${req.user.username}: ${applied}/${optimizations.length} applied`);
+                res.json({ message: `Optimization cycle completed: ${applied} of ${optimizations.length} applied`, optimizations });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            } finally {
+                this.optimizing = false;
+            }
+        });
+
+        this.app.post('/api/control/snapshot-learning', operator('snapshot-learning', req => req.body?.repository), async (req, res) => {
+            try {
+                const snapshot = await this.getLearningSystem(req.body?.repository).snapshot({ reason: `requested by ${req.user.username}` });
+                res.json({ message: 'Learning snapshot written', ...snapshot });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/control/reset-learning', admin('reset-learning', req => req.body?.repository), async (req, res) => {
+            try {
+                const result = await this.getLearningSystem(req.body?.repository).reset({ updatedBy: req.user.username });
+                res.json({ message: 'Learning system reset', ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/control/intake/:action(pause|resume)', operator('intake', req => req.params.action), (req, res) => {
             try {
-                // This would trigger the auto-optimizer
-                res.json({ message: 'Optimization triggered' });
+                const paused = req.params.action === 'pause';
+                this.store.setControl('intake-paused', paused, req.user.username);
+                this.logger.info(`${paused ? '⏸️ Intake of new runs paused' : '▶️ Intake of new runs resumed'} by ${req.user.username}`);
+                res.json({ message: paused ? 'Intake paused' : 'Intake resumed', intake: this.getIntakeState() });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
-        this.app.post('/api/control/reset-learning', async (req, res) => {
+        this.app.post('/api/control/sessions/:sessionId/cancel', operator('cancel-session', req => req.params.sessionId), (req, res) => {
             try {
-                // This would reset the learning system
-                res.json({ message: 'Learning system reset' });
+                const session = this.store.getSession(req.params.sessionId);
+                if (!session) {
+                    return res.status(404).json({ error: `Session ${req.params.sessionId} not found` });
+                }
+                if (session.status !== UnifiedStore.SESSION_STATUS.STARTED) {
+                    return res.status(409).json({ error: `Session ${session.session_id} already ${session.status}` });
+                }
+
+                // Webhook runs are jobs: the worker running the job stops its process once it sees the cancellation
+                const jobId = session.data?.jobId;
+                if (!jobId) {
+                    return res.status(409).json({ error: `Session ${session.session_id} was not started from the job queue` });
+                }
+                if (!this.queue.cancel(jobId)) {
+                    return res.status(409).json({ error: `Job ${jobId} of session ${session.session_id} is no longer queued or running` });
+                }
+
+                this.logger.info(`🚫 Session ${session.session_id} cancelled by ${req.user.username} (job ${jobId})`);
+                res.json({ message: 'Session cancelled', sessionId: session.session_id, jobId });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/control/agents/:agentId/terminate', operator('terminate-agent', req => req.params.agentId), async (req, res) => {
+            try {
+                const result = await this.getAgentSpawner().terminateAgent(req.params.agentId, `requested by ${req.user.username}`);
+                if (!result) {
+                    return res.status(404).json({ error: `No running agent ${req.params.agentId}` });
+                }
+
+                this.logger.info(`🛑 Agent ${req.params.agentId} ${result} by ${req.user.username}`);
+                res.json({
+                    message: result === 'terminated' ? 'Agent terminated' : 'Termination requested from the process running the agent',
+                    agentId: req.params.agentId,
+                    status: result
+                });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/control/issues/rerun', operator('rerun-issue', req => `${req.body?.repository}#${req.body?.issueNumber}`), (req, res) => {
+            try {
+                const repository = req.body?.repository;
+                const issueNumber = parseInt(req.body?.issueNumber, 10);
+                if (!repository || !issueNumber) {
+                    return res.status(400).json({ error: 'repository and issueNumber are required' });
+                }
+
+                const active = this.queue.listIssueJobs('hive-mind-automation', repository, issueNumber, ['queued', 'running']);
+                if (active.length > 0) {
+                    return res.status(409).json({ error: `Automation is already ${active[0].status} for ${repository}#${issueNumber} (job ${active[0].id})` });
+                }
+
+                const [previous] = this.queue.listIssueJobs('hive-mind-automation', repository, issueNumber);
+                if (!previous) {
+                    return res.status(404).json({ error: `${repository}#${issueNumber} has no webhook run to re-run` });
+                }
+
+                // Same issue text, mode and options as the last run; runs regardless of the intake pause
+                const job = this.queue.enqueue('hive-mind-automation', {
+                    ...previous.payload,
+                    options: { ...(previous.payload.options || {}), retryOf: previous.id, requestedBy: req.user.username }
+                }, { priority: previous.priority });
+
+                this.logger.info(`🔁 Re-run of ${repository}#${issueNumber} queued by ${req.user.username} (job ${job.id})`);
+                res.json({ message: 'Re-run queued', jobId: job.id, retryOf: previous.id });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/audit', this.auth.requireRole('admin'), (req, res) => {
+            try {
+                res.json(this.store.listAuditLog({
+                    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000),
+                    actor: req.query.actor,
+                    action: req.query.action
+                }));
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
@@ -166,18 +394,28 @@ class MonitoringDashboard {
                 memory: process.memoryUsage()
             });
         });
+
+        // Prometheus scrape endpoint, the same series as the webhook server's
+        // Scrapers send METRICS_TOKEN; without it a dashboard session is needed, as for /api
+        this.app.get('/metrics', metricsHandler({ authenticate: this.auth.authenticate() }));
     }
 
     setupSocketHandlers() {
+        this.io.use(this.auth.socketMiddleware());
+
         this.io.on('connection', (socket) => {
             const clientId = socket.id;
+            // Metrics stop when the session does; the client signs in again
+            const expiry = setTimeout(() => socket.disconnect(true),
+                Math.min(Math.max(0, socket.data.user.expiresAt - Date.now()), 2 ** 31 - 1));
+            socket.on('disconnect', () => clearTimeout(expiry));
             this.connectedClients.set(clientId, {
                 socket: socket,
                 connectedAt: Date.now(),
                 subscriptions: new Set()
             });
 
-            this.logger.info(`Client connected: ${clientId}`);
+            this.logger.info(`Client connected: ${clientId} (${socket.data.user.username})`);
 
             // Handle client subscriptions
             socket.on('subscribe', (subscriptions) => {
@@ -273,33 +511,17 @@ class MonitoringDashboard {
     }
 
     async collectAutomationMetrics() {
-        const sessions = this.db.prepare(`
-            SELECT 
-                COUNT(*) as total_sessions,
-                SUM(CASE WHEN status = 'started' THEN 1 ELSE 0 END) as active_sessions,
-                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_sessions,
-                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_sessions
-            FROM automation_sessions
-        `).get();
-
-        const recentSessions = this.db.prepare(`
-            SELECT 
-                COUNT(*) as total,
-                SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as successful,
-                AVG(CASE WHEN end_time IS NOT NULL THEN 
-                    (julianday(end_time) - julianday(start_time)) * 24 * 60 * 60 * 1000 
-                    ELSE NULL END) as avg_duration
-            FROM automation_sessions
-            WHERE start_time > datetime('now', '-24 hours')
-        `).get();
+        // Same session counts the CLI and learning system report
+        const sessions = this.store.getSessionStats();
+        const recentSessions = this.store.getSessionStats({ sinceHours: 24 });
 
         return {
-            total_sessions: sessions.total_sessions,
-            active_sessions: sessions.active_sessions,
-            completed_sessions: sessions.completed_sessions,
-            failed_sessions: sessions.failed_sessions,
-            success_rate: recentSessions.total > 0 ? (recentSessions.successful / recentSessions.total * 100).toFixed(2) : 0,
-            avg_duration: recentSessions.avg_duration ? Math.round(recentSessions.avg_duration) : 0,
+            total_sessions: sessions.total,
+            active_sessions: sessions.active,
+            completed_sessions: sessions.completed,
+            failed_sessions: sessions.failed,
+            success_rate: recentSessions.successRate.toFixed(2),
+            avg_duration: recentSessions.averageDurationMs,
             timestamp: Date.now()
         };
     }
@@ -437,6 +659,37 @@ class MonitoringDashboard {
         });
     }
 
+    getIntakeState() {
+        const control = this.store.getControl('intake-paused');
+        return {
+            paused: control?.value === true,
+            updatedBy: control?.updatedBy || null,
+            updatedAt: control?.updatedAt || null
+        };
+    }
+
+    getAutoOptimizer() {
+        if (!this.autoOptimizer) {
+            // Cycles run only when forced here; the optimizer's own loop runs where it is deployed
+            this.autoOptimizer = new AutoOptimizer({ store: this.store, autoStart: false });
+        }
+        return this.autoOptimizer;
+    }
+
+    getAgentSpawner() {
+        if (!this.agentSpawner) {
+            this.agentSpawner = new AgentSpawner();
+        }
+        return this.agentSpawner;
+    }
+
+    /**
+     * Learning data of one repository's partition, or all of it without a repository
+     */
+    getLearningSystem(repository = null) {
+        return new LearningSystem({ store: this.store, repository: repository || null });
+    }
+
     async getSystemStatus() {
         return {
             status: 'running',
@@ -452,17 +705,17 @@ class MonitoringDashboard {
     }
 
     async getAutomationSessions() {
-        return this.db.prepare(`
-            SELECT 
-                session_id,
-                status,
-                start_time,
-                end_time,
-                metrics
-            FROM automation_sessions
-            ORDER BY start_time DESC
-            LIMIT 50
-        `).all();
+        return this.store.listSessions({ limit: 50 }).map(session => ({
+            session_id: session.session_id,
+            source: session.source,
+            repository: session.repository,
+            issue_number: session.issue_number,
+            job_id: session.data?.jobId || null,
+            status: session.status,
+            start_time: session.start_time,
+            end_time: session.end_time,
+            metrics: session.metrics
+        }));
     }
 
     async getAgentStats() {
@@ -474,6 +727,7 @@ class MonitoringDashboard {
                 completion_time,
                 success_rate,
                 quality_score,
+                termination_requested_at,
                 created_at
             FROM agent_performance
             ORDER BY created_at DESC
@@ -531,6 +785,9 @@ class MonitoringDashboard {
             this.logger.info(`🚀 Monitoring Dashboard running on port ${this.port}`);
             this.logger.info(`📊 Dashboard URL: http://localhost:${this.port}`);
             this.logger.info(`🔧 API URL: http://localhost:${this.port}/api`);
+            if (this.auth.listUsers().length === 0 && !this.auth.githubEnabled) {
+                this.logger.warn('⚠️ Nobody can sign in yet: add a user with "npm run dashboard-user -- add <name> --role admin" or configure GitHub sign-in');
+            }
         });
     }
 
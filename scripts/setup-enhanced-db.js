@@ -1,5 +1,5 @@
 // Enhanced Database Schema Setup for Claude Flow Automation
-const Database = require('better-sqlite3');
+const UnifiedStore = require('../core/unified-store');
 const path = require('path');
 const fs = require('fs-extra');
 
@@ -11,147 +11,15 @@ async function setupEnhancedDatabase() {
         
         // Create enhanced automation database
         const dbPath = path.join('.hive-mind', 'automation.db');
-        const db = new Database(dbPath);
+        const store = new UnifiedStore({ dbPath, autoMigrate: false });
+        const db = store.db;
         
         console.log('🚀 Setting up enhanced database schema...');
         
-        // Execute enhanced schema
-        db.exec(`
-            -- Issue Tracking and Analysis
-            CREATE TABLE IF NOT EXISTS issues (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                github_id INTEGER UNIQUE,
-                number INTEGER,
-                title TEXT,
-                body TEXT,
-                labels TEXT,
-                state TEXT,
-                complexity_score INTEGER,
-                estimated_duration INTEGER,
-                language_detected TEXT,
-                framework_detected TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                resolved_at DATETIME,
-                resolution_time INTEGER
-            );
-            
-            -- Agent Performance Tracking
-            CREATE TABLE IF NOT EXISTS agent_performance (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                agent_id TEXT,
-                agent_type TEXT,
-                task_type TEXT,
-                issue_id INTEGER,
-                success_rate REAL,
-                completion_time INTEGER,
-                quality_score REAL,
-                tools_used TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (issue_id) REFERENCES issues(id)
-            );
-            
-            -- Learning Patterns Storage
-            CREATE TABLE IF NOT EXISTS learning_patterns (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                pattern_type TEXT,
-                pattern_data TEXT,
-                success_rate REAL,
-                usage_count INTEGER DEFAULT 1,
-                confidence_score REAL,
-                issue_characteristics TEXT,
-                solution_approach TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            -- Tool Usage Analytics
-            CREATE TABLE IF NOT EXISTS tool_usage (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                tool_name TEXT,
-                tool_category TEXT,
-                task_type TEXT,
-                success_rate REAL,
-                avg_execution_time INTEGER,
-                error_rate REAL,
-                usage_count INTEGER DEFAULT 1,
-                last_used DATETIME DEFAULT CURRENT_TIMESTAMP,
-                performance_score REAL
-            );
-            
-            -- Automation Sessions
-            CREATE TABLE IF NOT EXISTS automation_sessions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                session_id TEXT UNIQUE,
-                issue_id INTEGER,
-                status TEXT,
-                agents_spawned TEXT,
-                tools_used TEXT,
-                start_time DATETIME DEFAULT CURRENT_TIMESTAMP,
-                end_time DATETIME,
-                success BOOLEAN,
-                error_message TEXT,
-                metrics TEXT,
-                FOREIGN KEY (issue_id) REFERENCES issues(id)
-            );
-            
-            -- GitHub Integration Log
-            CREATE TABLE IF NOT EXISTS github_events (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                event_type TEXT,
-                event_data TEXT,
-                processed BOOLEAN DEFAULT FALSE,
-                processing_time INTEGER,
-                result TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            -- Neural Network Training Data
-            CREATE TABLE IF NOT EXISTS neural_training_data (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                input_data TEXT,
-                expected_output TEXT,
-                actual_output TEXT,
-                training_epoch INTEGER,
-                loss_score REAL,
-                accuracy_score REAL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            -- System Optimization Metrics
-            CREATE TABLE IF NOT EXISTS optimization_metrics (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                metric_type TEXT,
-                metric_value REAL,
-                optimization_target TEXT,
-                improvement_percentage REAL,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            -- Webhook Events Log
-            CREATE TABLE IF NOT EXISTS webhook_events (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                event_id TEXT,
-                event_type TEXT,
-                payload TEXT,
-                signature TEXT,
-                processed BOOLEAN DEFAULT FALSE,
-                processing_duration INTEGER,
-                status TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            -- Create indexes for better performance
-            CREATE INDEX IF NOT EXISTS idx_issues_github_id ON issues(github_id);
-            CREATE INDEX IF NOT EXISTS idx_issues_state ON issues(state);
-            CREATE INDEX IF NOT EXISTS idx_issues_complexity ON issues(complexity_score);
-            CREATE INDEX IF NOT EXISTS idx_agent_performance_type ON agent_performance(agent_type);
-            CREATE INDEX IF NOT EXISTS idx_learning_patterns_type ON learning_patterns(pattern_type);
-            CREATE INDEX IF NOT EXISTS idx_tool_usage_name ON tool_usage(tool_name);
-            CREATE INDEX IF NOT EXISTS idx_automation_sessions_status ON automation_sessions(status);
-            CREATE INDEX IF NOT EXISTS idx_github_events_processed ON github_events(processed);
-            CREATE INDEX IF NOT EXISTS idx_webhook_events_processed ON webhook_events(processed);
-        `);
+        // Apply the versioned schema (baseline tables, unified sessions, legacy store import)
+        const applied = store.migrate();
+        applied.forEach(m => console.log(`   - Applied migration ${m.version}: ${m.name}`));
+        console.log(`📐 Schema version: ${store.getSchemaVersion()}`);
         
         // Insert initial system data
         const insertSystemData = db.prepare(`
@@ -1,5 +1,5 @@
 // Basic test of Claude Flow automation without SQLite dependencies
-const { Octokit } = require('@octokit/rest');
+const { createGitHubClient } = require('../core/github-client');
 require('dotenv').config();
 
 async function testBasicAutomation() {
@@ -8,7 +8,7 @@ async function testBasicAutomation() {
     try {
         // Test 1: GitHub API connection
         console.log('📡 Testing GitHub API connection...');
-        const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+        const octokit = createGitHubClient();
         const repo = await octokit.rest.repos.get({
             owner: 'Marimo-317',
             repo: 'claude_flow_windows'
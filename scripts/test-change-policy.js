@@ -0,0 +1,155 @@
+// Test Change Policy for Claude Flow Automation Testing
+const assert = require('assert');
+const ChangePolicy = require('../core/change-policy');
+const { ChangePolicyError } = require('../core/change-policy');
+const { createPatch } = require('../core/unified-diff');
+
+const GITHUB_TOKEN = `ghp_${'a1B2c3D4e5'.repeat(4)}`;
+
+function update(path, content = 'module.exports = {};\n') {
+    return { path, action: 'update', content };
+}
+
+const tests = {
+    'protected paths are blocked wherever they sit': () => {
+        const policy = new ChangePolicy();
+        const result = policy.check({
+            files: [
+                update('.github/workflows/ci.yml'),
+                update('packages/api/package-lock.json'),
+                update('config/.env.production'),
+                update('deploy/secrets/db.json'),
+                update('src/index.js')
+            ]
+        });
+
+        assert.strictEqual(result.allowed, false);
+        assert.deepStrictEqual(result.violations.map(violation => violation.path), [
+            '.github/workflows/ci.yml',
+            'packages/api/package-lock.json',
+            'config/.env.production',
+            'deploy/secrets/db.json'
+        ]);
+        assert.ok(result.violations.every(violation => violation.rule === 'protected-path'));
+    },
+
+    'ordinary changes are allowed': () => {
+        const policy = new ChangePolicy();
+        const patch = createPatch('src/index.js', 'const a = 1;\n', 'const a = 2;\n');
+        const result = policy.check({ files: [update('src/index.js', 'const a = 2;\n')], patch });
+
+        assert.deepStrictEqual(result, { allowed: true, violations: [], files: 1, lines: 2 });
+    },
+
+    'the files and lines budgets are enforced': () => {
+        const policy = new ChangePolicy({ maxFiles: 2, maxLines: 3 });
+        const files = ['a.js', 'b.js', 'c.js'].map(path => update(path));
+        const patch = createPatch('a.js', 'one\ntwo\n', 'uno\ndos\n');
+        const result = policy.check({ files, patch });
+
+        assert.deepStrictEqual(result.violations.map(violation => violation.rule), ['max-files', 'max-lines']);
+        assert.strictEqual(result.lines, 4);
+    },
+
+    'secrets are found in added lines only': () => {
+        const policy = new ChangePolicy();
+        const before = `const token = '${GITHUB_TOKEN}';\nrun(token);\n`;
+        const removed = createPatch('src/client.js', before, 'const token = process.env.GITHUB_TOKEN;\nrun(token);\n');
+        assert.strictEqual(policy.check({ files: [update('src/client.js')], patch: removed }).allowed, true);
+
+        const added = createPatch('src/client.js', 'run();\n', `run();\nconst key = '${GITHUB_TOKEN}';\n`);
+        const [violation] = policy.check({ files: [update('src/client.js')], patch: added }).violations;
+        assert.deepStrictEqual(
+            { rule: violation.rule, path: violation.path, line: violation.line },
+            { rule: 'secret', path: 'src/client.js', line: 2 }
+        );
+        assert.ok(!violation.message.includes(GITHUB_TOKEN), 'the secret is not echoed');
+    },
+
+    'placeholders are not credentials': () => {
+        const policy = new ChangePolicy();
+        const content = 'password: "${DB_PASSWORD}"\napiKey = "<your-api-key-here>"\n';
+        assert.strictEqual(policy.check({ files: [update('config/app.yml', content)] }).allowed, true);
+
+        const literal = 'password: "correct-horse-battery-staple"\n';
+        assert.strictEqual(policy.check({ files: [update('config/app.yml', literal)] }).violations[0].rule, 'secret');
+    },
+
+    'without a patch created and updated files are scanned in full': () => {
+        const policy = new ChangePolicy();
+        const result = policy.check({
+            files: [
+                { path: 'src/new.js', action: 'create', content: `// setup\nexport const t = '${GITHUB_TOKEN}';\n` },
+                { path: 'src/old.js', action: 'delete' }
+            ]
+        });
+
+        assert.strictEqual(result.lines, null);
+        assert.deepStrictEqual(result.violations.map(violation => [violation.path, violation.line]), [['src/new.js', 2]]);
+    },
+
+    'CHANGE_PROTECTED_PATHS replaces the defaults': () => {
+        process.env.CHANGE_PROTECTED_PATHS = 'infra/**, *.tf';
+        try {
+            const policy = new ChangePolicy();
+            assert.deepStrictEqual(policy.options.protectedPaths, ['infra/**', '*.tf']);
+            assert.strictEqual(policy.checkPaths(['.github/workflows/ci.yml']).length, 0);
+            assert.strictEqual(policy.checkPaths(['infra/main.tf']).length, 1);
+        } finally {
+            delete process.env.CHANGE_PROTECTED_PATHS;
+        }
+    },
+
+    'assertAllowed throws with the violations': () => {
+        const policy = new ChangePolicy();
+        assert.throws(() => policy.assertAllowed({ files: [update('.github/workflows/release.yml')] }), (error) => {
+            assert.ok(error instanceof ChangePolicyError);
+            assert.strictEqual(error.violations[0].rule, 'protected-path');
+            assert.ok(error.message.startsWith('Change blocked by policy:'));
+            return true;
+        });
+        assert.throws(() => policy.assertPathsAllowed(['src/.ssh/id_rsa']), ChangePolicyError);
+        assert.doesNotThrow(() => policy.assertPathsAllowed(['src/ssh.js']));
+    },
+
+    'blocked changes are explained with the limits': () => {
+        const policy = new ChangePolicy({ maxFiles: 5, maxLines: 50 });
+        const { violations } = policy.check({ files: [update('yarn.lock')] });
+        const comment = policy.formatViolations(violations);
+
+        assert.ok(comment.includes('`yarn.lock` is a protected path (`**/yarn.lock`)'));
+        assert.ok(comment.includes('_Limits: 5 files, 50 changed lines.'));
+    }
+};
+
+async function runChangePolicyTests() {
+    console.log('🚀 Testing the change policy...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runChangePolicyTests().then(success => {
+        if (success) {
+            console.log('🎉 Change policy tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Change policy tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runChangePolicyTests };
@@ -0,0 +1,114 @@
+// Test Command Parser for Claude Flow Automation Testing
+const assert = require('assert');
+const CommandParser = require('../automation/command-parser');
+
+const parser = new CommandParser();
+
+const tests = {
+    'commands are parsed with their flags': () => {
+        const command = parser.parse('Please fix this\n/autosolve --agents=Architect,tester --no-pr --priority HIGH');
+
+        assert.strictEqual(command.name, 'autosolve');
+        assert.deepStrictEqual(command.errors, []);
+        assert.deepStrictEqual(command.flags, { agents: ['architect', 'tester'], 'no-pr': true, priority: 'high' });
+    },
+
+    'quoted values and positional arguments are kept': () => {
+        const command = parser.parse('/autosolve --agents "architect,tester"');
+        assert.deepStrictEqual(command.flags.agents, ['architect', 'tester']);
+
+        const explain = parser.parse('/explain 3f2c-4ed5');
+        assert.strictEqual(explain.sessionId, '3f2c-4ed5');
+        assert.deepStrictEqual(explain.args, ['3f2c-4ed5']);
+    },
+
+    'a bare bot mention means /autosolve': () => {
+        assert.strictEqual(parser.parse('Hey @claude-flow-automation can you take this one?').name, 'autosolve');
+
+        const addressed = parser.parse('@Claude-Flow-Bot /analyze-only --agents=security');
+        assert.strictEqual(addressed.name, 'analyze-only');
+        assert.deepStrictEqual(addressed.flags.agents, ['security']);
+        assert.strictEqual(parser.parse('Thanks @claude-flow-bot.').name, 'autosolve');
+    },
+
+    'longer logins starting with the bot\'s are not mentions': () => {
+        assert.strictEqual(parser.parse('cc @claude-flow-botanist, can you look?'), null);
+        assert.strictEqual(parser.parse('@claude-flow-automation-staging /autosolve'), null);
+        assert.strictEqual(parser.parse('mail ops@claude-flow-bot about it'), null);
+    },
+
+    'quoted replies, code blocks and paths are not commands': () => {
+        assert.strictEqual(parser.parse('> /autosolve\nthanks, that worked'), null);
+        assert.strictEqual(parser.parse('```\n/autosolve --no-pr\n```'), null);
+        assert.strictEqual(parser.parse('/usr/local/bin/node crashes on start'), null);
+        assert.strictEqual(parser.parse('/unknown-thing'), null);
+        assert.strictEqual(parser.parse(''), null);
+    },
+
+    'only the first command in a comment runs': () => {
+        assert.strictEqual(parser.parse('/status\n/cancel').name, 'status');
+    },
+
+    'invalid usage is reported, not guessed': () => {
+        const command = parser.parse('/autosolve --priority=urgent --agents=../etc --force --no-pr=yes extra');
+        assert.deepStrictEqual(command.errors, [
+            '`--priority` must be one of: low, normal, high, critical',
+            'Invalid value for `--agents`: `../etc`',
+            'Unknown option `--force`',
+            'Option `--no-pr` does not take a value',
+            'Too many arguments (expected 0)'
+        ]);
+
+        assert.deepStrictEqual(parser.parse('/explain').errors, ['Missing `<sessionId>`']);
+        assert.deepStrictEqual(parser.parse('/autosolve --agents').errors, ['Option `--agents` requires a value']);
+    },
+
+    'unknown commands addressed to the bot get help': () => {
+        const command = parser.parse('@claude-flow-bot /deploy');
+        assert.deepStrictEqual(command.errors, ['Unknown command `/deploy`']);
+
+        const reply = parser.formatUsageError(command);
+        assert.ok(reply.startsWith('⚠️ Could not run `/deploy`:'));
+        assert.ok(reply.includes('**Claude Flow commands**'));
+    },
+
+    'help lists every command, or one in detail': () => {
+        const all = parser.formatHelp();
+        for (const name of Object.keys(CommandParser.COMMANDS)) {
+            assert.ok(all.includes(`\`/${name}`), name);
+        }
+        assert.ok(parser.formatHelp('cancel').startsWith('**/cancel** — Cancel queued or running automation'));
+    }
+};
+
+async function runCommandParserTests() {
+    console.log('🚀 Testing the slash-command parser...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runCommandParserTests().then(success => {
+        if (success) {
+            console.log('🎉 Command parser tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Command parser tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runCommandParserTests };
@@ -0,0 +1,167 @@
+// Test Dashboard Auth for Claude Flow Automation Testing
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The dashboard opens its database in the working directory; keep it out of the tree
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-flow-dashboard-auth-'));
+process.chdir(workDir);
+process.env.LOG_FILE = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.DASHBOARD_JWT_SECRET = 'dashboard-auth-test-secret';
+process.env.METRICS_TOKEN = 'scrape-token';
+delete process.env.CLAUDE_FLOW_DB;
+
+const { parseCookies } = require('../core/dashboard-auth');
+const MonitoringDashboard = require('./monitoring-dashboard');
+
+const PASSWORD = 'correct-horse-battery';
+
+let dashboard = null;
+let baseUrl = null;
+const tokens = {};
+
+async function startDashboard() {
+    dashboard = new MonitoringDashboard();
+    await new Promise(resolve => dashboard.server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${dashboard.server.address().port}`;
+
+    for (const role of ['viewer', 'operator', 'admin']) {
+        await dashboard.auth.createUser(role, PASSWORD, role);
+        tokens[role] = dashboard.auth.issueToken({ username: role, role, provider: 'local' });
+    }
+}
+
+function as(role) {
+    return { Authorization: `Bearer ${tokens[role]}` };
+}
+
+/**
+ * Open a socket.io connection over long polling, as a browser without websockets would
+ * @returns {Promise<string>} the server's reply to the namespace connect packet
+ */
+async function socketConnect(headers = {}, auth = null) {
+    const handshake = await request(baseUrl).get('/socket.io/?EIO=4&transport=polling').set(headers);
+    assert.strictEqual(handshake.status, 200, handshake.text);
+    const { sid } = JSON.parse(handshake.text.slice(1));
+    const url = `/socket.io/?EIO=4&transport=polling&sid=${sid}`;
+
+    await request(baseUrl).post(url).set(headers).set('Content-Type', 'text/plain')
+        .send(auth ? `40${JSON.stringify(auth)}` : '40');
+    return (await request(baseUrl).get(url).set(headers)).text;
+}
+
+const tests = {
+    'cookies that are not URI-encoded are kept as sent': () => {
+        assert.deepStrictEqual(parseCookies('other=%; theme=dark%20blue; broken=%zz'), {
+            other: '%',
+            theme: 'dark blue',
+            broken: '%zz'
+        });
+    },
+
+    'a malformed cookie is refused without crashing the dashboard': async () => {
+        const response = await request(baseUrl).get('/api/status').set('Cookie', 'other=%');
+        assert.strictEqual(response.status, 401);
+
+        assert.ok((await socketConnect({ Cookie: 'other=%' })).startsWith('44{"message":"unauthorized"}'));
+        assert.strictEqual((await request(baseUrl).get('/health')).status, 200, 'the dashboard is still up');
+    },
+
+    'users sign in with their password and get a session cookie': async () => {
+        const wrong = await request(baseUrl).post('/auth/login').send({ username: 'operator', password: 'not-the-password' });
+        assert.strictEqual(wrong.status, 401);
+        assert.strictEqual(wrong.headers['set-cookie'], undefined);
+
+        const login = await request(baseUrl).post('/auth/login').send({ username: 'operator', password: PASSWORD });
+        assert.strictEqual(login.status, 200);
+        assert.deepStrictEqual(login.body.user, { username: 'operator', role: 'operator' });
+        const [cookie] = login.headers['set-cookie'];
+        assert.ok(cookie.startsWith('claude_flow_dashboard=') && cookie.includes('HttpOnly'), cookie);
+
+        const me = await request(baseUrl).get('/auth/me').set('Cookie', cookie.split(';')[0]);
+        assert.strictEqual(me.body.user.username, 'operator');
+        assert.strictEqual((await request(baseUrl).get('/api/status')).status, 401);
+    },
+
+    'controls need the operator role and the audit log the admin role': async () => {
+        assert.strictEqual((await request(baseUrl).get('/api/control/state').set(as('viewer'))).status, 200);
+        assert.strictEqual((await request(baseUrl).post('/api/control/intake/pause').set(as('viewer'))).status, 403);
+        assert.strictEqual(dashboard.store.getControl('intake-paused'), null);
+
+        assert.strictEqual((await request(baseUrl).post('/api/control/intake/pause').set(as('operator'))).status, 200);
+        assert.strictEqual(dashboard.store.getControl('intake-paused').value, true);
+        assert.strictEqual((await request(baseUrl).post('/api/control/reset-learning').set(as('operator'))).status, 403);
+        assert.strictEqual((await request(baseUrl).get('/api/audit').set(as('operator'))).status, 403);
+
+        const audit = await request(baseUrl).get('/api/audit?action=intake').set(as('admin'));
+        assert.strictEqual(audit.status, 200);
+        assert.deepStrictEqual(audit.body.map(entry => [entry.actor, entry.outcome]), [['operator', 'success'], ['viewer', 'denied']]);
+    },
+
+    'a removed user\'s session stops working': async () => {
+        await dashboard.auth.createUser('leaver', PASSWORD, 'operator');
+        const token = dashboard.auth.issueToken({ username: 'leaver', role: 'operator', provider: 'local' });
+        assert.strictEqual((await request(baseUrl).get('/api/status').set('Authorization', `Bearer ${token}`)).status, 200);
+
+        dashboard.auth.deleteUser('leaver');
+        assert.strictEqual((await request(baseUrl).get('/api/status').set('Authorization', `Bearer ${token}`)).status, 401);
+    },
+
+    'the live socket needs a valid session': async () => {
+        assert.ok((await socketConnect()).startsWith('44{"message":"unauthorized"}'));
+        assert.ok((await socketConnect({}, { token: `${tokens.viewer}x` })).startsWith('44{"message":"unauthorized"}'));
+
+        assert.ok((await socketConnect({}, { token: tokens.viewer })).startsWith('40{"sid"'));
+        assert.ok((await socketConnect({ Cookie: `claude_flow_dashboard=${tokens.viewer}` })).startsWith('40{"sid"'));
+    },
+
+    '/metrics needs the scrape token or a dashboard session': async () => {
+        assert.strictEqual((await request(baseUrl).get('/metrics')).status, 401);
+        assert.strictEqual((await request(baseUrl).get('/metrics').set('Authorization', 'Bearer wrong-token')).status, 401);
+
+        const scraped = await request(baseUrl).get('/metrics').set('Authorization', 'Bearer scrape-token');
+        assert.strictEqual(scraped.status, 200);
+        assert.ok(scraped.text.includes('claude_flow_process_uptime_seconds'));
+        assert.strictEqual((await request(baseUrl).get('/metrics').set(as('viewer'))).status, 200);
+    }
+};
+
+async function runDashboardAuthTests() {
+    console.log('🚀 Testing dashboard authentication...');
+    let failed = 0;
+
+    await startDashboard();
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    dashboard.io.close();
+    dashboard.store.close();
+    process.chdir(os.tmpdir());
+    fs.removeSync(workDir);
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runDashboardAuthTests().then(success => {
+        if (success) {
+            console.log('🎉 Dashboard auth tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Dashboard auth tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runDashboardAuthTests };
@@ -0,0 +1,119 @@
+// Test Dry Run for Claude Flow Automation Testing
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// The orchestrator writes its databases, memory and previews to the working directory; keep them out of the tree
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-flow-dry-run-'));
+process.chdir(workDir);
+process.env.LOG_FILE = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.GITHUB_TRANSPORT = 'fake';
+process.env.GITHUB_TOKEN = 'fake-token';
+process.env.REPOSITORY = 'acme/widgets';
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LLM_FIXTURE_PATH = path.join(workDir, 'fixtures.json');
+process.env.VALIDATE_CHANGES = 'false';
+delete process.env.CLAUDE_FLOW_DB;
+delete process.env.GITHUB_FAKE_STATE;
+delete process.env.GITHUB_APP_ID;
+delete process.env.DRY_RUN;
+
+const { resetFakeGitHub } = require('../core/github-client');
+const HiveMindOrchestrator = require('../core/hive-mind-orchestrator');
+
+const SUM_BEFORE = 'function sum(a, b) {\n    return a - b;\n}\nmodule.exports = sum;\n';
+const SUM_PATCH = [
+    '--- a/src/sum.js',
+    '+++ b/src/sum.js',
+    '@@ -1,3 +1,3 @@',
+    ' function sum(a, b) {',
+    '-    return a - b;',
+    '+    return a + b;',
+    ' }',
+    ''
+].join('\n');
+const ISSUE = { number: 7, title: 'sum subtracts', body: 'sum(1, 2) returns -1 instead of 3 in src/sum.js', labels: [] };
+
+fs.writeJsonSync(process.env.LLM_FIXTURE_PATH, { patch: SUM_PATCH });
+
+function seedRepository() {
+    const fake = resetFakeGitHub();
+    fake.createRepository('acme/widgets', {
+        files: { 'src/sum.js': SUM_BEFORE },
+        issues: [{ number: ISSUE.number, title: ISSUE.title, body: ISSUE.body }]
+    });
+    return fake;
+}
+
+const tests = {
+    'a dry run writes its preview to orchestrator-data/previews': async () => {
+        seedRepository();
+        const orchestrator = new HiveMindOrchestrator();
+
+        const result = await orchestrator.resolveIssue(ISSUE, { source: 'github-actions', dryRun: true });
+        const preview = result.githubResult;
+
+        const previewDir = path.join(workDir, 'orchestrator-data', 'previews');
+        const baseName = `issue-7-${result.orchestrationId}`;
+        assert.strictEqual(preview.dryRun, true);
+        assert.strictEqual(fs.realpathSync(preview.previewPath), fs.realpathSync(path.join(previewDir, `${baseName}.md`)));
+        assert.deepStrictEqual(fs.readdirSync(previewDir).sort(), [`${baseName}.json`, `${baseName}.md`]);
+
+        const saved = fs.readJsonSync(path.join(previewDir, `${baseName}.json`));
+        assert.strictEqual(saved.issue.number, 7);
+        assert.strictEqual(saved.pullRequest.branch, 'hive-mind/issue-7');
+        assert.ok(fs.readFileSync(preview.previewPath, 'utf8').includes('+    return a + b;'), 'the preview shows the patch');
+    },
+
+    'a dry run makes no writes to GitHub': async () => {
+        const fake = seedRepository();
+        const orchestrator = new HiveMindOrchestrator();
+
+        await orchestrator.resolveIssue(ISSUE, { source: 'github-actions', dryRun: true });
+
+        assert.ok(fake.requests.length > 0, 'the dry run read the issue and repository');
+        const mutations = fake.requests.filter(entry => entry.method !== 'GET' && entry.method !== 'HEAD');
+        assert.deepStrictEqual(mutations.map(entry => `${entry.method} ${entry.path}`), []);
+
+        const repository = fake.state.repositories['acme/widgets'];
+        assert.deepStrictEqual(repository.comments, []);
+        assert.strictEqual(repository.refs['heads/hive-mind/issue-7'], undefined);
+        assert.strictEqual(fake.readFiles('acme/widgets', 'main')['src/sum.js'], SUM_BEFORE);
+    }
+};
+
+async function runDryRunTests() {
+    console.log('🚀 Testing dry runs...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    process.chdir(os.tmpdir());
+    fs.removeSync(workDir);
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runDryRunTests().then(success => {
+        if (success) {
+            console.log('🎉 Dry run tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Dry run tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runDryRunTests };
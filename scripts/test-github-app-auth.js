@@ -0,0 +1,152 @@
+// Test GitHub App Auth for Claude Flow Automation Testing
+const assert = require('assert');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+process.env.LOG_FILE = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.GITHUB_TRANSPORT = 'fake';
+delete process.env.GITHUB_FAKE_STATE;
+delete process.env.GITHUB_APP_ID;
+delete process.env.GITHUB_APP_PRIVATE_KEY;
+delete process.env.GITHUB_APP_PRIVATE_KEY_PATH;
+
+const GitHubAppAuth = require('../core/github-app-auth');
+const { getGitHubAppAuth, resetGitHubAppAuth } = GitHubAppAuth;
+const { createGitHubClient, resetFakeGitHub } = require('../core/github-client');
+
+// A throwaway key, generated per run
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const MINUTE = 60 * 1000;
+
+function createAppAuth() {
+    const fake = resetFakeGitHub();
+    fake.createRepository('acme/widgets', { files: { 'README.md': '# widgets\n' } });
+    return { fake, appAuth: new GitHubAppAuth({ appId: 12345, privateKey }) };
+}
+
+function mintRequests(fake) {
+    return fake.requests.filter(entry => /^\/app\/installations\/\d+\/access_tokens$/.test(entry.path));
+}
+
+const tests = {
+    'the app JWT is signed with the private key and lives under ten minutes': () => {
+        const { appAuth } = createAppAuth();
+        const now = Math.floor(Date.now() / 1000);
+
+        const claims = jwt.verify(appAuth.createJwt(), publicKey, { algorithms: ['RS256'] });
+
+        assert.strictEqual(claims.iss, '12345');
+        assert.ok(claims.iat <= now - 59 && claims.iat >= now - 61, 'backdated for clock drift');
+        assert.ok(claims.exp - claims.iat <= 10 * 60, 'GitHub rejects JWTs valid for more than ten minutes');
+        assert.ok(claims.exp > now);
+    },
+
+    'the private key is read from a single-line secret': () => {
+        process.env.GITHUB_APP_ID = '12345';
+        process.env.GITHUB_APP_PRIVATE_KEY = privateKey.replace(/\n/g, '\\n');
+        resetGitHubAppAuth();
+
+        try {
+            const appAuth = getGitHubAppAuth();
+            assert.ok(appAuth instanceof GitHubAppAuth);
+            assert.strictEqual(jwt.verify(appAuth.createJwt(), publicKey, { algorithms: ['RS256'] }).iss, '12345');
+        } finally {
+            delete process.env.GITHUB_APP_ID;
+            delete process.env.GITHUB_APP_PRIVATE_KEY;
+            resetGitHubAppAuth();
+        }
+
+        assert.strictEqual(getGitHubAppAuth(), null, 'without an app id the process uses a token');
+        assert.throws(() => new GitHubAppAuth({ appId: 12345 }), /requires GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY/);
+    },
+
+    'installation tokens are minted with the app JWT and cached': async () => {
+        const { fake, appAuth } = createAppAuth();
+
+        const token = await appAuth.getRepositoryToken('acme', 'widgets');
+        assert.ok(token.startsWith('ghs_'), token);
+        assert.strictEqual(await appAuth.getRepositoryToken('acme', 'widgets'), token);
+
+        const mints = mintRequests(fake);
+        assert.strictEqual(mints.length, 1);
+        assert.strictEqual(fake.requests.filter(entry => entry.path === '/repos/acme/widgets/installation').length, 1, 'the installation is looked up once');
+
+        const [scheme, credential] = mints[0].authorization.split(' ');
+        assert.strictEqual(scheme.toLowerCase(), 'bearer');
+        assert.strictEqual(jwt.verify(credential, publicKey, { algorithms: ['RS256'] }).iss, '12345');
+    },
+
+    'concurrent callers share one minting request': async () => {
+        const { fake, appAuth } = createAppAuth();
+
+        const tokens = await Promise.all([1, 2, 3].map(() => appAuth.getRepositoryToken('acme', 'widgets')));
+
+        assert.strictEqual(new Set(tokens).size, 1);
+        assert.strictEqual(mintRequests(fake).length, 1);
+    },
+
+    'a token is refreshed before it expires': async () => {
+        const { fake, appAuth } = createAppAuth();
+        const first = await appAuth.getRepositoryToken('acme', 'widgets');
+        const installationId = await appAuth.getInstallationId('acme', 'widgets');
+
+        appAuth.tokens.get(installationId).expiresAt = Date.now() + 10 * MINUTE;
+        assert.strictEqual(await appAuth.getRepositoryToken('acme', 'widgets'), first, 'ten minutes left is still good');
+
+        appAuth.tokens.get(installationId).expiresAt = Date.now() + 4 * MINUTE;
+        const refreshed = await appAuth.getRepositoryToken('acme', 'widgets');
+        assert.notStrictEqual(refreshed, first, 'four minutes left is inside the refresh margin');
+        assert.strictEqual(mintRequests(fake).length, 2);
+        assert.ok(appAuth.tokens.get(installationId).expiresAt - Date.now() > 55 * MINUTE);
+    },
+
+    'repository clients send the installation token': async () => {
+        const { fake, appAuth } = createAppAuth();
+        const octokit = createGitHubClient({ appAuth, owner: 'acme', repo: 'widgets' });
+
+        await octokit.rest.repos.get({ owner: 'acme', repo: 'widgets' });
+
+        const token = await appAuth.getRepositoryToken('acme', 'widgets');
+        const repositoryRequest = fake.requests.find(entry => entry.path === '/repos/acme/widgets');
+        assert.strictEqual(repositoryRequest.authorization, `token ${token}`);
+        assert.strictEqual(mintRequests(fake).length, 1);
+    }
+};
+
+async function runGitHubAppAuthTests() {
+    console.log('🚀 Testing GitHub App authentication...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runGitHubAppAuthTests().then(success => {
+        if (success) {
+            console.log('🎉 GitHub App auth tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 GitHub App auth tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runGitHubAppAuthTests };
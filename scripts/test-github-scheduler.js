@@ -0,0 +1,184 @@
+// Test GitHub Scheduler for Claude Flow Automation Testing
+const assert = require('assert');
+
+process.env.LOG_FILE = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const GitHubRequestScheduler = require('../core/github-scheduler');
+
+// Timers may fire a millisecond or two around their target
+const TOLERANCE_MS = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A request function recording when each call started and ended, failing with the given errors first
+ */
+function fakeRequest(log, { durationMs = 0, errors = [], headers = {} } = {}) {
+    return async (options) => {
+        const call = { label: `${options.method} ${options.url}`, startedAt: Date.now() };
+        log.push(call);
+        await sleep(durationMs);
+        call.endedAt = Date.now();
+
+        const error = errors.shift();
+        if (error) throw error;
+        return { status: 200, headers, data: { url: options.url } };
+    };
+}
+
+/**
+ * The error Octokit throws for a failed response
+ */
+function responseError(status, message, headers = {}) {
+    return Object.assign(new Error(message), { status, response: { status, headers } });
+}
+
+function schedule(scheduler, request, method, url) {
+    return scheduler.schedule(request, { method, url });
+}
+
+const tests = {
+    'writes run one at a time, spaced by the write interval': async () => {
+        const scheduler = new GitHubRequestScheduler({ writeIntervalMs: 50 });
+        const log = [];
+        const request = fakeRequest(log, { durationMs: 20 });
+
+        await Promise.all([1, 2, 3].map(n => schedule(scheduler, request, 'POST', `/write/${n}`)));
+
+        assert.deepStrictEqual(log.map(call => call.label), ['POST /write/1', 'POST /write/2', 'POST /write/3']);
+        for (let i = 1; i < log.length; i++) {
+            assert.ok(log[i].startedAt - log[i - 1].endedAt >= 50 - TOLERANCE_MS, `write ${i + 1} started ${log[i].startedAt - log[i - 1].endedAt}ms after the previous one`);
+        }
+    },
+
+    'reads do not wait behind a queued write': async () => {
+        const scheduler = new GitHubRequestScheduler({ writeIntervalMs: 200 });
+        const log = [];
+        const request = fakeRequest(log, { durationMs: 20 });
+
+        const writes = [
+            schedule(scheduler, request, 'POST', '/write/1'),
+            schedule(scheduler, request, 'PATCH', '/write/2')
+        ];
+        const reads = [
+            schedule(scheduler, request, 'GET', '/read/1'),
+            schedule(scheduler, request, 'GET', '/read/2')
+        ];
+        await Promise.all(reads);
+        const readsDoneAt = Date.now();
+        await Promise.all(writes);
+
+        const started = Object.fromEntries(log.map(call => [call.label, call.startedAt]));
+        assert.ok(readsDoneAt - started['POST /write/1'] < 200, 'the reads did not wait for the write gap');
+        assert.ok(started['PATCH /write/2'] > readsDoneAt, 'the second write waited for its slot');
+        assert.ok(started['PATCH /write/2'] - log[0].endedAt >= 200 - TOLERANCE_MS, 'the writes stayed spaced out');
+    },
+
+    'a 429 with Retry-After pauses every request and retries': async () => {
+        const scheduler = new GitHubRequestScheduler({ writeIntervalMs: 0 });
+        const throttled = [];
+        scheduler.on('throttled', event => throttled.push(event));
+        const log = [];
+        const limited = fakeRequest(log, { errors: [responseError(429, 'Too Many Requests', { 'retry-after': '1' })] });
+        const other = fakeRequest(log);
+
+        const startedAt = Date.now();
+        const response = schedule(scheduler, limited, 'POST', '/limited');
+        await sleep(10);
+        const queued = schedule(scheduler, other, 'GET', '/other');
+
+        assert.strictEqual((await response).status, 200);
+        await queued;
+
+        assert.deepStrictEqual(log.map(call => call.label), ['POST /limited', 'POST /limited', 'GET /other']);
+        assert.ok(log[1].startedAt - startedAt >= 1000 - TOLERANCE_MS, `retried after ${log[1].startedAt - startedAt}ms`);
+        assert.ok(log[2].startedAt - startedAt >= 1000 - TOLERANCE_MS, 'the read waited out the pause');
+        assert.strictEqual(throttled.length, 1);
+        assert.strictEqual(scheduler.getStats().retried, 1);
+    },
+
+    'a 403 with the quota spent waits for the rate-limit reset': async () => {
+        const scheduler = new GitHubRequestScheduler({ writeIntervalMs: 0 });
+        const log = [];
+        const resetAt = Math.ceil(Date.now() / 1000) + 1;
+        const request = fakeRequest(log, {
+            errors: [responseError(403, 'API rate limit exceeded', {
+                'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(resetAt)
+            })]
+        });
+
+        assert.strictEqual((await schedule(scheduler, request, 'GET', '/repos/acme/widgets')).status, 200);
+
+        assert.strictEqual(log.length, 2);
+        assert.ok(log[1].startedAt >= resetAt * 1000, `retried ${resetAt * 1000 - log[1].startedAt}ms before the reset`);
+    },
+
+    'secondary rate limits back off exponentially until the retries run out': async () => {
+        const scheduler = new GitHubRequestScheduler({ writeIntervalMs: 0, secondaryBackoffMs: 40, maxRetries: 2 });
+        const log = [];
+        const secondary = () => responseError(403, 'You have exceeded a secondary rate limit');
+
+        const recovered = fakeRequest(log, { errors: [secondary(), secondary()] });
+        assert.strictEqual((await schedule(scheduler, recovered, 'POST', '/recovers')).status, 200);
+        assert.strictEqual(log.length, 3);
+        assert.ok(log[1].startedAt - log[0].endedAt >= 40 - TOLERANCE_MS, 'first backoff');
+        assert.ok(log[2].startedAt - log[1].endedAt >= 80 - TOLERANCE_MS, 'second backoff doubles');
+
+        log.length = 0;
+        const exhausted = fakeRequest(log, { errors: [responseError(429, 'Too Many Requests'), responseError(429, 'Too Many Requests'), responseError(429, 'Too Many Requests')] });
+        await assert.rejects(schedule(scheduler, exhausted, 'POST', '/gives-up'), error => error.status === 429);
+        assert.strictEqual(log.length, 3, 'one attempt and two retries');
+    },
+
+    'a plain 403 is a permission error and is not retried': async () => {
+        const scheduler = new GitHubRequestScheduler({ writeIntervalMs: 0, secondaryBackoffMs: 10 });
+        const log = [];
+        const request = fakeRequest(log, { errors: [responseError(403, 'Resource not accessible by integration')] });
+
+        await assert.rejects(schedule(scheduler, request, 'POST', '/forbidden'), /Resource not accessible/);
+        assert.strictEqual(log.length, 1);
+        assert.strictEqual(scheduler.getStats().retried, 0);
+    },
+
+    'a wait longer than maxWaitMs fails the request instead of holding the queue': async () => {
+        const scheduler = new GitHubRequestScheduler({ writeIntervalMs: 0, maxWaitMs: 500 });
+        const log = [];
+        const request = fakeRequest(log, { errors: [responseError(429, 'Too Many Requests', { 'retry-after': '60' })] });
+
+        await assert.rejects(schedule(scheduler, request, 'GET', '/slow'), /would wait 60s \(limit 1s\)/);
+        assert.strictEqual(log.length, 1);
+    }
+};
+
+async function runGitHubSchedulerTests() {
+    console.log('🚀 Testing GitHub request scheduling...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runGitHubSchedulerTests().then(success => {
+        if (success) {
+            console.log('🎉 GitHub scheduler tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 GitHub scheduler tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runGitHubSchedulerTests };
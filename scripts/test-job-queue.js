@@ -0,0 +1,246 @@
+// Test Job Queue for Claude Flow Automation Testing
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Databases, logs and memory files of this run stay out of the working tree
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-flow-job-queue-'));
+process.chdir(workDir);
+process.env.LOG_FILE = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LLM_PROVIDER = 'fixture';
+
+const UnifiedStore = require('../core/unified-store');
+const JobQueue = require('../core/job-queue');
+const HiveMindOrchestrator = require('../core/hive-mind-orchestrator');
+
+let databases = 0;
+
+function createQueue(options = {}) {
+    const store = new UnifiedStore({ dbPath: path.join(workDir, `queue-${++databases}.db`) });
+    return new JobQueue({ store, backoffBaseMs: 1000, pollIntervalMs: 20, ...options });
+}
+
+function setJob(queue, id, fields) {
+    const assignments = Object.keys(fields).map(key => `${key} = @${key}`).join(', ');
+    queue.db.prepare(`UPDATE jobs SET ${assignments} WHERE id = @id`).run({ ...fields, id });
+}
+
+function waitFor(queue, event) {
+    return new Promise(resolve => queue.once(event, resolve));
+}
+
+const tests = {
+    'jobs are claimed by priority, then in order': () => {
+        const queue = createQueue().register('work', () => null);
+        const low = queue.enqueue('work', { n: 1 }, { priority: JobQueue.JOB_PRIORITY.LOW });
+        const first = queue.enqueue('work', { n: 2 });
+        const second = queue.enqueue('work', { n: 3 });
+        const high = queue.enqueue('work', { n: 4 }, { priority: JobQueue.JOB_PRIORITY.HIGH });
+        queue.enqueue('unregistered', {});
+
+        const claimed = [];
+        let job;
+        while ((job = queue.claimNext())) claimed.push(job.id);
+
+        assert.deepStrictEqual(claimed, [high.id, first.id, second.id, low.id]);
+        assert.strictEqual(queue.getJob(high.id).status, 'running');
+        assert.strictEqual(queue.getJob(high.id).locked_by, queue.workerId);
+        assert.strictEqual(queue.getJob(high.id).attempts, 1);
+    },
+
+    'delayed jobs wait for run_at': () => {
+        const queue = createQueue().register('work', () => null);
+        queue.enqueue('work', {}, { delayMs: 60000 });
+        assert.strictEqual(queue.claimNext(), null);
+    },
+
+    'payloads are redacted before they are stored': () => {
+        const queue = createQueue();
+        const job = queue.enqueue('work', { body: `token ghp_${'a1B2c3D4e5'.repeat(4)}` });
+        assert.strictEqual(job.payload.body, 'token [REDACTED]');
+    },
+
+    'failed jobs back off, then are dead-lettered': async () => {
+        const queue = createQueue({ maxAttempts: 2 }).register('work', () => {
+            throw new Error('boom');
+        });
+        const job = queue.enqueue('work', {});
+
+        queue.start();
+        const retried = await waitFor(queue, 'retry');
+        assert.strictEqual(retried.status, 'queued');
+        assert.strictEqual(retried.last_error, 'boom');
+        assert.ok(new Date(retried.run_at) - Date.now() > 500, 'retry is delayed');
+
+        setJob(queue, job.id, { run_at: new Date().toISOString() });
+        const dead = await waitFor(queue, 'dead');
+        await queue.stop();
+
+        assert.strictEqual(dead.status, 'dead');
+        assert.strictEqual(dead.attempts, 2);
+        assert.ok(queue.retryDeadJob(job.id));
+        assert.strictEqual(queue.getJob(job.id).status, 'queued');
+        assert.strictEqual(queue.getJob(job.id).attempts, 0);
+    },
+
+    'backoff grows exponentially and is capped': () => {
+        const queue = createQueue({ backoffBaseMs: 1000, backoffMaxMs: 5000 });
+        const first = queue.getBackoffDelay(1);
+        const second = queue.getBackoffDelay(2);
+        assert.ok(first >= 1000 && first < 1200);
+        assert.ok(second >= 2000 && second < 2200);
+        assert.strictEqual(queue.getBackoffDelay(10), 5000);
+    },
+
+    'completed jobs keep their result': async () => {
+        const queue = createQueue().register('work', (job) => ({ doubled: job.payload.n * 2 }));
+        queue.enqueue('work', { n: 21 });
+        queue.start();
+        const completed = await waitFor(queue, 'completed');
+        await queue.stop();
+        assert.deepStrictEqual(completed.result, { doubled: 42 });
+        assert.strictEqual(completed.locked_by, null);
+    },
+
+    'expired locks are recovered on every poll tick': async () => {
+        const queue = createQueue({ lockTimeoutMs: 60000 }).register('work', () => null);
+        const job = queue.enqueue('work', {});
+        const exhausted = queue.enqueue('work', {}, { maxAttempts: 1 });
+        const expired = new Date(Date.now() - 120000).toISOString();
+        setJob(queue, job.id, { status: 'running', attempts: 1, locked_by: 'other-host:1:abc', locked_at: expired });
+        setJob(queue, exhausted.id, { status: 'running', attempts: 1, locked_by: 'other-host:1:abc', locked_at: expired });
+
+        queue.start();
+        const completed = await waitFor(queue, 'completed');
+        await queue.stop();
+
+        assert.strictEqual(completed.id, job.id);
+        assert.strictEqual(completed.attempts, 2);
+        assert.strictEqual(queue.getJob(exhausted.id).status, 'dead');
+        assert.strictEqual(queue.getJob(exhausted.id).last_error, 'Worker lock expired');
+    },
+
+    'locks of a process that exited on this host are released at start': () => {
+        const queue = createQueue();
+        const job = queue.enqueue('work', {});
+        const live = queue.enqueue('work', {});
+        const now = new Date().toISOString();
+        // pid 2^22 + 1 is above the Linux pid limit, so it never exists
+        setJob(queue, job.id, { status: 'running', attempts: 1, locked_by: `${os.hostname()}:4194305:abc`, locked_at: now });
+        setJob(queue, live.id, { status: 'running', attempts: 1, locked_by: `${os.hostname()}:${process.pid}:abc`, locked_at: now });
+
+        assert.strictEqual(queue.releaseOrphanedLocks(), 1);
+        assert.strictEqual(queue.getJob(job.id).status, 'queued');
+        assert.strictEqual(queue.getJob(job.id).last_error, 'Worker process exited');
+        assert.strictEqual(queue.getJob(live.id).status, 'running');
+    },
+
+    'running jobs renew their locks': () => {
+        const queue = createQueue({ lockTimeoutMs: 60000 }).register('work', () => null);
+        const job = queue.enqueue('work', {});
+        queue.claimNext();
+        queue.running.set(job.id, Promise.resolve());
+        setJob(queue, job.id, { locked_at: new Date(Date.now() - 30000).toISOString() });
+
+        assert.strictEqual(queue.renewLocks(), 1);
+        assert.ok(Date.now() - new Date(queue.getJob(job.id).locked_at) < 5000);
+        assert.strictEqual(queue.recoverStaleJobs(), 0);
+    },
+
+    'an attempt that lost its lock does not overwrite the job': () => {
+        const queue = createQueue().register('work', () => null);
+        const lost = [];
+        queue.on('lock-lost', job => lost.push(job.id));
+
+        const taken = queue.enqueue('work', {});
+        const claimed = queue.claimNext();
+        setJob(queue, taken.id, { locked_by: 'other-host:1:abc' });
+        assert.strictEqual(queue.complete(claimed, { stale: true }), false);
+        assert.strictEqual(queue.getJob(taken.id).status, 'running');
+        assert.strictEqual(queue.getJob(taken.id).locked_by, 'other-host:1:abc');
+        assert.strictEqual(queue.getJob(taken.id).result, null);
+
+        const released = queue.enqueue('work', {});
+        const retried = queue.claimNext();
+        queue.releaseLocks([released.id], 'Worker lock expired');
+        assert.strictEqual(queue.fail(retried, new Error('too late')), false);
+        assert.strictEqual(queue.getJob(released.id).status, 'queued');
+        assert.strictEqual(queue.getJob(released.id).last_error, 'Worker lock expired');
+
+        assert.deepStrictEqual(lost, [taken.id, released.id]);
+    },
+
+    'cancelled running jobs keep their status': async () => {
+        const queue = createQueue();
+        let release;
+        queue.register('work', () => new Promise(resolve => { release = resolve; }));
+        const job = queue.enqueue('work', {});
+        queue.start();
+        await waitFor(queue, 'started');
+
+        assert.ok(queue.cancel(job.id));
+        release('done');
+        await queue.stop();
+        assert.strictEqual(queue.getJob(job.id).status, 'cancelled');
+    },
+
+    'orchestrator runs beyond maxConcurrentSessions wait for a slot': async () => {
+        const orchestrator = new HiveMindOrchestrator({
+            githubToken: 'test-token',
+            repository: 'acme/widgets',
+            maxConcurrentSessions: 1,
+            store: new UnifiedStore({ dbPath: path.join(workDir, 'orchestrator.db') })
+        });
+        const order = [];
+        const run = (name, ms) => orchestrator.acquireSessionSlot(1)
+            .then(() => order.push(`${name}:start`))
+            .then(() => new Promise(resolve => setTimeout(resolve, ms)))
+            .then(() => order.push(`${name}:end`))
+            .finally(() => orchestrator.releaseSessionSlot());
+
+        const runs = [run('a', 30), run('b', 10)];
+        assert.strictEqual(orchestrator.getStatus().sessions.waiting, 1);
+        await Promise.all(runs);
+
+        assert.deepStrictEqual(order, ['a:start', 'a:end', 'b:start', 'b:end']);
+        assert.strictEqual(orchestrator.runningSessions, 0);
+    }
+};
+
+async function runJobQueueTests() {
+    console.log('🚀 Testing the job queue...');
+    let failed = 0;
+    // The worker's poll timer does not hold the process open; this does while the tests wait on it
+    const keepAlive = setInterval(() => {}, 1000);
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    clearInterval(keepAlive);
+    fs.removeSync(workDir);
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runJobQueueTests().then(success => {
+        if (success) {
+            console.log('🎉 Job queue tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Job queue tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runJobQueueTests };
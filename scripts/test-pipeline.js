@@ -0,0 +1,202 @@
+// Test Pipeline for Claude Flow Automation Testing
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createLLMProvider } = require('../core/llm-provider');
+const UnifiedStore = require('../core/unified-store');
+
+// The run writes its state, databases, memory and results here, never to the working tree
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-flow-pipeline-'));
+const mainScript = path.join(__dirname, '..', 'core', 'claude-flow-main.js');
+
+const SUM_BEFORE = 'function sum(a, b) {\n    return a - b;\n}\nmodule.exports = sum;\n';
+const SUM_PATCH = [
+    '--- a/src/sum.js',
+    '+++ b/src/sum.js',
+    '@@ -1,3 +1,3 @@',
+    ' function sum(a, b) {',
+    '-    return a - b;',
+    '+    return a + b;',
+    ' }',
+    ''
+].join('\n');
+
+const statePath = path.join(workDir, 'github.json');
+const fixturePath = path.join(workDir, 'fixtures.json');
+
+function seedRepository(issueNumber) {
+    fs.writeJsonSync(statePath, {
+        repositories: {
+            'acme/widgets': {
+                files: { 'src/sum.js': SUM_BEFORE },
+                issues: [{ number: issueNumber, title: 'sum subtracts', body: 'sum(1, 2) returns -1 instead of 3 in src/sum.js' }]
+            }
+        }
+    });
+    fs.writeJsonSync(fixturePath, { patch: SUM_PATCH });
+}
+
+/**
+ * Run claude-flow-main against the fake GitHub state with the fixture provider
+ * Returns the repository state the fake wrote back
+ */
+function runMain(issueNumber, args = []) {
+    const run = spawnSync(process.execPath, [mainScript, `--issue-number=${issueNumber}`, ...args], {
+        cwd: workDir,
+        encoding: 'utf8',
+        timeout: 120000,
+        env: {
+            ...process.env,
+            GITHUB_TRANSPORT: 'fake',
+            GITHUB_FAKE_STATE: statePath,
+            GITHUB_TOKEN: 'fake-token',
+            REPOSITORY: 'acme/widgets',
+            LLM_PROVIDER: 'fixture',
+            LLM_FIXTURE_PATH: fixturePath,
+            VALIDATE_CHANGES: 'false',
+            CLAUDE_FLOW_DB: path.join(workDir, 'automation.db'),
+            LOG_FILE: '',
+            LOG_LEVEL: 'error'
+        }
+    });
+    assert.strictEqual(run.status, 0, `claude-flow-main exited with ${run.status}: ${run.stderr || run.stdout}`);
+
+    return fs.readJsonSync(statePath).repositories['acme/widgets'];
+}
+
+function fileAt(repo, commitSha, filePath) {
+    const tree = repo.trees[repo.commits[commitSha].tree];
+    return repo.blobs[tree[filePath]];
+}
+
+function withEnv(overrides, fn) {
+    const saved = {};
+    for (const [key, value] of Object.entries(overrides)) {
+        saved[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+    try {
+        return fn();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+}
+
+const NO_PROVIDER = { LLM_PROVIDER: undefined, ANTHROPIC_API_KEY: undefined, OPENAI_API_KEY: undefined };
+
+const tests = {
+    'an issue becomes a pull request carrying the fixture patch': () => {
+        seedRepository(7);
+        const repo = runMain(7);
+        const pulls = Object.values(repo.pulls || {});
+        assert.strictEqual(pulls.length, 1);
+
+        const [pull] = pulls;
+        assert.strictEqual(pull.head.ref, 'hive-mind/issue-7');
+        assert.strictEqual(pull.base.ref, 'main');
+        assert.ok(pull.body.includes('**Resolves**: #7'));
+        assert.ok(pull.body.includes('`src/sum.js`'));
+
+        assert.ok(fileAt(repo, pull.head.sha, 'src/sum.js').includes('return a + b;'));
+        assert.strictEqual(fileAt(repo, repo.refs['heads/main'], 'src/sum.js'), SUM_BEFORE);
+        assert.ok(repo.issues['7'].labels.includes('ai-solution-ready'));
+    },
+
+    'a second run for the issue commits to the open pull request instead of failing': () => {
+        seedRepository(7);
+        const first = runMain(7);
+        const [pull] = Object.values(first.pulls);
+
+        const second = runMain(7);
+        const pulls = Object.values(second.pulls);
+        assert.strictEqual(pulls.length, 1);
+        assert.strictEqual(pulls[0].number, pull.number);
+        assert.strictEqual(second.commits[second.refs['heads/hive-mind/issue-7']].parents[0], pull.head.sha);
+        assert.strictEqual(fs.readJsonSync(path.join(workDir, 'claude-flow-results.json')).pr_number, pull.number);
+    },
+
+    'a run started with --session-id records into that session': () => {
+        seedRepository(7);
+        const store = new UnifiedStore({ dbPath: path.join(workDir, 'automation.db') });
+        store.upsertSession({ sessionId: 'webhook-run', source: 'webhook', repository: 'acme/widgets', issueNumber: 7, data: { jobId: 'job-1' } });
+        const sessionsBefore = store.listSessions({ issueNumber: 7 }).length;
+
+        runMain(7, ['--session-id=webhook-run']);
+        const sessionsAfter = store.listSessions({ issueNumber: 7 }).length;
+        const session = store.getSession('webhook-run');
+        store.close();
+
+        assert.strictEqual(sessionsAfter, sessionsBefore, 'no second session was recorded');
+        assert.strictEqual(session.source, 'webhook');
+        assert.strictEqual(session.status, 'completed');
+        assert.strictEqual(session.data.jobId, 'job-1');
+        assert.ok(session.pr_number, 'the pull request is recorded on the webhook session');
+    },
+
+    'an --analyze-only run comments without generating a patch': () => {
+        seedRepository(8);
+        const repo = runMain(8, ['--analyze-only']);
+
+        assert.deepStrictEqual(Object.values(repo.pulls || {}), []);
+        assert.strictEqual(repo.refs['heads/hive-mind/issue-8'], undefined);
+        const [comment] = repo.comments.filter(entry => entry.issue_number === 8);
+        assert.ok(comment.body.includes('_Analysis only: no code change was generated._'));
+    },
+
+    'without an API key or LLM_PROVIDER the provider fails fast': () => {
+        withEnv({ ...NO_PROVIDER, NODE_ENV: 'production' }, () => {
+            assert.throws(() => createLLMProvider(), /No LLM provider configured/);
+        });
+    },
+
+    'the fixture provider is used when asked for or under NODE_ENV=test': () => {
+        withEnv({ ...NO_PROVIDER, NODE_ENV: 'test' }, () => {
+            assert.strictEqual(createLLMProvider().name, 'fixture');
+        });
+        withEnv({ ...NO_PROVIDER, LLM_PROVIDER: 'fixture', NODE_ENV: 'production' }, () => {
+            assert.strictEqual(createLLMProvider().name, 'fixture');
+        });
+        withEnv({ ...NO_PROVIDER, ANTHROPIC_API_KEY: 'sk-ant-test', NODE_ENV: 'production' }, () => {
+            assert.strictEqual(createLLMProvider().name, 'anthropic');
+        });
+    }
+};
+
+async function runPipelineTests() {
+    console.log('🚀 Testing the issue-to-pull-request pipeline...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    fs.removeSync(workDir);
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runPipelineTests().then(success => {
+        if (success) {
+            console.log('🎉 Pipeline tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Pipeline tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runPipelineTests };
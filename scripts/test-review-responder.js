@@ -0,0 +1,161 @@
+// Test Review Responder for Claude Flow Automation Testing
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Databases and logs of this run stay out of the working tree
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-flow-review-responder-'));
+process.chdir(workDir);
+process.env.LOG_FILE = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.GITHUB_TRANSPORT = 'fake';
+delete process.env.GITHUB_FAKE_STATE;
+delete process.env.GITHUB_APP_ID;
+
+const UnifiedStore = require('../core/unified-store');
+const GitHubAPI = require('../automation/github-api');
+const ReviewResponder = require('../automation/review-responder');
+const { FixtureProvider } = require('../core/llm-provider');
+const { resetFakeGitHub } = require('../core/github-client');
+const { createPatch } = require('../core/unified-diff');
+
+const GITHUB_TOKEN = `ghp_${'a1B2c3D4e5'.repeat(4)}`;
+const BRANCH = 'hive-mind/issue-7';
+const SUM_FIXED = 'function sum(a, b) {\n    return a + b;\n}\nmodule.exports = sum;\n';
+const SUM_REVISED = 'function sum(a, b) {\n    return Number(a) + Number(b);\n}\nmodule.exports = sum;\n';
+
+const store = new UnifiedStore({ dbPath: path.join(workDir, 'automation.db') });
+
+/**
+ * A repository with an open automation PR for issue #7 and a review asking for a change
+ */
+async function openReviewedPullRequest(sessionId) {
+    const fake = resetFakeGitHub();
+    fake.createRepository('acme/widgets', {
+        files: { 'src/sum.js': SUM_FIXED.replace('a + b', 'a - b') },
+        issues: [{ number: 7, title: 'sum subtracts', body: 'sum(1, 2) returns -1 instead of 3' }]
+    });
+
+    const github = new GitHubAPI({ owner: 'acme', repo: 'widgets', token: 'fake-token', store });
+    await github.createBranch(BRANCH);
+    await github.createCommit('Fix sum', [{ path: 'src/sum.js', content: SUM_FIXED, action: 'update' }], BRANCH);
+    const pullRequest = await github.createPullRequest('🐝 AI Solution: sum subtracts', 'Resolves #7', BRANCH);
+
+    store.upsertSession({ sessionId, source: 'orchestrator', repository: 'acme/widgets', issueNumber: 7, status: 'completed', prNumber: pullRequest.number, prBranch: BRANCH });
+    const review = fake.addReview('acme/widgets', pullRequest.number, {
+        user: 'maintainer',
+        body: 'Close, one more thing',
+        comments: [{ path: 'src/sum.js', line: 2, body: 'Strings from the query need converting first' }]
+    });
+
+    return { fake, github, prNumber: pullRequest.number, reviewId: review.id };
+}
+
+function responderWithPatch(patch) {
+    return new ReviewResponder({ store, llmProvider: new FixtureProvider({ fixtures: { patch } }) });
+}
+
+function branchHead(fake) {
+    return fake.state.repositories['acme/widgets'].refs[`heads/${BRANCH}`];
+}
+
+function pullRequestComments(fake, prNumber) {
+    return fake.state.repositories['acme/widgets'].comments
+        .filter(comment => comment.issue_number === prNumber)
+        .map(comment => comment.body);
+}
+
+const tests = {
+    'review comments become a revision commit on the pull request branch': async () => {
+        const { fake, github, prNumber, reviewId } = await openReviewedPullRequest('review-run');
+        const headBefore = branchHead(fake);
+        let reviewSeen = null;
+        const responder = responderWithPatch((request) => {
+            reviewSeen = request.review;
+            return createPatch('src/sum.js', SUM_FIXED, SUM_REVISED);
+        });
+
+        const result = await responder.revise({ github, repository: 'acme/widgets', prNumber, reviewId, sessionId: 'review-run' });
+
+        assert.strictEqual(result.revised, true);
+        assert.deepStrictEqual(result.files, ['src/sum.js']);
+        assert.strictEqual(result.comments, 2);
+        assert.deepStrictEqual(reviewSeen.map(comment => [comment.path, comment.body]), [
+            [null, 'Close, one more thing'],
+            ['src/sum.js', 'Strings from the query need converting first']
+        ]);
+
+        const repository = fake.state.repositories['acme/widgets'];
+        assert.strictEqual(branchHead(fake), result.commit);
+        assert.deepStrictEqual(repository.commits[result.commit].parents, [headBefore]);
+        assert.strictEqual(fake.readFiles('acme/widgets', BRANCH)['src/sum.js'], SUM_REVISED);
+        assert.ok(pullRequestComments(fake, prNumber)[0].startsWith(`🔁 Pushed ${result.commit.slice(0, 7)} addressing 2 review comment(s)`));
+        assert.strictEqual(store.getSession('review-run').data.revisions.count, 1);
+    },
+
+    'a revision blocked by the change policy is not pushed': async () => {
+        const { fake, github, prNumber, reviewId } = await openReviewedPullRequest('blocked-run');
+        const headBefore = branchHead(fake);
+        const responder = responderWithPatch(createPatch('src/sum.js', SUM_FIXED, `${SUM_FIXED}const token = '${GITHUB_TOKEN}';\n`));
+
+        const result = await responder.revise({ github, repository: 'acme/widgets', prNumber, reviewId, sessionId: 'blocked-run' });
+
+        assert.strictEqual(result.revised, false);
+        assert.strictEqual(result.reason, 'blocked by change policy');
+        assert.deepStrictEqual(result.violations.map(violation => violation.rule), ['secret']);
+        assert.strictEqual(branchHead(fake), headBefore);
+        assert.strictEqual(fake.readFiles('acme/widgets', BRANCH)['src/sum.js'], SUM_FIXED);
+
+        const [comment] = pullRequestComments(fake, prNumber);
+        assert.ok(!comment.includes(GITHUB_TOKEN), 'the secret is not echoed on the PR');
+        assert.strictEqual(store.getSession('blocked-run').data?.revisions, undefined);
+    },
+
+    'pull requests past the revision limit are left to a human': async () => {
+        const { fake, github, prNumber, reviewId } = await openReviewedPullRequest('limit-run');
+        store.upsertSession({ sessionId: 'limit-run', data: { revisions: { count: 5 } } });
+        const headBefore = branchHead(fake);
+
+        const result = await responderWithPatch(createPatch('src/sum.js', SUM_FIXED, SUM_REVISED))
+            .revise({ github, repository: 'acme/widgets', prNumber, reviewId, sessionId: 'limit-run' });
+
+        assert.deepStrictEqual(result, { revised: false, reason: 'revision limit reached' });
+        assert.strictEqual(branchHead(fake), headBefore);
+        assert.ok(pullRequestComments(fake, prNumber)[0].startsWith('🛑 This pull request has already been revised 5 times'));
+    }
+};
+
+async function runReviewResponderTests() {
+    console.log('🚀 Testing review revisions...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    store.close();
+    fs.removeSync(workDir);
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runReviewResponderTests().then(success => {
+        if (success) {
+            console.log('🎉 Review responder tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Review responder tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runReviewResponderTests };
@@ -0,0 +1,154 @@
+// Test Unified Diff for Claude Flow Automation Testing
+const assert = require('assert');
+const { parsePatch, applyFilePatch, createPatch, diffStat } = require('../core/unified-diff');
+
+process.env.LOG_FILE = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LLM_PROVIDER = 'fixture';
+
+const PatchGenerator = require('../core/patch-generator');
+
+const SOURCE = [
+    "const express = require('express');",
+    '',
+    'function login(user, password) {',
+    '    if (!user) {',
+    "        throw new Error('missing user');",
+    '    }',
+    '    return check(user, password);',
+    '}',
+    '',
+    'function logout(session) {',
+    '    session.destroy();',
+    '}',
+    '',
+    'module.exports = { login, logout };',
+    ''
+].join('\n');
+
+function roundTrip(oldText, newText) {
+    const [filePatch] = parsePatch(createPatch('src/auth.js', oldText, newText));
+    return applyFilePatch(oldText, filePatch);
+}
+
+function createGenerator(files) {
+    const github = {
+        getFileContent: async (filePath) => ({ content: files[filePath] })
+    };
+    return {
+        generator: new PatchGenerator({ github }),
+        tree: Object.keys(files).map(filePath => ({ path: filePath, type: 'blob' }))
+    };
+}
+
+const tests = {
+    'created patches apply back to the new text': () => {
+        const edits = [
+            SOURCE.replace("throw new Error('missing user');", "return null;"),
+            SOURCE.replace("const express = require('express');\n", ''),
+            SOURCE + '\nfunction refresh() {}\n',
+            SOURCE.replace('login', 'signIn').replace('session.destroy();', 'session.end();\n    audit(session);')
+        ];
+
+        for (const edited of edits) {
+            assert.strictEqual(roundTrip(SOURCE, edited), edited);
+        }
+        assert.strictEqual(createPatch('src/auth.js', SOURCE, SOURCE), '');
+    },
+
+    'new and deleted files round-trip': () => {
+        const created = parsePatch(createPatch('src/new.js', null, 'module.exports = 1;\n'));
+        assert.strictEqual(created[0].oldPath, null);
+        assert.strictEqual(applyFilePatch(null, created[0]), 'module.exports = 1;\n');
+
+        const deleted = parsePatch(createPatch('src/auth.js', SOURCE, null));
+        assert.strictEqual(deleted[0].newPath, null);
+        assert.strictEqual(applyFilePatch(SOURCE, deleted[0]), null);
+    },
+
+    'hunks with wrong line numbers are found by their content': () => {
+        // Model-written: the header is off and the blank context line lost its leading space
+        const patch = [
+            '--- a/src/auth.js',
+            '+++ b/src/auth.js',
+            '@@ -40,4 +40,4 @@',
+            ' }',
+            '',
+            ' function logout(session) {',
+            '-    session.destroy();',
+            '+    session.end();',
+            ' }'
+        ].join('\n');
+
+        const [filePatch] = parsePatch(`Here is the fix:\n\n${patch}\n`);
+        assert.strictEqual(applyFilePatch(SOURCE, filePatch), SOURCE.replace('session.destroy();', 'session.end();'));
+    },
+
+    'a hunk whose context is missing does not apply': () => {
+        const [filePatch] = parsePatch('--- a/src/auth.js\n+++ b/src/auth.js\n@@ -1,1 +1,1 @@\n-const missing = true;\n+const missing = false;\n');
+        assert.throws(() => applyFilePatch(SOURCE, filePatch), /Hunk 1 of src\/auth.js does not apply/);
+    },
+
+    'diff stats count added and removed lines': () => {
+        const patch = createPatch('src/auth.js', SOURCE, SOURCE.replace('session.destroy();', 'session.end();\n    audit(session);'));
+        const stat = diffStat(parsePatch(patch));
+        assert.deepStrictEqual(stat, { files: [{ path: 'src/auth.js', additions: 2, deletions: 1 }], additions: 2, deletions: 1 });
+    },
+
+    'patch paths outside the repository are rejected': async () => {
+        const { generator, tree } = createGenerator({ 'src/auth.js': SOURCE });
+        const unsafe = ['/etc/passwd', '../outside.js', 'src/../../outside.js', '.git/config'];
+
+        for (const filePath of unsafe) {
+            const patch = createPatch(filePath, null, 'owned\n');
+            await assert.rejects(generator.applyPatch(patch, { tree }), /is outside the repository/, filePath);
+        }
+    },
+
+    'patches apply against the branch contents': async () => {
+        const { generator, tree } = createGenerator({ 'src/auth.js': SOURCE });
+        const updated = SOURCE.replace('session.destroy();', 'session.end();');
+        const patch = createPatch('src/auth.js', SOURCE, updated) + createPatch('src/audit.js', null, 'module.exports = () => {};\n');
+
+        const files = await generator.applyPatch(patch, { tree });
+        assert.deepStrictEqual(files, [
+            { path: 'src/auth.js', action: 'update', content: updated },
+            { path: 'src/audit.js', action: 'create', content: 'module.exports = () => {};\n' }
+        ]);
+
+        await assert.rejects(generator.applyPatch(createPatch('src/missing.js', 'a\n', 'b\n'), { tree }), /does not exist/);
+        await assert.rejects(generator.applyPatch(createPatch('src/auth.js', null, 'a\n'), { tree }), /already exists/);
+    }
+};
+
+async function runUnifiedDiffTests() {
+    console.log('🚀 Testing unified diffs and patch application...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runUnifiedDiffTests().then(success => {
+        if (success) {
+            console.log('🎉 Unified diff tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Unified diff tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runUnifiedDiffTests };
@@ -0,0 +1,138 @@
+// Test Webhook Commands for Claude Flow Automation Testing
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// The webhook server opens its database in the working directory; keep it out of the tree
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-flow-webhook-commands-'));
+process.chdir(workDir);
+process.env.LOG_FILE = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.GITHUB_TRANSPORT = 'fake';
+process.env.GITHUB_TOKEN = 'fake-token';
+delete process.env.CLAUDE_FLOW_DB;
+delete process.env.GITHUB_FAKE_STATE;
+delete process.env.GITHUB_APP_ID;
+
+const UnifiedStore = require('../core/unified-store');
+const { resetFakeGitHub } = require('../core/github-client');
+const WebhookServer = require('./webhook-server');
+
+// Same database file as the server's
+const store = new UnifiedStore();
+
+function commentEvent(body, repository = 'acme/widgets', login = 'drive-by') {
+    return {
+        action: 'created',
+        comment: { body, user: { login, type: 'User' } },
+        issue: { id: 70, number: 7, title: 'sum subtracts', body: 'sum(1, 2) returns -1', labels: [] },
+        repository: { full_name: repository }
+    };
+}
+
+function createServer() {
+    const fake = resetFakeGitHub();
+    for (const repository of ['acme/widgets', 'acme/private-api']) {
+        fake.createRepository(repository, {
+            files: { 'src/sum.js': 'module.exports = (a, b) => a - b;\n' },
+            issues: [{ number: 7, title: 'sum subtracts', body: 'sum(1, 2) returns -1' }],
+            collaborators: { maintainer: 'write' }
+        });
+    }
+    return { fake, server: new WebhookServer() };
+}
+
+function lastComment(fake, repository = 'acme/widgets') {
+    const { comments } = fake.state.repositories[repository];
+    return comments[comments.length - 1].body;
+}
+
+const tests = {
+    '/explain shows a session of the same repository': async () => {
+        const { fake, server } = createServer();
+        store.upsertSession({
+            sessionId: 'widgets-run', source: 'webhook', repository: 'acme/widgets', issueNumber: 7, status: 'failed', errorMessage: 'tests failed'
+        });
+
+        const result = await server.handleIssueCommentEvent(commentEvent('/explain widgets-run'));
+        assert.strictEqual(result.message, 'Session explained');
+        assert.ok(lastComment(fake).includes('- Error: tests failed'));
+    },
+
+    '/explain does not show another repository\'s session': async () => {
+        const { fake, server } = createServer();
+        store.upsertSession({
+            sessionId: 'private-run', source: 'webhook', repository: 'acme/private-api', issueNumber: 12, status: 'failed', errorMessage: 'db password rejected'
+        });
+
+        const result = await server.handleIssueCommentEvent(commentEvent('/explain private-run'));
+        assert.deepStrictEqual(result, { message: 'Session not found', sessionId: 'private-run' });
+        assert.strictEqual(lastComment(fake), '❓ Session `private-run` was not found.');
+        assert.deepStrictEqual(fake.state.repositories['acme/private-api'].comments, []);
+    },
+
+    'an issue mentioning a longer login does not trigger automation': async () => {
+        const { server } = createServer();
+        const issueEvent = (body) => ({
+            action: 'opened',
+            issue: { id: 70, number: 7, title: 'sum subtracts', body, labels: [], state: 'open', created_at: new Date().toISOString() },
+            repository: { full_name: 'acme/widgets' },
+            sender: { login: 'drive-by' }
+        });
+
+        const result = await server.handleIssueEvent(issueEvent('cc @claude-flow-automation-staging, it broke again'));
+        assert.strictEqual(result.message, 'Issue stored, waiting for @claude-flow-automation trigger');
+
+        // Triggered, then refused: drive-by may not run /autosolve
+        const mentioned = await server.handleIssueEvent(issueEvent('@Claude-Flow-Automation please fix'));
+        assert.strictEqual(mentioned.message, 'Command not permitted');
+    },
+
+    'job control replies that it is unavailable without a job queue': async () => {
+        const { fake, server } = createServer();
+        // As in JSON fallback mode, where the database could not be opened
+        server.queue = null;
+
+        for (const command of ['/retry', '/cancel', '/status', '/explain widgets-run']) {
+            const result = await server.handleIssueCommentEvent(commentEvent(command, 'acme/widgets', 'maintainer'));
+            const name = command.split(' ')[0].slice(1);
+
+            assert.deepStrictEqual(result, { message: 'Job control unavailable', command: name });
+            assert.ok(lastComment(fake).startsWith(`⚠️ \`/${name}\` is unavailable`), lastComment(fake));
+        }
+    }
+};
+
+async function runWebhookCommandTests() {
+    console.log('🚀 Testing webhook command handling...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    fs.removeSync(workDir);
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runWebhookCommandTests().then(success => {
+        if (success) {
+            console.log('🎉 Webhook command tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Webhook command tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runWebhookCommandTests };
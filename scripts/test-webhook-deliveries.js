@@ -0,0 +1,170 @@
+// Test Webhook Deliveries for Claude Flow Automation Testing
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The webhook server opens its database in the working directory; keep it out of the tree
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-flow-webhook-deliveries-'));
+process.chdir(workDir);
+process.env.LOG_FILE = '';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.GITHUB_TRANSPORT = 'fake';
+process.env.GITHUB_TOKEN = 'fake-token';
+process.env.GITHUB_WEBHOOK_SECRET = 'webhook-secret';
+process.env.WEBHOOK_ADMIN_TOKEN = 'admin-token';
+delete process.env.CLAUDE_FLOW_DB;
+delete process.env.GITHUB_FAKE_STATE;
+delete process.env.GITHUB_APP_ID;
+
+const { resetFakeGitHub } = require('../core/github-client');
+const WebhookServer = require('./webhook-server');
+
+const AUTOSOLVE = {
+    action: 'created',
+    comment: { body: '/autosolve', user: { login: 'maintainer', type: 'User' } },
+    issue: { id: 70, number: 7, title: 'sum subtracts', body: 'sum(1, 2) returns -1', labels: [] },
+    repository: { full_name: 'acme/widgets' }
+};
+
+function createServer() {
+    resetFakeGitHub().createRepository('acme/widgets', {
+        files: { 'src/sum.js': 'module.exports = (a, b) => a - b;\n' },
+        issues: [{ number: 7, title: 'sum subtracts', body: 'sum(1, 2) returns -1' }],
+        collaborators: { maintainer: 'write' }
+    });
+    return new WebhookServer();
+}
+
+function deliver(server, deliveryId, body = AUTOSOLVE, event = 'issue_comment') {
+    const signature = `sha256=${crypto.createHmac('sha256', 'webhook-secret').update(JSON.stringify(body)).digest('hex')}`;
+    return request(server.app)
+        .post('/webhook')
+        .set('X-GitHub-Event', event)
+        .set('X-GitHub-Delivery', deliveryId)
+        .set('X-Hub-Signature-256', signature)
+        .send(body);
+}
+
+function issueJobs(server) {
+    return server.queue.listIssueJobs('hive-mind-automation', 'acme/widgets', 7);
+}
+
+function eventRow(server, deliveryId) {
+    return server.queue.db.prepare('SELECT * FROM webhook_events WHERE event_id = ?').get(deliveryId);
+}
+
+const tests = {
+    'a redelivered delivery is ignored': async () => {
+        const server = createServer();
+        const jobsBefore = issueJobs(server).length;
+
+        const first = await deliver(server, 'delivery-1');
+        assert.strictEqual(first.status, 202);
+        assert.ok(first.body.jobId);
+
+        const again = await deliver(server, 'delivery-1');
+        assert.strictEqual(again.status, 200);
+        assert.deepStrictEqual(again.body, {
+            message: 'Duplicate delivery ignored',
+            duplicate: true,
+            deliveryId: 'delivery-1',
+            originalStatus: 'processed'
+        });
+
+        assert.strictEqual(issueJobs(server).length, jobsBefore + 1);
+        assert.strictEqual(eventRow(server, 'delivery-1').duplicate_count, 1);
+    },
+
+    'a redelivery of a failed delivery is processed again': async () => {
+        const server = createServer();
+        const jobsBefore = issueJobs(server).length;
+        const handle = server.handleIssueCommentEvent.bind(server);
+        server.handleIssueCommentEvent = async () => {
+            server.handleIssueCommentEvent = handle;
+            throw new Error('GitHub unavailable');
+        };
+
+        assert.strictEqual((await deliver(server, 'delivery-2')).status, 500);
+        assert.strictEqual(eventRow(server, 'delivery-2').status, 'error: GitHub unavailable');
+
+        const again = await deliver(server, 'delivery-2');
+        assert.strictEqual(again.status, 202);
+        assert.strictEqual(eventRow(server, 'delivery-2').status, 'processed');
+        assert.strictEqual(issueJobs(server).length, jobsBefore + 1);
+    },
+
+    'a replay re-enqueues the job as its own event': async () => {
+        const server = createServer();
+        const jobsBefore = issueJobs(server).length;
+        const first = await deliver(server, 'delivery-3');
+
+        const replay = await request(server.app)
+            .post('/webhook/replay/delivery-3')
+            .set('Authorization', 'Bearer admin-token');
+        assert.strictEqual(replay.status, 202);
+        assert.strictEqual(replay.body.replayOf, 'delivery-3');
+        assert.notStrictEqual(replay.body.jobId, first.body.jobId);
+
+        assert.strictEqual(issueJobs(server).length, jobsBefore + 2);
+        const replayed = eventRow(server, replay.body.replayId);
+        assert.strictEqual(replayed.replay_of, 'delivery-3');
+        assert.strictEqual(replayed.status, 'processed');
+    },
+
+    'replays need the admin token and a known delivery': async () => {
+        const server = createServer();
+
+        assert.strictEqual((await request(server.app).post('/webhook/replay/delivery-4')).status, 401);
+        assert.strictEqual((await request(server.app).post('/webhook/replay/delivery-4').set('Authorization', 'Bearer wrong-token')).status, 401);
+        assert.strictEqual((await request(server.app).post('/webhook/replay/delivery-4').set('Authorization', 'Bearer admin-token')).status, 404);
+    },
+
+    'unsigned deliveries are rejected and not recorded': async () => {
+        const server = createServer();
+        const response = await request(server.app)
+            .post('/webhook')
+            .set('X-GitHub-Event', 'issue_comment')
+            .set('X-GitHub-Delivery', 'delivery-5')
+            .set('X-Hub-Signature-256', 'sha256=0000')
+            .send(AUTOSOLVE);
+
+        assert.strictEqual(response.status, 500);
+        assert.strictEqual(eventRow(server, 'delivery-5'), undefined);
+    }
+};
+
+async function runWebhookDeliveryTests() {
+    console.log('🚀 Testing webhook delivery deduplication and replay...');
+    let failed = 0;
+
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    fs.removeSync(workDir);
+    return failed === 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+    runWebhookDeliveryTests().then(success => {
+        if (success) {
+            console.log('🎉 Webhook delivery tests passed!');
+            process.exit(0);
+        } else {
+            console.error('💥 Webhook delivery tests failed!');
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = { runWebhookDeliveryTests };
@@ -2,37 +2,54 @@
 const express = require('express');
 const crypto = require('crypto');
 const { spawn } = require('child_process');
-const Database = require('better-sqlite3');
-const winston = require('winston');
+const path = require('path');
+const UnifiedStore = require('../core/unified-store');
+const JobQueue = require('../core/job-queue');
+const CommandParser = require('../automation/command-parser');
+const { mentionPattern } = require('../automation/command-parser');
+const GitHubAPI = require('../automation/github-api');
+const { getGitHubSchedulerStats } = require('../core/github-client');
+const { getGitHubAppAuth } = require('../core/github-app-auth');
+const RepositoryRegistry = require('../core/repository-registry');
+const { resolveAgents } = require('../core/repository-registry');
+const { redact, redactText } = require('../core/redaction');
+const { loadProjectConfig, parseProjectConfig, formatConfigErrors, PROJECT_CONFIG_PATH, DEFAULT_TRIGGER_PHRASES } = require('../core/project-config');
+const TriggerPolicy = require('../automation/trigger-policy');
+const ReviewResponder = require('../automation/review-responder');
+const LearningSystem = require('./learning-system');
+const { createLogger, withLogContext, setLogContext } = require('../core/logger');
+const { metricsHandler } = require('../core/metrics');
 const rateLimit = require('rate-limiter-flexible');
 const helmet = require('helmet');
 const cors = require('cors');
 require('dotenv').config();
 
 // Initialize logger
-const logger = winston.createLogger({
-    level: process.env.LOG_LEVEL || 'info',
-    format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-    ),
-    transports: [
-        new winston.transports.File({ filename: 'logs/webhook.log' }),
-        new winston.transports.Console()
-    ]
-});
+const logger = createLogger('webhook');
 
-// Initialize database with fallback
+// Initialize database with fallback (the unified store applies pending schema migrations)
+let store;
 let db;
 let dbMode = 'sqlite';
 try {
-    db = new Database('.hive-mind/automation.db');
+    store = new UnifiedStore();
+    db = store.db;
 } catch (error) {
     console.log('SQLite not available, using JSON fallback for webhook database');
     db = null;
     dbMode = 'json';
 }
 
+// Repository feature each command needs; commands not listed are always available
+const COMMAND_FEATURES = {
+    'autosolve': 'autosolve',
+    'retry': 'autosolve',
+    'analyze-only': 'analyze'
+};
+
+// Commands that read or change queued jobs and recorded sessions, which JSON fallback mode doesn't keep
+const JOB_CONTROL_COMMANDS = ['retry', 'cancel', 'status', 'explain'];
+
 // Rate limiter
 const rateLimiter = new rateLimit.RateLimiterMemory({
     keyGenerator: (req) => req.ip,
@@ -45,6 +62,18 @@ class WebhookServer {
         this.app = express();
         this.port = process.env.PORT || 3000;
         this.webhookSecret = process.env.GITHUB_WEBHOOK_SECRET;
+        this.adminToken = process.env.WEBHOOK_ADMIN_TOKEN;
+        this.commandParser = new CommandParser();
+        this.triggerPolicy = new TriggerPolicy({ logger });
+        this.reviewResponder = new ReviewResponder({ store, logger });
+        // Events are routed per repository; each has its own features, agents, PR policy and labels
+        this.repositories = new RepositoryRegistry({ logger });
+        this.learningSystems = new Map();
+        this.runningProcesses = new Map();
+        this.githubClients = new Map();
+        // GitHub App mode: one process serves every repository the app is installed on
+        this.appAuth = getGitHubAppAuth();
+        this.setupQueue();
         this.setupMiddleware();
         this.setupRoutes();
         this.setupDatabase();
@@ -81,13 +110,35 @@ class WebhookServer {
         this.app.post('/webhook', async (req, res) => {
             try {
                 const result = await this.processWebhook(req);
-                res.status(200).json(result);
+                // Queued automation is acknowledged immediately; the worker picks it up
+                res.status(result.jobId ? 202 : 200).json(result);
             } catch (error) {
                 logger.error('Webhook processing error:', error);
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
+        // Admin: re-run a stored delivery (requires WEBHOOK_ADMIN_TOKEN)
+        this.app.post('/webhook/replay/:deliveryId', async (req, res) => {
+            if (!this.adminToken) {
+                return res.status(403).json({ error: 'Replay is disabled (WEBHOOK_ADMIN_TOKEN not configured)' });
+            }
+            if (!this.verifyAdminToken(req)) {
+                return res.status(401).json({ error: 'Invalid admin token' });
+            }
+
+            try {
+                const result = await this.replayWebhook(req.params.deliveryId);
+                if (!result) {
+                    return res.status(404).json({ error: `Delivery ${req.params.deliveryId} not found` });
+                }
+                res.status(result.jobId ? 202 : 200).json(result);
+            } catch (error) {
+                logger.error('Webhook replay error:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
         // Manual trigger endpoint for testing
         this.app.post('/manual-trigger', async (req, res) => {
             try {
@@ -112,26 +163,67 @@ class WebhookServer {
             const stats = this.getSystemStats();
             res.json(stats);
         });
+
+        // Prometheus scrape endpoint (bearer METRICS_TOKEN when set)
+        this.app.get('/metrics', metricsHandler());
+
+        // Admin: re-read the repository configs without a restart
+        this.app.post('/repositories/reload', (req, res) => {
+            if (!this.adminToken) {
+                return res.status(403).json({ error: 'Reload is disabled (WEBHOOK_ADMIN_TOKEN not configured)' });
+            }
+            if (!this.verifyAdminToken(req)) {
+                return res.status(401).json({ error: 'Invalid admin token' });
+            }
+
+            try {
+                this.repositories.load();
+                this.learningSystems.clear();
+                res.json({ routed: this.repositories.routed, repositories: this.repositories.list() });
+            } catch (error) {
+                logger.error('Repository config reload error:', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        // Queued job status
+        this.app.get('/jobs/:id', (req, res) => {
+            const job = this.queue && this.queue.getJob(req.params.id);
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            res.json(job);
+        });
+    }
+
+    setupQueue() {
+        if (!store) {
+            // JSON fallback mode has no job table
+            this.queue = null;
+            return;
+        }
+
+        this.queue = new JobQueue({
+            store,
+            concurrency: parseInt(process.env.MAX_CONCURRENT_SESSIONS, 10) || 3
+        });
+        this.queue.register('hive-mind-automation', (job) => this.runHiveMindJob(job));
+        this.queue.register('revise-pull-request', (job) => this.runReviewRevisionJob(job));
+
+        // Stop the Hive-Mind process of a job cancelled while it runs
+        this.queue.on('cancelled', (job) => {
+            const child = this.runningProcesses.get(job.id);
+            if (child) {
+                child.kill('SIGTERM');
+            }
+        });
     }
 
     setupDatabase() {
         try {
             if (db) {
-                // SQLite mode
-                db.exec(`
-                    CREATE TABLE IF NOT EXISTS webhook_events (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        event_id TEXT,
-                        event_type TEXT,
-                        payload TEXT,
-                        signature TEXT,
-                        processed BOOLEAN DEFAULT FALSE,
-                        processing_duration INTEGER,
-                        status TEXT,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                    );
-                `);
-                logger.info('SQLite database initialized for webhook server');
+                // SQLite mode - schema comes from the unified store migrations
+                logger.info(`SQLite database initialized for webhook server (schema v${store.getSchemaVersion()})`);
             } else {
                 // JSON fallback mode
                 logger.info('Using JSON fallback for webhook database');
@@ -152,40 +244,73 @@ class WebhookServer {
             throw new Error('Invalid signature');
         }
 
-        // Log webhook event
+        // Log webhook event; a delivery ID seen before is a GitHub redelivery
         const insertWebhookEvent = db.prepare(`
-            INSERT INTO webhook_events (event_id, event_type, payload, signature, status)
+            INSERT OR IGNORE INTO webhook_events (event_id, event_type, payload, signature, status)
             VALUES (?, ?, ?, ?, ?)
         `);
-        
-        insertWebhookEvent.run(eventId, eventType, payload, signature, 'received');
 
-        // Process different event types
+        // The stored copy (used for replays) is redacted; the signature was checked against the original
+        const inserted = insertWebhookEvent.run(eventId || null, eventType, JSON.stringify(redact(req.body)), signature, 'received');
+        let eventRowId = inserted.lastInsertRowid;
+
+        if (inserted.changes === 0) {
+            const original = db.prepare('SELECT id, status FROM webhook_events WHERE event_id = ?').get(eventId);
+            db.prepare('UPDATE webhook_events SET duplicate_count = duplicate_count + 1 WHERE id = ?').run(original.id);
+
+            // Deliveries that failed are processed again; everything else already ran once
+            if (!String(original.status).startsWith('error')) {
+                logger.info(`Duplicate webhook delivery ${eventId} ignored (original status: ${original.status})`);
+                return {
+                    message: 'Duplicate delivery ignored',
+                    duplicate: true,
+                    deliveryId: eventId,
+                    originalStatus: original.status
+                };
+            }
+
+            logger.info(`Redelivery of failed webhook ${eventId}, processing again`);
+            db.prepare('UPDATE webhook_events SET processed = FALSE, status = ? WHERE id = ?').run('received', original.id);
+            eventRowId = original.id;
+        }
+
+        return await this.dispatchEvent(eventRowId, eventType, req.body);
+    }
+
+    /**
+     * Run the handler for a recorded webhook event and store the outcome on its row
+     */
+    async dispatchEvent(eventRowId, eventType, body) {
         const startTime = Date.now();
-        let result = { message: 'Event received but not processed' };
+
+        // Deliveries name the installation they came from; no lookup needed for this repository
+        if (this.appAuth && body.installation?.id && body.repository?.full_name) {
+            this.appAuth.rememberInstallation(body.repository.full_name, body.installation.id);
+        }
 
         try {
-            switch (eventType) {
-                case 'issues':
-                    result = await this.handleIssueEvent(req.body);
-                    break;
-                case 'issue_comment':
-                    result = await this.handleIssueCommentEvent(req.body);
-                    break;
-                case 'pull_request':
-                    result = await this.handlePullRequestEvent(req.body);
-                    break;
-                default:
-                    result = { message: `Event type ${eventType} not supported` };
+            // Installation events manage the app itself; everything else belongs to a repository
+            const repository = eventType.startsWith('installation') ? null : body.repository?.full_name;
+            const unrouted = repository ? this.repositories.explainUnrouted(repository) : null;
+
+            if (unrouted) {
+                logger.info(`🚏 ${eventType} event ignored: ${unrouted}`);
             }
 
+            const result = unrouted
+                ? { message: 'Repository not routed', repository, reason: unrouted }
+                : await withLogContext({
+                    repository,
+                    issueNumber: body.issue?.number || body.pull_request?.number
+                }, () => this.routeEvent(eventType, body));
+
             // Update webhook event status
             const processingTime = Date.now() - startTime;
             db.prepare(`
                 UPDATE webhook_events 
                 SET processed = TRUE, processing_duration = ?, status = ?
-                WHERE event_id = ?
-            `).run(processingTime, 'processed', eventId);
+                WHERE id = ?
+            `).run(processingTime, unrouted ? 'ignored' : 'processed', eventRowId);
 
             logger.info(`Webhook processed: ${eventType} (${processingTime}ms)`);
             return result;
@@ -196,13 +321,68 @@ class WebhookServer {
             db.prepare(`
                 UPDATE webhook_events 
                 SET processed = TRUE, processing_duration = ?, status = ?
-                WHERE event_id = ?
-            `).run(processingTime, `error: ${error.message}`, eventId);
+                WHERE id = ?
+            `).run(processingTime, `error: ${redactText(error.message)}`, eventRowId);
 
             throw error;
         }
     }
 
+    async routeEvent(eventType, body) {
+        switch (eventType) {
+            case 'issues':
+                return await this.handleIssueEvent(body);
+            case 'issue_comment':
+                return await this.handleIssueCommentEvent(body);
+            case 'pull_request':
+                return await this.handlePullRequestEvent(body);
+            case 'push':
+                return await this.handlePushEvent(body);
+            case 'pull_request_review':
+                return await this.handlePullRequestReviewEvent(body);
+            case 'pull_request_review_comment':
+                return await this.handleReviewCommentEvent(body);
+            case 'installation':
+            case 'installation_repositories':
+                return this.handleInstallationEvent(eventType, body);
+            default:
+                return { message: `Event type ${eventType} not supported` };
+        }
+    }
+
+    /**
+     * Re-run a stored delivery on purpose (debugging)
+     * The replay is recorded as its own event pointing back at the original delivery
+     */
+    async replayWebhook(deliveryId) {
+        const original = db.prepare('SELECT * FROM webhook_events WHERE event_id = ?').get(deliveryId);
+        if (!original) {
+            return null;
+        }
+
+        const replayId = `replay:${deliveryId}:${crypto.randomUUID()}`;
+        const inserted = db.prepare(`
+            INSERT INTO webhook_events (event_id, event_type, payload, signature, status, replay_of)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(replayId, original.event_type, original.payload, original.signature, 'received', deliveryId);
+
+        logger.info(`🔁 Replaying webhook delivery ${deliveryId} as ${replayId}`);
+
+        const result = await this.dispatchEvent(inserted.lastInsertRowid, original.event_type, JSON.parse(original.payload));
+        return { ...result, replayOf: deliveryId, replayId };
+    }
+
+    verifyAdminToken(req) {
+        if (!this.adminToken) {
+            return false;
+        }
+
+        const provided = Buffer.from(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+        const expected = Buffer.from(this.adminToken);
+
+        return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+    }
+
     verifySignature(payload, signature) {
         if (!this.webhookSecret) {
             logger.warn('No webhook secret configured, skipping signature verification');
@@ -238,19 +418,31 @@ class WebhookServer {
             issue.id,
             issue.number,
             issue.title,
-            issue.body,
+            redactText(issue.body),
             JSON.stringify(issue.labels),
             issue.state,
             new Date(issue.created_at).toISOString()
         );
 
-        // Only trigger automation if @claude-flow-automation is mentioned
-        if (issue.body && issue.body.includes('@claude-flow-automation')) {
-            logger.info(`🚀 Hive-Mind automation triggered by @claude-flow-automation in issue: ${issue.number}`);
-            return await this.triggerHiveMindAutomation(issue, repository.full_name);
+        // Only trigger automation when the issue mentions one of the repository's trigger phrases
+        const project = await this.getProjectConfig(repository.full_name);
+        const phrases = project.config?.triggers.phrases || DEFAULT_TRIGGER_PHRASES;
+        const trigger = phrases.find(phrase => mentionPattern(phrase).test(issue.body || ''));
+
+        if (trigger) {
+            if (!this.repositories.get(repository.full_name).features.autosolve) {
+                return { message: 'Autosolve is disabled for this repository' };
+            }
+
+            const username = data.sender?.login || issue.user?.login;
+            const refusal = await this.checkTriggerPermission('autosolve', username, repository.full_name, issue.number);
+            if (refusal) return refusal;
+
+            logger.info(`🚀 Hive-Mind automation triggered by ${trigger} in issue: ${issue.number}`);
+            return await this.triggerHiveMindAutomation(issue, repository.full_name, { requestedBy: username }, project);
         }
 
-        return { message: 'Issue stored, waiting for @claude-flow-automation trigger' };
+        return { message: `Issue stored, waiting for ${phrases.join(' or ')} trigger` };
     }
 
     async handleIssueCommentEvent(data) {
@@ -261,67 +453,663 @@ class WebhookServer {
         const comment = data.comment;
         const issue = data.issue;
 
-        // Check if comment contains automation trigger
-        if (comment.body.includes('@claude-flow-automation') || comment.body.includes('@claude-flow-bot') || comment.body.includes('/autosolve')) {
-            logger.info(`🚀 Hive-Mind automation triggered by @claude-flow-automation on issue: ${issue.number}`);
-            return await this.triggerHiveMindAutomation(issue, data.repository.full_name);
+        // Our own replies quote command usage; never treat bot comments as commands
+        if (comment.user && comment.user.type === 'Bot') {
+            return { message: 'Comment from a bot ignored' };
+        }
+
+        const command = this.commandParser.parse(comment.body);
+        if (!command) {
+            return { message: 'Comment does not contain automation trigger' };
         }
 
-        return { message: 'Comment does not contain automation trigger' };
+        const repository = data.repository.full_name;
+
+        if (command.errors.length > 0) {
+            logger.info(`Invalid command on issue #${issue.number}: ${command.errors.join('; ')}`);
+            await this.replyToIssue(repository, issue.number, this.commandParser.formatUsageError(command));
+            return { message: 'Invalid command', command: command.name, errors: command.errors };
+        }
+
+        logger.info(`💬 /${command.name} requested on issue #${issue.number} by ${comment.user?.login || 'unknown'}`);
+
+        const feature = COMMAND_FEATURES[command.name];
+        if (feature && !this.repositories.get(repository).features[feature]) {
+            await this.replyToIssue(repository, issue.number, `⚙️ \`/${command.name}\` is disabled for this repository.`);
+            return { message: 'Command disabled for this repository', command: command.name };
+        }
+
+        const refusal = await this.checkTriggerPermission(command.name, comment.user?.login, repository, issue.number);
+        if (refusal) return refusal;
+
+        return await this.handleCommand(command, issue, repository, comment);
     }
 
-    async handlePullRequestEvent(data) {
-        // Handle PR events if needed for automation feedback
-        logger.info(`PR event: ${data.action} - ${data.pull_request.number}`);
-        return { message: `PR event ${data.action} logged` };
+    /**
+     * Apply the trigger policy; posts a refusal and returns the webhook result when the user may not run the command
+     * @returns {Promise<Object|null>} null when the command may run
+     */
+    async checkTriggerPermission(commandName, username, repository, issueNumber) {
+        const decision = await this.triggerPolicy.authorize({
+            command: commandName,
+            username,
+            repository,
+            github: this.getGitHubClient(repository)
+        });
+
+        if (decision.allowed) {
+            logger.info(`🔓 /${commandName} allowed for ${username || 'unknown'} on ${repository}: ${decision.reason}`);
+            return null;
+        }
+
+        logger.warn(`🔒 /${commandName} refused for ${username || 'unknown'} on ${repository}: ${decision.reason}`);
+        await this.replyToIssue(repository, issueNumber, this.triggerPolicy.formatRefusal(username || 'there', commandName));
+
+        return { message: 'Command not permitted', command: commandName, reason: decision.reason };
+    }
+
+    async handleCommand(command, issue, repository, comment) {
+        if (!this.queue && JOB_CONTROL_COMMANDS.includes(command.name)) {
+            await this.replyToIssue(repository, issue.number,
+                `⚠️ \`/${command.name}\` is unavailable: job control needs the automation database, which this server could not open.`);
+            return { message: 'Job control unavailable', command: command.name };
+        }
+
+        switch (command.name) {
+            case 'autosolve':
+                logger.info(`🚀 Hive-Mind automation triggered by /autosolve on issue: ${issue.number}`);
+                return await this.triggerHiveMindAutomation(issue, repository, {
+                    mode: 'autosolve',
+                    agents: command.flags.agents,
+                    createPR: !command.flags['no-pr'],
+                    priority: command.flags.priority,
+                    requestedBy: comment.user?.login
+                });
+
+            case 'analyze-only':
+                return await this.triggerHiveMindAutomation(issue, repository, {
+                    mode: 'analyze-only',
+                    agents: command.flags.agents,
+                    createPR: false,
+                    requestedBy: comment.user?.login
+                });
+
+            case 'retry':
+                return await this.retryIssueAutomation(issue, repository);
+
+            case 'cancel':
+                return await this.cancelIssueAutomation(issue, repository);
+
+            case 'status':
+                return await this.reportIssueStatus(issue, repository);
+
+            case 'explain':
+                return await this.explainSession(issue, repository, command.sessionId);
+
+            case 'help':
+            default:
+                await this.replyToIssue(repository, issue.number, this.commandParser.formatHelp(command.command));
+                return { message: 'Help posted', command: command.name };
+        }
+    }
+
+    /**
+     * Automation jobs for one issue, newest first
+     */
+    getIssueJobs(repository, issueNumber, statuses = null) {
+        return this.queue.listIssueJobs('hive-mind-automation', repository, issueNumber, statuses);
+    }
+
+    async retryIssueAutomation(issue, repository) {
+        const active = this.getIssueJobs(repository, issue.number, ['queued', 'running']);
+        if (active.length > 0) {
+            await this.replyToIssue(repository, issue.number,
+                `⏳ Automation is already ${active[0].status} for this issue (job \`${active[0].id}\`). Use \`/cancel\` first to start over.`);
+            return { message: 'Automation already in progress', jobId: active[0].id };
+        }
+
+        const [previous] = this.getIssueJobs(repository, issue.number);
+        if (!previous) {
+            await this.replyToIssue(repository, issue.number, 'ℹ️ Nothing to retry yet. Use `/autosolve` to start a run.');
+            return { message: 'No previous automation to retry' };
+        }
+
+        // Same mode and options as last time, with the issue text as it is now
+        return await this.triggerHiveMindAutomation(issue, repository, {
+            ...(previous.payload.options || {}),
+            retryOf: previous.id
+        });
     }
 
-    async triggerHiveMindAutomation(issue, repository) {
+    async cancelIssueAutomation(issue, repository) {
+        const active = this.getIssueJobs(repository, issue.number, ['queued', 'running']);
+        const cancelled = active.filter(job => this.queue.cancel(job.id)).map(job => job.id);
+
+        const reply = cancelled.length > 0
+            ? `🚫 Cancelled ${cancelled.length} automation job(s) for this issue.`
+            : 'ℹ️ No queued or running automation to cancel for this issue.';
+        await this.replyToIssue(repository, issue.number, reply);
+
+        return { message: cancelled.length > 0 ? 'Automation cancelled' : 'Nothing to cancel', cancelled };
+    }
+
+    async reportIssueStatus(issue, repository) {
+        const jobs = this.getIssueJobs(repository, issue.number).slice(0, 5);
+        const sessions = store.listSessions({ repository, issueNumber: issue.number, limit: 5 });
+
+        const lines = ['**Claude Flow status**', ''];
+
+        if (jobs.length === 0 && sessions.length === 0) {
+            lines.push('No automation has run for this issue yet. Use `/autosolve` to start one.');
+        } else {
+            if (jobs.length > 0) {
+                lines.push('| Job | Mode | Status | Attempts | Queued at |', '|---|---|---|---|---|');
+                jobs.forEach(job => lines.push(
+                    `| \`${job.id.slice(0, 8)}\` | ${job.payload.options?.mode || 'autosolve'} | ${job.status} | ${job.attempts}/${job.max_attempts} | ${job.created_at} |`
+                ));
+                lines.push('');
+            }
+            if (sessions.length > 0) {
+                lines.push('| Session | Status | Started | Duration |', '|---|---|---|---|');
+                sessions.forEach(session => lines.push(
+                    `| \`${session.session_id}\` | ${session.status} | ${session.start_time} | ${session.duration_ms ? `${Math.round(session.duration_ms / 1000)}s` : '-'} |`
+                ));
+                lines.push('', 'Use `/explain <sessionId>` for details.');
+            }
+        }
+
+        await this.replyToIssue(repository, issue.number, lines.join('\n'));
+        return { message: 'Status posted', jobs: jobs.map(job => job.id), sessions: sessions.map(s => s.session_id) };
+    }
+
+    async explainSession(issue, repository, sessionId) {
+        const session = store.getSession(sessionId);
+
+        // Anyone who can comment may /explain; never show one repository's sessions in another's issues
+        if (!session || session.repository !== repository) {
+            await this.replyToIssue(repository, issue.number, `❓ Session \`${sessionId}\` was not found.`);
+            return { message: 'Session not found', sessionId };
+        }
+
+        const details = [
+            `**Session \`${session.session_id}\`**`,
+            '',
+            `- Status: ${session.status}${session.success === null ? '' : (session.success ? ' ✅' : ' ❌')}`,
+            `- Source: ${session.source || 'unknown'}`,
+            `- Issue: #${session.issue_number ?? '?'}${session.repository ? ` in ${session.repository}` : ''}`,
+            `- Started: ${session.start_time}`,
+            session.end_time ? `- Finished: ${session.end_time}` : null,
+            session.duration_ms ? `- Duration: ${Math.round(session.duration_ms / 1000)}s` : null,
+            session.quality_score !== null ? `- Quality score: ${Math.round(session.quality_score * 100)}%` : null,
+            Array.isArray(session.agents_spawned) ? `- Agents: ${session.agents_spawned.length}` : null,
+            session.data?.jobId ? `- Job: \`${session.data.jobId}\` (attempt ${session.data.attempt})` : null,
+            session.data?.options?.mode ? `- Mode: ${session.data.options.mode}` : null,
+            session.error_message ? `- Error: ${session.error_message}` : null
+        ].filter(line => line !== null);
+
+        await this.replyToIssue(repository, issue.number, details.join('\n'));
+        return { message: 'Session explained', sessionId };
+    }
+
+    /**
+     * Learning system for a repository's partition, or null when learning is off for it
+     * Repositories with the global scope share one instance, and with it one model
+     */
+    getLearningSystem(repository) {
+        const config = this.repositories.get(repository);
+        if (!store || !config || !config.features.learning) {
+            return null;
+        }
+
+        const global = config.learning.scope === 'global';
+        const key = global ? 'global' : repository;
+        if (!this.learningSystems.has(key)) {
+            this.learningSystems.set(key, new LearningSystem({
+                store,
+                repository: global ? null : repository,
+                scope: config.learning.scope
+            }));
+        }
+
+        return this.learningSystems.get(key);
+    }
+
+    /**
+     * GitHubAPI bound to one repository, or null when it cannot be created (e.g. no token)
+     */
+    getGitHubClient(repository) {
+        if (!this.githubClients.has(repository)) {
+            try {
+                const [owner, repo] = repository.split('/');
+                this.githubClients.set(repository, new GitHubAPI({ owner, repo, store }));
+            } catch (error) {
+                logger.warn(`GitHub client for ${repository} unavailable: ${error.message}`);
+                return null;
+            }
+        }
+
+        return this.githubClients.get(repository);
+    }
+
+    /**
+     * The repository's .claude-flow.yml; when it cannot be read (no client, API error) the defaults apply
+     * and the Hive-Mind run reads it again before doing anything
+     */
+    async getProjectConfig(repository) {
         try {
+            const github = this.getGitHubClient(repository);
+            if (!github) {
+                throw new Error('GitHub client unavailable');
+            }
+
+            return await loadProjectConfig(github);
+        } catch (error) {
+            logger.warn(`${PROJECT_CONFIG_PATH} of ${repository} unreadable, using defaults: ${error.message}`);
+            return { found: false, ...parseProjectConfig(''), source: PROJECT_CONFIG_PATH };
+        }
+    }
+
+    /**
+     * Post a comment on the issue that carried the command
+     * Replies are best-effort: a missing token must not fail the webhook
+     */
+    async replyToIssue(repository, issueNumber, body) {
+        try {
+            const github = this.getGitHubClient(repository);
+            if (!github) {
+                throw new Error('GitHub client unavailable');
+            }
+
+            await github.addIssueComment(issueNumber, body);
+            return true;
+        } catch (error) {
+            logger.warn(`Could not reply on ${repository}#${issueNumber}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Closed PRs are ground truth for the learning system: merged, closed unmerged, or a revert of an earlier merge
+     */
+    async handlePullRequestEvent(data) {
+        const pullRequest = data.pull_request;
+        const repository = data.repository.full_name;
+        const learningSystem = this.getLearningSystem(repository);
+        logger.info(`PR event: ${data.action} - ${pullRequest.number}`);
+
+        if (data.action !== 'closed' || !learningSystem) {
+            return { message: `PR event ${data.action} logged` };
+        }
+
+        const result = { message: 'PR outcome recorded', pullRequest: pullRequest.number, merged: !!pullRequest.merged };
+
+        // GitHub's "Revert" button opens a PR whose body reads "Reverts owner/repo#123"
+        const revert = pullRequest.merged && /(?:^|\n)Reverts\s+([\w.-]+\/[\w.-]+)?#(\d+)/.exec(pullRequest.body || '');
+        if (revert && (!revert[1] || revert[1] === repository)) {
+            result.reverted = await learningSystem.recordRevert({
+                repository,
+                prNumber: parseInt(revert[2], 10),
+                revertedBy: `#${pullRequest.number}`
+            });
+        }
+
+        const session = this.reviewResponder.findSession(repository, pullRequest);
+        if (session) {
+            result.outcome = await learningSystem.recordPullRequestOutcome({
+                repository,
+                pullRequest,
+                sessionId: session.session_id
+            });
+        } else if (!result.reverted) {
+            result.message = 'Pull request was not opened by automation';
+        }
+
+        return result;
+    }
+
+    /**
+     * Revert commits pushed straight to the default branch ("This reverts commit <sha>.")
+     */
+    async handlePushEvent(data) {
+        const repository = data.repository.full_name;
+        const learningSystem = this.getLearningSystem(repository);
+
+        if (!learningSystem) {
+            return { message: 'Learning is disabled for this repository' };
+        }
+        if (data.ref !== `refs/heads/${data.repository.default_branch}`) {
+            return { message: 'Push not on the default branch ignored' };
+        }
+
+        const reverted = [];
+        for (const commit of data.commits || []) {
+            for (const match of (commit.message || '').matchAll(/This reverts commit ([0-9a-f]{7,40})/g)) {
+                const outcome = await learningSystem.recordRevertedCommit({
+                    repository,
+                    commitSha: match[1],
+                    revertedBy: commit.id
+                });
+                if (outcome) reverted.push(outcome.prNumber);
+            }
+        }
+
+        return { message: reverted.length > 0 ? 'Reverts recorded' : 'Push processed', reverted };
+    }
+
+    /**
+     * Keep the GitHub App's repository → installation map in step with installs and removals
+     */
+    handleInstallationEvent(eventType, data) {
+        if (!this.appAuth) {
+            return { message: 'GitHub App mode not configured' };
+        }
+
+        const installationId = data.installation.id;
+        const added = eventType === 'installation' ? (data.repositories || []) : (data.repositories_added || []);
+        const removed = eventType === 'installation' ? [] : (data.repositories_removed || []);
+
+        if (eventType === 'installation' && ['deleted', 'suspend'].includes(data.action)) {
+            for (const [repository] of this.githubClients) {
+                if (repository.split('/')[0] === data.installation.account?.login) {
+                    this.githubClients.delete(repository);
+                }
+            }
+            this.appAuth.forgetInstallation(installationId);
+            logger.info(`🔌 GitHub App installation ${installationId} ${data.action}`);
+            return { message: `Installation ${data.action}`, installationId };
+        }
+
+        for (const repository of added) {
+            this.appAuth.rememberInstallation(repository.full_name, installationId);
+        }
+        for (const repository of removed) {
+            this.githubClients.delete(repository.full_name);
+        }
+
+        logger.info(`🔌 GitHub App installation ${installationId}: +${added.length} -${removed.length} repositories`);
+        return {
+            message: 'Installation updated',
+            installationId,
+            added: added.map(repository => repository.full_name),
+            removed: removed.map(repository => repository.full_name)
+        };
+    }
+
+    async handlePullRequestReviewEvent(data) {
+        if (data.action !== 'submitted') {
+            return { message: `Review action ${data.action} not handled` };
+        }
+
+        const review = data.review;
+
+        // An approval without text asks for nothing
+        if (review.state === 'approved' && !(review.body || '').trim()) {
+            return { message: 'Approval without feedback ignored' };
+        }
+
+        return await this.queueReviewRevision(data.repository.full_name, data.pull_request, review.id, review.user);
+    }
+
+    async handleReviewCommentEvent(data) {
+        if (data.action !== 'created') {
+            return { message: `Review comment action ${data.action} not handled` };
+        }
+
+        // Inline comments arrive both on their own and with the submitted review; both map to the review's job
+        return await this.queueReviewRevision(data.repository.full_name, data.pull_request, data.comment.pull_request_review_id, data.comment.user);
+    }
+
+    /**
+     * Queue one revision per review of a PR this automation opened
+     */
+    async queueReviewRevision(repository, pullRequest, reviewId, reviewer) {
+        if (reviewer && reviewer.type === 'Bot') {
+            return { message: 'Review from a bot ignored' };
+        }
+
+        if (!this.repositories.get(repository).features.reviewRevisions) {
+            return { message: 'Review revisions are disabled for this repository' };
+        }
+
+        if (!this.queue) {
+            throw new Error('Job queue unavailable: the automation database could not be opened');
+        }
+
+        const session = this.reviewResponder.findSession(repository, pullRequest);
+        if (!session) {
+            return { message: 'Pull request was not opened by automation', pullRequest: pullRequest.number };
+        }
+
+        // Reviewers who could not trigger a run may not steer one either; no reply, reviews are not commands
+        const decision = await this.triggerPolicy.authorize({
+            command: 'revise',
+            username: reviewer?.login,
+            repository,
+            github: this.getGitHubClient(repository)
+        });
+        if (!decision.allowed) {
+            logger.info(`🔒 Review by ${reviewer?.login || 'unknown'} on ${repository}#${pullRequest.number} not acted on: ${decision.reason}`);
+            return { message: 'Reviewer not permitted to trigger revisions', reason: decision.reason };
+        }
+
+        if (this.isIntakePaused()) {
+            logger.info(`⏸️ Review ${reviewId} on ${repository}#${pullRequest.number} not acted on: intake is paused`);
+            return { message: 'Intake paused', reviewId };
+        }
+
+        const jobId = `revise:${repository}#${pullRequest.number}:${reviewId}`;
+        if (this.queue.getJob(jobId)) {
+            return { message: 'Review already queued', jobId };
+        }
+
+        const job = this.queue.enqueue('revise-pull-request', {
+            repository,
+            prNumber: pullRequest.number,
+            reviewId,
+            sessionId: session.session_id
+        }, { id: jobId, priority: JobQueue.JOB_PRIORITY.HIGH });
+
+        logger.info(`📥 Revision of ${repository}#${pullRequest.number} queued for review ${reviewId} (job ${job.id})`);
+
+        return {
+            message: 'Pull request revision queued',
+            jobId: job.id,
+            pullRequest: pullRequest.number,
+            sessionId: session.session_id,
+            statusUrl: `/jobs/${encodeURIComponent(job.id)}`
+        };
+    }
+
+    /**
+     * Job handler: regenerate the reviewed changes and push them to the PR branch
+     */
+    async runReviewRevisionJob(job) {
+        const { repository, prNumber, reviewId, sessionId } = job.payload;
+        setLogContext({ repository, issueNumber: prNumber, sessionId });
+        const github = this.getGitHubClient(repository);
+
+        if (!github) {
+            throw new Error(`GitHub client for ${repository} unavailable`);
+        }
+
+        return await this.reviewResponder.revise({ github, repository, prNumber, reviewId, sessionId });
+    }
+
+    /**
+     * Queue a Hive-Mind run for an issue
+     * Bursts of triggers are persisted and worked off under the concurrency limit instead of being dropped
+     */
+    async triggerHiveMindAutomation(issue, repository, options = {}, project = null) {
+        const { priority, ...runOptions } = options;
+        const config = this.repositories.get(repository);
+
+        // Paused from the dashboard: nothing new is queued, jobs already queued still run
+        if (this.isIntakePaused()) {
+            logger.info(`⏸️ Automation for ${repository}#${issue.number} not queued: intake is paused`);
+            await this.replyToIssue(repository, issue.number,
+                '⏸️ Automation is paused by the operators right now, so nothing was queued. Trigger it again once it is resumed.');
+            return { message: 'Intake paused', issue: { number: issue.number }, repository };
+        }
+
+        // A broken .claude-flow.yml is reported on the issue instead of queueing a run that would fail on it
+        project = project || await this.getProjectConfig(repository);
+        if (!project.config) {
+            logger.info(`📄 ${project.source} of ${repository} is invalid: ${project.errors.join('; ')}`);
+            await this.replyToIssue(repository, issue.number, formatConfigErrors(project.errors, project.source));
+            return { message: 'Repository config invalid', source: project.source, errors: project.errors };
+        }
+
+        // The repository's policy wins over the command: allowed agent types only, no PR where PRs are off
+        // Agent types must be allowed by both the server's config and the repository's own file
+        const server = resolveAgents(config, runOptions.agents);
+        const { agents, rejected } = resolveAgents({ agents: project.config.agents.allowed }, server.agents);
+        rejected.unshift(...server.rejected);
+        if (rejected.length > 0) {
+            logger.warn(`Agent types not allowed on ${repository} dropped: ${rejected.join(', ')}`);
+        }
+        runOptions.agents = agents || undefined;
+        runOptions.createPR = runOptions.createPR !== false && config.pullRequests.create;
+
+        const payload = {
+            issue: {
+                id: issue.id,
+                number: issue.number,
+                title: issue.title,
+                body: issue.body,
+                labels: (issue.labels || []).map(label => label.name || label)
+            },
+            repository,
+            options: { mode: 'autosolve', createPR: true, ...runOptions }
+        };
+
+        if (!this.queue) {
+            throw new Error('Job queue unavailable: the automation database could not be opened');
+        }
+
+        const job = this.queue.enqueue('hive-mind-automation', payload, {
+            priority: priority
+                ? JobQueue.JOB_PRIORITY[priority.toUpperCase()]
+                : this.getIssuePriority(payload.issue, project.config.labels.priority)
+        });
+
+        logger.info(`📥 Hive-Mind automation queued for issue #${issue.number} (job ${job.id})`);
+
+        return {
+            message: 'Hive-Mind automation triggered and queued',
+            mode: 'hive-mind',
+            runMode: payload.options.mode,
+            jobId: job.id,
+            priority: job.priority,
+            issue: {
+                number: issue.number,
+                title: issue.title
+            },
+            repository: repository,
+            ...(rejected.length > 0 ? { ignoredAgents: rejected } : {}),
+            statusUrl: `/jobs/${job.id}`
+        };
+    }
+
+    /**
+     * Intake of new runs is paused from the dashboard (runtime control "intake-paused")
+     */
+    isIntakePaused() {
+        return store ? store.getControl('intake-paused')?.value === true : false;
+    }
+
+    /**
+     * Queue priority from the issue's labels: the repository's own priority labels first, then common conventions
+     */
+    getIssuePriority(issue, priorityLabels = {}) {
+        const labels = issue.labels.map(label => String(label).toLowerCase());
+
+        for (const level of ['critical', 'high', 'low']) {
+            const names = (priorityLabels[level] || []).map(name => name.toLowerCase());
+            if (labels.some(label => names.includes(label))) {
+                return JobQueue.JOB_PRIORITY[level.toUpperCase()];
+            }
+        }
+
+        if (labels.some(label => label.includes('critical') || label.includes('security'))) {
+            return JobQueue.JOB_PRIORITY.CRITICAL;
+        }
+        if (labels.some(label => label.includes('priority:high') || label.includes('urgent') || label === 'bug')) {
+            return JobQueue.JOB_PRIORITY.HIGH;
+        }
+        if (labels.some(label => label.includes('priority:low'))) {
+            return JobQueue.JOB_PRIORITY.LOW;
+        }
+        return JobQueue.JOB_PRIORITY.NORMAL;
+    }
+
+    /**
+     * Job handler: run one Hive-Mind process and settle when it exits
+     * A non-zero exit rejects, so the queue retries with backoff
+     */
+    async runHiveMindJob(job) {
+        const { issue, repository } = job.payload;
+        setLogContext({ repository, issueNumber: issue.number });
+        const options = { mode: 'autosolve', createPR: true, ...(job.payload.options || {}) };
+        const analyzeOnly = options.mode === 'analyze-only';
+
+        // The repository may have been disabled or removed from routing while the job waited
+        const unrouted = this.repositories.explainUnrouted(repository);
+        if (unrouted) {
+            logger.info(`🚏 Job ${job.id} skipped: ${unrouted}`);
+            return { skipped: unrouted, issueNumber: issue.number, repository };
+        }
+        const config = this.repositories.get(repository);
+
+        // As a GitHub App the run gets this repository's installation token, valid for the whole run
+        const [owner, repo] = repository.split('/');
+        const installationToken = this.appAuth
+            ? await this.appAuth.getRepositoryToken(owner, repo, { minValidityMs: 40 * 60 * 1000 })
+            : null;
+
+        return new Promise((resolve, reject) => {
             logger.info(`🐝 Triggering Hive-Mind automation for issue #${issue.number}`);
 
             // Create automation session
             const sessionId = crypto.randomUUID();
-            const insertSession = db.prepare(`
-                INSERT INTO automation_sessions (
-                    session_id, issue_id, status, start_time
-                ) VALUES (?, ?, ?, ?)
-            `);
-
             const issueRecord = db.prepare('SELECT id FROM issues WHERE github_id = ?').get(issue.id);
-            insertSession.run(sessionId, issueRecord?.id, 'hive-mind-started', new Date().toISOString());
-
-            // Spawn Claude Flow Hive-Mind process with comprehensive automation
-            const hiveMindArgs = [
-                'hive-mind', 'spawn',
-                `"Resolve GitHub Issue #${issue.number}: ${issue.title}\n\nDescription: ${issue.body || 'No description provided'}\n\nRepository: ${repository}\nSession: ${sessionId}\n\nRequirements:\n1. Analyze the issue thoroughly\n2. Spawn appropriate specialized agents\n3. Implement complete solution with tests\n4. Create production-ready code\n5. Generate comprehensive pull request\n6. Ensure quality and security standards"`,
-                '--auto-mode',
-                '--session-id', sessionId,
-                '--github-integration',
-                '--issue-number', issue.number.toString(),
-                '--repository', repository,
-                '--max-agents', '10',
-                '--max-time', '1800',
-                '--learning-mode',
-                '--quality-checks',
-                '--auto-pr',
-                '--auto-test',
-                '--comprehensive'
+            store.upsertSession({
+                sessionId,
+                source: 'webhook',
+                issueId: issueRecord?.id,
+                issueNumber: issue.number,
+                repository,
+                status: 'started',
+                startTime: Date.now(),
+                data: { jobId: job.id, attempt: job.attempts, options }
+            });
+
+            // The in-repo orchestrator runs the issue under this repository's resolved config:
+            // allowed agents, PR draft/base, label map and learning scope
+            // It records the run into this session, so each webhook run is one session
+            const runArgs = [
+                path.join(__dirname, '..', 'core', 'claude-flow-main.js'),
+                `--issue-number=${issue.number}`,
+                `--session-id=${sessionId}`,
+                ...(analyzeOnly ? ['--analyze-only'] : []),
+                ...(options.agents ? [`--agents=${options.agents.join(',')}`] : [])
             ];
 
-            const claudeFlowProcess = spawn('./claude-flow.sh', hiveMindArgs, {
+            const claudeFlowProcess = spawn(process.execPath, runArgs, {
                 cwd: process.cwd(),
                 stdio: 'pipe',
                 env: {
                     ...process.env,
-                    CLAUDE_FLOW_AUTO_MODE: 'true',
-                    CLAUDE_FLOW_SESSION_ID: sessionId,
-                    CLAUDE_FLOW_HIVE_MIND: 'true',
-                    GITHUB_ISSUE_NUMBER: issue.number.toString(),
-                    GITHUB_REPOSITORY: repository
+                    REPOSITORY: repository,
+                    // --no-pr runs post the analysis comment without opening a PR
+                    AUTO_CREATE_PR: String(options.createPR && !analyzeOnly),
+                    CLAUDE_FLOW_REPOSITORY_CONFIG: JSON.stringify(config),
+                    ...(installationToken ? { GITHUB_TOKEN: installationToken } : {})
                 }
             });
 
+            let spawnError = null;
+            this.runningProcesses.set(job.id, claudeFlowProcess);
+
             // Enhanced logging for Hive-Mind
             claudeFlowProcess.stdout.on('data', (data) => {
                 const text = data.toString();
@@ -335,50 +1123,65 @@ class WebhookServer {
 
             // Handle process completion with enhanced status tracking
             claudeFlowProcess.on('close', (code) => {
-                const status = code === 0 ? 'hive-mind-completed' : 'hive-mind-failed';
-                db.prepare(`
-                    UPDATE automation_sessions 
-                    SET status = ?, end_time = ?
-                    WHERE session_id = ?
-                `).run(status, new Date().toISOString(), sessionId);
+                this.runningProcesses.delete(job.id);
+                if (spawnError) return;
+
+                const cancelled = this.queue && this.queue.isCancelled(job);
+                const status = code === 0 ? 'completed' : 'failed';
+                // The orchestrator's own error says more than the exit code
+                const errorMessage = code === 0 ? null
+                    : (cancelled ? 'Cancelled before the run finished'
+                        : (store.getSession(sessionId)?.error_message || `Hive-Mind process exited with code ${code}`));
+                store.upsertSession({
+                    sessionId,
+                    status,
+                    endTime: Date.now(),
+                    errorMessage
+                });
 
                 logger.info(`🐝 Hive-Mind session ${sessionId} ${status} with code ${code}`);
+
+                if (code === 0) {
+                    resolve({ sessionId, issueNumber: issue.number, repository });
+                } else {
+                    reject(new Error(errorMessage));
+                }
             });
 
-            return {
-                message: 'Hive-Mind automation triggered successfully',
-                mode: 'hive-mind',
-                sessionId: sessionId,
-                issue: {
-                    number: issue.number,
-                    title: issue.title
-                },
-                repository: repository,
-                agents: 'auto-spawning',
-                expectedFeatures: [
-                    'Intelligent agent coordination',
-                    'Multi-agent problem solving',
-                    'Advanced learning integration',
-                    'Quality assurance automation',
-                    'Comprehensive testing',
-                    'Production-ready solutions'
-                ]
-            };
+            // The process could not be started at all (missing wrapper, permissions)
+            claudeFlowProcess.on('error', (error) => {
+                spawnError = error;
+                this.runningProcesses.delete(job.id);
+                store.upsertSession({
+                    sessionId,
+                    status: 'failed',
+                    endTime: Date.now(),
+                    errorMessage: error.message
+                });
 
-        } catch (error) {
-            logger.error('🐝 Hive-Mind automation trigger error:', error);
-            throw error;
-        }
+                logger.error('🐝 Hive-Mind automation trigger error:', error);
+                reject(error);
+            });
+        });
     }
 
     getSystemStats() {
         try {
+            const sessionStats = store.getSessionStats();
             const stats = {
                 webhook_events: db.prepare('SELECT COUNT(*) as count FROM webhook_events').get().count,
                 processed_events: db.prepare('SELECT COUNT(*) as count FROM webhook_events WHERE processed = TRUE').get().count,
-                active_sessions: db.prepare('SELECT COUNT(*) as count FROM automation_sessions WHERE status = ?').get('started').count,
-                completed_sessions: db.prepare('SELECT COUNT(*) as count FROM automation_sessions WHERE status = ?').get('completed').count,
-                failed_sessions: db.prepare('SELECT COUNT(*) as count FROM automation_sessions WHERE status = ?').get('failed').count,
+                duplicate_deliveries: db.prepare('SELECT COALESCE(SUM(duplicate_count), 0) as count FROM webhook_events').get().count,
+                active_sessions: sessionStats.active,
+                completed_sessions: sessionStats.completed,
+                failed_sessions: sessionStats.failed,
+                job_queue: this.queue ? this.queue.getStats() : null,
+                intake_paused: this.isIntakePaused(),
+                repositories: {
+                    routed: this.repositories.routed,
+                    configured: this.repositories.list()
+                },
+                github_requests: getGitHubSchedulerStats(),
                 uptime: process.uptime(),
                 memory_usage: process.memoryUsage(),
                 timestamp: new Date().toISOString()
@@ -392,6 +1195,10 @@ class WebhookServer {
     }
 
     start() {
+        if (this.queue) {
+            this.queue.start();
+        }
+
         this.app.listen(this.port, () => {
             logger.info(`🚀 Claude Flow Webhook Server running on port ${this.port}`);
             logger.info(`📊 Health check: http://localhost:${this.port}/health`);
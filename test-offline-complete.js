@@ -5,6 +5,8 @@
  */
 
 const winston = require('winston');
+const { createGitHubClient } = require('./core/github-client');
+const FakeGitHub = require('./core/fake-github');
 
 // Setup logger
 const logger = winston.createLogger({
@@ -19,25 +21,6 @@ const logger = winston.createLogger({
     transports: [new winston.transports.Console()]
 });
 
-// Mock GitHub API that simulates successful operations
-class MockOctokit {
-    constructor() {
-        this.rest = {
-            issues: {
-                createComment: async (params) => {
-                    logger.info(`📝 Mock GitHub Comment: Issue #${params.issue_number}`);
-                    logger.info(`📄 Comment length: ${params.body.length} characters`);
-                    return { data: { id: 12345, html_url: 'https://github.com/test/mock' } };
-                },
-                addLabels: async (params) => {
-                    logger.info(`🏷️ Mock GitHub Labels: ${params.labels.join(', ')}`);
-                    return { data: params.labels };
-                }
-            }
-        };
-    }
-}
-
 // Create a modified version of ClaudeFlowSimple for offline testing
 class ClaudeFlowOfflineTest {
     constructor() {
@@ -45,8 +28,6 @@ class ClaudeFlowOfflineTest {
         process.env.GITHUB_TOKEN = 'mock-token';
         process.env.REPOSITORY = 'Marimo-317/claude_flow_windows';
         
-        // Use mock GitHub API
-        this.octokit = new MockOctokit();
         this.owner = 'Marimo-317';
         this.repo = 'claude_flow_windows';
         
@@ -77,6 +58,13 @@ class ClaudeFlowOfflineTest {
             repository: 'Marimo-317/claude_flow_windows'
         };
         
+        // In-memory GitHub holding the test issue; every write lands in its state
+        this.fakeGitHub = new FakeGitHub({ statePath: null });
+        this.fakeGitHub.createRepository(`${this.owner}/${this.repo}`, {
+            issues: [{ number: this.args.issueNumber, title: this.args.issueTitle, body: this.args.issueBody }]
+        });
+        this.octokit = createGitHubClient({ transport: 'fake', fakeGitHub: this.fakeGitHub });
+        
         this.sessionId = 'test-session-' + Date.now();
         
         this.logger = logger;
@@ -842,8 +830,19 @@ class ClaudeFlowOfflineTest {
                 labels: labels
             });
             
-            this.logger.info('✅ AI analysis published to GitHub successfully (Mock)');
-            this.logger.info(`🏷️ Added ${labels.length} intelligent labels`);
+            // Read back what the fake GitHub recorded
+            const { data: issue } = await this.octokit.rest.issues.get({
+                owner: this.owner,
+                repo: this.repo,
+                issue_number: this.args.issueNumber
+            });
+            const missingLabels = labels.filter(label => !issue.labels.some(l => l.name === label));
+            if (issue.comments !== 1 || missingLabels.length > 0) {
+                throw new Error(`Fake GitHub state mismatch: ${issue.comments} comment(s), missing labels ${missingLabels.join(', ')}`);
+            }
+            
+            this.logger.info(`✅ AI analysis published to GitHub successfully (Mock): ${commentResult.data.html_url}`);
+            this.logger.info(`🏷️ Added ${labelsResult.data.length} intelligent labels`);
             this.logger.info(`📝 Comment posted with ${comment.length} characters`);
             
         } catch (error) {